@@ -0,0 +1,471 @@
+/**
+ * SCL AST - Node types produced by the parser.
+ *
+ * Every node carries a source range (0-based line/col, plus offsets) so
+ * providers can map nodes back to exact positions in the document.
+ */
+
+// ─── Positions ──────────────────────────────────────────────────────────────
+
+export interface SourcePosition {
+  line: number;
+  col: number;
+  offset: number;
+}
+
+export interface SourceRange {
+  start: SourcePosition;
+  end: SourcePosition;
+}
+
+// ─── File and blocks ────────────────────────────────────────────────────────
+
+export type BlockType = "FUNCTION_BLOCK" | "FUNCTION" | "ORGANIZATION_BLOCK" | "DATA_BLOCK" | "TYPE";
+
+export interface SourceFile {
+  kind: "SourceFile";
+  blocks: Block[];
+  range: SourceRange;
+}
+
+export interface Block {
+  kind: "Block";
+  blockType: BlockType;
+  name: string;
+  nameRange: SourceRange;
+  keywordRange: SourceRange;
+  returnType?: TypeRef;           // FUNCTION "x" : Real
+  pragmas: Pragma[];              // { S7_Optimized_Access := 'TRUE' }
+  properties: BlockProperty[];    // VERSION, TITLE, AUTHOR, FAMILY, NAME
+  instanceOf?: TypeRef;           // DATA_BLOCK "DB" "FB_Type" / "UDT"
+  structType?: StructType;        // TYPE "UDT" STRUCT ... END_STRUCT
+  sections: VarSection[];
+  beginRange?: SourceRange;       // BEGIN keyword, if present
+  body?: Statement[];             // Statements after BEGIN
+  endRange?: SourceRange;         // END_xxx keyword, if present
+  range: SourceRange;
+}
+
+export interface BlockProperty {
+  name: string;                   // Uppercase: VERSION, TITLE, ...
+  value: string;
+  range: SourceRange;
+}
+
+export interface Pragma {
+  kind: "Pragma";
+  text: string;
+  entries: { name: string; value: string }[];
+  range: SourceRange;
+}
+
+// ─── Declarations ───────────────────────────────────────────────────────────
+
+export type SectionType =
+  | "VAR_INPUT" | "VAR_OUTPUT" | "VAR_IN_OUT" | "VAR_TEMP"
+  | "VAR_GLOBAL" | "VAR" | "VAR_CONSTANT";
+
+export interface VarSection {
+  kind: "VarSection";
+  sectionType: SectionType;
+  modifiers: string[];            // RETAIN, NON_RETAIN, CONSTANT, DB_SPECIFIC
+  declarations: VarDeclaration[];
+  keywordRange: SourceRange;
+  endRange?: SourceRange;         // END_VAR keyword, if present
+  range: SourceRange;
+}
+
+export interface VarDeclaration {
+  kind: "VarDeclaration";
+  name: string;
+  nameRange: SourceRange;
+  type: TypeRef;
+  typeText: string;               // Type as written in the source
+  initializer?: Expression;
+  initializerText?: string;       // Initial value as written in the source
+  comment?: string;               // Trailing comment on the declaration line
+  pragmas: Pragma[];
+  range: SourceRange;
+}
+
+export type TypeRef = NamedType | ArrayType | StructType | RefType;
+
+export interface NamedType {
+  kind: "NamedType";
+  name: string;                   // Int, Real, UDT_Motor (without quotes)
+  quoted: boolean;                // "UDT_Motor"
+  length?: Expression;            // String[20]
+  range: SourceRange;
+}
+
+export interface ArrayType {
+  kind: "ArrayType";
+  dimensions: RangeExpression[];  // Empty for Array[*]
+  elementType: TypeRef;
+  range: SourceRange;
+}
+
+export interface StructType {
+  kind: "StructType";
+  members: VarDeclaration[];
+  endRange?: SourceRange;         // END_STRUCT keyword, if present
+  range: SourceRange;
+}
+
+export interface RefType {
+  kind: "RefType";
+  target: TypeRef;
+  range: SourceRange;
+}
+
+// ─── Statements ─────────────────────────────────────────────────────────────
+
+export type Statement =
+  | AssignmentStatement
+  | CallStatement
+  | IfStatement
+  | CaseStatement
+  | ForStatement
+  | WhileStatement
+  | RepeatStatement
+  | RegionStatement
+  | JumpStatement
+  | EmptyStatement;
+
+export interface AssignmentStatement {
+  kind: "Assignment";
+  target: Expression;
+  operator: string;               // :=, +=, -=, *=, /=, ?=
+  value: Expression;
+  range: SourceRange;
+}
+
+export interface CallStatement {
+  kind: "CallStatement";
+  call: Expression;
+  range: SourceRange;
+}
+
+export interface IfBranch {
+  condition: Expression;
+  body: Statement[];
+  range: SourceRange;
+}
+
+export interface IfStatement {
+  kind: "If";
+  branches: IfBranch[];           // IF + ELSIF branches
+  elseBody?: Statement[];
+  elseRange?: SourceRange;        // ELSE keyword
+  endRange?: SourceRange;         // END_IF keyword, if present
+  range: SourceRange;
+}
+
+export interface CaseBranch {
+  labels: Expression[];           // Values or RangeExpressions
+  body: Statement[];
+  range: SourceRange;
+}
+
+export interface CaseStatement {
+  kind: "Case";
+  selector: Expression;
+  branches: CaseBranch[];
+  elseBody?: Statement[];
+  elseRange?: SourceRange;
+  endRange?: SourceRange;
+  range: SourceRange;
+}
+
+export interface ForStatement {
+  kind: "For";
+  variable: Expression;
+  start: Expression;
+  end: Expression;
+  step?: Expression;
+  body: Statement[];
+  endRange?: SourceRange;
+  range: SourceRange;
+}
+
+export interface WhileStatement {
+  kind: "While";
+  condition: Expression;
+  body: Statement[];
+  endRange?: SourceRange;
+  range: SourceRange;
+}
+
+export interface RepeatStatement {
+  kind: "Repeat";
+  body: Statement[];
+  condition: Expression;
+  endRange?: SourceRange;
+  range: SourceRange;
+}
+
+export interface RegionStatement {
+  kind: "Region";
+  name: string;
+  body: Statement[];
+  endRange?: SourceRange;
+  range: SourceRange;
+}
+
+export interface JumpStatement {
+  kind: "Jump";
+  keyword: "EXIT" | "CONTINUE" | "RETURN" | "GOTO";
+  label?: string;                 // GOTO target
+  range: SourceRange;
+}
+
+export interface EmptyStatement {
+  kind: "Empty";
+  range: SourceRange;
+}
+
+// ─── Expressions ────────────────────────────────────────────────────────────
+
+export type Expression =
+  | Literal
+  | LocalRef
+  | GlobalRef
+  | Identifier
+  | AddressRef
+  | MemberAccess
+  | IndexAccess
+  | CallExpression
+  | UnaryExpression
+  | BinaryExpression
+  | ParenExpression
+  | RangeExpression
+  | ArrayLiteral
+  | RepeatedElement
+  | DerefExpression
+  | ErrorExpression;
+
+export type LiteralType =
+  | "integer" | "real" | "boolean" | "string" | "null"
+  | "time" | "date" | "dateTime" | "timeOfDay" | "typed";
+
+export interface Literal {
+  kind: "Literal";
+  literalType: LiteralType;
+  text: string;
+  typePrefix?: string;            // Uppercase prefix of typed literals: T, INT, 16 ...
+  range: SourceRange;
+}
+
+/** #name - block-local variable */
+export interface LocalRef {
+  kind: "LocalRef";
+  name: string;
+  range: SourceRange;
+}
+
+/** "name" - global symbol (block, DB, tag) */
+export interface GlobalRef {
+  kind: "GlobalRef";
+  name: string;
+  range: SourceRange;
+}
+
+/** Plain identifier - function name, tag or variable without # */
+export interface Identifier {
+  kind: "Identifier";
+  name: string;
+  range: SourceRange;
+}
+
+/** %I0.0, %MW10 or a slice like %X3 after a member dot */
+export interface AddressRef {
+  kind: "AddressRef";
+  address: string;                // Uppercase, including %
+  range: SourceRange;
+}
+
+export interface MemberAccess {
+  kind: "MemberAccess";
+  object: Expression;
+  member: string;
+  memberRange: SourceRange;
+  range: SourceRange;
+}
+
+export interface IndexAccess {
+  kind: "IndexAccess";
+  object: Expression;
+  indices: Expression[];
+  range: SourceRange;
+}
+
+export interface Argument {
+  name?: string;                  // Named parameter (IN := ..., Q => ...)
+  nameRange?: SourceRange;
+  direction: "input" | "output" | "positional";
+  value: Expression;
+  range: SourceRange;
+}
+
+export interface CallExpression {
+  kind: "Call";
+  callee: Expression;
+  args: Argument[];
+  range: SourceRange;
+}
+
+export interface UnaryExpression {
+  kind: "Unary";
+  operator: string;               // NOT, -, +
+  operand: Expression;
+  range: SourceRange;
+}
+
+export interface BinaryExpression {
+  kind: "Binary";
+  operator: string;               // Uppercase for word operators: AND, OR, XOR, MOD
+  left: Expression;
+  right: Expression;
+  range: SourceRange;
+}
+
+export interface ParenExpression {
+  kind: "Paren";
+  expression: Expression;
+  range: SourceRange;
+}
+
+/** low..high - CASE label ranges and array bounds */
+export interface RangeExpression {
+  kind: "Range";
+  low: Expression;
+  high: Expression;
+  range: SourceRange;
+}
+
+/** [1, 2, 3(0)] - array initializer */
+export interface ArrayLiteral {
+  kind: "ArrayLiteral";
+  elements: Expression[];
+  range: SourceRange;
+}
+
+/** 3(0) - repetition inside an array initializer */
+export interface RepeatedElement {
+  kind: "Repeated";
+  count: Expression;
+  value: Expression;
+  range: SourceRange;
+}
+
+/** ref^ - dereference */
+export interface DerefExpression {
+  kind: "Deref";
+  operand: Expression;
+  range: SourceRange;
+}
+
+/** Placeholder for a missing or unparseable expression */
+export interface ErrorExpression {
+  kind: "Error";
+  range: SourceRange;
+}
+
+// ─── Traversal ──────────────────────────────────────────────────────────────
+
+/** Visits every statement (depth-first, pre-order). */
+export function walkStatements(statements: Statement[], visit: (stmt: Statement) => void): void {
+  for (const stmt of statements) {
+    visit(stmt);
+    for (const child of childStatementLists(stmt)) {
+      walkStatements(child, visit);
+    }
+  }
+}
+
+/** Returns the nested statement lists of a compound statement. */
+export function childStatementLists(stmt: Statement): Statement[][] {
+  switch (stmt.kind) {
+    case "If": {
+      const lists = stmt.branches.map(b => b.body);
+      if (stmt.elseBody) lists.push(stmt.elseBody);
+      return lists;
+    }
+    case "Case": {
+      const lists = stmt.branches.map(b => b.body);
+      if (stmt.elseBody) lists.push(stmt.elseBody);
+      return lists;
+    }
+    case "For":
+    case "While":
+    case "Repeat":
+    case "Region":
+      return [stmt.body];
+    default:
+      return [];
+  }
+}
+
+/** Returns the expressions directly owned by a statement (not those of nested statements). */
+export function statementExpressions(stmt: Statement): Expression[] {
+  switch (stmt.kind) {
+    case "Assignment": return [stmt.target, stmt.value];
+    case "CallStatement": return [stmt.call];
+    case "If": return stmt.branches.map(b => b.condition);
+    case "Case": return [stmt.selector, ...stmt.branches.flatMap(b => b.labels)];
+    case "For": return [stmt.variable, stmt.start, stmt.end, ...(stmt.step ? [stmt.step] : [])];
+    case "While": return [stmt.condition];
+    case "Repeat": return [stmt.condition];
+    default: return [];
+  }
+}
+
+/** Visits an expression and all of its sub-expressions (pre-order). */
+export function walkExpression(expr: Expression, visit: (expr: Expression) => void): void {
+  visit(expr);
+  switch (expr.kind) {
+    case "MemberAccess":
+      walkExpression(expr.object, visit);
+      break;
+    case "IndexAccess":
+      walkExpression(expr.object, visit);
+      for (const idx of expr.indices) walkExpression(idx, visit);
+      break;
+    case "Call":
+      walkExpression(expr.callee, visit);
+      for (const arg of expr.args) walkExpression(arg.value, visit);
+      break;
+    case "Unary":
+      walkExpression(expr.operand, visit);
+      break;
+    case "Binary":
+      walkExpression(expr.left, visit);
+      walkExpression(expr.right, visit);
+      break;
+    case "Paren":
+      walkExpression(expr.expression, visit);
+      break;
+    case "Range":
+      walkExpression(expr.low, visit);
+      walkExpression(expr.high, visit);
+      break;
+    case "ArrayLiteral":
+      for (const el of expr.elements) walkExpression(el, visit);
+      break;
+    case "Repeated":
+      walkExpression(expr.count, visit);
+      walkExpression(expr.value, visit);
+      break;
+    case "Deref":
+      walkExpression(expr.operand, visit);
+      break;
+  }
+}
+
+/** Returns true if the position lies within the range (end-inclusive). */
+export function rangeContains(range: SourceRange, line: number, col: number): boolean {
+  if (line < range.start.line || line > range.end.line) return false;
+  if (line === range.start.line && col < range.start.col) return false;
+  if (line === range.end.line && col > range.end.col) return false;
+  return true;
+}
@@ -0,0 +1,215 @@
+/**
+ * SCL Call Hierarchy - Which blocks call which, and the program structure.
+ *
+ * A call is resolved through what is called:
+ *   "FC_Scale"(...)          → the FUNCTION
+ *   "DB_Motor1"(...)         → the FB of the instance DB (single instance)
+ *   #StartupTimer(...)       → the type of the instance declaration
+ *                              (StartupTimer : TON, Motors : Array[1..4] of "FB_Motor")
+ *
+ * System functions (ABS, MOVE_BLK, ...) are not blocks and are left out;
+ * system FBs (TON, CTU, R_TRIG, ...) are listed with their instances. The
+ * program structure is the call tree below every ORGANIZATION_BLOCK, like
+ * the call structure of TIA Portal, followed by the FBs and FCs no block
+ * calls. Used by the call hierarchy (callHierarchyProvider.ts) and the
+ * program structure view (server request PROGRAM_STRUCTURE_REQUEST).
+ */
+
+import { BlockType, CallExpression, Expression, SourceRange, TypeRef, statementExpressions, walkExpression, walkStatements } from "./ast";
+import { IndexedBlock, SymbolIndex } from "./symbolIndex";
+import { Scope, containerOf, instanceType } from "./resolver";
+import { SYSTEM_FB_MEMBERS } from "./sclData";
+
+export const PROGRAM_STRUCTURE_REQUEST = "tia-scl/programStructure";
+
+export type CalleeType = "FUNCTION" | "FUNCTION_BLOCK" | "SYSTEM";
+
+export interface BlockCall {
+  caller: IndexedBlock;
+  callee: string;                 // Called FC, FB or system FB, named as declared
+  type: CalleeType;
+  instance?: string;              // "DB_Motor1" (single instance), #StartupTimer or #Motors[] (multi-instance)
+  range: SourceRange;             // The called name or instance, in the caller's file
+}
+
+export interface CallTreeNode {
+  block: string;
+  type: BlockType | "SYSTEM";
+  instance?: string;
+  uri: string;
+  file: string;                   // Path shown in the view
+  line: number;                   // 0-based call site; the block declaration for roots
+  col: number;
+  calls: number;                  // Call sites of the same block and instance in the caller
+  recursive?: boolean;            // Already called further up; not expanded again
+  uncalled?: boolean;             // Root that is not an OB and that no block calls
+  depth: number;                  // Longest chain of calls below this node (0: calls nothing)
+  children: CallTreeNode[];
+}
+
+export interface ProgramStructure {
+  roots: CallTreeNode[];          // OBs, then the FBs and FCs no block calls
+  maxDepth: number;               // Longest chain of calls below an OB (below any root without OBs)
+  recursions: string[];           // FB_A → FB_B → FB_A
+}
+
+// ─── Calls ──────────────────────────────────────────────────────────────────
+
+/** Calls of FCs, FBs and system FBs in the code of a block, in source order. */
+export function blockCalls(index: SymbolIndex, caller: IndexedBlock): BlockCall[] {
+  const calls: BlockCall[] = [];
+  const scope: Scope = { uri: caller.uri, block: caller.block };
+  walkStatements(caller.block.body ?? [], stmt => {
+    for (const expr of statementExpressions(stmt)) {
+      walkExpression(expr, e => {
+        if (e.kind !== "Call") return;
+        const callee = resolveCall(index, scope, e);
+        if (callee) calls.push({ caller, ...callee, range: e.callee.range });
+      });
+    }
+  });
+  return calls;
+}
+
+/** Calls in the code of all indexed blocks. */
+export function allCalls(index: SymbolIndex): BlockCall[] {
+  return index.getBlocks(["ORGANIZATION_BLOCK", "FUNCTION_BLOCK", "FUNCTION"]).flatMap(b => blockCalls(index, b));
+}
+
+/** System FB with this name (TON, CTU, ...), as it is written in SYSTEM_FB_MEMBERS */
+export function systemBlock(name: string): string | undefined {
+  const upper = name.toUpperCase();
+  return upper in SYSTEM_FB_MEMBERS ? upper : undefined;
+}
+
+function resolveCall(index: SymbolIndex, scope: Scope, call: CallExpression): Omit<BlockCall, "caller" | "range"> | undefined {
+  const container = containerOf(index, scope, call.callee);
+  if (!container) return undefined;
+  if (container.kind === "block") {
+    const { block } = container;
+    if (block.type === "FUNCTION" || block.type === "FUNCTION_BLOCK") return { callee: block.name, type: block.type };
+    const type = block.type === "DATA_BLOCK" ? instanceType(container) : undefined;
+    return type && instanceCall(index, type, `"${block.name}"`);
+  }
+  return instanceCall(index, container.type, instanceName(call.callee));
+}
+
+function instanceCall(index: SymbolIndex, type: TypeRef, instance?: string): Omit<BlockCall, "caller" | "range"> | undefined {
+  if (type.kind !== "NamedType") return undefined;
+  const fb = index.findBlock(type.name, ["FUNCTION_BLOCK"]);
+  if (fb) return { callee: fb.name, type: "FUNCTION_BLOCK", instance };
+  const system = systemBlock(type.name);
+  return system ? { callee: system, type: "SYSTEM", instance } : undefined;
+}
+
+/** Instance path as in the cross-reference report: #Timer, #Motors[], #Group.Timer */
+function instanceName(expr: Expression): string | undefined {
+  switch (expr.kind) {
+    case "LocalRef":
+    case "Identifier":
+      return `#${expr.name}`;
+    case "MemberAccess": {
+      const object = instanceName(expr.object);
+      return object && `${object}.${expr.member}`;
+    }
+    case "IndexAccess": {
+      const object = instanceName(expr.object);
+      return object && `${object}[]`;
+    }
+    default:
+      return undefined;
+  }
+}
+
+// ─── Program structure ──────────────────────────────────────────────────────
+
+/** Builds the call tree below every OB, followed by the FBs and FCs that no block calls. */
+export function programStructure(index: SymbolIndex, displayPath: (uri: string) => string): ProgramStructure {
+  const byCaller = new Map<string, BlockCall[]>();
+  const called = new Set<string>();
+  for (const call of allCalls(index)) {
+    const key = call.caller.name.toLowerCase();
+    byCaller.set(key, [...(byCaller.get(key) ?? []), call]);
+    if (call.callee.toLowerCase() !== key) called.add(call.callee.toLowerCase());
+  }
+  const recursions = new Set<string>();
+  const byName = (a: IndexedBlock, b: IndexedBlock) => a.name.localeCompare(b.name);
+
+  // ancestors: the blocks from the root down to the caller, as named in the code
+  const expand = (caller: string, ancestors: string[]): CallTreeNode[] => {
+    const nodes: CallTreeNode[] = [];
+    const byCallee = new Map<string, CallTreeNode>();
+    for (const call of byCaller.get(caller.toLowerCase()) ?? []) {
+      const key = `${call.type}:${call.callee.toLowerCase()}:${call.instance ?? ""}`;
+      const existing = byCallee.get(key);
+      if (existing) {
+        existing.calls++;
+        continue;
+      }
+      const node = callNode(index, call, displayPath);
+      const cycle = ancestors.findIndex(a => a.toLowerCase() === call.callee.toLowerCase());
+      if (cycle >= 0) {
+        node.recursive = true;
+        recursions.add([...ancestors.slice(cycle), call.callee].join(" → "));
+      } else if (call.type !== "SYSTEM") {
+        node.children = expand(call.callee, [...ancestors, call.callee]);
+        node.depth = depthOf(node.children);
+      }
+      byCallee.set(key, node);
+      nodes.push(node);
+    }
+    return nodes;
+  };
+
+  const root = (block: IndexedBlock, uncalled: boolean): CallTreeNode => {
+    const children = expand(block.name, [block.name]);
+    const position = sourcePosition(index, block.uri, block.block.nameRange);
+    return {
+      block: block.name,
+      type: block.type,
+      uri: block.uri,
+      file: displayPath(block.uri),
+      ...position,
+      calls: 0,
+      uncalled: uncalled || undefined,
+      depth: depthOf(children),
+      children,
+    };
+  };
+
+  const obs = index.getBlocks(["ORGANIZATION_BLOCK"]).sort(byName).map(b => root(b, false));
+  const unused = index.getBlocks(["FUNCTION_BLOCK", "FUNCTION"])
+    .filter(b => !called.has(b.name.toLowerCase()))
+    .sort(byName)
+    .map(b => root(b, true));
+  const depths = (obs.length > 0 ? obs : unused).map(n => n.depth);
+  return {
+    roots: [...obs, ...unused],
+    maxDepth: depths.length > 0 ? Math.max(...depths) : 0,
+    recursions: [...recursions].sort(),
+  };
+}
+
+function callNode(index: SymbolIndex, call: BlockCall, displayPath: (uri: string) => string): CallTreeNode {
+  return {
+    block: call.callee,
+    type: call.type,
+    instance: call.instance,
+    uri: call.caller.uri,
+    file: displayPath(call.caller.uri),
+    ...sourcePosition(index, call.caller.uri, call.range),
+    calls: 1,
+    depth: 0,
+    children: [],
+  };
+}
+
+function depthOf(children: CallTreeNode[]): number {
+  return children.length > 0 ? 1 + Math.max(...children.map(c => c.depth)) : 0;
+}
+
+/** Position in the file; SCL generated from a SimaticML export only knows the line of the XML element */
+function sourcePosition(index: SymbolIndex, uri: string, range: SourceRange): { line: number; col: number } {
+  if (index.isGenerated(uri)) return { line: index.sourceLine(uri, range.start.line), col: 0 };
+  return { line: range.start.line, col: range.start.col };
+}
@@ -0,0 +1,117 @@
+/**
+ * SCL Call Hierarchy Provider - Incoming and outgoing calls (Shift+Alt+H).
+ *
+ * Works on FBs, FCs and OBs: on the block name, on a call, on an instance
+ * declaration (StartupTimer : TON) or anywhere in the block's code. System
+ * FBs such as TON appear as callees at the first call site of the caller.
+ */
+
+import {
+  CallHierarchyIncomingCall, CallHierarchyItem, CallHierarchyOutgoingCall, Position, Range, SymbolKind,
+} from "vscode-languageserver";
+import { TextDocument } from "vscode-languageserver-textdocument";
+import { SourceRange, VarDeclaration, rangeContains } from "./ast";
+import { BlockCall, allCalls, blockCalls, systemBlock } from "./callHierarchy";
+import { symbolAt } from "./references";
+import { blockKind } from "./symbolProvider";
+import { IndexedBlock, SymbolIndex } from "./symbolIndex";
+import { toRange } from "./document";
+import { SclWorkspaceIndex } from "./workspaceIndex";
+
+/** Identifies the block of an item across requests */
+interface ItemData {
+  block: string;
+  system?: boolean;
+}
+
+const CALLABLE = ["FUNCTION_BLOCK", "FUNCTION", "ORGANIZATION_BLOCK"] as const;
+
+export class SclCallHierarchyProvider {
+  constructor(private index: SclWorkspaceIndex) {}
+
+  prepareCallHierarchy(document: TextDocument, position: Position): CallHierarchyItem[] | null {
+    this.index.syncOpenDocuments();
+    const symbols = this.index.symbols;
+    const symbol = symbolAt(symbols, document.uri, position.line, position.character);
+    if (symbol?.declaration.kind === "block") {
+      const block = symbols.findBlock(symbol.declaration.name, [...CALLABLE]);
+      return block ? [blockItem(symbols, block)] : null;
+    }
+    if (symbol?.declaration.kind === "variable") {
+      // Instance declarations and calls stand for their FB
+      const type = (symbol.declaration.node as VarDeclaration).type;
+      const name = type.kind === "ArrayType" && type.elementType.kind === "NamedType" ? type.elementType.name
+        : type.kind === "NamedType" ? type.name : undefined;
+      const fb = name ? symbols.findBlock(name, ["FUNCTION_BLOCK"]) : undefined;
+      if (fb) return [blockItem(symbols, fb)];
+      const system = name ? systemBlock(name) : undefined;
+      if (system) return [systemItem(document.uri, range(symbols, document.uri, symbol.range), system)];
+    }
+    const block = symbols.getFile(document.uri)?.ast.blocks.find(b =>
+      (CALLABLE as readonly string[]).includes(b.blockType) && rangeContains(b.range, position.line, position.character)
+    );
+    const indexed = block && symbols.findBlock(block.name, [block.blockType]);
+    return indexed ? [blockItem(symbols, indexed)] : null;
+  }
+
+  provideIncomingCalls(item: CallHierarchyItem): CallHierarchyIncomingCall[] {
+    this.index.syncOpenDocuments();
+    const symbols = this.index.symbols;
+    const data = item.data as ItemData;
+    const calls = allCalls(symbols).filter(c =>
+      c.callee.toLowerCase() === data.block.toLowerCase() && (c.type === "SYSTEM") === !!data.system
+    );
+    return group(calls, c => c.caller.name.toLowerCase()).map(list => ({
+      from: blockItem(symbols, list[0].caller),
+      fromRanges: list.map(c => range(symbols, c.caller.uri, c.range)),
+    }));
+  }
+
+  provideOutgoingCalls(item: CallHierarchyItem): CallHierarchyOutgoingCall[] {
+    this.index.syncOpenDocuments();
+    const symbols = this.index.symbols;
+    const data = item.data as ItemData;
+    const caller = data.system ? undefined : symbols.findBlock(data.block, [...CALLABLE]);
+    if (!caller) return [];
+    return group(blockCalls(symbols, caller), c => `${c.type}:${c.callee.toLowerCase()}`).map(list => {
+      const first = list[0];
+      const callee = first.type === "SYSTEM" ? undefined : symbols.findBlock(first.callee, [first.type]);
+      const to = callee ? blockItem(symbols, callee) : systemItem(caller.uri, range(symbols, caller.uri, first.range), first.callee);
+      const instances = [...new Set(list.map(c => c.instance).filter(i => i))];
+      if (instances.length > 0) to.detail = `${to.detail} · ${instances.join(", ")}`;
+      return { to, fromRanges: list.map(c => range(symbols, caller.uri, c.range)) };
+    });
+  }
+}
+
+function blockItem(symbols: SymbolIndex, block: IndexedBlock): CallHierarchyItem {
+  const data: ItemData = { block: block.name };
+  return {
+    name: block.name,
+    kind: blockKind(block.type),
+    detail: block.type.replace(/_/g, " "),
+    uri: block.uri,
+    range: range(symbols, block.uri, block.block.range),
+    selectionRange: range(symbols, block.uri, block.block.nameRange),
+    data,
+  };
+}
+
+/** System FBs have no source; the item points at a call or instance declaration */
+function systemItem(uri: string, location: Range, name: string): CallHierarchyItem {
+  const data: ItemData = { block: name, system: true };
+  return { name, kind: SymbolKind.Class, detail: "system FB", uri, range: location, selectionRange: location, data };
+}
+
+/** Range in the file; SCL generated from a SimaticML export only knows the line of the XML element */
+function range(symbols: SymbolIndex, uri: string, source: SourceRange): Range {
+  if (!symbols.isGenerated(uri)) return toRange(source);
+  const line = symbols.sourceLine(uri, source.start.line);
+  return Range.create(line, 0, line, 0);
+}
+
+function group(calls: BlockCall[], key: (call: BlockCall) => string): BlockCall[][] {
+  const groups = new Map<string, BlockCall[]>();
+  for (const call of calls) groups.set(key(call), [...(groups.get(key(call)) ?? []), call]);
+  return [...groups.values()];
+}
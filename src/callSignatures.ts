@@ -0,0 +1,96 @@
+/**
+ * SCL Call Signatures - Parameter lists of callable blocks and instances.
+ *
+ * Describes what can be passed to a call of:
+ *   "FC_Scale"(...)        → VAR_INPUT / VAR_IN_OUT / VAR_OUTPUT of the FC
+ *   "DB_Motor1"(...)       → interface of the FB behind the instance DB
+ *   #MotorInstance(...)    → interface of the FB type of a multi-instance
+ *   #EdgeStart(...)        → inputs/outputs of an IEC timer, counter or edge FB
+ *
+ * Used by signature help and the call-template completion.
+ */
+
+import { Block, Expression, VarDeclaration } from "./ast";
+import { Container, Scope, containerOf, instanceType, parametersOf } from "./resolver";
+import { SYSTEM_FB_MEMBERS } from "./sclData";
+import { SymbolIndex } from "./symbolIndex";
+
+export interface CallParameter {
+  name: string;
+  type: string;
+  direction: "input" | "inout" | "output";   // Passed with := (input, inout) or => (output)
+  documentation?: string;
+}
+
+export interface CallSignature {
+  callee: string;                 // Callee as written: "FC_Scale", #EdgeStart
+  kind: string;                   // FUNCTION, FUNCTION_BLOCK or the system FB type (R_TRIG)
+  parameters: CallParameter[];
+  returnType?: string;            // FCs only
+}
+
+/** Returns the signature of a called FC or FB instance; undefined if the callee is not callable. */
+export function signatureOf(
+  index: SymbolIndex,
+  scope: Scope,
+  callee: Expression,
+  calleeText: string
+): CallSignature | undefined {
+  const container = containerOf(index, scope, callee);
+  if (!container) return undefined;
+
+  // IEC timers, counters and edge detectors
+  const instance = instanceType(container);
+  const systemType = instance && instance.kind === "NamedType" ? instance.name.toUpperCase() : "";
+  if (SYSTEM_FB_MEMBERS[systemType]) {
+    return {
+      callee: calleeText,
+      kind: systemType,
+      parameters: SYSTEM_FB_MEMBERS[systemType].map(m => ({
+        name: m.label,
+        type: m.detail,
+        direction: m.direction,
+        documentation: m.documentation,
+      })),
+    };
+  }
+
+  const callable = callableBlock(index, container);
+  if (!callable) return undefined;
+
+  const parameters = parametersOf(index, scope, callee).map(p => {
+    const decl = p.node as VarDeclaration;
+    return {
+      name: p.name,
+      type: decl.typeText,
+      direction: p.section === "VAR_OUTPUT" ? "output" as const : p.section === "VAR_IN_OUT" ? "inout" as const : "input" as const,
+      documentation: decl.comment,
+    };
+  });
+
+  const returnType = callable.returnType && callable.returnType.kind === "NamedType"
+    ? callable.returnType.name
+    : undefined;
+  return {
+    callee: calleeText,
+    kind: callable.blockType,
+    parameters,
+    returnType: returnType && returnType.toUpperCase() !== "VOID" ? returnType : undefined,
+  };
+}
+
+/** Call syntax for one parameter: `IN := Bool` or `Q => Bool` */
+export function parameterLabel(param: CallParameter): string {
+  return `${param.name} ${param.direction === "output" ? "=>" : ":="} ${param.type}`;
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+/** The FC that is called directly, or the FB behind an instance */
+function callableBlock(index: SymbolIndex, container: Container): Block | undefined {
+  if (container.kind === "block" && container.block.type === "FUNCTION") return container.block.block;
+  const type = instanceType(container);
+  if (!type || type.kind !== "NamedType") return undefined;
+  const fb = index.findBlock(type.name, ["FUNCTION_BLOCK"]);
+  return fb ? fb.block : undefined;
+}
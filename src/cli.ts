@@ -0,0 +1,353 @@
+/**
+ * SCL Command-Line Interface - Runs the linter and the SimaticML converter outside VS Code.
+ *
+ *   tia-scl lint [options] <files or directories...>
+ *   tia-scl test [options] <files or directories...>
+ *   tia-scl convert [--out-dir <dir>] <files...>
+ *
+ * All given files are indexed together, so references between them
+ * (SCL106) are resolved just like in the editor. PLC tag tables exported from
+ * TIA Portal (.xlsx, .csv, .xml) in the given directories, given by name or
+ * with --tags, are imported for SCL113; blocks exported as SimaticML (.xml) are
+ * indexed but not linted. Rule settings come from the nearest .sclrc.json
+ * above each file, or from --config. Exit codes:
+ *   0  No errors (and not more warnings than --max-warnings); all tests passed
+ *   1  Lint errors found, or too many warnings; a test failed
+ *   2  Invalid arguments, unreadable files or an invalid configuration
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+import { runRules } from "./rules";
+import { LintConfig, configureDiagnostics, findConfigFile, loadConfigFile } from "./lintConfig";
+import { SymbolIndex } from "./symbolIndex";
+import { FileReport, REPORT_FORMATS, ReportFormat, formatReport, summarize } from "./lintReport";
+import { sclToSimaticMl } from "./simaticMl";
+import { runTests } from "./unitTest";
+import { TEST_REPORT_FORMATS, TestFileReport, TestReportFormat, formatTestReport, summarizeTests } from "./testReport";
+import { buildIndex, collectFiles, convertSimaticMl } from "./projectFiles";
+
+const USAGE = `Usage: tia-scl lint [options] <files or directories...>
+       tia-scl test [options] <files or directories...>
+       tia-scl convert [--out-dir <dir>] <files...>
+
+lint     Checks .scl files with the same rules as the VS Code extension.
+         Directories are searched recursively, also for PLC tag table and
+         SimaticML exports.
+test     Runs the test cases of the .scltest.json files on the simulator,
+         with the blocks of the given .scl files and directories.
+convert  Converts SimaticML block exports (.xml) to .scl, and every block of
+         .scl files to a SimaticML document (<block name>.xml) for re-import.
+
+Lint options:
+  -f, --format <format>   Output format: ${REPORT_FORMATS.join(", ")} (default: text)
+  -o, --output <file>     Write the report to a file instead of stdout
+  -c, --config <file>     Rule settings to use instead of the nearest .sclrc.json
+  -t, --tags <file>       PLC tag table to import (.xlsx, .csv or .xml; repeatable)
+  --max-warnings <n>      Also fail when there are more than n warnings
+
+Test options:
+  -f, --format <format>   Output format: ${TEST_REPORT_FORMATS.join(", ")} (default: text)
+  -o, --output <file>     Write the report to a file instead of stdout
+  -t, --tags <file>       PLC tag table to import (repeatable)
+
+Convert options:
+  -d, --out-dir <dir>     Directory for the converted files (default: next to each file)
+
+Other options:
+  -h, --help              Show this help
+  -v, --version           Show the version
+`;
+
+interface LintOptions {
+  paths: string[];
+  format: ReportFormat;
+  output?: string;
+  config?: string;
+  tags: string[];
+  maxWarnings?: number;
+}
+
+interface TestOptions {
+  paths: string[];
+  format: TestReportFormat;
+  output?: string;
+  tags: string[];
+}
+
+class UsageError extends Error {}
+
+export function main(argv: string[]): number {
+  try {
+    const [command, ...args] = argv;
+    if (!command || command === "-h" || command === "--help") {
+      process.stdout.write(USAGE);
+      return command ? 0 : 2;
+    }
+    if (command === "-v" || command === "--version") {
+      process.stdout.write(`${packageVersion()}\n`);
+      return 0;
+    }
+    if (command !== "lint" && command !== "test" && command !== "convert") throw new UsageError(`Unknown command '${command}'`);
+    if (args.includes("-h") || args.includes("--help")) {
+      process.stdout.write(USAGE);
+      return 0;
+    }
+    switch (command) {
+      case "lint": return lint(parseLintOptions(args));
+      case "test": return test(parseTestOptions(args));
+      default: return convert(parseConvertOptions(args));
+    }
+  } catch (e) {
+    const message = e instanceof Error ? e.message : String(e);
+    process.stderr.write(`tia-scl: ${message}\n`);
+    if (e instanceof UsageError) process.stderr.write(`\n${USAGE}`);
+    return 2;
+  }
+}
+
+function lint(options: LintOptions): number {
+  const { files, exports, tags } = collectFiles(options.paths);
+  if (files.length === 0) throw new Error("No .scl files found");
+  const { index, texts } = buildIndex(files, exports, [...options.tags, ...tags]);
+
+  const configs = new ConfigLoader(options.config);
+
+  const reports: FileReport[] = files.map(file => {
+    const lines = texts.get(file)!.split(/\r?\n/);
+    const result = index.getFile(file)!;
+    const config = configs.forFile(file);
+    const diagnostics = configureDiagnostics(runRules(result, index, config.naming), result.tokens, config)
+      .map(d => ({
+        ...d,
+        endCol: d.endCol ?? Math.max((lines[d.line] || "").trimEnd().length, d.col + 1),
+        related: d.related?.map(r => ({ ...r, uri: displayPath(r.uri) })),
+      }))
+      .sort((a, b) => a.line - b.line || a.col - b.col);
+    return { path: displayPath(file), diagnostics };
+  });
+
+  const report = formatReport(options.format, reports, packageVersion());
+  if (options.output) {
+    fs.writeFileSync(options.output, report);
+  } else {
+    process.stdout.write(report);
+  }
+
+  const summary = summarize(reports);
+  if (summary.errors > 0) return 1;
+  if (options.maxWarnings !== undefined && summary.warnings > options.maxWarnings) {
+    process.stderr.write(`tia-scl: ${summary.warnings} warnings (maximum allowed: ${options.maxWarnings})\n`);
+    return 1;
+  }
+  return 0;
+}
+
+function parseLintOptions(args: string[]): LintOptions {
+  const options: LintOptions = { paths: [], format: "text", tags: [] };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const value = () => {
+      if (i + 1 >= args.length) throw new UsageError(`Missing value for ${arg}`);
+      return args[++i];
+    };
+    switch (arg) {
+      case "-f":
+      case "--format": {
+        const format = value();
+        if (!REPORT_FORMATS.includes(format as ReportFormat)) throw new UsageError(`Unknown format '${format}'`);
+        options.format = format as ReportFormat;
+        break;
+      }
+      case "-o":
+      case "--output":
+        options.output = value();
+        break;
+      case "-c":
+      case "--config":
+        options.config = value();
+        break;
+      case "-t":
+      case "--tags":
+        options.tags.push(value());
+        break;
+      case "--max-warnings": {
+        const max = Number(value());
+        if (!Number.isInteger(max) || max < 0) throw new UsageError("--max-warnings expects a non-negative integer");
+        options.maxWarnings = max;
+        break;
+      }
+      default:
+        if (arg.startsWith("-")) throw new UsageError(`Unknown option '${arg}'`);
+        options.paths.push(arg);
+    }
+  }
+  if (options.paths.length === 0) throw new UsageError("No files or directories given");
+  return options;
+}
+
+/** Runs every test file against the blocks of all given .scl files. */
+function test(options: TestOptions): number {
+  const { files, exports, tests, tags } = collectFiles(options.paths);
+  if (tests.length === 0) throw new Error("No .scltest.json files found");
+  const { index } = buildIndex(files, exports, [...options.tags, ...tags]);
+
+  const reports: TestFileReport[] = tests.map(file => {
+    try {
+      const results = runTests(index, fs.readFileSync(file, "utf8"));
+      return {
+        path: displayPath(file),
+        results: results.map(r => ({ ...r, failures: r.failures.map(f => ({ ...f, uri: f.uri && displayPath(f.uri) })) })),
+      };
+    } catch (e) {
+      return { path: displayPath(file), results: [], error: e instanceof Error ? e.message : String(e) };
+    }
+  });
+
+  const report = formatTestReport(options.format, reports);
+  if (options.output) {
+    fs.writeFileSync(options.output, report);
+  } else {
+    process.stdout.write(report);
+  }
+  return summarizeTests(reports).failed > 0 ? 1 : 0;
+}
+
+function parseTestOptions(args: string[]): TestOptions {
+  const options: TestOptions = { paths: [], format: "text", tags: [] };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const value = () => {
+      if (i + 1 >= args.length) throw new UsageError(`Missing value for ${arg}`);
+      return args[++i];
+    };
+    switch (arg) {
+      case "-f":
+      case "--format": {
+        const format = value();
+        if (!TEST_REPORT_FORMATS.includes(format as TestReportFormat)) throw new UsageError(`Unknown format '${format}'`);
+        options.format = format as TestReportFormat;
+        break;
+      }
+      case "-o":
+      case "--output":
+        options.output = value();
+        break;
+      case "-t":
+      case "--tags":
+        options.tags.push(value());
+        break;
+      default:
+        if (arg.startsWith("-")) throw new UsageError(`Unknown option '${arg}'`);
+        options.paths.push(arg);
+    }
+  }
+  if (options.paths.length === 0) throw new UsageError("No files or directories given");
+  return options;
+}
+
+interface ConvertOptions {
+  files: string[];
+  outDir?: string;
+}
+
+/** Converts .xml to .scl and every block of the .scl files (indexed together) to .xml. */
+function convert(options: ConvertOptions): number {
+  const read = (file: string) => {
+    try {
+      return fs.readFileSync(file, "utf8");
+    } catch {
+      throw new Error(`Cannot read '${file}'`);
+    }
+  };
+  const target = (file: string, name: string) => path.join(options.outDir ?? path.dirname(file), name);
+  const write = (file: string, text: string) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, text);
+    process.stdout.write(`${displayPath(file)}\n`);
+  };
+
+  const index = new SymbolIndex();
+  const sources: string[] = [];
+  for (const file of options.files) {
+    if (/\.xml$/i.test(file)) {
+      const source = convertSimaticMl(file, read(file));
+      index.updateGenerated(file, source.text, source.sourceLines);
+      write(target(file, `${path.basename(file, path.extname(file))}.scl`), source.text);
+    } else {
+      index.update(file, read(file));
+      sources.push(file);
+    }
+  }
+  for (const file of sources) {
+    const documents = sclToSimaticMl(index.getFile(file)!, index);
+    if (documents.length === 0) throw new Error(`'${file}' contains no block`);
+    for (const document of documents) write(target(file, document.fileName), document.xml);
+  }
+  return 0;
+}
+
+function parseConvertOptions(args: string[]): ConvertOptions {
+  const options: ConvertOptions = { files: [] };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "-d" || arg === "--out-dir") {
+      if (i + 1 >= args.length) throw new UsageError(`Missing value for ${arg}`);
+      options.outDir = args[++i];
+    } else if (arg.startsWith("-")) {
+      throw new UsageError(`Unknown option '${arg}'`);
+    } else {
+      options.files.push(arg);
+    }
+  }
+  if (options.files.length === 0) throw new UsageError("No files given");
+  return options;
+}
+
+/** Rule settings per file: the --config file, or the nearest .sclrc.json (cached per directory). */
+class ConfigLoader {
+  private explicit?: LintConfig;
+  private byDirectory = new Map<string, LintConfig>();
+  private byFile = new Map<string, LintConfig>();
+
+  constructor(configFile?: string) {
+    if (configFile) this.explicit = loadConfigFile(configFile);
+  }
+
+  forFile(file: string): LintConfig {
+    if (this.explicit) return this.explicit;
+    const dir = path.dirname(file);
+    let config = this.byDirectory.get(dir);
+    if (!config) {
+      const configFile = findConfigFile(dir);
+      config = configFile ? this.load(configFile) : { rules: {}, naming: {} };
+      this.byDirectory.set(dir, config);
+    }
+    return config;
+  }
+
+  private load(configFile: string): LintConfig {
+    let config = this.byFile.get(configFile);
+    if (!config) {
+      config = loadConfigFile(configFile);
+      this.byFile.set(configFile, config);
+    }
+    return config;
+  }
+}
+
+function displayPath(file: string): string {
+  return path.relative(process.cwd(), file).split(path.sep).join("/");
+}
+
+function packageVersion(): string {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, "..", "package.json"), "utf8")).version;
+  } catch {
+    return "0.0.0";
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
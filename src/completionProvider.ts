@@ -1,4 +1,13 @@
-import * as vscode from "vscode";
+import {
+  CompletionContext,
+  CompletionItem,
+  CompletionItemKind,
+  InsertTextFormat,
+  Position,
+  Range,
+  TextEdit,
+} from "vscode-languageserver";
+import { TextDocument } from "vscode-languageserver-textdocument";
 import {
   BLOCK_KEYWORDS,
   VAR_KEYWORDS,
@@ -7,95 +16,114 @@ import {
   DATA_TYPES,
   SYSTEM_FUNCTIONS,
   PRAGMAS,
+  SYSTEM_FB_MEMBERS,
   SclItem,
   SclFunction,
 } from "./sclData";
+import { SclWorkspaceIndex } from "./workspaceIndex";
+import { lineText, markdown } from "./document";
+import { BlockType, VarDeclaration, rangeContains } from "./ast";
+import { parseExpression, parseTrailingReference } from "./parser";
+import { Container, containerOf, declarationsOf, instanceType, membersOf } from "./resolver";
+import { CallSignature, parameterLabel, signatureOf } from "./callSignatures";
+import { SymbolIndex } from "./symbolIndex";
+import { PlcTag } from "./tagTable";
+
+export class SclCompletionProvider {
+  constructor(private index: SclWorkspaceIndex) {}
 
-export class SclCompletionProvider implements vscode.CompletionItemProvider {
   provideCompletionItems(
-    document: vscode.TextDocument,
-    position: vscode.Position,
-    _token: vscode.CancellationToken,
-    context: vscode.CompletionContext
-  ): vscode.CompletionItem[] {
-    const line = document.lineAt(position).text;
+    document: TextDocument,
+    position: Position,
+    context: CompletionContext | undefined
+  ): CompletionItem[] {
+    const line = lineText(document, position.line);
     const prefix = line.substring(0, position.character);
-    const items: vscode.CompletionItem[] = [];
+    const trigger = context?.triggerCharacter;
+    const items: CompletionItem[] = [];
 
     // After '#' -> suggest local variables from the current block
-    if (context.triggerCharacter === "#" || prefix.endsWith("#")) {
+    if (trigger === "#" || prefix.endsWith("#")) {
       items.push(...this.getLocalVariables(document));
+      items.push(...this.getCallTemplates(document, position, "#"));
       return items;
     }
 
-    // After '%' -> suggest address patterns
-    if (context.triggerCharacter === "%" || prefix.endsWith("%")) {
+    // After '%' -> suggest PLC tags and address patterns
+    if (trigger === "%" || prefix.endsWith("%")) {
       items.push(...this.getAddressCompletions());
       return items;
     }
 
-    // After '"' -> suggest DB/block names from the document
-    if (context.triggerCharacter === '"') {
+    // After '"' -> suggest DB/block/UDT names from the workspace
+    if (trigger === '"') {
       items.push(...this.getBlockReferences(document));
+      items.push(...this.getCallTemplates(document, position, '"'));
       return items;
     }
 
-    // After '.' -> suggest struct members or timer/counter outputs
-    if (context.triggerCharacter === ".") {
-      items.push(...this.getDotCompletions(prefix));
+    // After '.' -> suggest members of the UDT, STRUCT or FB instance before the dot
+    if (trigger === "." || /[\w"\]]\.\w*$/.test(prefix)) {
+      items.push(...this.getDotCompletions(document, position, prefix));
       return items;
     }
 
     // Check if we're in a variable declaration context (after ':')
     if (prefix.match(/:\s*\w*$/)) {
-      items.push(...this.makeItems(DATA_TYPES, vscode.CompletionItemKind.TypeParameter));
+      items.push(...this.makeItems(DATA_TYPES, CompletionItemKind.TypeParameter));
       return items;
     }
 
     // General completions
-    items.push(...this.makeItems(BLOCK_KEYWORDS, vscode.CompletionItemKind.Keyword));
-    items.push(...this.makeItems(VAR_KEYWORDS, vscode.CompletionItemKind.Keyword));
-    items.push(...this.makeItems(CONTROL_KEYWORDS, vscode.CompletionItemKind.Keyword));
-    items.push(...this.makeItems(OTHER_KEYWORDS, vscode.CompletionItemKind.Keyword));
-    items.push(...this.makeItems(DATA_TYPES, vscode.CompletionItemKind.TypeParameter));
+    items.push(...this.makeItems(BLOCK_KEYWORDS, CompletionItemKind.Keyword));
+    items.push(...this.makeItems(VAR_KEYWORDS, CompletionItemKind.Keyword));
+    items.push(...this.makeItems(CONTROL_KEYWORDS, CompletionItemKind.Keyword));
+    items.push(...this.makeItems(OTHER_KEYWORDS, CompletionItemKind.Keyword));
+    items.push(...this.makeItems(DATA_TYPES, CompletionItemKind.TypeParameter));
     items.push(...this.makeFunctionItems(SYSTEM_FUNCTIONS));
+    items.push(...this.getCallTemplates(document, position, ""));
 
     return items;
   }
 
-  private makeItems(data: SclItem[], kind: vscode.CompletionItemKind): vscode.CompletionItem[] {
+  private makeItems(data: SclItem[], kind: CompletionItemKind): CompletionItem[] {
     return data.map((item) => {
-      const ci = new vscode.CompletionItem(item.label, kind);
+      const ci = CompletionItem.create(item.label);
+      ci.kind = kind;
       ci.detail = item.detail;
-      ci.documentation = new vscode.MarkdownString(item.documentation);
+      ci.documentation = markdown(item.documentation);
       if (item.insertText) {
-        ci.insertText = new vscode.SnippetString(item.insertText);
+        ci.insertText = item.insertText;
+        ci.insertTextFormat = InsertTextFormat.Snippet;
       }
       return ci;
     });
   }
 
-  private makeFunctionItems(data: SclFunction[]): vscode.CompletionItem[] {
+  private makeFunctionItems(data: SclFunction[]): CompletionItem[] {
     return data.map((fn) => {
-      const ci = new vscode.CompletionItem(fn.label, vscode.CompletionItemKind.Function);
+      const ci = CompletionItem.create(fn.label);
+      ci.kind = CompletionItemKind.Function;
       ci.detail = `${fn.detail} → ${fn.returnType}`;
       const params = fn.parameters.map((p) => p.label).join(", ");
-      ci.documentation = new vscode.MarkdownString(
+      ci.documentation = markdown(
         `${fn.documentation}\n\n**Syntax:** \`${fn.label}(${params})\` → \`${fn.returnType}\``
       );
       if (fn.insertText) {
-        ci.insertText = new vscode.SnippetString(fn.insertText);
+        ci.insertText = fn.insertText;
+        ci.insertTextFormat = InsertTextFormat.Snippet;
       } else if (fn.parameters.length > 0) {
         // Auto-generate snippet with parameters
         const paramSnippets = fn.parameters.map((p, i) => `\${${i + 1}:${p.label.split(":")[0].trim()}}`);
-        ci.insertText = new vscode.SnippetString(`${fn.label}(${paramSnippets.join(", ")})`);
+        ci.insertText = `${fn.label}(${paramSnippets.join(", ")})`;
+        ci.insertTextFormat = InsertTextFormat.Snippet;
       }
       return ci;
     });
   }
 
-  private getLocalVariables(document: vscode.TextDocument): vscode.CompletionItem[] {
-    const items: vscode.CompletionItem[] = [];
+  private getLocalVariables(document: TextDocument): CompletionItem[] {
+    const items: CompletionItem[] = [];
     const seen = new Set<string>();
     const text = document.getText();
 
@@ -107,7 +135,8 @@ export class SclCompletionProvider implements vscode.CompletionItemProvider {
       const type = match[2];
       if (!seen.has(name) && !["END_VAR", "END_STRUCT", "STRUCT"].includes(name)) {
         seen.add(name);
-        const ci = new vscode.CompletionItem(name, vscode.CompletionItemKind.Variable);
+        const ci = CompletionItem.create(name);
+        ci.kind = CompletionItemKind.Variable;
         ci.detail = type;
         ci.documentation = `Local variable: ${name} : ${type}`;
         items.push(ci);
@@ -116,7 +145,18 @@ export class SclCompletionProvider implements vscode.CompletionItemProvider {
     return items;
   }
 
-  private getAddressCompletions(): vscode.CompletionItem[] {
+  /** Tags of the imported tag tables first, then generic address templates. */
+  private getAddressCompletions(): CompletionItem[] {
+    const tags = this.index.symbols.getTags().map((tag) => {
+      const ci = CompletionItem.create(tag.address.substring(1));
+      ci.kind = CompletionItemKind.Variable;
+      ci.detail = `"${tag.name}" : ${tag.dataType}`;
+      ci.documentation = markdown(tagDocumentation(tag));
+      ci.filterText = `${tag.address.substring(1)} ${tag.name}`;
+      ci.sortText = `0${tag.address}`;
+      return ci;
+    });
+
     const addresses = [
       { label: "I", detail: "Input bit", documentation: "Digital input. Example: %I0.0", insertText: "I${1:0}.${2:0}" },
       { label: "IB", detail: "Input byte", documentation: "Input byte. Example: %IB0", insertText: "IB${1:0}" },
@@ -131,40 +171,57 @@ export class SclCompletionProvider implements vscode.CompletionItemProvider {
       { label: "MW", detail: "Memory word", documentation: "Memory word. Example: %MW100", insertText: "MW${1:100}" },
       { label: "MD", detail: "Memory double word", documentation: "Memory double word. Example: %MD200", insertText: "MD${1:200}" },
     ];
-    return addresses.map((a) => {
-      const ci = new vscode.CompletionItem(a.label, vscode.CompletionItemKind.Reference);
+    const templates = addresses.map((a) => {
+      const ci = CompletionItem.create(a.label);
+      ci.kind = CompletionItemKind.Reference;
       ci.detail = a.detail;
-      ci.documentation = new vscode.MarkdownString(a.documentation);
-      ci.insertText = new vscode.SnippetString(a.insertText);
+      ci.documentation = markdown(a.documentation);
+      ci.insertText = a.insertText;
+      ci.insertTextFormat = InsertTextFormat.Snippet;
+      ci.sortText = `1${a.label}`;
       return ci;
     });
+    return [...tags, ...templates];
   }
 
-  private getBlockReferences(document: vscode.TextDocument): vscode.CompletionItem[] {
-    const items: vscode.CompletionItem[] = [];
+  private getBlockReferences(document: TextDocument): CompletionItem[] {
+    const items: CompletionItem[] = [];
     const seen = new Set<string>();
     const text = document.getText();
 
-    // Find all block names in the document
-    const blockRegex = /(?:FUNCTION_BLOCK|FUNCTION|DATA_BLOCK|ORGANIZATION_BLOCK|TYPE)\s+"([^"]+)"/g;
-    let match;
-    while ((match = blockRegex.exec(text)) !== null) {
-      const name = match[1];
-      if (!seen.has(name)) {
-        seen.add(name);
-        const ci = new vscode.CompletionItem(name, vscode.CompletionItemKind.Module);
-        ci.detail = "Block reference";
+    // Blocks declared anywhere in the workspace
+    this.index.parseDocument(document);
+    for (const b of this.index.symbols.getBlocks()) {
+      if (!seen.has(b.name)) {
+        seen.add(b.name);
+        const ci = CompletionItem.create(b.name);
+        ci.kind = blockCompletionKind(b.type);
+        ci.detail = `${b.type.replace(/_/g, " ")} · ${this.index.relativePath(b.uri)}`;
+        items.push(ci);
+      }
+    }
+
+    // PLC tags of the imported tag tables
+    for (const tag of this.index.symbols.getTags()) {
+      if (!seen.has(tag.name)) {
+        seen.add(tag.name);
+        const ci = CompletionItem.create(tag.name);
+        ci.kind = CompletionItemKind.Variable;
+        ci.detail = `${tag.address} : ${tag.dataType}`;
+        ci.documentation = markdown(tagDocumentation(tag));
         items.push(ci);
       }
     }
 
-    // Also find UDT references used in variable declarations
+    // Also find other quoted references (PLC tags, undeclared blocks)
+    let match;
     const udtRegex = /"([^"]+)"/g;
     while ((match = udtRegex.exec(text)) !== null) {
       const name = match[1];
       if (!seen.has(name)) {
         seen.add(name);
-        const ci = new vscode.CompletionItem(name, vscode.CompletionItemKind.Module);
+        const ci = CompletionItem.create(name);
+        ci.kind = CompletionItemKind.Module;
         ci.detail = "Reference";
         items.push(ci);
       }
@@ -172,26 +229,140 @@ export class SclCompletionProvider implements vscode.CompletionItemProvider {
     return items;
   }
 
-  private getDotCompletions(prefix: string): vscode.CompletionItem[] {
-    const items: vscode.CompletionItem[] = [];
-
-    // Timer outputs
-    const timerOutputs = [
-      { label: "Q", detail: "Bool", documentation: "Timer/Counter output (done/reached)" },
-      { label: "ET", detail: "Time", documentation: "Elapsed time" },
-      { label: "CV", detail: "Int", documentation: "Counter current value" },
-      { label: "IN", detail: "Bool", documentation: "Timer/Counter input" },
-      { label: "PT", detail: "Time", documentation: "Preset time" },
-      { label: "PV", detail: "Int", documentation: "Preset value (counter)" },
-    ];
+  private getDotCompletions(
+    document: TextDocument,
+    position: Position,
+    prefix: string
+  ): CompletionItem[] {
+    const dot = /\.\w*$/.exec(prefix);
+    const expr = dot ? parseTrailingReference(prefix.substring(0, dot.index)) : undefined;
+    if (!expr) return [];
 
-    for (const out of timerOutputs) {
-      const ci = new vscode.CompletionItem(out.label, vscode.CompletionItemKind.Property);
-      ci.detail = out.detail;
-      ci.documentation = out.documentation;
-      items.push(ci);
+    const result = this.index.parseDocument(document);
+    const block = result.ast.blocks.find(b => rangeContains(b.range, position.line, position.character));
+    if (!block) return [];
+    const symbols = this.index.symbols;
+    const container = containerOf(symbols, { uri: document.uri, block }, expr);
+    if (!container) return [];
+
+    // IEC timers, counters and edge detectors
+    const systemMembers = systemFbMembers(container);
+    if (systemMembers) return this.makeItems(systemMembers, CompletionItemKind.Property);
+
+    // Only the interface of an FB instance is accessible from outside
+    let members = membersOf(symbols, container);
+    if (isFbInstance(symbols, container)) {
+      members = members.filter(m => ["VAR_INPUT", "VAR_OUTPUT", "VAR_IN_OUT"].includes(m.section || ""));
     }
 
+    return members.map((m, i) => {
+      const decl = m.node as VarDeclaration;
+      const kind = m.section === "STRUCT" ? CompletionItemKind.Field : CompletionItemKind.Property;
+      const ci = CompletionItem.create(m.name);
+      ci.kind = kind;
+      ci.detail = decl.typeText;
+      ci.documentation = markdown(`${m.section} of \`${m.owner.name || m.owner.blockType}\``);
+      ci.sortText = String(i).padStart(4, "0");   // Keep declaration order
+      return ci;
+    });
+  }
+
+  /**
+   * Call templates with every parameter of the callable FB instances of the
+   * current block and of the workspace FCs and instance DBs:
+   *   #EdgeStart(CLK := ${1:Bool}, Q => ${2:Bool})
+   * `trigger` is the character already typed before the name ('#', '"' or none).
+   */
+  private getCallTemplates(
+    document: TextDocument,
+    position: Position,
+    trigger: "#" | '"' | ""
+  ): CompletionItem[] {
+    const result = this.index.parseDocument(document);
+    const block = result.ast.blocks.find(b => rangeContains(b.range, position.line, position.character));
+    if (!block) return [];
+    const uri = document.uri;
+    const symbols = this.index.symbols;
+
+    const callees: string[] = [];
+    if (trigger !== '"') {
+      for (const decl of declarationsOf(uri, block)) callees.push(`#${quoteName(decl.name)}`);
+    }
+    if (trigger !== "#") {
+      for (const b of symbols.getBlocks(["FUNCTION", "DATA_BLOCK"])) callees.push(`"${b.name}"`);
+    }
+
+    // Replace from after the typed '#' or '"' (including an auto-closed quote)
+    const line = lineText(document, position.line);
+    const typed = /[\w]*$/.exec(line.substring(0, position.character))!;
+    const closing = trigger === '"' && line[position.character] === '"' ? 1 : 0;
+    const range = Range.create(position.line, typed.index, position.line, position.character + closing);
+
+    const items: CompletionItem[] = [];
+    const seen = new Set<string>();
+    for (const callee of callees) {
+      const expr = parseExpression(callee);
+      const signature = expr && signatureOf(symbols, { uri, block }, expr, callee);
+      if (!signature || signature.parameters.length === 0 || seen.has(callee.toLowerCase())) continue;
+      seen.add(callee.toLowerCase());
+
+      const name = callee.replace(/^#/, "").replace(/"/g, "");
+      const template = callTemplate(signature);
+      const ci = CompletionItem.create(`${callee}(…)`);
+      ci.kind = CompletionItemKind.Snippet;
+      ci.detail = `${signature.kind.replace(/_/g, " ")} call`;
+      ci.documentation = markdown("```scl\n" + signature.parameters.map(parameterLabel).join(",\n") + "\n```");
+      ci.filterText = name;
+      ci.insertTextFormat = InsertTextFormat.Snippet;
+      if (trigger) {
+        ci.textEdit = TextEdit.replace(range, template.substring(1));
+      } else {
+        ci.insertText = template;
+      }
+      items.push(ci);
+    }
     return items;
   }
 }
+
+/** Snippet of a call with every parameter as a placeholder showing its type */
+function callTemplate(signature: CallSignature): string {
+  const args = signature.parameters.map((p, i) =>
+    `${p.name} ${p.direction === "output" ? "=>" : ":="} \${${i + 1}:${escapeSnippet(p.type)}}`
+  );
+  return `${escapeSnippet(signature.callee)}(${args.join(", ")})`;
+}
+
+function escapeSnippet(text: string): string {
+  return text.replace(/[$}\\]/g, "\\$&");
+}
+
+function quoteName(name: string): string {
+  return /^[A-Za-z_]\w*$/.test(name) ? name : `"${name}"`;
+}
+
+function tagDocumentation(tag: PlcTag): string {
+  const table = tag.table ? `PLC tag in *${tag.table}*` : "PLC tag";
+  return tag.comment ? `${table}\n\n${tag.comment}` : table;
+}
+
+function blockCompletionKind(type: BlockType): CompletionItemKind {
+  switch (type) {
+    case "FUNCTION_BLOCK": return CompletionItemKind.Class;
+    case "FUNCTION": return CompletionItemKind.Function;
+    case "ORGANIZATION_BLOCK": return CompletionItemKind.Event;
+    case "DATA_BLOCK": return CompletionItemKind.Module;
+    case "TYPE": return CompletionItemKind.Struct;
+  }
+}
+
+/** Members of an IEC timer, counter or edge instance, if the container is one */
+function systemFbMembers(container: Container): SclItem[] | undefined {
+  const type = instanceType(container);
+  return type && type.kind === "NamedType" ? SYSTEM_FB_MEMBERS[type.name.toUpperCase()] : undefined;
+}
+
+function isFbInstance(index: SymbolIndex, container: Container): boolean {
+  const type = instanceType(container);
+  return !!type && type.kind === "NamedType" && !!index.findBlock(type.name, ["FUNCTION_BLOCK"]);
+}
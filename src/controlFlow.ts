@@ -0,0 +1,259 @@
+/**
+ * SCL Control Flow - Control-flow graph over the statements of a BEGIN section.
+ *
+ * Every simple statement, every condition (IF/ELSIF, CASE selector, loop
+ * tests) and the initialisation and increment of FOR loops become a node;
+ * a FOR loop with constant bounds is known to run its body at least once,
+ * and WHILE TRUE to be left only through EXIT or RETURN.
+ * EXIT, CONTINUE and RETURN jump to their targets; GOTO cannot be followed
+ * (labels are not kept in the AST), so graphs containing one are marked and
+ * path-sensitive checks skip them.
+ */
+
+import { Expression, ForStatement, JumpStatement, SourceRange, Statement } from "./ast";
+
+export type CfgNodeKind = "entry" | "exit" | "statement" | "condition" | "loopInit" | "loopStep" | "return" | "join";
+
+export interface CfgNode {
+  id: number;
+  kind: CfgNodeKind;
+  range?: SourceRange;            // Statement or condition the node stands for
+  expressions: Expression[];      // Evaluated at this node, in order
+  target?: Expression;            // Assigned at this node (assignment, FOR variable)
+  compound?: boolean;             // Target is read before it is assigned (+=, FOR increment)
+  successors: CfgNode[];
+  predecessors: CfgNode[];
+}
+
+export interface ControlFlowGraph {
+  entry: CfgNode;
+  exit: CfgNode;
+  nodes: CfgNode[];               // All nodes, entry first and exit last
+  hasGoto: boolean;
+}
+
+interface LoopTargets {
+  exit: CfgNode;                  // Target of EXIT (join after the loop)
+  next: CfgNode;                  // Target of CONTINUE
+}
+
+/** Builds the control-flow graph of a statement list (a block body). */
+export function buildControlFlowGraph(body: Statement[]): ControlFlowGraph {
+  return new GraphBuilder().build(body);
+}
+
+/** Nodes reachable from the entry, in reverse post-order (good order for forward data flow). */
+export function reachableNodes(graph: ControlFlowGraph): CfgNode[] {
+  const visited = new Set<CfgNode>();
+  const order: CfgNode[] = [];
+  const visit = (node: CfgNode) => {
+    visited.add(node);
+    for (const next of node.successors) {
+      if (!visited.has(next)) visit(next);
+    }
+    order.push(node);
+  };
+  visit(graph.entry);
+  return order.reverse();
+}
+
+class GraphBuilder {
+  private nodes: CfgNode[] = [];
+  private loops: LoopTargets[] = [];
+  private hasGoto = false;
+  private exitNode!: CfgNode;
+
+  build(body: Statement[]): ControlFlowGraph {
+    const entry = this.node("entry");
+    this.exitNode = { id: -1, kind: "exit", expressions: [], successors: [], predecessors: [] };
+
+    const ends = this.statements(body, [entry]);
+    this.exitNode.id = this.nodes.length;
+    this.nodes.push(this.exitNode);
+    this.link(ends, this.exitNode);
+
+    return { entry, exit: this.exitNode, nodes: this.nodes, hasGoto: this.hasGoto };
+  }
+
+  /**
+   * Adds the statements after the given predecessors and returns the nodes
+   * control leaves the list from (empty if every path jumps away).
+   */
+  private statements(statements: Statement[], preds: CfgNode[]): CfgNode[] {
+    let current = preds;
+    for (const stmt of statements) {
+      current = this.statement(stmt, current);
+    }
+    return current;
+  }
+
+  private statement(stmt: Statement, preds: CfgNode[]): CfgNode[] {
+    switch (stmt.kind) {
+      case "Assignment": {
+        const node = this.node("statement", stmt.range, [stmt.value], stmt.target);
+        node.compound = stmt.operator !== ":=";
+        this.link(preds, node);
+        return [node];
+      }
+
+      case "CallStatement": {
+        const node = this.node("statement", stmt.range, [stmt.call]);
+        this.link(preds, node);
+        return [node];
+      }
+
+      case "If": {
+        const ends: CfgNode[] = [];
+        let current = preds;
+        for (const branch of stmt.branches) {
+          const condition = this.node("condition", branch.condition.range, [branch.condition]);
+          this.link(current, condition);
+          ends.push(...this.statements(branch.body, [condition]));
+          current = [condition];
+        }
+        ends.push(...(stmt.elseBody ? this.statements(stmt.elseBody, current) : current));
+        return ends;
+      }
+
+      case "Case": {
+        const labels = stmt.branches.flatMap(b => b.labels);
+        const selector = this.node("condition", stmt.selector.range, [stmt.selector, ...labels]);
+        this.link(preds, selector);
+        const ends: CfgNode[] = [];
+        for (const branch of stmt.branches) {
+          ends.push(...this.statements(branch.body, [selector]));
+        }
+        // Without ELSE, no label may match
+        ends.push(...(stmt.elseBody ? this.statements(stmt.elseBody, [selector]) : [selector]));
+        return ends;
+      }
+
+      case "For": {
+        const bounds = [stmt.start, stmt.end, ...(stmt.step ? [stmt.step] : [])];
+        const init = this.node("loopInit", stmt.range, bounds, stmt.variable);
+        this.link(preds, init);
+        // The loop test reads the variable after every increment
+        const test = this.node("condition", stmt.variable.range, [stmt.variable]);
+        const after: CfgNode[] = [test];
+        const step = this.node("loopStep", stmt.variable.range, [], stmt.variable);
+        step.compound = true;
+        // FOR #i := 0 TO 3 always runs the body once; otherwise it may be skipped
+        let bodyStart = [test];
+        if (runsAtLeastOnce(stmt)) {
+          bodyStart = [init];
+        } else {
+          this.link([init], test);
+        }
+        const bodyEnds = this.loop(stmt.body, bodyStart, step, after);
+        this.link(bodyEnds, step);
+        this.link([step], test);
+        return after;
+      }
+
+      case "While": {
+        const test = this.node("condition", stmt.condition.range, [stmt.condition]);
+        this.link(preds, test);
+        // WHILE TRUE is only left through EXIT or RETURN
+        const after: CfgNode[] = isTrue(stmt.condition) ? [] : [test];
+        const bodyEnds = this.loop(stmt.body, [test], test, after);
+        this.link(bodyEnds, test);
+        return after;
+      }
+
+      case "Repeat": {
+        // The body runs at least once; UNTIL is tested after it
+        const test = this.node("condition", stmt.condition.range, [stmt.condition]);
+        const start = this.node("join", stmt.range);
+        this.link(preds, start);
+        const after: CfgNode[] = [test];
+        const bodyEnds = this.loop(stmt.body, [start], test, after);
+        this.link(bodyEnds, test);
+        this.link([test], start);
+        return after;
+      }
+
+      case "Region":
+        return this.statements(stmt.body, preds);
+
+      case "Jump":
+        return this.jump(stmt, preds);
+
+      case "Empty":
+        return preds;
+    }
+  }
+
+  /**
+   * Adds a loop body and returns the nodes it ends in. If the body contains
+   * EXIT, the join node it jumps to is added to `after`.
+   */
+  private loop(body: Statement[], preds: CfgNode[], next: CfgNode, after: CfgNode[]): CfgNode[] {
+    const exit = this.node("join");
+    this.loops.push({ exit, next });
+    const ends = this.statements(body, preds);
+    this.loops.pop();
+    if (exit.predecessors.length > 0) after.push(exit);
+    return ends;
+  }
+
+  private jump(stmt: JumpStatement, preds: CfgNode[]): CfgNode[] {
+    const loop = this.loops[this.loops.length - 1];
+    switch (stmt.keyword) {
+      case "RETURN": {
+        const node = this.node("return", stmt.range);
+        this.link(preds, node);
+        this.link([node], this.exitNode);
+        return [];
+      }
+      case "EXIT":
+        if (!loop) return preds;    // Reported by SCL005
+        this.link(preds, loop.exit);
+        return [];
+      case "CONTINUE":
+        if (!loop) return preds;
+        this.link(preds, loop.next);
+        return [];
+      case "GOTO":
+        this.hasGoto = true;
+        return preds;
+    }
+  }
+
+  private node(kind: CfgNodeKind, range?: SourceRange, expressions: Expression[] = [], target?: Expression): CfgNode {
+    const node: CfgNode = { id: this.nodes.length, kind, range, expressions, target, successors: [], predecessors: [] };
+    this.nodes.push(node);
+    return node;
+  }
+
+  private link(preds: CfgNode[], to: CfgNode): void {
+    for (const from of preds) {
+      if (from.successors.includes(to)) continue;
+      from.successors.push(to);
+      to.predecessors.push(from);
+    }
+  }
+}
+
+/** True if a FOR loop has constant bounds that let the body run at least once. */
+function runsAtLeastOnce(stmt: ForStatement): boolean {
+  const start = integerValue(stmt.start);
+  const end = integerValue(stmt.end);
+  const step = stmt.step ? integerValue(stmt.step) : 1;
+  if (start === undefined || end === undefined || step === undefined || step === 0) return false;
+  return step > 0 ? start <= end : start >= end;
+}
+
+function isTrue(expr: Expression): boolean {
+  if (expr.kind === "Paren") return isTrue(expr.expression);
+  return expr.kind === "Literal" && expr.literalType === "boolean" && expr.text.toUpperCase() === "TRUE";
+}
+
+function integerValue(expr: Expression): number | undefined {
+  if (expr.kind === "Literal" && expr.literalType === "integer" && /^\d+$/.test(expr.text)) return Number(expr.text);
+  if (expr.kind === "Unary" && expr.operator === "-") {
+    const value = integerValue(expr.operand);
+    return value === undefined ? undefined : -value;
+  }
+  if (expr.kind === "Paren") return integerValue(expr.expression);
+  return undefined;
+}
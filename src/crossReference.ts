@@ -0,0 +1,246 @@
+/**
+ * SCL Cross-References - Every access to variables, DB members and addresses.
+ *
+ * Walks the code of all indexed files and lists, per access:
+ *   - the symbol: #Speed, #Motor.Running, "DB_Recipe".Speed, %Q4.3
+ *   - the block and position it occurs in
+ *   - whether it is read, written (assignment, FOR variable, Q => x),
+ *     passed as a call argument (IN := x) or called (#Timer(...), "DB_Inst"(...))
+ *
+ * Array elements are listed without their index ("DB".Values[]); the index
+ * expressions are listed as reads of their own. Used by the cross-reference
+ * report (server request CROSS_REFERENCE_REQUEST) and the multiple-writers
+ * check (SCL112).
+ */
+
+import { Block, CallExpression, Expression, Statement, childStatementLists, statementExpressions } from "./ast";
+import { ParseResult } from "./parser";
+import { SymbolIndex } from "./symbolIndex";
+
+export const CROSS_REFERENCE_REQUEST = "tia-scl/crossReferences";
+
+export type AccessKind = "read" | "write" | "argument" | "call";
+export type CrossReferenceKind = "local" | "global" | "address";
+
+export interface CrossReference {
+  symbol: string;                 // As written: #Speed, "DB_Recipe".Speed, %Q4.3
+  kind: CrossReferenceKind;
+  access: AccessKind;
+  block: string;                  // Block the access is in
+  uri: string;
+  file: string;                   // Path shown in the report
+  line: number;                   // 0-based
+  col: number;
+  endCol: number;
+  conditional: boolean;           // Inside IF, CASE or a loop
+}
+
+/** Collects all accesses in the code of the indexed files, sorted by symbol and position. */
+export function buildCrossReferences(index: SymbolIndex, displayPath: (uri: string) => string): CrossReference[] {
+  const references: CrossReference[] = [];
+  for (const uri of index.uris()) {
+    const result = index.getFile(uri);
+    if (result) references.push(...fileCrossReferences(index, uri, result, displayPath(uri)));
+  }
+  return references.sort((a, b) =>
+    a.symbol.localeCompare(b.symbol) || a.file.localeCompare(b.file) || a.line - b.line || a.col - b.col
+  );
+}
+
+/** Collects the accesses in the code of one file, in source order. */
+export function fileCrossReferences(index: SymbolIndex, uri: string, result: ParseResult, file = uri): CrossReference[] {
+  const references: CrossReference[] = [];
+  for (const block of result.ast.blocks) {
+    if (block.body) new BlockCollector(index, block, uri, file, references).collectBody(block.body, false);
+  }
+  return references;
+}
+
+/** Formats cross-references as CSV (RFC 4180, 1-based lines and columns). */
+export function crossReferencesToCsv(references: CrossReference[]): string {
+  const rows = [["Symbol", "Kind", "Access", "Block", "File", "Line", "Column"]];
+  for (const r of references) {
+    rows.push([r.symbol, r.kind, r.access, r.block, r.file, String(r.line + 1), String(r.col + 1)]);
+  }
+  return rows.map(row => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+/** Quotes a CSV field if needed (RFC 4180). */
+export function csvField(value: string): string {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+// ─── Collection ─────────────────────────────────────────────────────────────
+
+class BlockCollector {
+  constructor(
+    private index: SymbolIndex,
+    private block: Block,
+    private uri: string,
+    private file: string,
+    private references: CrossReference[]
+  ) {}
+
+  private conditional = false;
+
+  /** Collects a statement list; everything below IF, CASE and loops is conditional. */
+  collectBody(body: Statement[], conditional: boolean): void {
+    for (const stmt of body) {
+      this.conditional = conditional;
+      switch (stmt.kind) {
+        case "Assignment":
+          this.access(stmt.target, "write");
+          this.expression(stmt.value);
+          break;
+        case "For":
+          this.access(stmt.variable, "write");
+          for (const expr of [stmt.start, stmt.end, ...(stmt.step ? [stmt.step] : [])]) this.expression(expr);
+          break;
+        default:
+          for (const expr of statementExpressions(stmt)) this.expression(expr);
+      }
+      for (const child of childStatementLists(stmt)) {
+        this.collectBody(child, conditional || stmt.kind !== "Region");
+      }
+    }
+  }
+
+  /** Reads everything in an expression, except arguments and callees of calls. */
+  private expression(expr: Expression): void {
+    switch (expr.kind) {
+      case "LocalRef":
+      case "GlobalRef":
+      case "AddressRef":
+      case "MemberAccess":
+      case "IndexAccess":
+        this.access(expr, "read");
+        break;
+      case "Call":
+        this.call(expr);
+        break;
+      case "Unary":
+      case "Deref":
+        this.expression(expr.operand);
+        break;
+      case "Binary":
+        this.expression(expr.left);
+        this.expression(expr.right);
+        break;
+      case "Paren":
+        this.expression(expr.expression);
+        break;
+      case "Range":
+        this.expression(expr.low);
+        this.expression(expr.high);
+        break;
+      case "ArrayLiteral":
+        for (const element of expr.elements) this.expression(element);
+        break;
+      case "Repeated":
+        this.expression(expr.count);
+        this.expression(expr.value);
+        break;
+    }
+  }
+
+  private call(expr: CallExpression): void {
+    // Instance calls are listed; FC and system function names are not data
+    const callee = expr.callee;
+    if (callee.kind === "GlobalRef") {
+      if (this.index.findBlock(callee.name, ["DATA_BLOCK"])) this.access(callee, "call");
+    } else if (callee.kind !== "Identifier") {
+      this.access(callee, "call");
+    }
+
+    for (const arg of expr.args) {
+      if (arg.direction === "output") {
+        this.access(arg.value, "write");
+      } else if (isReference(arg.value)) {
+        this.access(arg.value, "argument");
+      } else {
+        this.expression(arg.value);
+      }
+    }
+  }
+
+  /** Adds the access path of a reference and reads its index expressions. */
+  private access(expr: Expression, access: AccessKind): void {
+    const path = this.path(expr);
+    if (!path) {
+      this.operands(expr);
+      return;
+    }
+    this.references.push({
+      symbol: path.symbol,
+      kind: path.kind,
+      access,
+      block: this.block.name,
+      uri: this.uri,
+      file: this.file,
+      ...this.position(expr),
+      conditional: this.conditional,
+    });
+  }
+
+  /** Position of an access; SCL generated from a SimaticML export only knows the line of the XML element */
+  private position(expr: Expression): { line: number; col: number; endCol: number } {
+    const { start, end } = expr.range;
+    if (this.index.isGenerated(this.uri)) return { line: this.index.sourceLine(this.uri, start.line), col: 0, endCol: 0 };
+    return { line: start.line, col: start.col, endCol: end.line === start.line ? end.col : start.col + 1 };
+  }
+
+  /** Reads the parts of an access that has no path of its own (#Fn().x, #Ptr^) */
+  private operands(expr: Expression): void {
+    switch (expr.kind) {
+      case "MemberAccess":
+        this.expression(expr.object);
+        break;
+      case "IndexAccess":
+        this.expression(expr.object);
+        for (const index of expr.indices) this.expression(index);
+        break;
+      case "Deref":
+        this.expression(expr.operand);
+        break;
+      default:
+        if (expr.kind !== "Identifier") this.expression(expr);
+    }
+  }
+
+  private path(expr: Expression): { symbol: string; kind: CrossReferenceKind } | undefined {
+    switch (expr.kind) {
+      case "LocalRef":
+        return { symbol: `#${expr.name}`, kind: "local" };
+      case "GlobalRef":
+        return { symbol: `"${expr.name}"`, kind: "global" };
+      case "AddressRef":
+        return { symbol: expr.address, kind: "address" };
+      case "MemberAccess": {
+        const object = this.path(expr.object);
+        return object && { symbol: `${object.symbol}.${expr.member}`, kind: object.kind };
+      }
+      case "IndexAccess": {
+        const object = this.path(expr.object);
+        if (!object) return undefined;
+        for (const index of expr.indices) this.expression(index);
+        return { symbol: `${object.symbol}[]`, kind: object.kind };
+      }
+      default:
+        return undefined;
+    }
+  }
+}
+
+function isReference(expr: Expression): boolean {
+  switch (expr.kind) {
+    case "LocalRef":
+    case "GlobalRef":
+    case "AddressRef":
+      return true;
+    case "MemberAccess":
+    case "IndexAccess":
+      return isReference(expr.object);
+    default:
+      return false;
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * SCL Cross-Reference View - Webview showing the cross-reference report.
+ *
+ * The table is requested from the language server (CROSS_REFERENCE_REQUEST)
+ * and can be filtered, sorted by any column, exported to CSV, and opened at
+ * the access by clicking a row.
+ */
+
+import * as vscode from "vscode";
+import { LanguageClient } from "vscode-languageclient/node";
+import { createWebviewPanel, webviewHtml } from "./webview";
+import { CROSS_REFERENCE_REQUEST, CrossReference, crossReferencesToCsv } from "./crossReference";
+
+export class CrossReferencePanel {
+  private static current: CrossReferencePanel | undefined;
+  private references: CrossReference[] = [];
+
+  /** Opens the report, or refreshes and reveals it if it is already open. */
+  static show(client: LanguageClient): void {
+    if (CrossReferencePanel.current) {
+      CrossReferencePanel.current.panel.reveal();
+      CrossReferencePanel.current.refresh();
+      return;
+    }
+    const panel = createWebviewPanel("tia-scl.crossReferences", "SCL Cross-References", vscode.ViewColumn.Active);
+    CrossReferencePanel.current = new CrossReferencePanel(panel, client);
+  }
+
+  private constructor(private panel: vscode.WebviewPanel, private client: LanguageClient) {
+    panel.webview.html = reportHtml();
+    panel.onDidDispose(() => {
+      CrossReferencePanel.current = undefined;
+    });
+    panel.webview.onDidReceiveMessage(message => this.onMessage(message));
+  }
+
+  private async refresh(): Promise<void> {
+    try {
+      this.references = await this.client.sendRequest<CrossReference[]>(CROSS_REFERENCE_REQUEST);
+      this.panel.webview.postMessage({ type: "references", references: this.references });
+    } catch (e) {
+      vscode.window.showErrorMessage(`Cross-references failed: ${e instanceof Error ? e.message : String(e)}`);
+    }
+  }
+
+  private async onMessage(message: { type: string; index?: number }): Promise<void> {
+    switch (message.type) {
+      case "ready":
+      case "refresh":
+        await this.refresh();
+        break;
+      case "open": {
+        const reference = this.references[message.index ?? -1];
+        if (!reference) return;
+        const position = new vscode.Position(reference.line, reference.col);
+        await vscode.window.showTextDocument(vscode.Uri.parse(reference.uri), {
+          selection: new vscode.Range(position, position),
+          viewColumn: vscode.ViewColumn.Beside,
+        });
+        break;
+      }
+      case "export":
+        await this.exportCsv();
+        break;
+    }
+  }
+
+  private async exportCsv(): Promise<void> {
+    const folder = vscode.workspace.workspaceFolders?.[0]?.uri;
+    const target = await vscode.window.showSaveDialog({
+      defaultUri: folder && vscode.Uri.joinPath(folder, "cross-references.csv"),
+      filters: { "CSV": ["csv"] },
+    });
+    if (!target) return;
+    await vscode.workspace.fs.writeFile(target, Buffer.from(crossReferencesToCsv(this.references), "utf8"));
+    vscode.window.showInformationMessage(`Exported ${this.references.length} cross-references to ${target.fsPath}`);
+  }
+}
+
+// ─── Webview content ────────────────────────────────────────────────────────
+
+function reportHtml(): string {
+  return webviewHtml({
+    title: "SCL Cross-References",
+    style: `
+  .toolbar { display: flex; gap: 8px; align-items: center; margin-bottom: 8px; }
+  input { flex: 1; background: var(--vscode-input-background); color: var(--vscode-input-foreground);
+          border: 1px solid var(--vscode-input-border, transparent); padding: 4px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 2px 8px; white-space: nowrap; }
+  th { cursor: pointer; user-select: none; border-bottom: 1px solid var(--vscode-panel-border); position: sticky; top: 0;
+       background: var(--vscode-editor-background); }
+  th.asc::after { content: " \\25B2"; }
+  th.desc::after { content: " \\25BC"; }
+  tbody tr { cursor: pointer; }
+  tbody tr:hover { background: var(--vscode-list-hoverBackground); }
+  td.symbol { font-family: var(--vscode-editor-font-family); }
+  .write { color: var(--vscode-charts-red); }
+  .argument { color: var(--vscode-charts-blue); }
+  .call { color: var(--vscode-charts-purple); }
+  #count { opacity: 0.7; }
+`,
+    body: `
+<div class="toolbar">
+  <input id="filter" type="search" placeholder="Filter, e.g. %Q4.3, &quot;DB_Recipe&quot;.Speed or write">
+  <span id="count"></span>
+  <button id="refresh">Refresh</button>
+  <button id="export">Export CSV</button>
+</div>
+<table>
+  <thead><tr>
+    <th data-key="symbol">Symbol</th>
+    <th data-key="access">Access</th>
+    <th data-key="block">Block</th>
+    <th data-key="file">File</th>
+    <th data-key="line">Line</th>
+  </tr></thead>
+  <tbody id="rows"></tbody>
+</table>
+`,
+    script: `
+  let references = [];
+  let sortKey = "symbol";
+  let ascending = true;
+
+  function render() {
+    const filter = document.getElementById("filter").value.trim().toLowerCase();
+    const rows = references
+      .map((r, index) => ({ ...r, index }))
+      .filter(r => !filter || [r.symbol, r.access, r.block, r.file].some(v => v.toLowerCase().includes(filter)));
+    rows.sort((a, b) => {
+      const x = a[sortKey], y = b[sortKey];
+      const order = typeof x === "number" ? x - y : String(x).localeCompare(String(y));
+      return (ascending ? order : -order) || a.index - b.index;
+    });
+    document.getElementById("rows").innerHTML = rows.map(r =>
+      '<tr data-index="' + r.index + '">' +
+      '<td class="symbol">' + escape(r.symbol) + '</td>' +
+      '<td class="' + r.access + '">' + r.access + '</td>' +
+      '<td>' + escape(r.block) + '</td>' +
+      '<td>' + escape(r.file) + '</td>' +
+      '<td>' + (r.line + 1) + '</td></tr>'
+    ).join("");
+    document.getElementById("count").textContent = rows.length + " of " + references.length;
+    for (const th of document.querySelectorAll("th")) {
+      th.className = th.dataset.key === sortKey ? (ascending ? "asc" : "desc") : "";
+    }
+  }
+
+  document.querySelector("thead").addEventListener("click", e => {
+    const key = e.target.dataset && e.target.dataset.key;
+    if (!key) return;
+    ascending = key === sortKey ? !ascending : true;
+    sortKey = key;
+    render();
+  });
+  document.getElementById("rows").addEventListener("click", e => {
+    const row = e.target.closest("tr");
+    if (row) vscode.postMessage({ type: "open", index: Number(row.dataset.index) });
+  });
+  document.getElementById("filter").addEventListener("input", render);
+  document.getElementById("refresh").addEventListener("click", () => vscode.postMessage({ type: "refresh" }));
+  document.getElementById("export").addEventListener("click", () => vscode.postMessage({ type: "export" }));
+
+  window.addEventListener("message", e => {
+    if (e.data.type === "references") {
+      references = e.data.references;
+      render();
+    }
+  });
+  vscode.postMessage({ type: "ready" });
+`,
+  });
+}
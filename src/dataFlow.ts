@@ -0,0 +1,324 @@
+/**
+ * SCL Data Flow - Checks how block variables are read and written.
+ *
+ * Works on the control-flow graph of each BEGIN section (controlFlow.ts):
+ *   - VAR_TEMP read before it is assigned on some path (temps hold garbage)
+ *   - VAR_OUTPUT never assigned in the block
+ *   - Return value of a FUNCTION (its name) not assigned on all paths
+ *   - VAR_INPUT assigned inside the block
+ *   - VAR_TEMP assigned but never read
+ *
+ * Only #locals are tracked. Assigning a member or element (#t.x := 1,
+ * #a[i] := 1) counts as assigning the variable, and so do output arguments
+ * (Q => #t); input and in/out arguments are reads. Blocks with syntax errors
+ * are skipped, and blocks with GOTO skip the path-sensitive checks.
+ */
+
+import { Block, Expression, SourceRange, VarDeclaration, rangeContains } from "./ast";
+import { CfgNode, ControlFlowGraph, buildControlFlowGraph, reachableNodes } from "./controlFlow";
+import { ParseResult } from "./parser";
+
+export type DataFlowRule =
+  | "tempReadBeforeWrite"
+  | "outputNeverWritten"
+  | "returnNotAssigned"
+  | "inputWritten"
+  | "writtenNeverRead";
+
+export interface DataFlowIssue {
+  rule: DataFlowRule;
+  message: string;
+  range: SourceRange;
+}
+
+interface Access {
+  name: string;                   // Lowercase variable name
+  range: SourceRange;
+  write: boolean;
+}
+
+/** Checks the BEGIN sections of all code blocks of a file. */
+export function checkDataFlow(result: ParseResult): DataFlowIssue[] {
+  const issues: DataFlowIssue[] = [];
+  for (const block of result.ast.blocks) {
+    if (!block.body || block.blockType === "DATA_BLOCK" || block.blockType === "TYPE") continue;
+    if (result.errors.some(e => rangeContains(block.range, e.range.start.line, e.range.start.col))) continue;
+    new BlockAnalysis(block, issues).run();
+  }
+  return issues;
+}
+
+class BlockAnalysis {
+  private graph: ControlFlowGraph;
+  private accesses = new Map<CfgNode, Access[]>();
+  private returnName?: string;    // Lowercase FUNCTION name if it returns a value
+
+  constructor(private block: Block, private issues: DataFlowIssue[]) {
+    this.graph = buildControlFlowGraph(block.body || []);
+    const returnType = block.returnType;
+    if (block.blockType === "FUNCTION" && returnType &&
+        !(returnType.kind === "NamedType" && returnType.name.toUpperCase() === "VOID")) {
+      this.returnName = block.name.toLowerCase();
+    }
+    for (const node of this.graph.nodes) {
+      this.accesses.set(node, this.nodeAccesses(node));
+    }
+  }
+
+  run(): void {
+    const temps = this.declarations("VAR_TEMP");
+    const all = [...this.accesses.values()].flat();
+
+    if (!this.graph.hasGoto) {
+      const tracked = new Set(temps.keys());
+      if (this.returnName) tracked.add(this.returnName);
+      const assigned = this.definitelyAssigned(tracked);
+      this.checkTempReads(temps, assigned);
+      this.checkReturnValue(assigned);
+    }
+
+    // Outputs never written
+    for (const [name, decl] of this.declarations("VAR_OUTPUT")) {
+      if (!all.some(a => a.write && a.name === name)) {
+        this.report("outputNeverWritten", decl.nameRange, `Output '${decl.name}' is never assigned in '${this.block.name}'`);
+      }
+    }
+
+    // Inputs written
+    const inputs = this.declarations("VAR_INPUT");
+    for (const access of all) {
+      const decl = inputs.get(access.name);
+      if (access.write && decl) {
+        this.report("inputWritten", access.range, `Input '${decl.name}' is assigned inside the block; use a VAR_TEMP or VAR_IN_OUT instead`);
+      }
+    }
+
+    // Temps written but never read
+    for (const [name, decl] of temps) {
+      const uses = all.filter(a => a.name === name);
+      if (uses.length > 0 && uses.every(a => a.write)) {
+        this.report("writtenNeverRead", decl.nameRange, `Variable '${decl.name}' is assigned but its value is never read`);
+      }
+    }
+  }
+
+  // ─── Definite assignment ────────────────────────────────────────────────
+
+  /**
+   * Forward must-analysis: the tracked variables assigned on every path
+   * into each reachable node (before the node itself runs).
+   */
+  private definitelyAssigned(tracked: Set<string>): Map<CfgNode, Set<string>> {
+    const order = reachableNodes(this.graph);
+    const reachable = new Set(order);
+    const entryState = new Map<CfgNode, Set<string>>();
+    const exitState = new Map<CfgNode, Set<string>>();   // Missing: not computed yet (all assigned)
+
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const node of order) {
+        let state: Set<string> | undefined;
+        if (node !== this.graph.entry) {
+          for (const pred of node.predecessors) {
+            if (!reachable.has(pred)) continue;
+            const predState = exitState.get(pred);
+            if (!predState) continue;
+            state = state ? new Set([...state].filter(n => predState.has(n))) : new Set(predState);
+          }
+        }
+        if (!state) state = node === this.graph.entry ? new Set() : new Set(tracked);
+        entryState.set(node, state);
+
+        const out = new Set(state);
+        for (const access of this.accesses.get(node) || []) {
+          if (access.write && tracked.has(access.name)) out.add(access.name);
+        }
+        const previous = exitState.get(node);
+        if (!previous || previous.size !== out.size) {
+          exitState.set(node, out);
+          changed = true;
+        }
+      }
+    }
+    return entryState;
+  }
+
+  private checkTempReads(temps: Map<string, VarDeclaration>, assigned: Map<CfgNode, Set<string>>): void {
+    // The first read in the source per variable
+    const first = new Map<string, Access>();
+    for (const [node, state] of assigned) {
+      const current = new Set(state);
+      for (const access of this.accesses.get(node) || []) {
+        if (access.write) {
+          current.add(access.name);
+        } else if (temps.has(access.name) && !current.has(access.name)) {
+          const earlier = first.get(access.name);
+          if (!earlier || comparePositions(access.range, earlier.range) < 0) first.set(access.name, access);
+        }
+      }
+    }
+    for (const [name, access] of first) {
+      this.report("tempReadBeforeWrite", access.range,
+        `Temporary variable '${temps.get(name)!.name}' may be read before it is assigned (VAR_TEMP is not initialized)`);
+    }
+  }
+
+  private checkReturnValue(assigned: Map<CfgNode, Set<string>>): void {
+    const name = this.returnName;
+    if (!name || !assigned.has(this.graph.exit)) return;   // Exit unreachable (endless loop)
+
+    const missing = this.graph.exit.predecessors.filter(p => {
+      const state = assigned.get(p);
+      if (!state) return false;
+      return !state.has(name) && !(this.accesses.get(p) || []).some(a => a.write && a.name === name);
+    });
+    if (missing.length === 0) return;
+
+    const everAssigned = [...this.accesses.values()].flat().some(a => a.write && a.name === name);
+    for (const node of missing.filter(n => n.kind === "return")) {
+      this.report("returnNotAssigned", node.range!, `RETURN before the return value of '${this.block.name}' is assigned`);
+    }
+    if (missing.some(n => n.kind !== "return")) {
+      const message = everAssigned
+        ? `Return value of '${this.block.name}' is not assigned on all paths`
+        : `Return value of '${this.block.name}' is never assigned`;
+      this.report("returnNotAssigned", this.block.endRange || this.block.nameRange, message);
+    }
+  }
+
+  // ─── Accesses ───────────────────────────────────────────────────────────
+
+  /** Reads and writes of a node in execution order: operands first, then the assignment. */
+  private nodeAccesses(node: CfgNode): Access[] {
+    const accesses: Access[] = [];
+    for (const expr of node.expressions) this.collect(expr, accesses);
+    if (node.target) {
+      const root = this.root(node.target);
+      this.collectTargetOperands(node.target, accesses);
+      if (root) {
+        if (node.compound) accesses.push({ ...root, write: false });
+        accesses.push({ ...root, write: true });
+      } else {
+        this.collect(node.target, accesses);
+      }
+    }
+    return accesses;
+  }
+
+  private collect(expr: Expression, accesses: Access[]): void {
+    switch (expr.kind) {
+      case "LocalRef":
+      case "GlobalRef":
+      case "Identifier": {
+        const root = this.root(expr);
+        if (root) accesses.push({ ...root, write: false });
+        break;
+      }
+      case "MemberAccess":
+        this.collect(expr.object, accesses);
+        break;
+      case "IndexAccess":
+        this.collect(expr.object, accesses);
+        for (const index of expr.indices) this.collect(index, accesses);
+        break;
+      case "Call": {
+        this.collect(expr.callee, accesses);
+        const outputs: Expression[] = [];
+        for (const arg of expr.args) {
+          if (arg.direction === "output") {
+            this.collectTargetOperands(arg.value, accesses);
+            outputs.push(arg.value);
+          } else {
+            this.collect(arg.value, accesses);
+          }
+        }
+        // Outputs are written when the call returns
+        for (const output of outputs) {
+          const root = this.root(output);
+          if (root) accesses.push({ ...root, write: true });
+        }
+        break;
+      }
+      case "Unary":
+        this.collect(expr.operand, accesses);
+        break;
+      case "Deref":
+        this.collect(expr.operand, accesses);
+        break;
+      case "Binary":
+        this.collect(expr.left, accesses);
+        this.collect(expr.right, accesses);
+        break;
+      case "Paren":
+        this.collect(expr.expression, accesses);
+        break;
+      case "Range":
+        this.collect(expr.low, accesses);
+        this.collect(expr.high, accesses);
+        break;
+      case "ArrayLiteral":
+        for (const element of expr.elements) this.collect(element, accesses);
+        break;
+      case "Repeated":
+        this.collect(expr.count, accesses);
+        this.collect(expr.value, accesses);
+        break;
+    }
+  }
+
+  /** Indices inside an assignment target are read: #a[#i] := ... */
+  private collectTargetOperands(target: Expression, accesses: Access[]): void {
+    switch (target.kind) {
+      case "MemberAccess":
+        this.collectTargetOperands(target.object, accesses);
+        break;
+      case "IndexAccess":
+        this.collectTargetOperands(target.object, accesses);
+        for (const index of target.indices) this.collect(index, accesses);
+        break;
+      case "Deref":
+        this.collect(target.operand, accesses);
+        break;
+    }
+  }
+
+  /** The tracked variable an expression refers to (#t, #t.x, #a[i]; the FUNCTION name as return value). */
+  private root(expr: Expression): { name: string; range: SourceRange } | undefined {
+    switch (expr.kind) {
+      case "LocalRef":
+        return { name: expr.name.toLowerCase(), range: expr.range };
+      case "GlobalRef":
+      case "Identifier": {
+        const name = expr.name.toLowerCase();
+        return name === this.returnName ? { name, range: expr.range } : undefined;
+      }
+      case "MemberAccess":
+        return this.root(expr.object);
+      case "IndexAccess":
+        return this.root(expr.object);
+      default:
+        return undefined;
+    }
+  }
+
+  // ─── Helpers ────────────────────────────────────────────────────────────
+
+  /** Top-level declarations of a section type, by lowercase name */
+  private declarations(sectionType: string): Map<string, VarDeclaration> {
+    const result = new Map<string, VarDeclaration>();
+    for (const section of this.block.sections) {
+      if (section.sectionType !== sectionType) continue;
+      for (const decl of section.declarations) result.set(decl.name.toLowerCase(), decl);
+    }
+    return result;
+  }
+
+  private report(rule: DataFlowRule, range: SourceRange, message: string): void {
+    this.issues.push({ rule, message, range });
+  }
+}
+
+function comparePositions(a: SourceRange, b: SourceRange): number {
+  return a.start.line - b.start.line || a.start.col - b.start.col;
+}
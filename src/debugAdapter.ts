@@ -0,0 +1,429 @@
+/**
+ * SCL Debug Adapter - Steps through SCL blocks in the offline simulator.
+ *
+ * Handles Debug Adapter Protocol requests passed to handle() and sends its
+ * responses and events to a callback; the extension runs it inline in the
+ * extension host (debugConfiguration.ts). A launch indexes the SCL sources, tag tables and SimaticML exports of the
+ * workspace (see projectFiles) and runs a block cycle after cycle, pausing
+ * at breakpoints on statement lines:
+ *
+ *   - Step Over stays in the current block; Step Into enters FB and FC calls
+ *     of the workspace; Step Out returns to the caller (or the next cycle)
+ *   - the custom request "nextCycle" runs to the first statement of the next
+ *     cycle
+ *   - Variables shows the block's interface per section (Input, Output,
+ *     InOut, Static, Return, Temp, Constant) for every block of the call
+ *     stack; values can be edited
+ *   - watch and hover expressions are SCL expressions over #variables, DBs
+ *     and tags, evaluated in the selected stack frame
+ *
+ * A simulation error (index out of range, cycle watchdog, ...) pauses at
+ * the failing statement with its frames intact.
+ */
+
+import * as path from "path";
+import { CallStackFrame, CycleResult, ExecutionPoint, SclSimulator, WatchVariable } from "./interpreter";
+import { SimulationError, formatDuration } from "./runtimeValues";
+import { walkStatements } from "./ast";
+import { SymbolIndex } from "./symbolIndex";
+import { buildIndex, collectFiles } from "./projectFiles";
+
+export const DEBUG_TYPE = "scl";
+export const NEXT_CYCLE_REQUEST = "nextCycle";
+
+export interface SclLaunchArguments {
+  block: string;                  // FB, FC, OB or instance DB to run
+  sources?: string[];             // Files and folders to index (default: working directory)
+  tags?: string[];                // Additional PLC tag table exports
+  cycleTime?: number;             // Simulated ms per cycle (default 100)
+  inputs?: Record<string, boolean | number | string>;
+  stopOnEntry?: boolean;          // Pause before the first statement
+  cycles?: number;                // End the session after this many cycles (default: run until stopped)
+}
+
+// ─── Protocol ───────────────────────────────────────────────────────────────
+
+export interface DebugRequest {
+  seq: number;
+  type: "request";
+  command: string;
+  arguments?: unknown;
+}
+
+/** Arguments of the requests handled here, as far as they are read */
+interface RequestArguments {
+  linesStartAt1?: boolean;
+  columnsStartAt1?: boolean;
+  source?: { path?: string };
+  breakpoints?: { line: number }[];
+  frameId?: number;
+  variablesReference?: number;
+  name?: string;
+  value?: string;
+  expression?: string;
+}
+
+export interface DebugResponse {
+  seq: number;
+  type: "response";
+  request_seq: number;
+  command: string;
+  success: boolean;
+  message?: string;
+  body?: unknown;
+}
+
+export interface DebugEvent {
+  seq: number;
+  type: "event";
+  event: string;
+  body?: unknown;
+}
+
+export type DebugMessage = DebugResponse | DebugEvent;
+
+const THREAD_ID = 1;
+/** Statements run between checks for a pause request */
+const SLICE = 10000;
+
+/** How far a resumed simulation runs before pausing again */
+type StepMode =
+  | { kind: "continue" }
+  | { kind: "next"; depth: number }
+  | { kind: "stepIn" }
+  | { kind: "stepOut"; depth: number; cycle: number }
+  | { kind: "cycle"; cycle: number };
+
+/** Content of a variables reference: a section of a stack frame or the children of a variable */
+interface VariableContainer {
+  frame?: number;
+  variables: WatchVariable[];
+}
+
+// ─── Session ────────────────────────────────────────────────────────────────
+
+export class SclDebugSession {
+  private seq = 1;
+  private index?: SymbolIndex;
+  private simulator?: SclSimulator;
+  private args?: SclLaunchArguments;
+  private cycle?: Generator<ExecutionPoint, CycleResult, undefined>;
+  private breakpoints = new Map<string, Set<number>>();   // 0-based statement lines by file
+  private failure?: SimulationError;
+  private running = false;
+  private pauseRequested = false;
+  private ended = false;
+  private containers = new Map<number, VariableContainer>();
+  private linesStartAt1 = true;
+  private columnsStartAt1 = true;
+
+  constructor(private send: (message: DebugMessage) => void) {}
+
+  handle(request: DebugRequest): void {
+    try {
+      const body = this.dispatch(request.command, request.arguments);
+      this.respond(request, true, body);
+    } catch (e) {
+      this.respond(request, false, undefined, e instanceof Error ? e.message : String(e));
+    }
+  }
+
+  /** Stops a running simulation; no more messages are sent. */
+  dispose(): void {
+    this.running = false;
+    this.ended = true;
+  }
+
+  private dispatch(command: string, raw: unknown): unknown {
+    const args = (raw ?? {}) as RequestArguments;
+    switch (command) {
+      case "initialize":
+        this.linesStartAt1 = args.linesStartAt1 !== false;
+        this.columnsStartAt1 = args.columnsStartAt1 !== false;
+        return {
+          supportsConfigurationDoneRequest: true,
+          supportsEvaluateForHovers: true,
+          supportsSetVariable: true,
+          supportsTerminateRequest: true,
+        };
+      case "launch":
+        return this.launch((raw ?? {}) as SclLaunchArguments);
+      case "configurationDone":
+        if (this.args?.stopOnEntry) {
+          this.resume({ kind: "stepIn" }, "entry");
+        } else {
+          this.resume({ kind: "continue" });
+        }
+        return undefined;
+      case "setBreakpoints":
+        return { breakpoints: this.setBreakpoints(args.source?.path, (args.breakpoints ?? []).map(b => b.line)) };
+      case "setExceptionBreakpoints":
+        return undefined;
+      case "threads":
+        return { threads: [{ id: THREAD_ID, name: "PLC" }] };
+      case "stackTrace":
+        return this.stackTrace();
+      case "scopes":
+        return { scopes: this.scopes(args.frameId ?? 0) };
+      case "variables":
+        return { variables: this.variables(args.variablesReference ?? 0) };
+      case "setVariable":
+        return this.setVariable(args.variablesReference ?? 0, args.name ?? "", args.value ?? "");
+      case "evaluate":
+        return this.evaluate(args.expression ?? "", args.frameId);
+      case "continue":
+        this.resume({ kind: "continue" });
+        return { allThreadsContinued: true };
+      case "next":
+        this.resume({ kind: "next", depth: this.depth() });
+        return undefined;
+      case "stepIn":
+        this.resume({ kind: "stepIn" });
+        return undefined;
+      case "stepOut":
+        this.resume({ kind: "stepOut", depth: this.depth(), cycle: this.simulation().cycle });
+        return undefined;
+      case NEXT_CYCLE_REQUEST:
+        this.resume({ kind: "cycle", cycle: this.simulation().cycle });
+        return undefined;
+      case "pause":
+        if (this.running) this.pauseRequested = true;
+        return undefined;
+      case "terminate":
+        this.terminate("Simulation stopped\n");
+        return undefined;
+      case "disconnect":
+        this.dispose();
+        return undefined;
+      default:
+        throw new Error(`Unsupported request '${command}'`);
+    }
+  }
+
+  // ── Launch ───────────────────────────────────────────────────
+
+  private launch(args: SclLaunchArguments): void {
+    if (!args.block) throw new Error(`The launch configuration names no "block" to run`);
+    const { files, exports, tags } = collectFiles(args.sources?.length ? args.sources : [process.cwd()]);
+    const { index } = buildIndex(files, exports, [...(args.tags ?? []), ...tags]);
+    const simulator = new SclSimulator(index, args.block, { cycleTime: args.cycleTime });
+    for (const [name, value] of Object.entries(args.inputs ?? {})) simulator.set(name, value);
+    this.index = index;
+    this.simulator = simulator;
+    this.args = args;
+    this.output(`Simulating ${simulator.block.name} (${path.basename(simulator.block.uri)}), ${files.length} SCL file(s) indexed\n`);
+    // Breakpoints are verified against the indexed files
+    this.event("initialized");
+  }
+
+  private setBreakpoints(file: string | undefined, lines: number[]): object[] {
+    const uri = file ? path.resolve(file) : "";
+    const statements = this.statementLines(uri);
+    const verified = new Set<number>();
+    const result = lines.map(requested => {
+      const line = requested - (this.linesStartAt1 ? 1 : 0);
+      const actual = statements.find(s => s.sourceLine >= line);
+      if (!actual) {
+        const message = this.index?.getFile(uri) ? "No statement at or after this line" : "This file is not part of the simulated sources";
+        return { verified: false, line: requested, message };
+      }
+      verified.add(actual.line);
+      return { verified: true, line: actual.sourceLine + (this.linesStartAt1 ? 1 : 0) };
+    });
+    this.breakpoints.set(uri, verified);
+    return result;
+  }
+
+  /**
+   * Start lines of the statements a breakpoint can stop at, with the line the
+   * editor shows them on (in a SimaticML export, the line of the exported
+   * statement), sorted by that line
+   */
+  private statementLines(uri: string): { line: number; sourceLine: number }[] {
+    const lines = new Set<number>();
+    for (const block of this.index?.getFile(uri)?.ast.blocks ?? []) {
+      walkStatements(block.body ?? [], stmt => {
+        if (stmt.kind !== "Empty" && stmt.kind !== "Region") lines.add(stmt.range.start.line);
+      });
+    }
+    return [...lines]
+      .map(line => ({ line, sourceLine: this.index!.sourceLine(uri, line) }))
+      .sort((a, b) => a.sourceLine - b.sourceLine || a.line - b.line);
+  }
+
+  // ── Execution ────────────────────────────────────────────────
+
+  /** Runs until the step mode, a breakpoint, an error or a pause request stops the simulation. */
+  private resume(mode: StepMode, reason = "step"): void {
+    const simulator = this.simulation();
+    if (this.running) throw new Error("The simulation is already running");
+    this.failure = undefined;
+    this.running = true;
+    this.pauseRequested = false;
+    this.containers.clear();
+    const slice = () => {
+      if (!this.running) return;
+      try {
+        for (let n = 0; n < SLICE; n++) {
+          const point = this.advance(simulator);
+          if (!point) return this.terminate(`Finished ${simulator.cycle} cycle(s)\n`);
+          if (point === "cycle") continue;
+          if (this.breakpoints.get(point.uri)?.has(point.statement.range.start.line)) return this.stop("breakpoint");
+          if (this.reached(point, mode)) return this.stop(mode.kind === "continue" ? "breakpoint" : reason);
+        }
+      } catch (e) {
+        if (!(e instanceof SimulationError)) {
+          return this.terminate(`Simulation failed: ${e instanceof Error ? e.message : String(e)}\n`);
+        }
+        this.cycle = undefined;
+        this.failure = e;
+        this.output(`${e.message}\n`, "stderr");
+        return this.stop("exception", e.message);
+      }
+      if (this.pauseRequested) return this.stop("pause");
+      setImmediate(slice);
+    };
+    // The response to the request goes out before the stopped event
+    setImmediate(slice);
+  }
+
+  /** Next statement to execute, "cycle" when a cycle completed, undefined after the last cycle */
+  private advance(simulator: SclSimulator): ExecutionPoint | "cycle" | undefined {
+    if (!this.cycle) {
+      if (this.args?.cycles !== undefined && simulator.cycle >= this.args.cycles) return undefined;
+      this.cycle = simulator.steps();
+    }
+    const next = this.cycle.next();
+    if (!next.done) return next.value;
+    this.cycle = undefined;
+    return "cycle";
+  }
+
+  private reached(point: ExecutionPoint, mode: StepMode): boolean {
+    switch (mode.kind) {
+      case "continue": return false;
+      case "next": return point.depth <= mode.depth;
+      case "stepIn": return true;
+      case "stepOut": return point.depth < mode.depth || this.simulation().cycle > mode.cycle;
+      case "cycle": return this.simulation().cycle > mode.cycle;
+    }
+  }
+
+  private stop(reason: string, text?: string): void {
+    this.running = false;
+    this.event("stopped", { reason, threadId: THREAD_ID, allThreadsStopped: true, text, description: text });
+  }
+
+  private terminate(message: string): void {
+    this.running = false;
+    if (this.ended) return;
+    this.ended = true;
+    this.output(message);
+    this.event("terminated");
+  }
+
+  /** Call depth of the paused statement; 0 between cycles */
+  private depth(): number {
+    return Math.max(0, this.simulation().callStack().length - 1);
+  }
+
+  // ── Inspection ───────────────────────────────────────────────
+
+  private stackTrace(): object {
+    const simulator = this.simulation();
+    const frames = this.cycle || this.failure ? simulator.callStack() : [];
+    const stackFrames = frames.map((frame, i) => {
+      // The innermost frame of an error points at the failing expression
+      const range = i === 0 && this.failure?.range && this.failure.uri === frame.uri ? this.failure.range : frame.range;
+      return this.stackFrame(i, frame, range);
+    });
+    return { stackFrames, totalFrames: stackFrames.length };
+  }
+
+  private stackFrame(id: number, frame: CallStackFrame, range = frame.range): object {
+    const line = range ? this.index!.sourceLine(frame.uri, range.start.line) : 0;
+    const column = range && !this.index!.isGenerated(frame.uri) ? range.start.col : 0;
+    return {
+      id,
+      name: frame.block,
+      source: { name: path.basename(frame.uri), path: frame.uri },
+      line: line + (this.linesStartAt1 ? 1 : 0),
+      column: column + (this.columnsStartAt1 ? 1 : 0),
+    };
+  }
+
+  private scopes(frame: number): object[] {
+    const simulator = this.simulation();
+    const paused = this.cycle || this.failure ? frame : undefined;
+    const bySection = new Map<string, WatchVariable[]>();
+    for (const variable of simulator.variables(paused)) {
+      bySection.set(variable.section, [...(bySection.get(variable.section) ?? []), variable]);
+    }
+    const scopes = [...bySection].map(([section, variables]) => ({
+      name: section,
+      variablesReference: this.container({ frame: paused, variables }),
+      namedVariables: variables.length,
+      expensive: section === "Constant",
+    }));
+    const cycle: WatchVariable[] = [
+      { name: "Cycle", path: "", section: "", type: "UDINT", value: String(simulator.cycle + (this.cycle ? 1 : 0)) },
+      { name: "Time", path: "", section: "", type: "TIME", value: `T#${formatDuration(simulator.time)}` },
+    ];
+    scopes.push({ name: "Simulation", variablesReference: this.container({ variables: cycle }), namedVariables: cycle.length, expensive: false });
+    return scopes;
+  }
+
+  private variables(reference: number): object[] {
+    const container = this.containers.get(reference);
+    if (!container) return [];
+    return container.variables.map(variable => ({
+      name: variable.name,
+      value: variable.value,
+      type: variable.type,
+      evaluateName: variable.path ? `#${variable.path}` : undefined,
+      variablesReference: variable.children?.length ? this.container({ frame: container.frame, variables: variable.children }) : 0,
+    }));
+  }
+
+  private setVariable(reference: number, name: string, value: string): object {
+    const container = this.containers.get(reference);
+    const variable = container?.variables.find(v => v.name === name);
+    if (!container || !variable?.path) throw new Error(`${name} cannot be changed`);
+    const simulator = this.simulation();
+    simulator.set(variable.path, value, container.frame);
+    const formatted = simulator.format(variable.path, container.frame);
+    return { value: formatted.value, type: formatted.type };
+  }
+
+  private evaluate(expression: string, frame?: number): object {
+    const simulator = this.simulation();
+    const paused = this.cycle || this.failure ? frame ?? 0 : undefined;
+    const { type, value } = simulator.format(expression, paused);
+    return { result: value, type, variablesReference: 0 };
+  }
+
+  private container(container: VariableContainer): number {
+    const reference = this.containers.size + 1;
+    this.containers.set(reference, container);
+    return reference;
+  }
+
+  // ── Messages ─────────────────────────────────────────────────
+
+  private simulation(): SclSimulator {
+    if (!this.simulator) throw new Error("No simulation has been launched");
+    return this.simulator;
+  }
+
+  private respond(request: DebugRequest, success: boolean, body?: unknown, message?: string): void {
+    this.send({ seq: this.seq++, type: "response", request_seq: request.seq, command: request.command, success, message, body });
+  }
+
+  private event(event: string, body?: unknown): void {
+    this.send({ seq: this.seq++, type: "event", event, body });
+  }
+
+  private output(text: string, category = "console"): void {
+    this.event("output", { category, output: text });
+  }
+}
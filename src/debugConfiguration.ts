@@ -0,0 +1,69 @@
+/**
+ * SCL Debugging - Launch configurations and the inline debug adapter.
+ *
+ * The debug adapter (SclDebugSession) runs in the extension host and reads
+ * the workspace's sources from disk. F5 without a launch.json debugs the
+ * block at the cursor; a configuration without "block" asks for one of the
+ * active file, and "sources" defaults to the workspace folders.
+ */
+
+import * as vscode from "vscode";
+import { DEBUG_TYPE, DebugRequest, NEXT_CYCLE_REQUEST, SclDebugSession } from "./debugAdapter";
+import { pickBlock } from "./simulatorView";
+
+/** Registers the "scl" debugger and the Next Cycle command. */
+export function registerDebugger(): vscode.Disposable {
+  return vscode.Disposable.from(
+    vscode.debug.registerDebugConfigurationProvider(DEBUG_TYPE, new SclConfigurationProvider()),
+    vscode.debug.registerDebugAdapterDescriptorFactory(DEBUG_TYPE, {
+      createDebugAdapterDescriptor: () => new vscode.DebugAdapterInlineImplementation(new InlineDebugAdapter()),
+    }),
+    vscode.commands.registerCommand("tia-scl.nextCycle", () => {
+      const session = vscode.debug.activeDebugSession;
+      if (session?.type === DEBUG_TYPE) session.customRequest(NEXT_CYCLE_REQUEST);
+    })
+  );
+}
+
+class SclConfigurationProvider implements vscode.DebugConfigurationProvider {
+  async resolveDebugConfiguration(
+    folder: vscode.WorkspaceFolder | undefined,
+    config: vscode.DebugConfiguration
+  ): Promise<vscode.DebugConfiguration | undefined> {
+    // F5 without a launch.json
+    if (!config.type && !config.request && !config.name) {
+      config.type = DEBUG_TYPE;
+      config.request = "launch";
+      config.name = "Debug SCL Block";
+      config.stopOnEntry = true;
+    }
+    if (!config.block) {
+      config.block = await pickBlock("Block to debug");
+      // Cancelled: undefined aborts the launch
+      if (!config.block) return undefined;
+    }
+    if (!config.sources) {
+      const folders = folder ? [folder] : vscode.workspace.workspaceFolders ?? [];
+      const document = vscode.window.activeTextEditor?.document;
+      config.sources = folders.length > 0
+        ? folders.map(f => f.uri.fsPath)
+        : document && !document.isUntitled ? [document.uri.fsPath] : [];
+    }
+    return config;
+  }
+}
+
+class InlineDebugAdapter implements vscode.DebugAdapter {
+  private emitter = new vscode.EventEmitter<vscode.DebugProtocolMessage>();
+  private session = new SclDebugSession(message => this.emitter.fire(message));
+  readonly onDidSendMessage = this.emitter.event;
+
+  handleMessage(message: vscode.DebugProtocolMessage): void {
+    this.session.handle(message as DebugRequest);
+  }
+
+  dispose(): void {
+    this.session.dispose();
+    this.emitter.dispose();
+  }
+}
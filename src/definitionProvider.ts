@@ -3,27 +3,36 @@
  *
  * Supports:
  *   - #VarName → jump to variable declaration
- *   - "BlockName" → jump to block declaration
+ *   - "BlockName" → jump to block declaration (in any workspace file)
  *   - Plain word → fallback match against variable names
  */
 
-import * as vscode from "vscode";
-import { parse, VariableDecl, BlockDecl } from "./parser";
+import { Location, Position, Range } from "vscode-languageserver";
+import { TextDocument } from "vscode-languageserver-textdocument";
+import { VariableDecl, BlockDecl } from "./parser";
+import { rangeContains } from "./ast";
+import { SclWorkspaceIndex } from "./workspaceIndex";
+import { lineText, wordRangeAt } from "./document";
+
+export class SclDefinitionProvider {
+  constructor(private index: SclWorkspaceIndex) {}
 
-export class SclDefinitionProvider implements vscode.DefinitionProvider {
   provideDefinition(
-    document: vscode.TextDocument,
-    position: vscode.Position
-  ): vscode.Location | undefined {
-    const text = document.getText();
-    const result = parse(text);
-    const line = document.lineAt(position).text;
+    document: TextDocument,
+    position: Position
+  ): Location | undefined {
+    const result = this.index.parseDocument(document);
+    const line = lineText(document, position.line);
+
+    // Variables of the block under the cursor take precedence
+    const enclosing = result.ast.blocks.find(b => rangeContains(b.range, position.line, position.character));
+    const scope = enclosing ? enclosing.name : undefined;
 
     // Case 1: #VarName - local variable reference
-    const hashRange = document.getWordRangeAtPosition(position, /#[A-Za-z_]\w*/);
+    const hashRange = wordRangeAt(document, position, /#[A-Za-z_]\w*/);
     if (hashRange) {
       const varName = document.getText(hashRange).substring(1); // strip '#'
-      return this.findVariable(document, result.variables, varName);
+      return this.findVariable(document, result.variables, varName, scope);
     }
 
     // Case 2: "BlockName" - quoted block reference
@@ -33,36 +42,48 @@ export class SclDefinitionProvider implements vscode.DefinitionProvider {
     }
 
     // Case 3: Plain word - fallback match against variables
-    const wordRange = document.getWordRangeAtPosition(position, /[A-Za-z_]\w*/);
+    const wordRange = wordRangeAt(document, position, /[A-Za-z_]\w*/);
     if (wordRange) {
       const word = document.getText(wordRange);
-      return this.findVariable(document, result.variables, word);
+      return this.findVariable(document, result.variables, word, scope);
     }
 
     return undefined;
   }
 
   private findVariable(
-    document: vscode.TextDocument,
+    document: TextDocument,
     variables: VariableDecl[],
-    name: string
-  ): vscode.Location | undefined {
+    name: string,
+    scope: string | undefined
+  ): Location | undefined {
     const lower = name.toLowerCase();
-    const match = variables.find(v => v.name.toLowerCase() === lower);
+    const candidates = variables.filter(v => v.name.toLowerCase() === lower);
+    const match = candidates.find(v => v.block === scope && v.parent === "") || candidates[0];
     if (match) {
-      return new vscode.Location(document.uri, new vscode.Position(match.line, match.col));
+      return at(document.uri, match.line, match.col);
     }
     return undefined;
   }
 
   private findBlock(
-    document: vscode.TextDocument,
+    document: TextDocument,
     blocks: BlockDecl[],
     name: string
-  ): vscode.Location | undefined {
+  ): Location | undefined {
     const match = blocks.find(b => b.name === name);
     if (match) {
-      return new vscode.Location(document.uri, new vscode.Position(match.line, 0));
+      return at(document.uri, match.nameLine, match.nameCol);
+    }
+
+    // Declared in another file of the workspace
+    const indexed = this.index.symbols.findBlock(name);
+    if (indexed) {
+      const start = indexed.block.nameRange.start;
+      if (this.index.symbols.isGenerated(indexed.uri)) {
+        return at(indexed.uri, this.index.symbols.sourceLine(indexed.uri, start.line), 0);
+      }
+      return at(indexed.uri, start.line, start.col);
     }
     return undefined;
   }
@@ -84,3 +105,7 @@ export class SclDefinitionProvider implements vscode.DefinitionProvider {
     return line.substring(start + 1, end);
   }
 }
+
+function at(uri: string, line: number, col: number): Location {
+  return Location.create(uri, Range.create(line, col, line, col));
+}
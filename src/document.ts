@@ -0,0 +1,40 @@
+/**
+ * SCL Document Helpers - Line and word access on LSP text documents.
+ *
+ * The language server works on plain TextDocuments, which only offer
+ * offset-based access; these helpers add the line/word lookups the
+ * providers need.
+ */
+
+import { MarkupContent, MarkupKind, Position, Range } from "vscode-languageserver";
+import { TextDocument } from "vscode-languageserver-textdocument";
+import { SourceRange } from "./ast";
+
+/** Text of a line without its line break */
+export function lineText(document: TextDocument, line: number): string {
+  return document.getText(Range.create(line, 0, line + 1, 0)).replace(/\r?\n$/, "");
+}
+
+/** Range of the word matching `pattern` that contains the position, if any */
+export function wordRangeAt(document: TextDocument, position: Position, pattern: RegExp): Range | undefined {
+  const text = lineText(document, position.line);
+  const regex = new RegExp(pattern.source, pattern.flags.includes("g") ? pattern.flags : pattern.flags + "g");
+  let match: RegExpExecArray | null;
+  while ((match = regex.exec(text)) !== null) {
+    const start = match.index;
+    const end = start + match[0].length;
+    if (start <= position.character && position.character <= end && match[0].length > 0) {
+      return Range.create(position.line, start, position.line, end);
+    }
+    if (match[0].length === 0) regex.lastIndex++;
+  }
+  return undefined;
+}
+
+export function toRange(range: SourceRange): Range {
+  return Range.create(range.start.line, range.start.col, range.end.line, range.end.col);
+}
+
+export function markdown(value: string): MarkupContent {
+  return { kind: MarkupKind.Markdown, value };
+}
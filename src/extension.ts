@@ -1,63 +1,44 @@
+import * as path from "path";
 import * as vscode from "vscode";
-import { SclCompletionProvider } from "./completionProvider";
-import { SclHoverProvider } from "./hoverProvider";
-import { SclSignatureHelpProvider } from "./signatureProvider";
-import { SclLinter } from "./linter";
-import { SclDocumentSymbolProvider } from "./symbolProvider";
-import { SclDefinitionProvider } from "./definitionProvider";
-import { SclFormattingProvider } from "./formatter";
-import { SclCodeActionProvider } from "./quickFixes";
+import { LanguageClient, LanguageClientOptions, ServerOptions, TransportKind } from "vscode-languageclient/node";
+import { CrossReferencePanel } from "./crossReferenceView";
+import { ProgramStructurePanel } from "./programStructureView";
+import { exportSimaticMl, openSimaticMlAsScl } from "./simaticMlCommands";
+import { exportMemoryLayout } from "./memoryLayoutCommands";
+import { runBlock } from "./simulatorView";
+import { SclTestController } from "./testController";
+import { registerDebugger } from "./debugConfiguration";
 
-export function activate(context: vscode.ExtensionContext) {
-  const selector: vscode.DocumentSelector = { language: "scl", scheme: "file" };
-
-  // Autocomplete
-  context.subscriptions.push(
-    vscode.languages.registerCompletionItemProvider(
-      selector,
-      new SclCompletionProvider(),
-      ".", "#", "%", '"'
-    )
-  );
-
-  // Hover documentation
-  context.subscriptions.push(
-    vscode.languages.registerHoverProvider(selector, new SclHoverProvider())
-  );
-
-  // Signature help for function calls
-  context.subscriptions.push(
-    vscode.languages.registerSignatureHelpProvider(
-      selector,
-      new SclSignatureHelpProvider(),
-      "(", ","
-    )
-  );
+let client: LanguageClient | undefined;
 
-  // Document symbols (outline + breadcrumbs)
-  context.subscriptions.push(
-    vscode.languages.registerDocumentSymbolProvider(selector, new SclDocumentSymbolProvider())
-  );
+export function activate(context: vscode.ExtensionContext) {
+  // All language features are provided by the language server (server.ts)
+  const serverModule = context.asAbsolutePath(path.join("out", "server.js"));
+  const serverOptions: ServerOptions = {
+    run: { module: serverModule, transport: TransportKind.stdio },
+    debug: { module: serverModule, transport: TransportKind.stdio, options: { execArgv: ["--nolazy", "--inspect=6009"] } },
+  };
 
-  // Go to definition (Ctrl+Click / F12)
-  context.subscriptions.push(
-    vscode.languages.registerDefinitionProvider(selector, new SclDefinitionProvider())
-  );
+  const clientOptions: LanguageClientOptions = {
+    documentSelector: [{ language: "scl", scheme: "file" }],
+    synchronize: { configurationSection: "tia-scl" },
+  };
 
-  // Code formatting (Shift+Alt+F)
-  context.subscriptions.push(
-    vscode.languages.registerDocumentFormattingEditProvider(selector, new SclFormattingProvider())
-  );
+  client = new LanguageClient("tia-scl", "TIA-SCL Language Server", serverOptions, clientOptions);
+  client.start();
 
-  // Quick fixes (Ctrl+.)
   context.subscriptions.push(
-    vscode.languages.registerCodeActionProvider(selector, new SclCodeActionProvider(), {
-      providedCodeActionKinds: SclCodeActionProvider.providedCodeActionKinds,
-    })
+    new SclTestController(client),
+    registerDebugger(),
+    vscode.commands.registerCommand("tia-scl.showCrossReferences", () => client && CrossReferencePanel.show(client)),
+    vscode.commands.registerCommand("tia-scl.showProgramStructure", () => client && ProgramStructurePanel.show(client)),
+    vscode.commands.registerCommand("tia-scl.exportSimaticMl", (uri?: vscode.Uri) => client && exportSimaticMl(client, uri)),
+    vscode.commands.registerCommand("tia-scl.openSimaticMlAsScl", (uri?: vscode.Uri) => client && openSimaticMlAsScl(client, uri)),
+    vscode.commands.registerCommand("tia-scl.exportMemoryLayout", () => client && exportMemoryLayout(client)),
+    vscode.commands.registerCommand("tia-scl.runBlock", () => client && runBlock(client))
   );
-
-  // Linter - real-time diagnostics
-  new SclLinter(context);
 }
 
-export function deactivate() {}
+export function deactivate(): Thenable<void> | undefined {
+  return client?.stop();
+}
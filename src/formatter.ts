@@ -1,14 +1,30 @@
 /**
- * SCL Code Formatter - Document formatting provider.
+ * SCL Code Formatter - Document, range and on-type formatting.
  *
- * Handles:
- *   - Indentation (4 spaces per level)
- *   - Keyword casing (UPPERCASE)
- *   - Spacing around operators (:=, :, ,)
- *   - Preserves strings, comments, and pragmas
+ * Works on the token stream of the lexer, line by line. Handles:
+ *   - Indentation (editor tab size per level) from the open blocks,
+ *     sections and statements, so one-line IFs, CASE labels (1..5:,
+ *     #STATE_IDLE:) and nested CASEs indent right; arguments of calls that
+ *     continue on the next line are aligned after the "("; as in TIA Portal
+ *     exports, VAR sections are one level in and BEGIN, pragmas and VERSION
+ *     stay at the level of the block
+ *   - Keyword casing (UPPER, lower or as written) and data type casing
+ *     (additionally TIA-style PascalCase: Bool, Int, DInt, Array[..] of Real)
+ *   - Spacing around operators (:=, +, ,) and the ":" of declarations
+ *   - Column alignment of ":", ":=" and trailing "//" comments of the
+ *     declarations in VAR sections
+ *   - Wrapping of long call parameter lists one per line (calls that end the
+ *     statement only)
+ *   - One blank line between VAR sections and before BEGIN
+ *   - Preserves strings, comments, and pragmas; the result lexes to the
+ *     same tokens as the input and formatting it again changes nothing
+ *
+ * The style comes from the tia-scl.format settings (FormatSettings).
  */
 
-import * as vscode from "vscode";
+import { FormattingOptions, Position, Range, TextEdit } from "vscode-languageserver";
+import { TextDocument } from "vscode-languageserver-textdocument";
+import { Token, tokenize } from "./lexer";
 
 // ─── Keyword sets for casing ────────────────────────────────────────────────
 
@@ -19,7 +35,7 @@ const SCL_KEYWORDS = new Set([
   "TYPE", "END_TYPE", "INTERFACE", "END_INTERFACE",
   // Variable sections
   "VAR_INPUT", "VAR_OUTPUT", "VAR_IN_OUT", "VAR_TEMP", "VAR_GLOBAL",
-  "VAR", "END_VAR", "STRUCT", "END_STRUCT",
+  "VAR", "END_VAR", "END_STRUCT",
   // Control flow
   "IF", "THEN", "ELSIF", "ELSE", "END_IF",
   "FOR", "TO", "BY", "DO", "END_FOR",
@@ -32,72 +48,97 @@ const SCL_KEYWORDS = new Set([
   "TRUE", "FALSE", "NULL",
   // Modifiers
   "VERSION", "RETAIN", "NON_RETAIN", "CONSTANT",
-  "ARRAY", "REF_TO",
-  // Data types
-  "BOOL", "BYTE", "CHAR", "WCHAR",
-  "SINT", "USINT", "INT", "UINT", "DINT", "UDINT", "LINT", "ULINT",
-  "WORD", "DWORD", "LWORD",
-  "REAL", "LREAL",
-  "STRING", "WSTRING",
-  "TIME", "LTIME", "DATE", "DATE_AND_TIME", "DTL", "TIME_OF_DAY", "S5TIME",
-  "VOID", "ANY", "POINTER", "VARIANT", "DB_ANY",
-  "TON", "TOF", "TP", "TONR", "CTU", "CTD", "CTUD",
-  "R_TRIG", "F_TRIG",
-  "IEC_TIMER", "IEC_COUNTER",
+  "REF_TO",
 ]);
 
-// ─── Indent rules ───────────────────────────────────────────────────────────
-
-function shouldIncreaseIndent(upper: string): boolean {
-  if (/^(FUNCTION_BLOCK|FUNCTION|ORGANIZATION_BLOCK|DATA_BLOCK|TYPE|INTERFACE)\b/.test(upper)) return true;
-  if (/^(VAR_INPUT|VAR_OUTPUT|VAR_IN_OUT|VAR_TEMP|VAR_GLOBAL|STRUCT)\b/.test(upper)) return true;
-  if (/^VAR\b/.test(upper) && !/^VAR_/.test(upper)) return true;
-  if (upper === "BEGIN") return true;
-  if (/^IF\b.*\bTHEN\s*$/.test(upper)) return true;
-  if (/^ELSIF\b.*\bTHEN\s*$/.test(upper)) return true;
-  if (/^ELSE\s*$/.test(upper) || upper === "ELSE") return true;
-  if (/^FOR\b.*\bDO\s*$/.test(upper)) return true;
-  if (/^WHILE\b.*\bDO\s*$/.test(upper)) return true;
-  if (upper === "REPEAT") return true;
-  if (/^CASE\b.*\bOF\s*$/.test(upper)) return true;
-  if (/^REGION\b/.test(upper)) return true;
-  return false;
+// Data types with their TIA Portal spelling
+const DATA_TYPES: Record<string, string> = {
+  BOOL: "Bool", BYTE: "Byte", CHAR: "Char", WCHAR: "WChar",
+  SINT: "SInt", USINT: "USInt", INT: "Int", UINT: "UInt", DINT: "DInt", UDINT: "UDInt", LINT: "LInt", ULINT: "ULInt",
+  WORD: "Word", DWORD: "DWord", LWORD: "LWord",
+  REAL: "Real", LREAL: "LReal",
+  STRING: "String", WSTRING: "WString",
+  TIME: "Time", LTIME: "LTime", DATE: "Date", DATE_AND_TIME: "Date_And_Time", DTL: "DTL",
+  TIME_OF_DAY: "Time_Of_Day", S5TIME: "S5Time",
+  VOID: "Void", ANY: "Any", POINTER: "Pointer", VARIANT: "Variant", DB_ANY: "DB_ANY",
+  ARRAY: "Array", STRUCT: "Struct",
+  TON: "TON", TOF: "TOF", TP: "TP", TONR: "TONR", CTU: "CTU", CTD: "CTD", CTUD: "CTUD",
+  R_TRIG: "R_TRIG", F_TRIG: "F_TRIG",
+  IEC_TIMER: "IEC_TIMER", IEC_COUNTER: "IEC_COUNTER",
+};
+
+// ─── Indentation ────────────────────────────────────────────────────────────
+
+type FrameKind = "block" | "section" | "struct" | "body" | "IF" | "CASE" | "FOR" | "WHILE" | "REPEAT" | "REGION";
+
+/** A construct whose content is indented */
+interface Frame {
+  kind: FrameKind;
+  base: number;                   // Level of the lines that open and close it
+  content: number;                // Level of the lines inside (CASE labels are in between)
 }
 
-function shouldDecreaseIndent(upper: string): boolean {
-  if (/^(END_FUNCTION_BLOCK|END_FUNCTION|END_ORGANIZATION_BLOCK|END_DATA_BLOCK|END_TYPE|END_INTERFACE)\b/.test(upper)) return true;
-  if (/^(END_VAR|END_STRUCT)\b/.test(upper)) return true;
-  if (/^(END_IF|END_FOR|END_WHILE|END_REPEAT|END_CASE|END_REGION)\b/.test(upper)) return true;
-  if (/^ELSIF\b/.test(upper)) return true;
-  if (/^ELSE\b/.test(upper)) return true;
-  if (/^UNTIL\b/.test(upper)) return true;
-  return false;
+const BLOCK_STARTS = new Set(["FUNCTION_BLOCK", "FUNCTION", "ORGANIZATION_BLOCK", "DATA_BLOCK", "TYPE"]);
+const BLOCK_ENDS = new Set(["END_FUNCTION_BLOCK", "END_FUNCTION", "END_ORGANIZATION_BLOCK", "END_DATA_BLOCK", "END_TYPE"]);
+// Lines of the block header that stay at the level of FUNCTION_BLOCK ... like in TIA Portal exports
+const BLOCK_ATTRIBUTES = new Set(["TITLE", "AUTHOR", "FAMILY", "NAME", "VERSION", "KNOW_HOW_PROTECT", "NON_RETAIN"]);
+const SECTION_STARTS = new Set(["VAR_INPUT", "VAR_OUTPUT", "VAR_IN_OUT", "VAR_TEMP", "VAR_GLOBAL", "VAR"]);
+const CONTROL_STARTS = new Set<FrameKind>(["IF", "FOR", "WHILE", "REPEAT", "REGION"]);
+const FRAME_ENDS = new Map<string, FrameKind>([
+  ["END_VAR", "section"], ["END_STRUCT", "struct"], ["END_IF", "IF"], ["END_CASE", "CASE"],
+  ["END_FOR", "FOR"], ["END_WHILE", "WHILE"], ["END_REPEAT", "REPEAT"], ["END_REGION", "REGION"],
+]);
+
+// Keywords after which a statement (or a CASE label) starts
+const STATEMENT_STARTS = new Set(["THEN", "ELSE", "DO", "OF", "REPEAT", "BEGIN"]);
+
+// What a CASE label is made of: 1, 2..5, #STATE_IDLE, "Consts".IDLE, -1
+const LABEL_KINDS = new Set(["number", "localRef", "identifier", "quotedName"]);
+const LABEL_OPERATORS = new Set(["..", ",", "-", "+", "."]);
+
+// ─── Spacing ────────────────────────────────────────────────────────────────
+
+const BINARY_OPERATORS = new Set([
+  ":=", "=>", "+", "-", "*", "/", "**", "=", "<>", "<", ">", "<=", ">=", "+=", "-=", "*=", "/=", "?=", "&",
+]);
+
+type ColonRole = "declaration" | "label";
+
+function operator(tok: Token): string {
+  return tok.kind === "operator" ? tok.value : "";
 }
 
-// ─── String/comment protection ──────────────────────────────────────────────
+function isName(tok: Token): boolean {
+  return tok.kind === "identifier" || tok.kind === "localRef" || tok.kind === "quotedName";
+}
 
-interface LineParts {
-  code: string;
-  comment: string;
+/** True if a "+" or "-" after this token is a sign: := -1, (-#x), THEN -5 */
+function precedesSign(tok: Token | undefined): boolean {
+  if (!tok) return true;
+  if (tok.kind === "operator") return ![")", "]", "^"].includes(tok.value);
+  return tok.kind === "keyword" && !["TRUE", "FALSE", "NULL"].includes(tok.value);
 }
 
-function splitLineComment(line: string): LineParts {
-  let inString = false;
-  let stringChar = "";
-  for (let i = 0; i < line.length - 1; i++) {
-    const ch = line[i];
-    if (inString) {
-      if (ch === stringChar) inString = false;
-    } else {
-      if (ch === "'" || ch === '"') {
-        inString = true;
-        stringChar = ch;
-      } else if (ch === "/" && line[i + 1] === "/") {
-        return { code: line.substring(0, i), comment: line.substring(i) };
-      }
-    }
+// ─── Keyword casing ─────────────────────────────────────────────────────────
+
+function applyCase(word: string, style: DataTypeCase, pascal?: string): string {
+  switch (style) {
+    case "upper": return word.toUpperCase();
+    case "lower": return word.toLowerCase();
+    case "pascal": return pascal ?? word;
+    case "preserve": return word;
   }
-  return { code: line, comment: "" };
+}
+
+// ─── Declaration alignment ──────────────────────────────────────────────────
+
+interface DeclarationLine {
+  line: number;                   // Input line
+  indent: string;
+  name: string;
+  type: string;
+  init?: string;
+  comment: string;
 }
 
 // Replace strings with placeholders, return restore function
@@ -113,168 +154,547 @@ function protectStrings(code: string): { protected: string; restore: (s: string)
   };
 }
 
-// ─── Keyword casing ─────────────────────────────────────────────────────────
-
-function applyKeywordCasing(code: string): string {
+/** Splits a formatted "Name : Type := Value;" line; undefined for anything else */
+function parseDeclaration(code: string): Omit<DeclarationLine, "line" | "indent" | "comment"> | undefined {
   const { protected: p, restore } = protectStrings(code);
-  const result = p.replace(/\b([A-Za-z_][A-Za-z_0-9]*)\b/g, (match) => {
-    const upper = match.toUpperCase();
-    if (SCL_KEYWORDS.has(upper)) return upper;
-    return match;
+  const match = p.match(/^(.+?) : (.+?)(?: := (.+))?;$/);
+  if (!match) return undefined;
+  return { name: restore(match[1]), type: restore(match[2]), init: match[3] === undefined ? undefined : restore(match[3]) };
+}
+
+/** Lines up ":", ":=" and "//" of consecutive declarations */
+function alignDeclarations(run: DeclarationLine[], result: string[][]): void {
+  if (run.length < 2) return;
+  const nameWidth = Math.max(...run.map(d => d.name.length));
+  const typeWidth = Math.max(0, ...run.filter(d => d.init !== undefined).map(d => d.type.length));
+  const code = run.map(d =>
+    `${d.indent}${d.name.padEnd(nameWidth)} : ` +
+    (d.init !== undefined ? `${d.type.padEnd(typeWidth)} := ${d.init};` : `${d.type};`)
+  );
+  const commentColumn = Math.max(0, ...run.map((d, i) => (d.comment ? code[i].length : 0))) + 2;
+  run.forEach((d, i) => {
+    result[d.line] = [d.comment ? code[i].padEnd(commentColumn) + d.comment : code[i]];
   });
-  return restore(result);
 }
 
-// ─── Spacing ────────────────────────────────────────────────────────────────
+// ─── Call wrapping ──────────────────────────────────────────────────────────
 
-function applySpacing(code: string): string {
-  const { protected: p, restore } = protectStrings(code);
-  let result = p;
-  // Space around :=
-  result = result.replace(/\s*:=\s*/g, " := ");
-  // Space after : in declarations (not :=, not after digits like CASE labels 0:)
-  result = result.replace(/([A-Za-z_]\w*)\s*:\s*(?!=)/g, "$1 : ");
-  // Space after comma
-  result = result.replace(/,\s*/g, ", ");
-  // Clean up multiple spaces (but not at start of line)
-  result = result.replace(/([^ ]) {2,}/g, "$1 ");
-  return restore(result);
+/**
+ * Puts the arguments of the call in a long statement one per line, aligned
+ * after the "(". Only calls that end the statement are wrapped
+ * (#Timer(...); and #x := LIMIT(...);), so no keyword follows the last line.
+ */
+function wrapCall(indentText: string, code: string): string[] | undefined {
+  const args: string[] = [];
+  let open = -1;
+  let depth = 0;
+  let argStart = 0;
+  let quote = "";
+  for (let i = 0; i < code.length; i++) {
+    const ch = code[i];
+    if (quote) {
+      if (ch === quote) quote = "";
+    } else if (ch === "'" || ch === '"') {
+      quote = ch;
+    } else if (ch === "(") {
+      if (depth === 0) {
+        // A call follows a name (FC, #instance, "DB", #Motors[i]); anything else is a parenthesis
+        if (!/[\w"\]]$/.test(code.substring(0, i).trimEnd())) return undefined;
+        open = i;
+        argStart = i + 1;
+      }
+      depth++;
+    } else if (ch === ")") {
+      depth--;
+      if (depth === 0) {
+        args.push(code.substring(argStart, i).trim());
+        if (args.length < 2 || code.substring(i + 1).trim() !== ";") return undefined;
+        const column = " ".repeat(indentText.length + open + 1);
+        return args.map((arg, n) =>
+          n === 0 ? `${indentText}${code.substring(0, open + 1)}${arg},`
+            : n === args.length - 1 ? `${column}${arg}${code.substring(i)}`
+              : `${column}${arg},`
+        );
+      }
+    } else if (ch === "," && depth === 1) {
+      args.push(code.substring(argStart, i).trim());
+      argStart = i + 1;
+    }
+  }
+  return undefined;
 }
 
 // ─── Main formatter ─────────────────────────────────────────────────────────
 
-export interface FormatOptions {
+export type KeywordCase = "upper" | "lower" | "preserve";
+export type DataTypeCase = KeywordCase | "pascal";
+
+/** Style settings (tia-scl.format.*) */
+export interface FormatSettings {
+  keywordCase: KeywordCase;
+  dataTypeCase: DataTypeCase;
+  alignDeclarations: boolean;
+  maxLineLength: number;          // Longer call statements get one parameter per line (0: never wrap)
+  blankLineBetweenSections: boolean;
+}
+
+export interface FormatOptions extends FormatSettings {
   indentSize: number;
-  uppercaseKeywords: boolean;
 }
 
+export const DEFAULT_FORMAT_SETTINGS: FormatSettings = {
+  keywordCase: "upper",
+  dataTypeCase: "upper",
+  alignDeclarations: false,
+  maxLineLength: 0,
+  blankLineBetweenSections: false,
+};
+
 export function formatScl(text: string, opts: FormatOptions): string {
+  return formatLines(text, opts).flat().join("\n");
+}
+
+/**
+ * Formats line by line: element i holds what line i of the input becomes,
+ * which is nothing for a removed blank line and several lines for a wrapped
+ * call. Range and on-type formatting replace just the lines they cover.
+ *
+ * Only whitespace and the case of keywords and data types change. If the
+ * result does not lex to the same tokens as the input, the input is returned
+ * as it is.
+ */
+export function formatLines(text: string, opts: FormatOptions): string[][] {
   const lines = text.split(/\r?\n/);
-  const result: string[] = [];
-  let indentLevel = 0;
-  let inBlockComment = false;
-  let inCase = false;
+  const tokens = tokenize(text).filter(t => t.kind !== "eof");
+  const result = new LineFormatter(lines, tokens, opts).format();
+  const formatted = tokenize(result.flat().join("\n")).filter(t => t.kind !== "eof");
+  return sameTokens(tokens, formatted) ? result : lines.map(line => [line]);
+}
 
-  const indent = (level: number) => " ".repeat(Math.max(0, level) * opts.indentSize);
+/** True if both token lists only differ in the case of names and keywords */
+function sameTokens(a: Token[], b: Token[]): boolean {
+  const normalized = (tok: Token) =>
+    tok.kind === "keyword" || tok.kind === "identifier" ? tok.text.toUpperCase()
+      : tok.kind === "comment" || tok.kind === "pragma" ? tok.text.split(/\r?\n/).map(l => l.trimEnd()).join("\n")
+        : tok.text;
+  return a.length === b.length && a.every((tok, i) => tok.kind === b[i].kind && normalized(tok) === normalized(b[i]));
+}
+
+/** First line of a token, without trailing whitespace (comments and pragmas may span lines) */
+function firstLine(text: string): string {
+  return text.split(/\r?\n/)[0].trimEnd();
+}
 
-  for (let i = 0; i < lines.length; i++) {
-    const rawLine = lines[i];
+/**
+ * Walks the tokens line by line. The indentation of a line follows from the
+ * constructs open before its first token (Frame), so several statements on
+ * one line, CASE labels of any kind and nested CASEs indent like the same
+ * code spread over more lines. Lines are never joined or split, except for
+ * wrapped calls.
+ */
+class LineFormatter {
+  private result: string[][];
+  private lineTokens: number[][];           // Indices of the tokens that start on each line
+  private covered: boolean[];               // Lines inside a multi-line comment or pragma
+  private stack: Frame[] = [];
+  private parens: number[] = [];            // Columns at which lines inside open "(" and "[" continue
+  private previous: Token | undefined;      // Last token that is not a comment
+  private statementStart = true;
+  private declarationColon = false;         // The ":" of the current declaration was seen
+  private colons = new Map<number, ColonRole>();
+  private signs = new Set<number>();
+  private run: DeclarationLine[] = [];
+
+  constructor(private lines: string[], private tokens: Token[], private opts: FormatOptions) {
+    this.result = lines.map(() => []);
+    this.lineTokens = lines.map(() => []);
+    this.covered = lines.map(() => false);
+    tokens.forEach((tok, k) => {
+      this.lineTokens[tok.line].push(k);
+      for (let line = tok.line + 1; line <= tok.endLine; line++) this.covered[line] = true;
+    });
+  }
+
+  format(): string[][] {
+    let blankLineBefore = -1;
+    for (let i = 0; i < this.lines.length; i++) {
+      const out = this.result[i];
+      const line = this.lineTokens[i];
+      if (i === blankLineBefore) out.push("");
+
+      // The rest of a multi-line comment is kept as written
+      if (this.covered[i]) {
+        out.push(this.lines[i]);
+        this.declarationColon = false;
+        for (const k of line) {
+          this.classify(k);
+          this.track(k, this.tokens[k].col + 1);
+        }
+        continue;
+      }
 
-    // Handle multiline block comments - preserve original content
-    if (inBlockComment) {
-      const endIdx = rawLine.indexOf("*)");
-      if (endIdx >= 0) {
-        inBlockComment = false;
+      if (line.length === 0) {
+        this.endRun();
+        out.push("");
+        continue;
+      }
+
+      this.formatLine(i, line);
+
+      // Exactly one blank line between END_VAR and the next VAR section or BEGIN
+      if (this.opts.blankLineBetweenSections && this.endsSection(line)) {
+        let next = i + 1;
+        while (next < this.lines.length && !this.covered[next] && this.lineTokens[next].length === 0) next++;
+        if (next < this.lines.length && this.startsSection(line[line.length - 1] + 1)) {
+          i = next - 1;     // The blank lines in between are dropped
+          blankLineBefore = next;
+        }
       }
-      result.push(rawLine);
-      continue;
     }
+    this.endRun();
+    return this.result;
+  }
+
+  private formatLine(i: number, line: number[]): void {
+    const continued = this.parens.length > 0;
+    const declarations = !continued && this.inDeclarations();
+    const indent = this.indentOf(line[0]);
+    const last = this.tokens[line[line.length - 1]];
+    const trailing = line.length > 1 && last.kind === "comment" ? line.length - 1 : line.length;
+    let code = "";
+    let comment = "";
+
+    this.declarationColon = false;
+    line.forEach((k, j) => {
+      this.classify(k);
+      if (j === trailing) {
+        comment = firstLine(last.text);
+        return;
+      }
+      if (j > 0) code += this.space(k);
+      // Arguments continue after the "(", or one level deeper when it ends the line
+      this.track(k, j === trailing - 1 ? indent.length + this.opts.indentSize : indent.length + code.length + 1);
+      code += this.text(k, j === 0);
+    });
 
-    // Empty lines
-    if (!rawLine.trim()) {
-      result.push("");
-      continue;
+    // Comment-only lines keep the declarations around them aligned
+    if (line.every(k => this.tokens[k].kind === "comment")) {
+      this.result[i].push(indent + code);
+      return;
     }
 
-    // Check for block comment start (without end on same line)
-    const trimmedRaw = rawLine.trim();
-    if (trimmedRaw.startsWith("(*") && !trimmedRaw.includes("*)")) {
-      result.push(indent(indentLevel) + trimmedRaw);
-      inBlockComment = true;
-      continue;
+    const declaration = declarations ? parseDeclaration(code) : undefined;
+    if (declaration) {
+      this.run.push({ line: i, indent, ...declaration, comment });
+    } else {
+      this.endRun();
     }
 
-    // Pragma lines - just indent, don't modify
-    if (trimmedRaw.startsWith("{")) {
-      result.push(indent(indentLevel) + trimmedRaw);
-      continue;
+    const out = this.result[i];
+    let formatted = indent + code;
+    const wrapped = this.opts.maxLineLength > 0 && !continued && !this.inDeclarations() &&
+      formatted.length > this.opts.maxLineLength && !/\(\*|\/\*/.test(code) ? wrapCall(indent, code) : undefined;
+    if (wrapped) {
+      out.push(...wrapped.slice(0, -1));
+      formatted = wrapped[wrapped.length - 1];
     }
+    out.push(comment ? `${formatted}  ${comment}` : formatted);
+  }
 
-    // Split code and comment
-    const { code, comment } = splitLineComment(rawLine);
-    let formattedCode = code;
+  private endRun(): void {
+    if (this.opts.alignDeclarations) alignDeclarations(this.run, this.result);
+    this.run = [];
+  }
 
-    // Apply keyword casing
-    if (opts.uppercaseKeywords) {
-      formattedCode = applyKeywordCasing(formattedCode);
-    }
+  // ── Structure ────────────────────────────────────────────────
 
-    // Apply spacing
-    formattedCode = applySpacing(formattedCode);
+  private top(): Frame | undefined {
+    return this.stack[this.stack.length - 1];
+  }
 
-    const trimmedCode = formattedCode.trim();
-    if (!trimmedCode && comment) {
-      // Comment-only line
-      result.push(indent(indentLevel) + comment.trim());
-      continue;
-    }
-    if (!trimmedCode) {
-      result.push("");
-      continue;
+  private frame(kind: FrameKind): Frame | undefined {
+    for (let i = this.stack.length - 1; i >= 0; i--) {
+      if (this.stack[i].kind === kind) return this.stack[i];
     }
+    return undefined;
+  }
 
-    const upper = trimmedCode.toUpperCase();
+  private push(kind: FrameKind, depth: number): void {
+    const base = this.top()?.content ?? 0;
+    this.stack.push({ kind, base, content: base + depth });
+  }
 
-    // Determine indent changes
-    const decrease = shouldDecreaseIndent(upper);
-    const increase = shouldIncreaseIndent(upper);
+  /** Closes the innermost frame of this kind and everything left open inside it */
+  private pop(kind: FrameKind): void {
+    const frame = this.frame(kind);
+    if (frame) this.stack.length = this.stack.indexOf(frame);
+  }
 
-    // CASE label detection (e.g., "0:", "10, 20:", "ELSE" inside CASE)
-    const isCaseLabel = inCase && /^\d+[\d\s,]*:/.test(trimmedCode);
+  private inDeclarations(): boolean {
+    const kind = this.top()?.kind;
+    return kind === "section" || kind === "struct";
+  }
 
-    if (decrease && indentLevel > 0) {
-      indentLevel--;
+  /** Indentation of a line starting with token k */
+  private indentOf(k: number): string {
+    if (this.parens.length > 0) return " ".repeat(this.parens[this.parens.length - 1]);
+    const tok = this.tokens[k];
+    const word = tok.kind === "keyword" ? tok.value : "";
+    const top = this.top();
+    let level = top?.content ?? 0;
+    if (BLOCK_STARTS.has(word) || BLOCK_ENDS.has(word)) {
+      level = 0;
+    } else if (top?.kind === "block" && (tok.kind === "pragma" || BLOCK_ATTRIBUTES.has(tok.text.toUpperCase()))) {
+      level = top.base;
+    } else if (FRAME_ENDS.has(word)) {
+      level = this.frame(FRAME_ENDS.get(word)!)?.base ?? level;
+    } else if (word === "BEGIN") {
+      level = this.frame("block")?.base ?? 0;
+    } else if ((word === "ELSIF" || word === "ELSE") && top?.kind === "IF") {
+      level = top.base;
+    } else if (word === "UNTIL" && top?.kind === "REPEAT") {
+      level = top.base;
+    } else if (top?.kind === "CASE" && (word === "ELSE" || (this.statementStart && this.labelColon(k) >= 0))) {
+      level = top.base + 1;
     }
+    return " ".repeat(level * this.opts.indentSize);
+  }
 
-    // Track CASE state
-    if (/^CASE\b.*\bOF/i.test(upper)) {
-      inCase = true;
+  /** Index of the ":" that ends a CASE label starting at token k, or -1 */
+  private labelColon(k: number): number {
+    for (let i = k; i < this.tokens.length; i++) {
+      const tok = this.tokens[i];
+      if (tok.kind === "comment") continue;
+      if (tok.kind === "operator") {
+        if (tok.value === ":") return i > k ? i : -1;
+        if (!LABEL_OPERATORS.has(tok.value)) return -1;
+      } else if (!LABEL_KINDS.has(tok.kind)) {
+        return -1;
+      }
     }
-    if (/^END_CASE\b/i.test(upper)) {
-      inCase = false;
+    return -1;
+  }
+
+  /** Decides what a ":", "+" or "-" is before it is spaced */
+  private classify(k: number): void {
+    const tok = this.tokens[k];
+    if (tok.kind === "comment") return;
+    if (this.statementStart && this.top()?.kind === "CASE") {
+      const colon = this.labelColon(k);
+      if (colon >= 0) this.colons.set(colon, "label");
+    }
+    const op = operator(tok);
+    if ((op === "-" || op === "+") && precedesSign(this.previous)) this.signs.add(k);
+    // Name : Type, FUNCTION "FC" : Real, VERSION : 0.1; not T#1h:30m in an initial value
+    if (op === ":" && !this.colons.has(k) && !this.declarationColon && !this.frame("body")) {
+      this.colons.set(k, "declaration");
     }
+  }
 
-    // Build formatted line
-    let currentIndent: string;
-    if (isCaseLabel) {
-      currentIndent = indent(indentLevel + 1);
-    } else {
-      currentIndent = indent(indentLevel);
+  /** Updates the open constructs after token k; continuation is used if k opens a parenthesis */
+  private track(k: number, continuation: number): void {
+    const tok = this.tokens[k];
+    if (tok.kind === "comment") return;
+    const word = tok.kind === "keyword" ? tok.value : "";
+    const op = operator(tok);
+
+    if (op === "(" || op === "[") {
+      this.parens.push(continuation);
+    } else if (op === ")" || op === "]") {
+      this.parens.pop();
+    } else if (op === ";") {
+      this.parens = [];     // Statements end all parentheses, even unbalanced ones
+      this.declarationColon = false;
+    } else if (op === ":") {
+      this.declarationColon = true;
     }
 
-    let formatted = currentIndent + trimmedCode;
-    if (comment) {
-      formatted += "  " + comment.trim();
+    if (BLOCK_STARTS.has(word)) {
+      this.stack = [{ kind: "block", base: 0, content: 1 }];
+    } else if (BLOCK_ENDS.has(word)) {
+      this.stack = [];
+    } else if (SECTION_STARTS.has(word)) {
+      this.push("section", 1);
+    } else if (word === "STRUCT") {
+      this.push("struct", 1);
+    } else if (word === "BEGIN") {
+      // The statements are one level in from BEGIN, which is at the level of the block
+      const block = this.frame("block");
+      const base = block?.base ?? 0;
+      this.stack = block ? [block] : [];
+      this.stack.push({ kind: "body", base, content: base + 1 });
+    } else if (word === "CASE") {
+      this.push("CASE", 2);
+    } else if (CONTROL_STARTS.has(word as FrameKind)) {
+      this.push(word as FrameKind, 1);
+    } else if (FRAME_ENDS.has(word)) {
+      this.pop(FRAME_ENDS.get(word)!);
     }
-    result.push(formatted);
 
-    if (increase) {
-      indentLevel++;
+    this.statementStart = op === ";" || this.colons.get(k) === "label" ||
+      STATEMENT_STARTS.has(word) || word.startsWith("END_");
+    this.previous = tok;
+  }
+
+  /** True if the line ends with END_VAR (or END_VAR;) */
+  private endsSection(line: number[]): boolean {
+    const words = line.map(k => this.tokens[k]).filter(t => t.kind !== "comment" && operator(t) !== ";");
+    return words[words.length - 1]?.value === "END_VAR";
+  }
+
+  /** True if the next token after comments starts a VAR section or BEGIN */
+  private startsSection(from: number): boolean {
+    const next = this.tokens.slice(from).find(t => t.kind !== "comment");
+    return next?.kind === "keyword" && (SECTION_STARTS.has(next.value) || next.value === "BEGIN");
+  }
+
+  // ── Rendering ────────────────────────────────────────────────
+
+  /** Whitespace between token k and the token before it on the same line */
+  private space(k: number): string {
+    const prev = this.tokens[k - 1];
+    const tok = this.tokens[k];
+    const adjacent = prev.endOffset === tok.offset;
+    const p = operator(prev);
+    const t = operator(tok);
+
+    // Whatever the formatter does not know keeps its spacing
+    if (prev.kind === "invalid" || tok.kind === "invalid" || prev.kind === "comment" || tok.kind === "comment") {
+      return adjacent ? "" : " ";
+    }
+    if (t === ";" || t === ",") return "";
+    if (p === ";" || p === ",") return " ";
+    if (p === "." || t === "." || p === ".." || t === "..") return "";
+    if (p === "(" || p === "[" || t === ")" || t === "]" || t === "^") return "";
+    // FC(...), #Motors[1], "DB"(...), Array[0..9], String[20], repetitions in initializers: [4(0.0)]
+    if (t === "(") return isName(prev) || p === "]" || prev.kind === "number" ? "" : " ";
+    if (t === "[") return isName(prev) || p === "]" || prev.value === "ARRAY" ? "" : " ";
+    if (t === ":") {
+      const role = this.colons.get(k);
+      return role === "declaration" ? " " : role === "label" || adjacent ? "" : " ";
     }
+    if (p === ":") return this.colons.has(k - 1) || !adjacent ? " " : "";
+    if (this.signs.has(k - 1)) return "";
+    if (BINARY_OPERATORS.has(p) || BINARY_OPERATORS.has(t)) return " ";
+    if (adjacent && prev.kind !== "keyword" && tok.kind !== "keyword") return "";
+    return " ";
   }
 
-  return result.join("\n");
+  /** Text of token k with the configured case */
+  private text(k: number, first: boolean): string {
+    const tok = this.tokens[k];
+    if (tok.kind === "comment" || tok.kind === "pragma") return firstLine(tok.text);
+    if (tok.kind !== "keyword" && tok.kind !== "identifier") return tok.text;
+    if (tok.kind === "identifier" && this.isVariableName(k)) return tok.text;
+
+    const upper = tok.text.toUpperCase();
+    const { keywordCase, dataTypeCase } = this.opts;
+    if (upper in DATA_TYPES) {
+      // TIA Portal writes "Data : Struct" but STRUCT for the members of a UDT
+      if (dataTypeCase === "pascal" && upper === "STRUCT" && first) return "STRUCT";
+      return applyCase(tok.text, dataTypeCase, DATA_TYPES[upper]);
+    }
+    // ... and Array[1..10] of Int
+    if (dataTypeCase === "pascal" && upper === "OF" && operator(this.tokens[k - 1] ?? tok) === "]") return "of";
+    if (tok.kind === "keyword" || SCL_KEYWORDS.has(upper)) return applyCase(tok.text, keywordCase);
+    return tok.text;
+  }
+
+  /** Members (#Timer.Q) and declared names (Time : Time) keep their case */
+  private isVariableName(k: number): boolean {
+    if (operator(this.tokens[k - 1] ?? this.tokens[k]) === ".") return true;
+    if (!this.inDeclarations()) return false;
+    for (let i = k + 1; i < this.tokens.length; i++) {
+      const next = this.tokens[i];
+      if (next.kind !== "comment" && next.kind !== "pragma") return operator(next) === ":";
+    }
+    return false;
+  }
 }
 
-// ─── VS Code provider ──────────────────────────────────────────────────────
+// ─── Formatting provider ───────────────────────────────────────────────────
+
+export class SclFormattingProvider {
+  private settings = DEFAULT_FORMAT_SETTINGS;
+
+  /** Applies the tia-scl.format settings; missing or invalid entries keep their default. */
+  setSettings(settings: Partial<Record<keyof FormatSettings, unknown>> | undefined): void {
+    const oneOf = <T extends string>(value: unknown, values: readonly T[], fallback: T): T =>
+      values.includes(value as T) ? value as T : fallback;
+    const defaults = DEFAULT_FORMAT_SETTINGS;
+    this.settings = {
+      keywordCase: oneOf(settings?.keywordCase, ["upper", "lower", "preserve"] as const, defaults.keywordCase),
+      dataTypeCase: oneOf(settings?.dataTypeCase, ["upper", "lower", "pascal", "preserve"] as const, defaults.dataTypeCase),
+      alignDeclarations: typeof settings?.alignDeclarations === "boolean"
+        ? settings.alignDeclarations : defaults.alignDeclarations,
+      maxLineLength: typeof settings?.maxLineLength === "number" && settings.maxLineLength >= 0
+        ? settings.maxLineLength : defaults.maxLineLength,
+      blankLineBetweenSections: typeof settings?.blankLineBetweenSections === "boolean"
+        ? settings.blankLineBetweenSections : defaults.blankLineBetweenSections,
+    };
+  }
 
-export class SclFormattingProvider implements vscode.DocumentFormattingEditProvider {
   provideDocumentFormattingEdits(
-    document: vscode.TextDocument,
-    options: vscode.FormattingOptions
-  ): vscode.TextEdit[] {
+    document: TextDocument,
+    options: FormattingOptions
+  ): TextEdit[] {
     const text = document.getText();
-    const formatted = formatScl(text, {
-      indentSize: options.tabSize || 4,
-      uppercaseKeywords: true,
-    });
+    const formatted = formatScl(text, this.formatOptions(options));
 
     if (formatted === text) return [];
 
-    const fullRange = new vscode.Range(
+    const fullRange = Range.create(
       document.positionAt(0),
       document.positionAt(text.length)
     );
-    return [vscode.TextEdit.replace(fullRange, formatted)];
+    return [TextEdit.replace(fullRange, formatted)];
+  }
+
+  /** Formats the lines the range touches; indentation follows the code above them. */
+  provideDocumentRangeFormattingEdits(
+    document: TextDocument,
+    range: Range,
+    options: FormattingOptions
+  ): TextEdit[] {
+    // A selection of whole lines ends at column 0 of the next line
+    const last = range.end.character === 0 && range.end.line > range.start.line ? range.end.line - 1 : range.end.line;
+    return this.lineEdits(document, range.start.line, last, options);
+  }
+
+  /** Formats the line of a ";" just typed, or the END_* line finished with Enter. */
+  provideOnTypeFormattingEdits(
+    document: TextDocument,
+    position: Position,
+    ch: string,
+    options: FormattingOptions
+  ): TextEdit[] {
+    if (ch === ";") return this.lineEdits(document, position.line, position.line, options);
+    if (ch === "\n" && position.line > 0) {
+      const previous = document.getText(Range.create(position.line - 1, 0, position.line, 0));
+      if (/^\s*END_\w+/i.test(previous)) return this.lineEdits(document, position.line - 1, position.line - 1, options);
+    }
+    return [];
+  }
+
+  private formatOptions(options: FormattingOptions): FormatOptions {
+    return { ...this.settings, indentSize: options.tabSize || 4 };
+  }
+
+  /** Replaces the input lines first..last with what the formatter makes of them */
+  private lineEdits(document: TextDocument, first: number, last: number, options: FormattingOptions): TextEdit[] {
+    const text = document.getText();
+    const lines = text.split(/\r?\n/);
+    if (first >= lines.length) return [];
+    last = Math.min(last, lines.length - 1);
+    const formatted = formatLines(text, this.formatOptions(options)).slice(first, last + 1).flat();
+    const original = lines.slice(first, last + 1);
+    if (formatted.join("\n") === original.join("\n")) return [];
+
+    // Lines added or removed: the edit takes the line break after the last line along
+    const eol = text.includes("\r\n") ? "\r\n" : "\n";
+    if (formatted.length !== original.length && last + 1 < lines.length) {
+      return [TextEdit.replace(Range.create(first, 0, last + 1, 0), formatted.map(l => l + eol).join(""))];
+    }
+    return [TextEdit.replace(Range.create(first, 0, last, lines[last].length), formatted.join(eol))];
   }
 }
@@ -1,4 +1,5 @@
-import * as vscode from "vscode";
+import { Hover, Position, Range } from "vscode-languageserver";
+import { TextDocument } from "vscode-languageserver-textdocument";
 import {
   BLOCK_KEYWORDS,
   VAR_KEYWORDS,
@@ -9,11 +10,25 @@ import {
   SclItem,
   SclFunction,
 } from "./sclData";
+import { Block, VarDeclaration } from "./ast";
+import { Declaration } from "./resolver";
+import { symbolAt } from "./references";
+import { markdown, toRange, wordRangeAt } from "./document";
+import { SclWorkspaceIndex } from "./workspaceIndex";
+import { ParseResult } from "./parser";
+import { PlcTag } from "./tagTable";
+import { blockLayout, formatOffset, formatSize } from "./memoryLayout";
 
-export class SclHoverProvider implements vscode.HoverProvider {
+const INTERFACE_SECTIONS: [string, string][] = [
+  ["VAR_INPUT", "Inputs"],
+  ["VAR_OUTPUT", "Outputs"],
+  ["VAR_IN_OUT", "In/Out"],
+];
+
+export class SclHoverProvider {
   private lookup: Map<string, SclItem | SclFunction>;
 
-  constructor() {
+  constructor(private index: SclWorkspaceIndex) {
     this.lookup = new Map();
     const allItems: SclItem[] = [
       ...BLOCK_KEYWORDS,
@@ -31,36 +46,147 @@ export class SclHoverProvider implements vscode.HoverProvider {
   }
 
   provideHover(
-    document: vscode.TextDocument,
-    position: vscode.Position
-  ): vscode.Hover | undefined {
-    const range = document.getWordRangeAtPosition(position, /[A-Za-z_][A-Za-z0-9_]*/);
+    document: TextDocument,
+    position: Position
+  ): Hover | undefined {
+    // User-declared variables, blocks and UDTs
+    const result = this.index.parseDocument(document);
+    const symbol = symbolAt(this.index.symbols, document.uri, position.line, position.character);
+    if (symbol) {
+      const md = symbol.declaration.kind === "block"
+        ? this.blockHover(symbol.declaration)
+        : this.variableHover(symbol.declaration);
+      return { contents: markdown(md), range: toRange(symbol.range) };
+    }
+
+    // PLC tags: "Start_PB", %I0.3
+    const tagHover = this.tagHover(result, position);
+    if (tagHover) return tagHover;
+
+    // Built-in keywords, types and system functions
+    const range = wordRangeAt(document, position, /[A-Za-z_][A-Za-z0-9_]*/);
     if (!range) return undefined;
 
     const word = document.getText(range).toUpperCase();
     const item = this.lookup.get(word);
     if (!item) return undefined;
 
-    const md = new vscode.MarkdownString();
-    md.isTrusted = true;
-
+    let md: string;
     if ("parameters" in item) {
       // It's a function
       const fn = item as SclFunction;
       const params = fn.parameters.map((p) => p.label).join(", ");
-      md.appendCodeblock(`${fn.label}(${params}) : ${fn.returnType}`, "scl");
-      md.appendMarkdown(`\n\n${fn.documentation}`);
+      md = codeBlock(`${fn.label}(${params}) : ${fn.returnType}`);
+      md += `\n\n${fn.documentation}`;
       if (fn.parameters.length > 0) {
-        md.appendMarkdown("\n\n**Parameters:**\n");
+        md += "\n\n**Parameters:**\n";
         for (const p of fn.parameters) {
-          md.appendMarkdown(`- \`${p.label}\` - ${p.documentation}\n`);
+          md += `- \`${p.label}\` - ${p.documentation}\n`;
         }
       }
     } else {
-      md.appendCodeblock(item.label, "scl");
-      md.appendMarkdown(`\n\n*${item.detail}*\n\n${item.documentation}`);
+      md = codeBlock(item.label);
+      md += `\n\n*${item.detail}*\n\n${item.documentation}`;
+    }
+
+    return { contents: markdown(md), range };
+  }
+
+  private variableHover(declaration: Declaration): string {
+    const decl = declaration.node as VarDeclaration;
+    let md = codeBlock(declarationText(decl));
+    md += `\n\n**${declaration.section}** of \`${blockTitle(declaration.owner)}\``;
+    md += this.location(declaration);
+    const member = blockLayout(declaration.owner, this.index.symbols)?.members.find(m => m.decl === decl);
+    if (member?.offset !== undefined) {
+      md += `\n\nOffset **${formatOffset(member.offset)}**${member.bits !== undefined ? ` · ${formatSize(member.bits)}` : ""}`;
+    }
+    if (decl.comment) md += `\n\n${decl.comment}`;
+    return md;
+  }
+
+  private blockHover(declaration: Declaration): string {
+    const block = declaration.node as Block;
+    let md = codeBlock(blockTitle(block));
+    md += this.location(declaration);
+    const layout = blockLayout(block, this.index.symbols);
+    if (layout) {
+      if (layout.size !== undefined) md += `\n\nSize **${formatSize(layout.size * 8)}**`;
+      if (layout.problem) md += `\n\n${layout.problem}`;
+    }
+
+    if (block.structType) {
+      return md + memberList("Members", block.structType.members);
+    }
+
+    if (block.blockType === "DATA_BLOCK") {
+      const members = block.sections.flatMap(s => s.declarations);
+      return members.length > 0 ? md + memberList("Members", members) : md;
+    }
+
+    for (const [section, title] of INTERFACE_SECTIONS) {
+      const decls = block.sections.filter(s => s.sectionType === section).flatMap(s => s.declarations);
+      if (decls.length > 0) md += memberList(title, decls);
     }
+    return md;
+  }
+
+  private tagHover(result: ParseResult, position: Position): Hover | undefined {
+    const token = result.tokens.find(t =>
+      (t.kind === "address" || t.kind === "quotedName") &&
+      t.line === position.line && t.col <= position.character && position.character <= t.endCol
+    );
+    if (!token) return undefined;
+    const symbols = this.index.symbols;
+    const range = Range.create(token.line, token.col, token.endLine, token.endCol);
+
+    if (token.kind === "quotedName") {
+      const tag = symbols.findTag(token.value);
+      return tag && { contents: markdown(this.tagText(tag)), range };
+    }
+
+    const exact = symbols.findTagsAt(token.value);
+    if (exact.length > 0) {
+      return { contents: markdown(exact.map(tag => this.tagText(tag)).join("\n\n---\n\n")), range };
+    }
+    const overlapping = symbols.findOverlappingTags(token.value);
+    if (overlapping.length === 0) return undefined;
+    const lines = overlapping.map(t => `- \`"${t.name}"\` ${t.address} : ${t.dataType}${t.comment ? ` - ${t.comment}` : ""}`);
+    return { contents: markdown(`${codeBlock(token.value)}\n\n**Overlapping PLC tags:**\n${lines.join("\n")}\n`), range };
+  }
+
+  private tagText(tag: PlcTag): string {
+    let md = codeBlock(`"${tag.name}" : ${tag.dataType}  // ${tag.address}`);
+    md += `\n\n**PLC tag**${tag.table ? ` in *${tag.table}*` : ""} · *${this.index.relativePath(tag.uri)}*`;
+    if (tag.comment) md += `\n\n${tag.comment}`;
+    return md;
+  }
 
-    return new vscode.Hover(md, range);
+  /** Names the file that declares the symbol. */
+  private location(declaration: Declaration): string {
+    return ` · *${this.index.relativePath(declaration.uri)}*`;
   }
 }
+
+function codeBlock(code: string): string {
+  return "```scl\n" + code + "\n```";
+}
+
+function blockTitle(block: Block): string {
+  const name = block.name ? ` "${block.name}"` : "";
+  const type = block.returnType || block.instanceOf;   // FUNCTION "x" : Real, DATA_BLOCK "x" "FB"
+  if (type && type.kind === "NamedType") {
+    return `${block.blockType}${name} : ${type.quoted ? `"${type.name}"` : type.name}`;
+  }
+  return `${block.blockType}${name}`;
+}
+
+function declarationText(decl: VarDeclaration): string {
+  const init = decl.initializerText ? ` := ${decl.initializerText}` : "";
+  return `${decl.name} : ${decl.typeText}${init}`;
+}
+
+function memberList(title: string, decls: VarDeclaration[]): string {
+  const lines = decls.map(d => `- \`${declarationText(d)}\`${d.comment ? ` - ${d.comment}` : ""}`);
+  return `\n\n**${title}:**\n${lines.join("\n")}\n`;
+}
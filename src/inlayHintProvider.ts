@@ -0,0 +1,228 @@
+/**
+ * SCL Inlay Hint Provider - Parameter names, types, constant values and
+ * byte.bit offsets.
+ *
+ * Each category can be turned off (tia-scl.inlayHints.*):
+ *   - parameterNames: MN:, IN:, MX: in front of positional arguments of
+ *     system functions (LIMIT, SCALE_X, ...) and of FCs and FB instances
+ *   - variableTypes: the type after #references that are operands of an
+ *     operator (#Level: Real > #Limit: Real); off by default
+ *   - constantValues: the value of a VAR CONSTANT where it is used
+ *     (PT := #STARTUP_DELAY = T#5s)
+ *   - memoryOffsets: the offset of every member in UDTs and in DBs and FBs
+ *     with { S7_Optimized_Access := 'FALSE' } in front of its name, and the
+ *     size of the block after the block name (see memoryLayout.ts)
+ */
+
+import { InlayHint, InlayHintKind, Position, Range } from "vscode-languageserver";
+import { TextDocument } from "vscode-languageserver-textdocument";
+import {
+  Block, CallExpression, Expression, SourceRange, VarDeclaration, statementExpressions, walkExpression, walkStatements,
+} from "./ast";
+import { signatureOf } from "./callSignatures";
+import { blockLayout, formatOffset, formatSize } from "./memoryLayout";
+import { Scope, resolveExpression } from "./resolver";
+import { SYSTEM_FUNCTIONS } from "./sclData";
+import { typeOfExpression } from "./typeChecker";
+import { SclWorkspaceIndex } from "./workspaceIndex";
+
+export interface InlayHintSettings {
+  parameterNames: boolean;
+  variableTypes: boolean;
+  constantValues: boolean;
+  memoryOffsets: boolean;
+}
+
+const DEFAULT_SETTINGS: InlayHintSettings = {
+  parameterNames: true,
+  variableTypes: false,
+  constantValues: true,
+  memoryOffsets: true,
+};
+
+/** Longer constant values (array initializers, long strings) are cut off */
+const MAX_VALUE_LENGTH = 24;
+
+export class SclInlayHintProvider {
+  private settings = DEFAULT_SETTINGS;
+  private systemParameters = new Map<string, string[]>();
+
+  constructor(private index: SclWorkspaceIndex) {
+    // "MN: Numeric" → MN; variadic parameters (IN0..INn) get no hint
+    for (const fn of SYSTEM_FUNCTIONS) {
+      this.systemParameters.set(fn.label.toUpperCase(), fn.parameters.map(p => p.label.split(":")[0].trim()));
+    }
+  }
+
+  /** Applies the tia-scl.inlayHints settings; missing or invalid entries keep their default. */
+  setSettings(settings: Partial<Record<keyof InlayHintSettings, unknown>> | undefined): void {
+    const pick = (key: keyof InlayHintSettings) =>
+      typeof settings?.[key] === "boolean" ? settings[key] as boolean : DEFAULT_SETTINGS[key];
+    this.settings = {
+      parameterNames: pick("parameterNames"),
+      variableTypes: pick("variableTypes"),
+      constantValues: pick("constantValues"),
+      memoryOffsets: pick("memoryOffsets"),
+    };
+  }
+
+  provideInlayHints(document: TextDocument, range: Range): InlayHint[] {
+    const result = this.index.parseDocument(document);
+    const hints: InlayHint[] = [];
+    for (const block of result.ast.blocks) {
+      if (!overlaps(block.range, range)) continue;
+      if (this.settings.memoryOffsets) this.layoutHints(block, range, hints);
+      if (block.body) this.codeHints({ uri: document.uri, block }, range, hints);
+    }
+    return hints;
+  }
+
+  // ── Memory layout ────────────────────────────────────────────
+
+  private layoutHints(block: Block, range: Range, hints: InlayHint[]): void {
+    const layout = blockLayout(block, this.index.symbols);
+    if (!layout) return;
+
+    if (layout.size !== undefined) {
+      hints.push({
+        position: Position.create(block.nameRange.end.line, block.nameRange.end.col),
+        label: formatSize(layout.size * 8),
+        kind: InlayHintKind.Type,
+        paddingLeft: true,
+      });
+    }
+    // Instance DBs list the members of their FB or UDT, which are declared elsewhere
+    for (const member of layout.members) {
+      const start = member.decl.nameRange.start;
+      if (member.offset === undefined || !contains(block.range, member.decl.nameRange)) continue;
+      if (start.line < range.start.line || start.line > range.end.line) continue;
+      hints.push({
+        position: Position.create(start.line, start.col),
+        label: formatOffset(member.offset),
+        tooltip: member.bits !== undefined ? formatSize(member.bits) : undefined,
+        paddingRight: true,
+      });
+    }
+  }
+
+  // ── Code ─────────────────────────────────────────────────────
+
+  private codeHints(scope: Scope, range: Range, hints: InlayHint[]): void {
+    const { parameterNames, variableTypes, constantValues } = this.settings;
+    if (!parameterNames && !variableTypes && !constantValues) return;
+
+    const add = (hint: InlayHint) => {
+      if (hint.position.line >= range.start.line && hint.position.line <= range.end.line) hints.push(hint);
+    };
+    walkStatements(scope.block.body ?? [], stmt => {
+      for (const expr of statementExpressions(stmt)) {
+        walkExpression(expr, e => {
+          if (parameterNames && e.kind === "Call") this.parameterHints(scope, e).forEach(add);
+          if (variableTypes && (e.kind === "Binary" || e.kind === "Unary")) {
+            const operands = e.kind === "Binary" ? [e.left, e.right] : [e.operand];
+            for (const operand of operands) {
+              const hint = this.typeHint(scope, operand);
+              if (hint) add(hint);
+            }
+          }
+          if (constantValues && (e.kind === "LocalRef" || e.kind === "Identifier")) {
+            const hint = this.constantHint(scope, e);
+            if (hint) add(hint);
+          }
+        });
+      }
+    });
+  }
+
+  /** MN:, IN:, MX: in front of positional arguments */
+  private parameterHints(scope: Scope, call: CallExpression): InlayHint[] {
+    const positional = call.args.filter(a => a.direction === "positional");
+    if (positional.length === 0) return [];
+
+    const signature = signatureOf(this.index.symbols, scope, call.callee, "");
+    const names = signature
+      ? signature.parameters.map(p => p.name)
+      : call.callee.kind === "Identifier" && !resolveExpression(this.index.symbols, scope, call.callee)
+        ? this.systemParameters.get(call.callee.name.toUpperCase())
+        : undefined;
+    // A single parameter (ABS(x), INT_TO_REAL(x)) needs no name
+    if (!names || names.length < 2) return [];
+
+    const hints: InlayHint[] = [];
+    call.args.forEach((arg, i) => {
+      const name = names[i];
+      if (arg.direction !== "positional" || !name || name.includes("..")) return;
+      // Arguments named like the parameter need no hint: LIMIT(#MN, #IN, #MX)
+      if (referenceName(arg.value)?.toLowerCase() === name.toLowerCase()) return;
+      hints.push({
+        position: Position.create(arg.range.start.line, arg.range.start.col),
+        label: `${name}:`,
+        kind: InlayHintKind.Parameter,
+        paddingRight: true,
+      });
+    });
+    return hints;
+  }
+
+  /** Type after a #reference that is an operand */
+  private typeHint(scope: Scope, operand: Expression): InlayHint | undefined {
+    if (rootOf(operand).kind !== "LocalRef" || this.constantOf(scope, operand)) return undefined;
+    const type = typeOfExpression(this.index.symbols, scope, operand);
+    if (!type) return undefined;
+    return {
+      position: Position.create(operand.range.end.line, operand.range.end.col),
+      label: `: ${type.name}`,
+      kind: InlayHintKind.Type,
+    };
+  }
+
+  /** Value of a VAR CONSTANT where it is used */
+  private constantHint(scope: Scope, expr: Expression): InlayHint | undefined {
+    const decl = this.constantOf(scope, expr);
+    if (!decl?.initializerText) return undefined;
+    const value = decl.initializerText.length > MAX_VALUE_LENGTH
+      ? `${decl.initializerText.substring(0, MAX_VALUE_LENGTH - 1)}…`
+      : decl.initializerText;
+    return {
+      position: Position.create(expr.range.end.line, expr.range.end.col),
+      label: `= ${value}`,
+      tooltip: `${decl.name} : ${decl.typeText} := ${decl.initializerText}`,
+      paddingLeft: true,
+    };
+  }
+
+  private constantOf(scope: Scope, expr: Expression): VarDeclaration | undefined {
+    if (expr.kind !== "LocalRef" && expr.kind !== "Identifier") return undefined;
+    const decl = resolveExpression(this.index.symbols, scope, expr);
+    return decl?.section === "VAR_CONSTANT" ? decl.node as VarDeclaration : undefined;
+  }
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+/** Variable an access path starts with: #Motors for #Motors[#i].Speed */
+function rootOf(expr: Expression): Expression {
+  return expr.kind === "MemberAccess" || expr.kind === "IndexAccess" ? rootOf(expr.object) : expr;
+}
+
+/** Last name of a reference: Speed for #Motor.Speed */
+function referenceName(expr: Expression): string | undefined {
+  switch (expr.kind) {
+    case "LocalRef":
+    case "Identifier":
+    case "GlobalRef":
+      return expr.name;
+    case "MemberAccess":
+      return expr.member;
+    default:
+      return undefined;
+  }
+}
+
+function overlaps(source: SourceRange, range: Range): boolean {
+  return source.start.line <= range.end.line && source.end.line >= range.start.line;
+}
+
+function contains(outer: SourceRange, inner: SourceRange): boolean {
+  return outer.start.offset <= inner.start.offset && inner.end.offset <= outer.end.offset;
+}
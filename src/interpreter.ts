@@ -0,0 +1,1468 @@
+/**
+ * SCL Interpreter - Runs FBs, FCs and OBs offline, cycle by cycle.
+ *
+ * An SclSimulator runs one block of the workspace the way the CPU calls it
+ * from OB1: each cycle executes the code after BEGIN once, with
+ *   - the instance of an FB (statics keep their values between cycles)
+ *   - global DBs, PLC tags and a process image for %I, %Q and %M addresses
+ *   - a simulated clock that advances by the cycle time after every cycle
+ *   - user FB and FC calls, the IEC timers, counters and edge detectors
+ *     (TON, TOF, TP, TONR, CTU, CTD, CTUD, R_TRIG, F_TRIG) and the
+ *     SYSTEM_FUNCTIONS of sclData.ts
+ *
+ * Execution is a generator that yields before every statement, so a caller
+ * can pause between statements; runCycle() simply runs to the end. Errors in
+ * the code (array index out of range, unknown variable, endless loop) throw
+ * a SimulationError with the location of the statement.
+ *
+ * Not simulated: GOTO, references (REF_TO, ^), Variant, Serialize and
+ * absolute DB addresses (%DB1.DBX0.0).
+ */
+
+import {
+  Argument, Block, CallExpression, Expression, SourceRange, Statement,
+} from "./ast";
+import { parseExpression } from "./parser";
+import { SYSTEM_FUNCTIONS } from "./sclData";
+import { IndexedBlock, SymbolIndex } from "./symbolIndex";
+import { AddressArea, parseAddress } from "./tagTable";
+import {
+  ArrayValue, BOOL, DINT, ElementaryType, LREAL, RuntimeMember, RuntimeType, STRING, SimulationError, StructValue, TIME,
+  TypeResolver, Value, constantValue, convertValue, copyValue, defaultValue, elementaryType, formatValue,
+  formatDuration, literalType, literalValue, parseValue, wrapInteger,
+} from "./runtimeValues";
+
+// ─── Types ──────────────────────────────────────────────────────────────────
+
+export interface SimulationOptions {
+  cycleTime?: number;             // Simulated milliseconds per cycle (default 100)
+  maxStatements?: number;         // Statements per cycle before the cycle watchdog fires
+}
+
+/** A statement about to be executed */
+export interface ExecutionPoint {
+  uri: string;
+  block: Block;
+  statement: Statement;
+  depth: number;                  // Call depth; 0 for the block being run
+}
+
+/** Node of the variable tree of a simulated block */
+export interface WatchVariable {
+  name: string;
+  path: string;                   // Accepted by set() and get(): Start, MotorData.Speed, Values[3]
+  section: string;                // Input, Output, InOut, Static, Temp, Constant, Return
+  type: string;
+  value: string;                  // SCL literal: TRUE, 12.5, T#3s, 'text'
+  children?: WatchVariable[];
+}
+
+/** Block being executed, for call stacks */
+export interface CallStackFrame {
+  uri: string;
+  block: string;
+  range?: SourceRange;            // Statement being executed
+}
+
+export interface CycleResult {
+  cycle: number;                  // Number of the cycle (1 = first)
+  time: number;                   // Simulated time at the start of the cycle (ms)
+  outputs: Record<string, Value>; // Outputs, InOuts and the return value after the cycle
+}
+
+type Exec<T> = Generator<ExecutionPoint, T, undefined>;
+type Completion = "normal" | "exit" | "continue" | "return";
+
+/** Storage location: a variable, member, array element, bit slice or address */
+interface Ref {
+  type: RuntimeType;
+  get(): Value;
+  set(value: Value): void;
+}
+
+interface Typed {
+  type: RuntimeType;
+  value: Value;
+}
+
+/** Variables of one VAR section group: an instance, an FC interface, temps or constants */
+interface Scope {
+  values: StructValue;
+  members: RuntimeMember[];
+  constant?: boolean;
+}
+
+interface Frame {
+  uri: string;
+  block: Block;
+  depth: number;
+  scopes: Scope[];                // Searched in order
+  inOuts: Map<string, Ref>;       // VAR_IN_OUT bound to the caller's variables (lowercase)
+  result?: Scope;                 // Return value of an FC
+  statement?: Statement;          // Statement being executed
+}
+
+const DEFAULT_CYCLE_TIME = 100;
+const DEFAULT_MAX_STATEMENTS = 1_000_000;
+const MAX_WATCH_ELEMENTS = 100;
+const PARAMETER_SECTIONS = ["VAR_INPUT", "VAR_OUTPUT", "VAR_IN_OUT"] as const;
+const PROCESS_IMAGE_SIZE = 65536;
+/** RD_SYS_T reads the simulated clock as time elapsed since this date */
+const CLOCK_EPOCH = Date.UTC(2024, 0, 1);
+
+const SECTION_LABELS: Record<string, string> = {
+  VAR_INPUT: "Input",
+  VAR_OUTPUT: "Output",
+  VAR_IN_OUT: "InOut",
+  VAR: "Static",
+  VAR_TEMP: "Temp",
+  VAR_CONSTANT: "Constant",
+};
+const SECTION_ORDER = ["Input", "Output", "InOut", "Static", "Return", "Temp", "Constant"];
+
+const SYSTEM_FUNCTION_NAMES = new Set(SYSTEM_FUNCTIONS.map(f => f.label.toUpperCase()).concat(["MOVE_BLK"]));
+
+// ─── Simulator ──────────────────────────────────────────────────────────────
+
+/** Runs one FB, FC or OB (or an FB through its instance DB) cycle by cycle. */
+export class SclSimulator {
+  /** The FB, FC or OB whose code is run */
+  readonly block: IndexedBlock;
+  /** Cycles run so far */
+  cycle = 0;
+
+  private engine: Interpreter;
+  private root: Scope;
+  private temps: Scope;
+  private result?: Scope;
+  private cycleTime: number;
+
+  constructor(index: SymbolIndex, blockName: string, options: SimulationOptions = {}) {
+    this.engine = new Interpreter(index, options.maxStatements ?? DEFAULT_MAX_STATEMENTS);
+    this.cycleTime = options.cycleTime ?? DEFAULT_CYCLE_TIME;
+    const target = index.findBlock(blockName, ["FUNCTION_BLOCK", "FUNCTION", "ORGANIZATION_BLOCK", "DATA_BLOCK"]);
+    if (!target) throw new SimulationError(`Block "${blockName}" is not in the workspace`);
+
+    const types = this.engine.types;
+    switch (target.type) {
+      case "DATA_BLOCK": {
+        const instanceOf = target.block.instanceOf;
+        const fb = instanceOf?.kind === "NamedType" ? index.findBlock(instanceOf.name, ["FUNCTION_BLOCK"]) : undefined;
+        if (!fb) throw new SimulationError(`"${target.name}" is not an instance DB of an FB`);
+        this.block = fb;
+        const type = types.named(fb.name)!;
+        this.root = { values: this.engine.dataBlock(target).get() as StructValue, members: members(type) };
+        break;
+      }
+      case "FUNCTION_BLOCK": {
+        this.block = target;
+        const type = types.named(target.name);
+        if (!type) throw new SimulationError(`"${target.name}" contains itself as a multi-instance`);
+        this.root = { values: defaultValue(type) as StructValue, members: members(type) };
+        break;
+      }
+      case "FUNCTION": {
+        this.block = target;
+        this.root = this.engine.functionInterface(target.block);
+        this.result = this.engine.returnValue(target.block);
+        break;
+      }
+      default:
+        this.block = target;
+        this.root = { values: defaultValue({ kind: "struct", name: "", members: [] }) as StructValue, members: [] };
+    }
+    this.temps = this.engine.tempScope(this.block.block);
+  }
+
+  /** Simulated time (ms) at the start of the next cycle */
+  get time(): number {
+    return this.engine.time;
+  }
+
+  /**
+   * Runs one cycle, pausing before every statement. The cycle counter and
+   * the clock advance when the generator finishes.
+   */
+  *steps(): Generator<ExecutionPoint, CycleResult, undefined> {
+    // A cycle that failed or was abandoned by the caller leaves its frames behind
+    this.engine.stack.length = 0;
+    this.temps = this.engine.tempScope(this.block.block);
+    const frame = this.frame();
+    const start = this.engine.time;
+    this.engine.statements = 0;
+    yield* this.engine.executeBody(frame);
+    this.cycle++;
+    this.engine.time += this.cycleTime;
+    return { cycle: this.cycle, time: start, outputs: this.outputs() };
+  }
+
+  runCycle(): CycleResult {
+    return drain(this.steps());
+  }
+
+  run(cycles: number): CycleResult[] {
+    const results: CycleResult[] = [];
+    for (let i = 0; i < cycles; i++) results.push(this.runCycle());
+    return results;
+  }
+
+  /** Runs as many cycles as fit into a duration of simulated time (at least one). */
+  runFor(ms: number): CycleResult[] {
+    return this.run(Math.max(1, Math.ceil(ms / this.cycleTime)));
+  }
+
+  /**
+   * Sets a variable: an input (Start), any member path (MotorData.Speed,
+   * Values[2]), a DB member ("DB_Plant".Level), a PLC tag or an address
+   * (%I0.0). Text is parsed as an SCL literal of the variable's type.
+   * While a cycle is paused, frame selects a block of the call stack.
+   */
+  set(path: string, value: Value | string, frame?: number): void {
+    const ref = this.outside(() => drain(this.engine.reference(this.parsePath(path), this.context(frame))));
+    if (typeof value === "string") {
+      const parsed = parseValue(value, ref.type);
+      if (parsed === undefined) throw new SimulationError(`'${value}' is not a valid ${ref.type.name}`);
+      ref.set(parsed);
+    } else {
+      ref.set(value);
+    }
+  }
+
+  /** Value of a variable path or expression (#-less names are the block's variables). */
+  get(path: string): Value {
+    return this.evaluate(path).value;
+  }
+
+  /** Value and type of an expression, formatted as SCL. */
+  format(expression: string, frame?: number): { type: string; value: string } {
+    const { type, value } = this.evaluate(expression, frame);
+    return { type: type.name, value: formatValue(value, type) };
+  }
+
+  /**
+   * Variable tree: interface, statics, the return value, temps of the last
+   * cycle and constants, or those of a block of the paused call stack.
+   */
+  variables(frame?: number): WatchVariable[] {
+    return frameVariables(frame === undefined ? this.frame() : this.context(frame));
+  }
+
+  /** Blocks of a paused or failed cycle, innermost first; empty after a completed cycle */
+  callStack(): CallStackFrame[] {
+    return this.engine.stack
+      .map(f => ({ uri: f.uri, block: f.block.name, range: f.statement?.range }))
+      .reverse();
+  }
+
+  /** Outputs, InOuts and the return value */
+  outputs(): Record<string, Value> {
+    const outputs: Record<string, Value> = {};
+    for (const member of this.root.members) {
+      if (member.section === "VAR_OUTPUT" || member.section === "VAR_IN_OUT") {
+        outputs[member.name] = copyValue(this.root.values.fields.get(member.name.toLowerCase())!);
+      }
+    }
+    if (this.result) {
+      const member = this.result.members[0];
+      outputs[member.name] = copyValue(this.result.values.fields.get(member.name.toLowerCase())!);
+    }
+    return outputs;
+  }
+
+  /** Type and value of an expression over the block's variables, DBs and tags */
+  evaluate(expression: string, frame?: number): { type: RuntimeType; value: Value } {
+    return this.outside(() => drain(this.engine.evaluate(this.parsePath(expression), this.context(frame))));
+  }
+
+  private frame(uri = this.block.uri): Frame {
+    const block = this.block.block;
+    return {
+      uri,
+      block,
+      depth: 0,
+      scopes: [this.temps, this.root, this.engine.constants(block)],
+      inOuts: new Map(),
+      result: this.result,
+    };
+  }
+
+  /** Frame for paths and expressions from outside: a block of the paused call stack (0 = innermost) or the block */
+  private context(frame?: number): Frame {
+    const stack = this.engine.stack;
+    if (frame === undefined || stack.length === 0) return this.frame("");
+    const active = stack[stack.length - 1 - frame];
+    if (!active) throw new SimulationError(`There is no stack frame ${frame}`);
+    return { ...active, uri: "" };
+  }
+
+  /** Errors in a path or expression given from outside (frame uri "") have no location in the block */
+  private outside<T>(fn: () => T): T {
+    try {
+      return fn();
+    } catch (e) {
+      if (e instanceof SimulationError && e.uri === "") throw new SimulationError(e.message);
+      throw e;
+    }
+  }
+
+  private parsePath(path: string): Expression {
+    const expr = parseExpression(path);
+    if (!expr) throw new SimulationError(`'${path}' is not a variable or expression`);
+    return expr;
+  }
+}
+
+/** Runs a block for a number of cycles with fixed inputs and returns the outputs of every cycle. */
+export function runBlock(
+  index: SymbolIndex,
+  blockName: string,
+  options: SimulationOptions & { cycles?: number; inputs?: Record<string, Value | string> } = {}
+): CycleResult[] {
+  const simulator = new SclSimulator(index, blockName, options);
+  for (const [path, value] of Object.entries(options.inputs ?? {})) simulator.set(path, value);
+  return simulator.run(options.cycles ?? 1);
+}
+
+/** Runs a generator to its end, ignoring the pause points. */
+export function drain<T>(exec: Generator<ExecutionPoint, T, undefined>): T {
+  for (;;) {
+    const step = exec.next();
+    if (step.done) return step.value;
+  }
+}
+
+// ─── Interpreter ────────────────────────────────────────────────────────────
+
+class Interpreter {
+  readonly types: TypeResolver;
+  /** Blocks being executed, outermost first */
+  readonly stack: Frame[] = [];
+  /** Simulated clock (ms) */
+  time = 0;
+  /** Statements executed in the current cycle */
+  statements = 0;
+
+  private dataBlocks = new Map<string, Ref>();
+  private constantScopes = new Map<Block, Scope>();
+  private interfaces = new Map<Block, RuntimeMember[]>();
+  private processImage = new Map<AddressArea, Uint8Array>();
+
+  constructor(private index: SymbolIndex, private maxStatements: number) {
+    this.types = new TypeResolver(index);
+  }
+
+  // ── Blocks ────────────────────────────────────────────────────
+
+  /** The DB itself, created with its start values on first access */
+  dataBlock(db: IndexedBlock): Ref {
+    const key = db.name.toLowerCase();
+    let ref = this.dataBlocks.get(key);
+    if (ref) return ref;
+
+    const instanceOf = db.block.instanceOf;
+    const type: RuntimeType = instanceOf?.kind === "NamedType"
+      ? this.types.named(instanceOf.name) ?? { kind: "unknown", name: `"${instanceOf.name}"` }
+      : { kind: "struct", name: `"${db.name}"`, members: this.types.sections(db.block, ["VAR"]) };
+    if (type.kind === "unknown") throw new SimulationError(`The type ${type.name} of "${db.name}" is not in the workspace`);
+    const values = defaultValue(type) as StructValue;
+    ref = { type, get: () => values, set: value => copyFields(values, value) };
+    this.dataBlocks.set(key, ref);
+
+    // Start values: name := value; after BEGIN
+    const statements = this.statements;
+    drain(this.execute(db.block.body ?? [], {
+      uri: db.uri, block: db.block, depth: 0, scopes: [{ values, members: members(type) }], inOuts: new Map(),
+    }));
+    this.statements = statements;
+    return ref;
+  }
+
+  /** Fresh VAR_INPUT, VAR_OUTPUT and VAR_IN_OUT of an FC */
+  functionInterface(block: Block): Scope {
+    let interfaceMembers = this.interfaces.get(block);
+    if (!interfaceMembers) {
+      interfaceMembers = this.types.sections(block, [...PARAMETER_SECTIONS]);
+      this.interfaces.set(block, interfaceMembers);
+    }
+    return { values: structOf(interfaceMembers), members: interfaceMembers };
+  }
+
+  /** Return value of an FC, or undefined for Void */
+  returnValue(block: Block): Scope | undefined {
+    const returnType = block.returnType;
+    if (!returnType || returnType.kind === "NamedType" && returnType.name.toUpperCase() === "VOID") return undefined;
+    const member: RuntimeMember = { name: "Ret_Val", type: this.types.resolve(returnType) };
+    return { values: structOf([member]), members: [member] };
+  }
+
+  tempScope(block: Block): Scope {
+    const temps = this.types.sections(block, ["VAR_TEMP"]);
+    return { values: structOf(temps), members: temps };
+  }
+
+  constants(block: Block): Scope {
+    let scope = this.constantScopes.get(block);
+    if (!scope) {
+      const constants = this.types.sections(block, ["VAR_CONSTANT"]);
+      scope = { values: structOf(constants), members: constants, constant: true };
+      this.constantScopes.set(block, scope);
+    }
+    return scope;
+  }
+
+  // ── Statements ────────────────────────────────────────────────
+
+  *executeBody(frame: Frame): Exec<void> {
+    // Frames stay on the stack when a statement fails, to inspect the error
+    this.stack.push(frame);
+    yield* this.execute(frame.block.body ?? [], frame);
+    this.stack.pop();
+  }
+
+  *execute(statements: Statement[], frame: Frame): Exec<Completion> {
+    for (const statement of statements) {
+      if (statement.kind === "Empty") continue;
+      if (statement.kind !== "Region") {
+        frame.statement = statement;
+        this.count(statement, frame);
+        yield { uri: frame.uri, block: frame.block, statement, depth: frame.depth };
+      }
+      const completion = yield* this.statement(statement, frame);
+      if (completion !== "normal") return completion;
+    }
+    return "normal";
+  }
+
+  private *statement(statement: Statement, frame: Frame): Exec<Completion> {
+    switch (statement.kind) {
+      case "Assignment": {
+        const target = yield* this.reference(statement.target, frame);
+        let value = yield* this.evaluate(statement.value, frame);
+        if (statement.operator === "?=") throw this.error("Assignment attempts (?=) are not simulated", frame, statement.range);
+        if (statement.operator !== ":=") {
+          value = this.binary(statement.operator[0], { type: target.type, value: target.get() }, value, frame, statement.range);
+        }
+        this.assign(target, value, frame, statement.range);
+        return "normal";
+      }
+      case "CallStatement":
+        if (statement.call.kind !== "Call") throw this.error("Expected a call", frame, statement.range);
+        yield* this.call(statement.call, frame);
+        return "normal";
+      case "If":
+        for (const branch of statement.branches) {
+          if (yield* this.condition(branch.condition, frame)) return yield* this.execute(branch.body, frame);
+        }
+        return statement.elseBody ? yield* this.execute(statement.elseBody, frame) : "normal";
+      case "Case": {
+        const selector = yield* this.evaluate(statement.selector, frame);
+        for (const branch of statement.branches) {
+          for (const label of branch.labels) {
+            if (yield* this.matches(selector.value, label, frame)) return yield* this.execute(branch.body, frame);
+          }
+        }
+        return statement.elseBody ? yield* this.execute(statement.elseBody, frame) : "normal";
+      }
+      case "For": {
+        const variable = yield* this.reference(statement.variable, frame);
+        variable.set((yield* this.evaluate(statement.start, frame)).value);
+        const end = Number((yield* this.evaluate(statement.end, frame)).value);
+        const step = statement.step ? Number((yield* this.evaluate(statement.step, frame)).value) : 1;
+        while (step >= 0 ? Number(variable.get()) <= end : Number(variable.get()) >= end) {
+          this.count(statement, frame);
+          const completion = yield* this.execute(statement.body, frame);
+          if (completion === "exit") break;
+          if (completion === "return") return completion;
+          variable.set(Number(variable.get()) + step);
+        }
+        return "normal";
+      }
+      case "While":
+        while (yield* this.condition(statement.condition, frame)) {
+          this.count(statement, frame);
+          const completion = yield* this.execute(statement.body, frame);
+          if (completion === "exit") break;
+          if (completion === "return") return completion;
+        }
+        return "normal";
+      case "Repeat":
+        for (;;) {
+          this.count(statement, frame);
+          const completion = yield* this.execute(statement.body, frame);
+          if (completion === "exit") break;
+          if (completion === "return") return completion;
+          if (yield* this.condition(statement.condition, frame)) break;
+        }
+        return "normal";
+      case "Region":
+        return yield* this.execute(statement.body, frame);
+      case "Jump":
+        switch (statement.keyword) {
+          case "EXIT": return "exit";
+          case "CONTINUE": return "continue";
+          case "RETURN": return "return";
+          default: throw this.error("GOTO is not simulated", frame, statement.range);
+        }
+      case "Empty":
+        return "normal";
+    }
+  }
+
+  /** Cycle watchdog; loops count every iteration so that empty loops are caught too */
+  private count(statement: Statement, frame: Frame): void {
+    if (++this.statements > this.maxStatements) {
+      throw this.error(`Cycle watchdog: more than ${this.maxStatements} statements in one cycle`, frame, statement.range);
+    }
+  }
+
+  private *condition(expr: Expression, frame: Frame): Exec<boolean> {
+    const { value } = yield* this.evaluate(expr, frame);
+    if (typeof value !== "boolean") throw this.error("The condition is not a Bool", frame, expr.range);
+    return value;
+  }
+
+  private *matches(selector: Value, label: Expression, frame: Frame): Exec<boolean> {
+    if (label.kind === "Range") {
+      const low = (yield* this.evaluate(label.low, frame)).value;
+      const high = (yield* this.evaluate(label.high, frame)).value;
+      return Number(low) <= Number(selector) && Number(selector) <= Number(high);
+    }
+    return (yield* this.evaluate(label, frame)).value === selector;
+  }
+
+  private assign(target: Ref, source: Typed, frame: Frame, range: SourceRange): void {
+    if (isStructured(target.type) !== isStructured(source.type) && source.type.kind !== "unknown" && target.type.kind !== "unknown") {
+      throw this.error(`Cannot assign ${source.type.name} to ${target.type.name}`, frame, range);
+    }
+    target.set(source.value);
+  }
+
+  // ── References ────────────────────────────────────────────────
+
+  /** Resolves an expression that denotes a storage location. */
+  *reference(expr: Expression, frame: Frame): Exec<Ref> {
+    switch (expr.kind) {
+      case "Paren":
+        return yield* this.reference(expr.expression, frame);
+      case "LocalRef":
+        return this.variable(expr.name, frame) ?? this.fail(`Unknown variable #${expr.name}`, frame, expr.range);
+      case "Identifier":
+        return this.variable(expr.name, frame) ?? this.global(expr.name) ?? this.fail(`Unknown name ${expr.name}`, frame, expr.range);
+      case "GlobalRef":
+        return this.global(expr.name) ?? this.fail(`"${expr.name}" is neither a DB nor a PLC tag of the workspace`, frame, expr.range);
+      case "AddressRef":
+        return this.address(expr.address, undefined, frame, expr.range);
+      case "MemberAccess": {
+        const object = yield* this.reference(expr.object, frame);
+        if (expr.member.startsWith("%")) return this.slice(object, expr.member, frame, expr.range);
+        const type = object.type;
+        if (type.kind !== "struct" && type.kind !== "instance" && type.kind !== "system") {
+          throw this.error(`${type.name} has no member ${expr.member}`, frame, expr.memberRange);
+        }
+        const member = findMember(members(type), expr.member);
+        if (!member) throw this.error(`${type.name} has no member ${expr.member}`, frame, expr.memberRange);
+        return fieldRef(object.get() as StructValue, member);
+      }
+      case "IndexAccess": {
+        const object = yield* this.reference(expr.object, frame);
+        const type = object.type;
+        if (type.kind !== "array") throw this.error(`${type.name} is not an array`, frame, expr.object.range);
+        if (expr.indices.length !== type.dimensions.length) {
+          throw this.error(`${type.name} needs ${type.dimensions.length} index(es)`, frame, expr.range);
+        }
+        let offset = 0;
+        for (let i = 0; i < expr.indices.length; i++) {
+          const index = Number((yield* this.evaluate(expr.indices[i], frame)).value);
+          const [low, high] = type.dimensions[i];
+          if (!Number.isInteger(index) || index < low || index > high) {
+            throw this.error(`Index ${index} is outside [${low}..${high}]`, frame, expr.indices[i].range);
+          }
+          offset = offset * (high - low + 1) + index - low;
+        }
+        const array = object.get() as ArrayValue;
+        return {
+          type: type.element,
+          get: () => array.elements[offset],
+          set: value => { array.elements[offset] = convertValue(value, type.element); },
+        };
+      }
+      default:
+        throw this.error("Not a variable", frame, expr.range);
+    }
+  }
+
+  private variable(name: string, frame: Frame): Ref | undefined {
+    const key = name.toLowerCase();
+    const bound = frame.inOuts.get(key);
+    if (bound) return bound;
+    for (const scope of frame.scopes) {
+      const member = findMember(scope.members, name);
+      if (member) return scope.constant ? constantRef(scope.values, member) : fieldRef(scope.values, member);
+    }
+    // #FC_Name := ... sets the return value
+    if (frame.result && (key === frame.block.name.toLowerCase() || key === "ret_val")) {
+      return fieldRef(frame.result.values, frame.result.members[0]);
+    }
+    return undefined;
+  }
+
+  private global(name: string): Ref | undefined {
+    const db = this.index.findBlock(name, ["DATA_BLOCK"]);
+    if (db) return this.dataBlock(db);
+    const tag = this.index.findTag(name);
+    if (!tag) return undefined;
+    return this.address(tag.address, elementaryType(tag.dataType));
+  }
+
+  /** %I0.0, %QW4, %MD100 in the process image (big-endian like the CPU) */
+  private address(address: string, type: RuntimeType | undefined, frame?: Frame, range?: SourceRange): Ref {
+    const location = parseAddress(address);
+    if (!location) {
+      const message = `The address ${address} is not simulated (only %I, %Q and %M)`;
+      throw frame && range ? this.error(message, frame, range) : new SimulationError(message);
+    }
+    let memory = this.processImage.get(location.area);
+    if (!memory) {
+      memory = new Uint8Array(PROCESS_IMAGE_SIZE);
+      this.processImage.set(location.area, memory);
+    }
+    const view = new DataView(memory.buffer);
+    const byte = Math.floor(location.start / 8);
+    const bits = location.bits;
+    const addressType = type?.kind === "elementary" && (type.bits === bits || bits === 1) ? type : addressTypeOf(bits);
+
+    if (bits === 1) {
+      const mask = 1 << (location.start % 8);
+      return {
+        type: BOOL,
+        get: () => (memory![byte] & mask) !== 0,
+        set: value => { memory![byte] = convertValue(value, BOOL) ? memory![byte] | mask : memory![byte] & ~mask; },
+      };
+    }
+    const real = addressType.category === "real";
+    return {
+      type: addressType,
+      get: () => {
+        const raw = real
+          ? bits === 32 ? view.getFloat32(byte) : view.getFloat64(byte)
+          : readUnsigned(view, byte, bits);
+        return convertValue(raw, addressType);
+      },
+      set: value => {
+        const converted = Number(convertValue(value, addressType));
+        if (real) {
+          if (bits === 32) view.setFloat32(byte, converted); else view.setFloat64(byte, converted);
+        } else {
+          writeUnsigned(view, byte, bits, wrapInteger(converted, bits, false));
+        }
+      },
+    };
+  }
+
+  /** #word.%X3, #dword.%B1, #lword.%W0 */
+  private slice(object: Ref, member: string, frame: Frame, range: SourceRange): Ref {
+    const match = /^%([XBWD])(\d+)$/.exec(member);
+    const type = object.type;
+    if (!match || type.kind !== "elementary" || (type.category !== "bits" && type.category !== "int")) {
+      throw this.error(`Invalid slice ${member}`, frame, range);
+    }
+    const size = ({ X: 1, B: 8, W: 16, D: 32 } as Record<string, number>)[match[1]];
+    const index = Number(match[2]);
+    if ((index + 1) * size > type.bits) throw this.error(`${type.name} has no slice ${member}`, frame, range);
+    const shift = index * size;
+    const mask = size === 32 ? 0xFFFFFFFF : (1 << size) - 1;
+    const sliceType = size === 1 ? BOOL : addressTypeOf(size);
+    return {
+      type: sliceType,
+      get: () => {
+        const bits = Math.floor(wrapInteger(Number(object.get()), type.bits, false) / 2 ** shift) % 2 ** size;
+        return size === 1 ? bits === 1 : bits;
+      },
+      set: value => {
+        const whole = wrapInteger(Number(object.get()), type.bits, false);
+        const part = Number(convertValue(value, sliceType)) & mask;
+        const cleared = whole - (Math.floor(whole / 2 ** shift) % 2 ** size) * 2 ** shift;
+        object.set(wrapInteger(cleared + (part >>> 0) * 2 ** shift, type.bits, type.signed));
+      },
+    };
+  }
+
+  // ── Expressions ───────────────────────────────────────────────
+
+  *evaluate(expr: Expression, frame: Frame): Exec<Typed> {
+    switch (expr.kind) {
+      case "Literal": {
+        const value = literalValue(expr);
+        if (value === undefined) throw this.error(`Invalid literal ${expr.text}`, frame, expr.range);
+        const type = literalType(expr);
+        return { type, value: type.kind === "elementary" && !type.literal ? convertValue(value, type) : value };
+      }
+      case "Paren":
+        return yield* this.evaluate(expr.expression, frame);
+      case "Unary": {
+        const operand = yield* this.evaluate(expr.operand, frame);
+        return this.unary(expr.operator, operand, frame, expr.range);
+      }
+      case "Binary": {
+        const left = yield* this.evaluate(expr.left, frame);
+        const right = yield* this.evaluate(expr.right, frame);
+        return this.binary(expr.operator, left, right, frame, expr.range);
+      }
+      case "Call": {
+        const result = yield* this.call(expr, frame);
+        if (!result) throw this.error("The call returns no value", frame, expr.range);
+        return result;
+      }
+      case "LocalRef":
+      case "Identifier":
+      case "GlobalRef":
+      case "AddressRef":
+      case "MemberAccess":
+      case "IndexAccess": {
+        const ref = yield* this.reference(expr, frame);
+        return { type: ref.type, value: ref.get() };
+      }
+      default:
+        throw this.error("This expression is not simulated", frame, expr.range);
+    }
+  }
+
+  private unary(operator: string, operand: Typed, frame: Frame, range: SourceRange): Typed {
+    const { type, value } = operand;
+    if (operator === "NOT") {
+      if (typeof value === "boolean") return { type: BOOL, value: !value };
+      if (type.kind === "elementary" && (type.category === "bits" || type.category === "int")) {
+        return { type, value: wrapInteger(-Number(value) - 1, type.bits, type.signed) };
+      }
+      throw this.error(`NOT cannot be applied to ${type.name}`, frame, range);
+    }
+    if (typeof value !== "number") throw this.error(`${operator} cannot be applied to ${type.name}`, frame, range);
+    const result = operator === "-" ? -value : value;
+    return { type, value: type.kind === "elementary" && !type.literal && type.category !== "real" ? wrapInteger(result, type.bits, type.signed) : result };
+  }
+
+  private binary(operator: string, left: Typed, right: Typed, frame: Frame, range: SourceRange): Typed {
+    const l = left.value;
+    const r = right.value;
+    switch (operator) {
+      case "=": return { type: BOOL, value: l === r };
+      case "<>": return { type: BOOL, value: l !== r };
+      case "<": return { type: BOOL, value: l < r };
+      case ">": return { type: BOOL, value: l > r };
+      case "<=": return { type: BOOL, value: l <= r };
+      case ">=": return { type: BOOL, value: l >= r };
+      case "AND": case "OR": case "XOR":
+        if (typeof l === "boolean" && typeof r === "boolean") {
+          return { type: BOOL, value: operator === "AND" ? l && r : operator === "OR" ? l || r : l !== r };
+        }
+        if (typeof l === "number" && typeof r === "number") {
+          const type = arithmeticType(left.type, right.type);
+          const bits = type.kind === "elementary" ? type.bits : 32;
+          const a = BigInt.asUintN(bits, BigInt(Math.trunc(l)));
+          const b = BigInt.asUintN(bits, BigInt(Math.trunc(r)));
+          const result = operator === "AND" ? a & b : operator === "OR" ? a | b : a ^ b;
+          return { type, value: convertValue(Number(result), type) };
+        }
+        throw this.error(`${operator} cannot combine ${left.type.name} and ${right.type.name}`, frame, range);
+    }
+
+    if (typeof l !== "number" || typeof r !== "number") {
+      throw this.error(`${operator} cannot combine ${left.type.name} and ${right.type.name}`, frame, range);
+    }
+    const type = operator === "**" ? LREAL : arithmeticType(left.type, right.type);
+    const integer = type.kind === "elementary" && type.category !== "real";
+    let value: number;
+    switch (operator) {
+      case "+": value = l + r; break;
+      case "-": value = l - r; break;
+      case "*": value = l * r; break;
+      // Division by zero does not stop the CPU; integers give 0, Reals +/-Inf or NaN
+      case "/": value = integer ? (r === 0 ? 0 : Math.trunc(l / r)) : l / r; break;
+      case "MOD": value = r === 0 ? 0 : l % r; break;
+      case "**": value = l ** r; break;
+      default: throw this.error(`Unknown operator ${operator}`, frame, range);
+    }
+    if (type.kind === "elementary" && type.literal) return { type, value };
+    return { type, value: convertValue(value, type) };
+  }
+
+  // ── Calls ─────────────────────────────────────────────────────
+
+  /** Calls an FC, an FB instance, a system FB instance or a system function. */
+  private *call(call: CallExpression, frame: Frame): Exec<Typed | undefined> {
+    const callee = call.callee;
+    if (callee.kind === "GlobalRef" || callee.kind === "Identifier") {
+      // A variable named like a function (Len : Int for LEN) is not what is called
+      const local = callee.kind === "Identifier" ? this.variable(callee.name, frame) : undefined;
+      if (local && (local.type.kind === "instance" || local.type.kind === "system")) {
+        return yield* this.callInstance(local, call, frame);
+      }
+      const target = this.index.findBlock(callee.name, ["FUNCTION", "DATA_BLOCK", "FUNCTION_BLOCK"]);
+      if (target?.type === "FUNCTION") return yield* this.callFunction(target, call, frame);
+      if (target?.type === "DATA_BLOCK") return yield* this.callInstance(this.dataBlock(target), call, frame);
+      if (target) throw this.error(`"${target.name}" is called through an instance`, frame, callee.range);
+      if (callee.kind === "Identifier") return yield* this.systemFunction(callee.name.toUpperCase(), call, frame);
+      throw this.error(`"${callee.name}" is not a block of the workspace`, frame, callee.range);
+    }
+    return yield* this.callInstance(yield* this.reference(callee, frame), call, frame);
+  }
+
+  private *callInstance(instance: Ref, call: CallExpression, frame: Frame): Exec<undefined> {
+    const type = instance.type;
+    if (type.kind !== "instance" && type.kind !== "system") {
+      throw this.error(`${type.name} is not an FB instance`, frame, call.callee.range);
+    }
+    const values = instance.get() as StructValue;
+    const inOuts = new Map<string, Ref>();
+    const positional = type.members.filter(m => m.section === undefined || m.section === "VAR_INPUT");
+    let next = 0;
+    for (const arg of call.args) {
+      if (arg.direction === "output") continue;
+      const member = arg.name ? findMember(type.members, arg.name) : positional[next++];
+      if (!member || member.section === "VAR_OUTPUT" || member.section === "VAR") {
+        throw this.error(arg.name ? `${type.name} has no input ${arg.name}` : `Too many arguments for ${type.name}`, frame, arg.range);
+      }
+      if (member.section === "VAR_IN_OUT") {
+        inOuts.set(member.name.toLowerCase(), yield* this.reference(arg.value, frame));
+      } else {
+        fieldRef(values, member).set((yield* this.evaluate(arg.value, frame)).value);
+      }
+    }
+
+    if (type.kind === "system") {
+      this.systemBlock(type.name, values);
+    } else {
+      const callee: Frame = {
+        uri: type.uri,
+        block: type.block,
+        depth: frame.depth + 1,
+        scopes: [this.tempScope(type.block), { values, members: type.members }, this.constants(type.block)],
+        inOuts,
+      };
+      yield* this.executeBody(callee);
+    }
+    yield* this.outputs(call.args, type.members, values, frame);
+    return undefined;
+  }
+
+  private *callFunction(target: IndexedBlock, call: CallExpression, frame: Frame): Exec<Typed | undefined> {
+    const parameters = this.functionInterface(target.block);
+    const inOuts = new Map<string, Ref>();
+    const positional = parameters.members.filter(m => m.section !== "VAR_OUTPUT");
+    let next = 0;
+    for (const arg of call.args) {
+      if (arg.direction === "output") continue;
+      const member = arg.name ? findMember(parameters.members, arg.name) : positional[next++];
+      if (!member || member.section === "VAR_OUTPUT") {
+        throw this.error(arg.name ? `"${target.name}" has no input ${arg.name}` : `Too many arguments for "${target.name}"`, frame, arg.range);
+      }
+      if (member.section === "VAR_IN_OUT") {
+        inOuts.set(member.name.toLowerCase(), yield* this.reference(arg.value, frame));
+      } else {
+        fieldRef(parameters.values, member).set((yield* this.evaluate(arg.value, frame)).value);
+      }
+    }
+
+    const result = this.returnValue(target.block);
+    const callee: Frame = {
+      uri: target.uri,
+      block: target.block,
+      depth: frame.depth + 1,
+      scopes: [this.tempScope(target.block), parameters, this.constants(target.block)],
+      inOuts,
+      result,
+    };
+    yield* this.executeBody(callee);
+    yield* this.outputs(call.args, parameters.members, parameters.values, frame);
+    if (!result) return undefined;
+    const member = result.members[0];
+    return { type: member.type, value: result.values.fields.get(member.name.toLowerCase())! };
+  }
+
+  /** Q => #target: copies outputs of the callee to the caller */
+  private *outputs(args: Argument[], calleeMembers: RuntimeMember[], values: StructValue, frame: Frame): Exec<void> {
+    for (const arg of args) {
+      if (arg.direction !== "output" || !arg.name) continue;
+      const member = findMember(calleeMembers, arg.name);
+      if (!member) throw this.error(`Unknown output ${arg.name}`, frame, arg.range);
+      const target = yield* this.reference(arg.value, frame);
+      target.set(values.fields.get(member.name.toLowerCase())!);
+    }
+  }
+
+  /** IEC timers, counters and edge detectors against the simulated clock */
+  private systemBlock(name: string, values: StructValue): void {
+    const f = values.fields;
+    const s = values.state;
+    const now = this.time;
+    const bool = (key: string) => f.get(key) === true;
+    const number = (key: string) => Number(f.get(key) ?? 0);
+
+    switch (name) {
+      case "TON":
+      case "IEC_TIMER": {
+        if (bool("in")) {
+          if (!s.prevIn) s.start = now;
+          const elapsed = Math.min(now - Number(s.start), number("pt"));
+          f.set("et", elapsed);
+          f.set("q", elapsed >= number("pt"));
+        } else {
+          f.set("et", 0);
+          f.set("q", false);
+        }
+        s.prevIn = bool("in");
+        break;
+      }
+      case "TOF": {
+        if (bool("in")) {
+          s.running = false;
+          f.set("et", 0);
+          f.set("q", true);
+        } else {
+          if (s.prevIn) {
+            s.start = now;
+            s.running = true;
+          }
+          if (s.running) {
+            const elapsed = Math.min(now - Number(s.start), number("pt"));
+            f.set("et", elapsed);
+            f.set("q", elapsed < number("pt"));
+            if (elapsed >= number("pt")) s.running = false;
+          } else {
+            f.set("q", false);
+          }
+        }
+        s.prevIn = bool("in");
+        break;
+      }
+      case "TP": {
+        if (!s.running && bool("in") && !s.prevIn) {
+          s.start = now;
+          s.running = true;
+        }
+        if (s.running) {
+          const elapsed = Math.min(now - Number(s.start), number("pt"));
+          f.set("et", elapsed);
+          s.running = elapsed < number("pt");
+          f.set("q", s.running);
+        } else {
+          f.set("q", false);
+          if (!bool("in")) f.set("et", 0);
+        }
+        s.prevIn = bool("in");
+        break;
+      }
+      case "TONR": {
+        if (bool("r")) {
+          s.accumulated = 0;
+          s.start = now;
+          f.set("et", 0);
+        } else if (bool("in")) {
+          if (!s.prevIn) s.start = now;
+          f.set("et", Math.min(Number(s.accumulated ?? 0) + now - Number(s.start), number("pt")));
+        } else if (s.prevIn) {
+          s.accumulated = number("et");
+        }
+        f.set("q", number("et") >= number("pt") && !bool("r"));
+        s.prevIn = bool("in");
+        break;
+      }
+      case "CTU":
+      case "CTD":
+      case "CTUD":
+      case "IEC_COUNTER": {
+        const up = bool("cu") && !s.prevCu;
+        const down = bool("cd") && !s.prevCd;
+        let cv = number("cv");
+        if (name !== "CTD" && bool("r")) cv = 0;
+        else if (name !== "CTU" && bool("ld")) cv = number("pv");
+        else {
+          if (up && cv < 32767) cv++;
+          if (down && cv > -32768) cv--;
+        }
+        f.set("cv", cv);
+        if (name === "CTU") f.set("q", cv >= number("pv"));
+        else if (name === "CTD") f.set("q", cv <= 0);
+        else {
+          f.set("qu", cv >= number("pv"));
+          f.set("qd", cv <= 0);
+        }
+        s.prevCu = bool("cu");
+        s.prevCd = bool("cd");
+        break;
+      }
+      case "R_TRIG":
+        f.set("q", bool("clk") && !s.memory);
+        s.memory = bool("clk");
+        break;
+      case "F_TRIG":
+        f.set("q", !bool("clk") && s.memory === true);
+        s.memory = bool("clk");
+        break;
+    }
+  }
+
+  // ── System functions ──────────────────────────────────────────
+
+  private *systemFunction(name: string, call: CallExpression, frame: Frame): Exec<Typed | undefined> {
+    const args = new SystemArguments(call, frame, this);
+    const conversion = /^(\w+?)_TO_(\w+)$/.exec(name);
+    if (conversion) {
+      const target = name.endsWith("_TO_STRING") || name.endsWith("_TO_WSTRING") ? STRING : elementaryType(conversion[2]);
+      const source = yield* args.value(0, "IN");
+      if (!target) throw this.error(`Unknown conversion ${name}`, frame, call.range);
+      return { type: target, value: convertTo(source, target) };
+    }
+    if (!SYSTEM_FUNCTION_NAMES.has(name)) {
+      throw this.error(`${name} is not a system function the simulator supports`, frame, call.callee.range);
+    }
+
+    switch (name) {
+      case "ABS": {
+        const x = yield* args.value(0, "IN");
+        return { type: x.type, value: Math.abs(Number(x.value)) };
+      }
+      case "SQR": case "SQRT": case "EXP": case "LN": case "LOG":
+      case "SIN": case "COS": case "TAN": case "ASIN": case "ACOS": case "ATAN": {
+        const x = yield* args.value(0, "IN");
+        const type = x.type.kind === "elementary" && x.type.category === "real" && !x.type.literal ? x.type : elementaryType("Real")!;
+        return { type, value: convertValue(MATH[name](Number(x.value)), type) };
+      }
+      case "ROUND": case "TRUNC": case "CEIL": case "FLOOR": {
+        const x = Number((yield* args.value(0, "IN")).value);
+        const value = name === "ROUND" ? roundHalfEven(x) : name === "TRUNC" ? Math.trunc(x) : name === "CEIL" ? Math.ceil(x) : Math.floor(x);
+        return { type: DINT, value: convertValue(value, DINT) };
+      }
+      case "MAX": case "MIN": {
+        const values = yield* args.list("IN", 1);
+        if (values.length < 2) throw this.error(`${name} needs at least two values`, frame, call.range);
+        const type = values.map(v => v.type).reduce(arithmeticType);
+        const numbers = values.map(v => Number(v.value));
+        return { type, value: name === "MAX" ? Math.max(...numbers) : Math.min(...numbers) };
+      }
+      case "LIMIT": {
+        const mn = yield* args.value(0, "MN");
+        const x = yield* args.value(1, "IN");
+        const mx = yield* args.value(2, "MX");
+        const type = [mn.type, x.type, mx.type].reduce(arithmeticType);
+        return { type, value: Math.min(Math.max(Number(x.value), Number(mn.value)), Number(mx.value)) };
+      }
+      case "SEL": {
+        const g = yield* args.value(0, "G");
+        const in0 = yield* args.value(1, "IN0");
+        const in1 = yield* args.value(2, "IN1");
+        return g.value === true ? in1 : in0;
+      }
+      case "MUX": {
+        const k = Number((yield* args.value(0, "K")).value);
+        const inputs = yield* args.list("IN", 0, 1);
+        if (k >= 0 && k < inputs.length) return inputs[k];
+        if (args.has("ELSE")) return yield* args.value(-1, "ELSE");
+        throw this.error(`MUX selector ${k} has no input`, frame, call.range);
+      }
+      case "NORM_X": {
+        const min = Number((yield* args.value(0, "MIN")).value);
+        const value = Number((yield* args.value(1, "VALUE")).value);
+        const max = Number((yield* args.value(2, "MAX")).value);
+        const type = elementaryType("Real")!;
+        return { type, value: convertValue((value - min) / (max - min), type) };
+      }
+      case "SCALE_X": {
+        const min = yield* args.value(0, "MIN");
+        const value = Number((yield* args.value(1, "VALUE")).value);
+        const max = yield* args.value(2, "MAX");
+        const type = arithmeticType(min.type, max.type);
+        return { type, value: convertValue(value * (Number(max.value) - Number(min.value)) + Number(min.value), type) };
+      }
+      case "LEN":
+        return { type: elementaryType("Int")!, value: String((yield* args.value(0, "IN")).value).length };
+      case "LEFT": case "RIGHT": {
+        const text = String((yield* args.value(0, "IN")).value);
+        const length = Math.max(0, Number((yield* args.value(1, "L")).value));
+        return { type: STRING, value: name === "LEFT" ? text.substring(0, length) : text.substring(Math.max(0, text.length - length)) };
+      }
+      case "MID": {
+        const text = String((yield* args.value(0, "IN")).value);
+        const length = Number((yield* args.value(1, "L")).value);
+        const position = Number((yield* args.value(2, "P")).value);
+        return { type: STRING, value: text.substr(Math.max(0, position - 1), Math.max(0, length)) };
+      }
+      case "CONCAT": {
+        const parts = yield* args.list("IN", 1);
+        return { type: STRING, value: parts.map(p => String(p.value)).join("") };
+      }
+      case "FIND": {
+        const text = String((yield* args.value(0, "IN1")).value);
+        const search = String((yield* args.value(1, "IN2")).value);
+        return { type: elementaryType("Int")!, value: text.indexOf(search) + 1 };
+      }
+      case "DELETE": {
+        const text = String((yield* args.value(0, "IN")).value);
+        const length = Number((yield* args.value(1, "L")).value);
+        const position = Number((yield* args.value(2, "P")).value);
+        return { type: STRING, value: text.substring(0, position - 1) + text.substring(position - 1 + length) };
+      }
+      case "INSERT": {
+        const text = String((yield* args.value(0, "IN1")).value);
+        const insert = String((yield* args.value(1, "IN2")).value);
+        const position = Number((yield* args.value(2, "P")).value);
+        return { type: STRING, value: text.substring(0, position) + insert + text.substring(position) };
+      }
+      case "REPLACE": {
+        const text = String((yield* args.value(0, "IN1")).value);
+        const replacement = String((yield* args.value(1, "IN2")).value);
+        const length = Number((yield* args.value(2, "L")).value);
+        const position = Number((yield* args.value(3, "P")).value);
+        return { type: STRING, value: text.substring(0, position - 1) + replacement + text.substring(position - 1 + length) };
+      }
+      case "MOVE": {
+        const value = yield* args.value(0, "IN");
+        const out = yield* args.target("OUT");
+        if (out) out.set(value.value);
+        return value;
+      }
+      case "FILL_BLK": case "MOVE_BLK": case "UMOVE_BLK": {
+        const count = Number((yield* args.value(1, "COUNT")).value);
+        const out = yield* args.element("OUT", 2);
+        if (name === "FILL_BLK") {
+          const value = (yield* args.value(0, "IN")).value;
+          for (let i = 0; i < count; i++) out.set(i, value);
+        } else {
+          const source = yield* args.element("IN", 0);
+          for (let i = 0; i < count; i++) out.set(i, source.get(i));
+        }
+        return undefined;
+      }
+      case "RD_SYS_T": {
+        const out = yield* args.target("OUT", 0);
+        if (out) out.set(CLOCK_EPOCH + this.time);
+        return { type: elementaryType("Int")!, value: 0 };
+      }
+      case "RUNTIME": {
+        const memory = yield* args.target("MEM", 0);
+        const now = this.time / 1000;
+        const elapsed = memory ? now - Number(memory.get()) : 0;
+        memory?.set(now);
+        return { type: LREAL, value: elapsed };
+      }
+      case "RE_TRIGR":
+        return undefined;
+      case "STP":
+        throw this.error("STP: the CPU went to STOP", frame, call.range);
+      default:
+        throw this.error(`${name} is not simulated`, frame, call.callee.range);
+    }
+  }
+
+  // ── Errors ────────────────────────────────────────────────────
+
+  error(message: string, frame: Frame, range: SourceRange): SimulationError {
+    return new SimulationError(message, frame.uri, range);
+  }
+
+  private fail(message: string, frame: Frame, range: SourceRange): never {
+    throw this.error(message, frame, range);
+  }
+}
+
+/** Arguments of a system function, named (IN1 := x) or positional */
+class SystemArguments {
+  private named = new Map<string, Argument>();
+  private positional: Argument[];
+
+  constructor(private call: CallExpression, private frame: Frame, private engine: Interpreter) {
+    for (const arg of call.args) if (arg.name) this.named.set(arg.name.toUpperCase(), arg);
+    this.positional = call.args.filter(a => a.direction === "positional");
+  }
+
+  has(name: string): boolean {
+    return this.named.has(name);
+  }
+
+  /** Value of the parameter with this name or at this position */
+  *value(position: number, name: string): Exec<Typed> {
+    const arg = this.named.get(name) ?? this.positional[position];
+    if (!arg) throw this.engine.error(`Missing parameter ${name}`, this.frame, this.call.range);
+    return yield* this.engine.evaluate(arg.value, this.frame);
+  }
+
+  /** IN1, IN2, ... (or all positional arguments from a position on) */
+  *list(prefix: string, first: number, skip = 0): Exec<Typed[]> {
+    const values: Typed[] = [];
+    for (let i = first; this.named.has(`${prefix}${i}`); i++) {
+      values.push(yield* this.engine.evaluate(this.named.get(`${prefix}${i}`)!.value, this.frame));
+    }
+    for (const arg of this.positional.slice(skip)) values.push(yield* this.engine.evaluate(arg.value, this.frame));
+    return values;
+  }
+
+  /** Variable passed to an output or in-out parameter */
+  *target(name: string, position?: number): Exec<Ref | undefined> {
+    const arg = this.named.get(name) ?? (position !== undefined ? this.positional[position] : undefined);
+    return arg ? yield* this.engine.reference(arg.value, this.frame) : undefined;
+  }
+
+  /** #array[i] passed to a block move: elements from i on */
+  *element(name: string, position: number): Exec<{ get(i: number): Value; set(i: number, value: Value): void }> {
+    const arg = this.named.get(name) ?? this.positional[position];
+    if (!arg || arg.value.kind !== "IndexAccess" || arg.value.indices.length !== 1) {
+      throw this.engine.error(`${name} must be an array element like #buffer[0]`, this.frame, arg?.range ?? this.call.range);
+    }
+    const array = yield* this.engine.reference(arg.value.object, this.frame);
+    const start = Number((yield* this.engine.evaluate(arg.value.indices[0], this.frame)).value);
+    if (array.type.kind !== "array") throw this.engine.error(`${name} is not an array element`, this.frame, arg.range);
+    const [low, high] = array.type.dimensions[0];
+    const element = array.type.element;
+    const elements = (array.get() as ArrayValue).elements;
+    const check = (i: number) => {
+      if (start + i < low || start + i > high) throw this.engine.error(`Index ${start + i} is outside [${low}..${high}]`, this.frame, arg.range);
+      return start + i - low;
+    };
+    return {
+      get: i => elements[check(i)],
+      set: (i, value) => { elements[check(i)] = convertValue(value, element); },
+    };
+  }
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+const MATH: Record<string, (x: number) => number> = {
+  SQR: x => x * x, SQRT: Math.sqrt, EXP: Math.exp, LN: Math.log, LOG: Math.log10,
+  SIN: Math.sin, COS: Math.cos, TAN: Math.tan, ASIN: Math.asin, ACOS: Math.acos, ATAN: Math.atan,
+};
+
+function members(type: RuntimeType): RuntimeMember[] {
+  return type.kind === "struct" || type.kind === "instance" || type.kind === "system" ? type.members : [];
+}
+
+function findMember(list: RuntimeMember[], name: string): RuntimeMember | undefined {
+  const lower = name.toLowerCase();
+  return list.find(m => m.name.toLowerCase() === lower);
+}
+
+function structOf(list: RuntimeMember[]): StructValue {
+  return defaultValue({ kind: "struct", name: "", members: list }) as StructValue;
+}
+
+function fieldRef(values: StructValue, member: RuntimeMember): Ref {
+  const key = member.name.toLowerCase();
+  return {
+    type: member.type,
+    get: () => values.fields.get(key)!,
+    set: value => { values.fields.set(key, convertValue(value, member.type)); },
+  };
+}
+
+function constantRef(values: StructValue, member: RuntimeMember): Ref {
+  return {
+    type: member.type,
+    get: () => values.fields.get(member.name.toLowerCase())!,
+    set: () => { throw new SimulationError(`${member.name} is a constant`); },
+  };
+}
+
+function copyFields(target: StructValue, source: Value): void {
+  if (typeof source !== "object" || source.kind !== "struct") return;
+  for (const [key, value] of source.fields) target.fields.set(key, copyValue(value));
+}
+
+function isStructured(type: RuntimeType): boolean {
+  return type.kind === "struct" || type.kind === "instance" || type.kind === "system" || type.kind === "array";
+}
+
+/** Type of an arithmetic result: Real wins over integers, the wider type wins, literals adapt */
+function arithmeticType(a: RuntimeType, b: RuntimeType): RuntimeType {
+  if (a.kind !== "elementary") return b.kind === "elementary" ? b : a;
+  if (b.kind !== "elementary") return a;
+  const timeLike = (t: ElementaryType) => ["time", "date", "tod", "dt"].includes(t.category);
+  if (timeLike(a) || timeLike(b)) {
+    // TOD + Time → TOD, DT - DT → Time, Time * 2 → Time
+    if (timeLike(a) && timeLike(b) && a.category === b.category && a.category !== "time") return TIME;
+    return [a, b].find(t => timeLike(t) && t.category !== "time") ?? (timeLike(a) ? a : b);
+  }
+  if (a.category === "real" || b.category === "real") {
+    const reals = [a, b].filter(t => t.category === "real");
+    const typed = reals.filter(t => !t.literal);
+    if (typed.length === 0) return reals[0];
+    return typed.find(t => t.bits === 64) ?? typed[0];
+  }
+  if (a.literal) return b.literal && a.bits > b.bits ? a : b;
+  if (b.literal) return a;
+  return b.bits > a.bits ? b : a;
+}
+
+/** CONVERT semantics of the *_TO_* functions */
+function convertTo(source: Typed, target: RuntimeType): Value {
+  const { type, value } = source;
+  if (target.kind === "string") {
+    return typeof value === "string" ? value : type.kind === "elementary" && type.category === "real" ? String(value) : formatValue(value, type).replace(/^16#/, "");
+  }
+  if (target.kind !== "elementary") return convertValue(value, target);
+  const from = type.kind === "elementary" ? type.category : type.kind === "string" ? "string" : "other";
+  if (from === "string") {
+    const number = Number(String(value).trim());
+    return convertValue(Number.isNaN(number) ? 0 : number, target);
+  }
+  // DWORD_TO_REAL, REAL_TO_DWORD reinterpret the bits
+  if (from === "bits" && target.category === "real" && type.kind === "elementary" && type.bits === target.bits) {
+    const view = new DataView(new ArrayBuffer(8));
+    if (target.bits === 32) { view.setUint32(0, Number(value)); return view.getFloat32(0); }
+    view.setBigUint64(0, BigInt(Number(value))); return view.getFloat64(0);
+  }
+  if (from === "real" && target.category === "bits" && type.kind === "elementary" && type.bits === target.bits) {
+    const view = new DataView(new ArrayBuffer(8));
+    if (target.bits === 32) { view.setFloat32(0, Number(value)); return view.getUint32(0); }
+    view.setFloat64(0, Number(value)); return Number(view.getBigUint64(0));
+  }
+  if (from === "real" && target.category !== "real") return convertValue(roundHalfEven(Number(value)), target);
+  if (typeof value === "boolean") return convertValue(value ? 1 : 0, target);
+  return convertValue(value, target);
+}
+
+/** Rounding of ROUND and REAL_TO_INT: to the nearest integer, ties to even */
+function roundHalfEven(x: number): number {
+  const floor = Math.floor(x);
+  const diff = x - floor;
+  if (diff > 0.5) return floor + 1;
+  if (diff < 0.5) return floor;
+  return floor % 2 === 0 ? floor : floor + 1;
+}
+
+function addressTypeOf(bits: number): ElementaryType {
+  return elementaryType(({ 8: "Byte", 16: "Word", 32: "DWord", 64: "LWord" } as Record<number, string>)[bits] ?? "Bool") as ElementaryType;
+}
+
+function readUnsigned(view: DataView, byte: number, bits: number): number {
+  switch (bits) {
+    case 8: return view.getUint8(byte);
+    case 16: return view.getUint16(byte);
+    case 32: return view.getUint32(byte);
+    default: return Number(view.getBigUint64(byte));
+  }
+}
+
+function writeUnsigned(view: DataView, byte: number, bits: number, value: number): void {
+  switch (bits) {
+    case 8: view.setUint8(byte, value); break;
+    case 16: view.setUint16(byte, value); break;
+    case 32: view.setUint32(byte, value); break;
+    default: view.setBigUint64(byte, BigInt(value));
+  }
+}
+
+/** Variables of a frame grouped by section; VAR_IN_OUT shows the bound variable */
+function frameVariables(frame: Frame): WatchVariable[] {
+  const result: WatchVariable[] = [];
+  const scopes = frame.result ? [...frame.scopes, frame.result] : frame.scopes;
+  for (const scope of scopes) {
+    for (const member of scope.members) {
+      const section = scope === frame.result ? "Return" : SECTION_LABELS[member.section ?? "VAR"] ?? "Static";
+      const key = member.name.toLowerCase();
+      const value = frame.inOuts.get(key)?.get() ?? scope.values.fields.get(key)!;
+      result.push(watchVariable(member.name, member.name, section, member.type, value));
+    }
+  }
+  return result.sort((a, b) => SECTION_ORDER.indexOf(a.section) - SECTION_ORDER.indexOf(b.section));
+}
+
+function watchVariable(name: string, path: string, section: string, type: RuntimeType, value: Value): WatchVariable {
+  const variable: WatchVariable = { name, path, section, type: type.name, value: formatValue(value, type) };
+  if (typeof value !== "object") return variable;
+  if (value.kind === "struct") {
+    variable.value = "";
+    variable.children = members(type).map(m =>
+      watchVariable(m.name, `${path}.${m.name}`, section, m.type, value.fields.get(m.name.toLowerCase())!)
+    );
+  } else if (type.kind === "array") {
+    variable.children = value.elements.slice(0, MAX_WATCH_ELEMENTS).map((element, i) => {
+      const index = arrayIndex(type.dimensions, i);
+      return watchVariable(`[${index}]`, `${path}[${index}]`, section, type.element, element);
+    });
+  }
+  return variable;
+}
+
+/** Row-major offset → "2, 3" */
+function arrayIndex(dimensions: [number, number][], offset: number): string {
+  const indices: number[] = [];
+  for (let d = dimensions.length - 1; d >= 0; d--) {
+    const [low, high] = dimensions[d];
+    const size = high - low + 1;
+    indices.unshift(low + (offset % size));
+    offset = Math.floor(offset / size);
+  }
+  return indices.join(", ");
+}
+
+// ─── Language server requests ───────────────────────────────────────────────
+
+export const SIMULATION_START_REQUEST = "tia-scl/startSimulation";
+export const SIMULATION_RUN_REQUEST = "tia-scl/runSimulation";
+export const SIMULATION_STOP_REQUEST = "tia-scl/stopSimulation";
+
+export interface SimulationStartParams {
+  block: string;
+  cycleTime?: number;
+}
+
+export interface SimulationRunParams {
+  session: number;
+  inputs?: Record<string, string>; // Path → SCL literal, set before the first cycle
+  cycles?: number;                 // 0 only applies the inputs
+  watch?: string[];                // Expressions traced after every cycle
+}
+
+export interface SimulationTraceRow {
+  cycle: number;
+  time: string;                    // T#1s500ms
+  values: string[];                // One per watch expression
+}
+
+export interface SimulationState {
+  session: number;
+  block: string;
+  cycle: number;
+  time: string;
+  variables: WatchVariable[];
+  trace: SimulationTraceRow[];     // Cycles run by this request
+  error?: { message: string; uri?: string; line?: number };
+}
+
+/** Applies inputs, runs cycles and traces the watch expressions; errors end the run and are reported in the state. */
+export function runSimulation(simulator: SclSimulator, params: SimulationRunParams): SimulationState {
+  const trace: SimulationTraceRow[] = [];
+  let error: SimulationState["error"];
+  try {
+    for (const [path, value] of Object.entries(params.inputs ?? {})) simulator.set(path, value);
+    for (let i = 0; i < (params.cycles ?? 1); i++) {
+      const result = simulator.runCycle();
+      trace.push({
+        cycle: result.cycle,
+        time: `T#${formatDuration(result.time)}`,
+        values: (params.watch ?? []).map(expression => {
+          try {
+            return simulator.format(expression).value;
+          } catch (e) {
+            return `? ${e instanceof Error ? e.message : String(e)}`;
+          }
+        }),
+      });
+    }
+  } catch (e) {
+    if (!(e instanceof SimulationError)) throw e;
+    error = { message: e.message, uri: e.uri, line: e.range?.start.line };
+  }
+  return { ...simulationState(simulator, params.session), trace, error };
+}
+
+export function simulationState(simulator: SclSimulator, session: number): SimulationState {
+  return {
+    session,
+    block: simulator.block.name,
+    cycle: simulator.cycle,
+    time: `T#${formatDuration(simulator.time)}`,
+    variables: simulator.variables(),
+    trace: [],
+  };
+}
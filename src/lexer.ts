@@ -0,0 +1,396 @@
+/**
+ * SCL Lexer - Converts SCL source text into a token stream.
+ *
+ * Recognizes:
+ *   - Keywords and identifiers (case-insensitive)
+ *   - #local and "global" symbol references
+ *   - String literals ('text', with $ escapes)
+ *   - Numbers, based numbers (16#FF, 2#1010) and typed literals (T#5s, D#2024-01-15, INT#5)
+ *   - Absolute addresses (%I0.0, %IW64, %DB1.DBX0.0) and slice access (%X3)
+ *   - Comments (// line, (* block *) and C-style block comments) and pragmas ({ ... })
+ *
+ * Comments are kept in the token stream so the formatter and hover can use them;
+ * the parser skips them.
+ */
+
+// ─── Types ──────────────────────────────────────────────────────────────────
+
+export type TokenKind =
+  | "keyword"       // Reserved word (value is uppercase)
+  | "identifier"    // Plain name: Int, LIMIT, Speed_SP
+  | "localRef"      // #name or #"name" (value is the name without # and quotes)
+  | "quotedName"    // "name" (value is the name without quotes)
+  | "string"        // 'text'
+  | "number"        // 42, 1.5, 1.0E-3, 16#FF
+  | "typedLiteral"  // T#5s, TOD#12:00:00, INT#5, WSTRING#'x'
+  | "address"       // %I0.0, %MW10, %X3
+  | "operator"      // := => + - ; ( ) ...
+  | "pragma"        // { ... }
+  | "comment"       // Line or block comment
+  | "regionName"    // Free text after REGION up to the end of the line
+  | "invalid"       // Unrecognized character or unterminated literal
+  | "eof";
+
+export interface Token {
+  kind: TokenKind;
+  text: string;         // Exact source text
+  value: string;        // Normalized value (see TokenKind)
+  line: number;
+  col: number;
+  offset: number;
+  endLine: number;
+  endCol: number;
+  endOffset: number;
+}
+
+// ─── Reserved words ─────────────────────────────────────────────────────────
+
+export const RESERVED_WORDS = new Set([
+  // Blocks
+  "FUNCTION_BLOCK", "END_FUNCTION_BLOCK", "FUNCTION", "END_FUNCTION",
+  "ORGANIZATION_BLOCK", "END_ORGANIZATION_BLOCK", "DATA_BLOCK", "END_DATA_BLOCK",
+  "TYPE", "END_TYPE",
+  // Declarations
+  "VAR_INPUT", "VAR_OUTPUT", "VAR_IN_OUT", "VAR_TEMP", "VAR_GLOBAL", "VAR", "END_VAR",
+  "STRUCT", "END_STRUCT", "CONSTANT", "RETAIN", "NON_RETAIN", "DB_SPECIFIC",
+  "ARRAY", "OF", "REF_TO", "BEGIN",
+  // Control flow
+  "IF", "THEN", "ELSIF", "ELSE", "END_IF",
+  "CASE", "END_CASE",
+  "FOR", "TO", "BY", "DO", "END_FOR",
+  "WHILE", "END_WHILE", "REPEAT", "UNTIL", "END_REPEAT",
+  "EXIT", "CONTINUE", "RETURN", "GOTO",
+  "REGION", "END_REGION",
+  // Operators and literals
+  "AND", "OR", "XOR", "NOT", "MOD",
+  "TRUE", "FALSE", "NULL",
+]);
+
+const TIME_PREFIXES = new Set(["T", "TIME", "LT", "LTIME", "S5T", "S5TIME"]);
+const DATE_PREFIXES = new Set(["D", "DATE", "LD", "LDATE"]);
+const DATE_TIME_PREFIXES = new Set(["DT", "DATE_AND_TIME", "LDT", "DTL"]);
+const TOD_PREFIXES = new Set(["TOD", "TIME_OF_DAY", "LTOD", "LTIME_OF_DAY"]);
+
+const OPERATORS = [
+  ":=", "=>", "<=", ">=", "<>", "**", "..", "+=", "-=", "*=", "/=", "?=",
+  ":", ";", ",", ".", "(", ")", "[", "]", "+", "-", "*", "/", "=", "<", ">", "&", "^",
+];
+
+// ─── Lexer ──────────────────────────────────────────────────────────────────
+
+export function tokenize(text: string): Token[] {
+  const tokens: Token[] = [];
+  let pos = 0;
+  let line = 0;
+  let col = 0;
+
+  const advance = (count: number) => {
+    for (let i = 0; i < count && pos < text.length; i++) {
+      if (text[pos] === "\n") {
+        line++;
+        col = 0;
+      } else {
+        col++;
+      }
+      pos++;
+    }
+  };
+
+  const push = (kind: TokenKind, length: number, value?: string) => {
+    const startLine = line, startCol = col, startOffset = pos;
+    const raw = text.substr(pos, length);
+    advance(length);
+    tokens.push({
+      kind,
+      text: raw,
+      value: value ?? raw,
+      line: startLine,
+      col: startCol,
+      offset: startOffset,
+      endLine: line,
+      endCol: col,
+      endOffset: pos,
+    });
+  };
+
+  while (pos < text.length) {
+    const ch = text[pos];
+    const next = text[pos + 1] ?? "";
+
+    // Whitespace
+    if (ch === " " || ch === "\t" || ch === "\r" || ch === "\n" || ch === "\f" || ch === "\v") {
+      advance(1);
+      continue;
+    }
+
+    // Comments
+    if (ch === "/" && next === "/") {
+      push("comment", lineEnd(text, pos) - pos);
+      continue;
+    }
+    if ((ch === "(" && next === "*") || (ch === "/" && next === "*")) {
+      const close = ch === "(" ? "*)" : "*/";
+      const end = text.indexOf(close, pos + 2);
+      push("comment", (end < 0 ? text.length : end + 2) - pos);
+      continue;
+    }
+
+    // Pragmas / attributes
+    if (ch === "{") {
+      const end = scanPragma(text, pos);
+      push("pragma", end - pos);
+      continue;
+    }
+
+    // String literals
+    if (ch === "'") {
+      const end = scanString(text, pos);
+      push(end > 0 ? "string" : "invalid", Math.abs(end) - pos);
+      continue;
+    }
+
+    // Quoted global names
+    if (ch === '"') {
+      const end = text.indexOf('"', pos + 1);
+      const eol = lineEnd(text, pos);
+      if (end < 0 || end > eol) {
+        push("invalid", eol - pos);
+      } else {
+        push("quotedName", end + 1 - pos, text.substring(pos + 1, end));
+      }
+      continue;
+    }
+
+    // #local references
+    if (ch === "#") {
+      if (next === '"') {
+        const end = text.indexOf('"', pos + 2);
+        const eol = lineEnd(text, pos);
+        if (end < 0 || end > eol) {
+          push("invalid", eol - pos);
+        } else {
+          push("localRef", end + 1 - pos, text.substring(pos + 2, end));
+        }
+        continue;
+      }
+      if (isIdentStart(next)) {
+        const end = scanIdentifier(text, pos + 1);
+        push("localRef", end - pos, text.substring(pos + 1, end));
+        continue;
+      }
+      push("invalid", 1);
+      continue;
+    }
+
+    // Absolute addresses and slice access
+    if (ch === "%") {
+      const match = /^%(?:DB\d+\.DB[XBWDL]?\d+(?:\.\d+)?|[A-Za-z]+\d+(?:\.\d+)?)/i.exec(text.substring(pos, pos + 40));
+      if (match) {
+        push("address", match[0].length, match[0].toUpperCase());
+      } else {
+        push("invalid", 1);
+      }
+      continue;
+    }
+
+    // Numbers (including based numbers 16#FF)
+    if (isDigit(ch)) {
+      const end = scanNumber(text, pos);
+      push("number", end - pos);
+      continue;
+    }
+
+    // Identifiers, keywords and typed literals
+    if (isIdentStart(ch)) {
+      const end = scanIdentifier(text, pos);
+      const word = text.substring(pos, end);
+      const upper = word.toUpperCase();
+
+      if (text[end] === "#") {
+        const litEnd = scanTypedLiteral(text, end + 1, upper);
+        if (litEnd > end + 1) {
+          push("typedLiteral", litEnd - pos);
+          continue;
+        }
+      }
+
+      if (RESERVED_WORDS.has(upper)) {
+        const prev = lastSignificant(tokens);
+        push("keyword", end - pos, upper);
+        if (upper === "REGION" && !(prev && prev.kind === "operator" && prev.value === ".")) {
+          pushRegionName();
+        }
+      } else {
+        push("identifier", end - pos);
+      }
+      continue;
+    }
+
+    // Operators
+    const op = OPERATORS.find(o => text.startsWith(o, pos));
+    if (op) {
+      push("operator", op.length);
+      continue;
+    }
+
+    push("invalid", 1);
+  }
+
+  tokens.push({
+    kind: "eof", text: "", value: "",
+    line, col, offset: pos, endLine: line, endCol: col, endOffset: pos,
+  });
+  return tokens;
+
+  // REGION titles are free text, so they are taken verbatim up to a line comment or EOL
+  function pushRegionName(): void {
+    while (pos < text.length && (text[pos] === " " || text[pos] === "\t")) advance(1);
+    const eol = lineEnd(text, pos);
+    let end = text.indexOf("//", pos);
+    if (end < 0 || end > eol) end = eol;
+    const title = text.substring(pos, end).trimEnd();
+    if (title) push("regionName", title.length, title);
+  }
+}
+
+/** Returns only the tokens the parser cares about (no comments). */
+export function significantTokens(tokens: Token[]): Token[] {
+  return tokens.filter(t => t.kind !== "comment");
+}
+
+// ─── Scanners ───────────────────────────────────────────────────────────────
+
+function isDigit(ch: string): boolean {
+  return ch >= "0" && ch <= "9";
+}
+
+function isIdentStart(ch: string): boolean {
+  return (ch >= "A" && ch <= "Z") || (ch >= "a" && ch <= "z") || ch === "_";
+}
+
+function isIdentPart(ch: string): boolean {
+  return isIdentStart(ch) || isDigit(ch);
+}
+
+function lineEnd(text: string, pos: number): number {
+  const idx = text.indexOf("\n", pos);
+  if (idx < 0) return text.length;
+  return idx > 0 && text[idx - 1] === "\r" ? idx - 1 : idx;
+}
+
+function lastSignificant(tokens: Token[]): Token | undefined {
+  for (let i = tokens.length - 1; i >= 0; i--) {
+    if (tokens[i].kind !== "comment") return tokens[i];
+  }
+  return undefined;
+}
+
+function scanIdentifier(text: string, pos: number): number {
+  let end = pos;
+  while (end < text.length && isIdentPart(text[end])) end++;
+  return end;
+}
+
+/** Returns the end offset, or the negated end offset if the string is unterminated. */
+function scanString(text: string, pos: number): number {
+  let i = pos + 1;
+  while (i < text.length) {
+    const ch = text[i];
+    if (ch === "$") {
+      i += 2;
+      continue;
+    }
+    if (ch === "'") return i + 1;
+    if (ch === "\n") break;
+    i++;
+  }
+  return -Math.min(i, lineEnd(text, pos));
+}
+
+function scanPragma(text: string, pos: number): number {
+  let i = pos + 1;
+  while (i < text.length) {
+    const ch = text[i];
+    if (ch === "'") {
+      const end = scanString(text, i);
+      i = Math.abs(end);
+      continue;
+    }
+    if (ch === "}") return i + 1;
+    i++;
+  }
+  return text.length;
+}
+
+function scanNumber(text: string, pos: number): number {
+  let i = pos;
+  while (i < text.length && (isDigit(text[i]) || text[i] === "_")) i++;
+
+  // Based number: 16#FF, 2#1010_0101, 8#777
+  if (text[i] === "#" && isIdentPart(text[i + 1] ?? "")) {
+    i++;
+    while (i < text.length && (isIdentPart(text[i]))) i++;
+    return i;
+  }
+
+  // Fraction (but not a range operator "..")
+  if (text[i] === "." && isDigit(text[i + 1] ?? "")) {
+    i++;
+    while (i < text.length && (isDigit(text[i]) || text[i] === "_")) i++;
+  }
+
+  // Exponent
+  if ((text[i] === "E" || text[i] === "e")) {
+    let j = i + 1;
+    if (text[j] === "+" || text[j] === "-") j++;
+    if (isDigit(text[j] ?? "")) {
+      i = j;
+      while (i < text.length && isDigit(text[i])) i++;
+    }
+  }
+  return i;
+}
+
+function scanTypedLiteral(text: string, pos: number, prefix: string): number {
+  let i = pos;
+
+  if (text[i] === "'") {
+    const end = scanString(text, i);
+    return Math.abs(end);
+  }
+
+  let allowed: RegExp;
+  if (TIME_PREFIXES.has(prefix)) {
+    if (text[i] === "-" || text[i] === "+") i++;
+    allowed = /[A-Za-z0-9_.]/;
+  } else if (DATE_PREFIXES.has(prefix)) {
+    allowed = /[0-9\-]/;
+  } else if (DATE_TIME_PREFIXES.has(prefix)) {
+    allowed = /[0-9\-:.]/;
+  } else if (TOD_PREFIXES.has(prefix)) {
+    allowed = /[0-9:.]/;
+  } else {
+    // Type-qualified numbers and legacy constants: INT#5, REAL#1.5E3, W#16#FFFF, BOOL#TRUE
+    if (text[i] === "-" || text[i] === "+") i++;
+    allowed = /[A-Za-z0-9_#]/;
+    const start = i;
+    while (i < text.length && allowed.test(text[i])) i++;
+    if (text[i] === "." && isDigit(text[i + 1] ?? "")) {
+      i++;
+      while (i < text.length && isDigit(text[i])) i++;
+      if ((text[i] === "E" || text[i] === "e") && /[+\-0-9]/.test(text[i + 1] ?? "")) {
+        i += 2;
+        while (i < text.length && isDigit(text[i])) i++;
+      }
+    }
+    return i > start ? i : pos;
+  }
+
+  const start = i;
+  while (i < text.length && allowed.test(text[i])) {
+    // Stop before a range operator
+    if (text[i] === "." && text[i + 1] === ".") break;
+    i++;
+  }
+  return i > start ? i : pos;
+}
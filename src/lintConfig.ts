@@ -0,0 +1,212 @@
+/**
+ * SCL Lint Configuration - Rule severities and inline suppressions.
+ *
+ * Rules can be switched off or given another severity:
+ *
+ *   .sclrc.json (nearest one above the file):   { "rules": { "SCL201": "off", "SCL101": "error" } }
+ *   VS Code setting tia-scl.lint.rules:          { "SCL104": "hint" }
+ *
+ * Naming patterns for SCL201 go into a "naming" object (see namingConvention.ts).
+ * Editor settings take precedence over .sclrc.json. Single diagnostics are
+ * suppressed with comments in the source:
+ *
+ *   // scl-disable-next-line SCL101        next line (all rules without codes)
+ *   #x := 1;  // scl-disable-line SCL007   same line
+ *   (* scl-disable SCL103 *)               until scl-enable or the end of the file
+ *   (* scl-enable SCL103 *)
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+import { Token } from "./lexer";
+import { commentText } from "./parser";
+import { LintDiagnostic, LintSeverity, RULES } from "./rules";
+import { NamingConfig, parseNaming } from "./namingConvention";
+
+export type RuleSetting = LintSeverity | "off";
+
+export interface LintConfig {
+  rules: Record<string, RuleSetting>;   // Rule code → setting (codes in uppercase)
+  naming: NamingConfig;                 // SCL201 patterns
+}
+
+export const CONFIG_FILE = ".sclrc.json";
+
+const RULE_SETTINGS: RuleSetting[] = ["off", "error", "warning", "hint"];
+
+// ─── Configuration ──────────────────────────────────────────────────────────
+
+/**
+ * Validates a `rules` object from .sclrc.json or the editor settings.
+ * Throws an Error naming the first invalid entry.
+ */
+export function parseRules(value: unknown, source: string): Record<string, RuleSetting> {
+  if (value === undefined || value === null) return {};
+  if (typeof value !== "object" || Array.isArray(value)) {
+    throw new Error(`${source}: "rules" must be an object`);
+  }
+  const rules: Record<string, RuleSetting> = {};
+  for (const [code, setting] of Object.entries(value as Record<string, unknown>)) {
+    const upper = code.toUpperCase();
+    if (!RULES.some(r => r.code === upper)) {
+      throw new Error(`${source}: unknown rule '${code}'`);
+    }
+    if (!RULE_SETTINGS.includes(setting as RuleSetting)) {
+      throw new Error(`${source}: '${code}' must be one of ${RULE_SETTINGS.join(", ")}`);
+    }
+    rules[upper] = setting as RuleSetting;
+  }
+  return rules;
+}
+
+/** Reads and validates a .sclrc.json file. Throws on unreadable or invalid files. */
+export function loadConfigFile(file: string): LintConfig {
+  let json: unknown;
+  try {
+    json = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`${file}: ${e instanceof Error ? e.message : String(e)}`);
+  }
+  if (typeof json !== "object" || json === null || Array.isArray(json)) {
+    throw new Error(`${file}: expected a JSON object`);
+  }
+  const { rules, naming } = json as { rules?: unknown; naming?: unknown };
+  return { rules: parseRules(rules, file), naming: parseNaming(naming, file) };
+}
+
+/** Nearest .sclrc.json in the directory or one of its parents. */
+export function findConfigFile(dir: string): string | undefined {
+  let current = path.resolve(dir);
+  for (;;) {
+    const candidate = path.join(current, CONFIG_FILE);
+    if (fs.existsSync(candidate)) return candidate;
+    const parent = path.dirname(current);
+    if (parent === current) return undefined;
+    current = parent;
+  }
+}
+
+/** Later configurations override earlier ones rule by rule and pattern by pattern. */
+export function mergeConfigs(...configs: (LintConfig | undefined)[]): LintConfig {
+  const merged: LintConfig = { rules: {}, naming: {} };
+  for (const config of configs) {
+    if (!config) continue;
+    Object.assign(merged.rules, config.rules);
+    Object.assign(merged.naming, config.naming);
+  }
+  return merged;
+}
+
+/** Applies the configuration and the suppression comments of the file to runRules() output. */
+export function configureDiagnostics(
+  diagnostics: LintDiagnostic[],
+  tokens: Token[],
+  config: LintConfig
+): LintDiagnostic[] {
+  return applySuppressions(applyConfig(diagnostics, config), tokens);
+}
+
+/** Drops disabled rules and applies severity overrides. */
+export function applyConfig(diagnostics: LintDiagnostic[], config: LintConfig): LintDiagnostic[] {
+  const result: LintDiagnostic[] = [];
+  for (const d of diagnostics) {
+    const setting = config.rules[d.code];
+    if (setting === "off") continue;
+    result.push(setting ? { ...d, severity: setting } : d);
+  }
+  return result;
+}
+
+// ─── Inline suppressions ────────────────────────────────────────────────────
+
+export type SuppressionKind = "disable-next-line" | "disable-line" | "disable" | "enable";
+
+export interface SuppressionComment {
+  kind: SuppressionKind;
+  codes: string[];                // Empty: all rules
+  line: number;                   // Line the comment starts on
+  endLine: number;                // Line the comment ends on
+}
+
+interface SuppressedRange {
+  codes: string[];                // Empty: all rules
+  except?: string[];              // Rules re-enabled inside an all-rules range
+  startLine: number;
+  endLine: number;                // Exclusive
+}
+
+const DIRECTIVE = /^scl-(disable-next-line|disable-line|disable|enable)\b(.*)$/i;
+
+/** Reads a scl-disable/scl-enable directive from a comment token. */
+export function suppressionComment(token: Token): SuppressionComment | undefined {
+  if (token.kind !== "comment") return undefined;
+  const match = DIRECTIVE.exec(commentText(token.text));
+  if (!match) return undefined;
+
+  // Anything after '--' is a free-text reason
+  const codes = match[2].split("--")[0].split(/[\s,]+/).filter(c => c).map(c => c.toUpperCase());
+  return {
+    kind: match[1].toLowerCase() as SuppressionKind,
+    codes,
+    line: token.line,
+    endLine: token.endLine,
+  };
+}
+
+/** Removes diagnostics that are suppressed by comments in the token stream. */
+export function applySuppressions(diagnostics: LintDiagnostic[], tokens: Token[]): LintDiagnostic[] {
+  const ranges: SuppressedRange[] = [];
+  const open: SuppressedRange[] = [];
+
+  for (const token of tokens) {
+    const comment = suppressionComment(token);
+    if (!comment) continue;
+    switch (comment.kind) {
+      case "disable-next-line":
+        ranges.push({ codes: comment.codes, startLine: comment.endLine + 1, endLine: comment.endLine + 2 });
+        break;
+      case "disable-line":
+        ranges.push({ codes: comment.codes, startLine: comment.line, endLine: comment.line + 1 });
+        break;
+      case "disable": {
+        const range = { codes: comment.codes, startLine: comment.line, endLine: Infinity };
+        ranges.push(range);
+        open.push(range);
+        break;
+      }
+      case "enable":
+        // scl-enable without codes ends every region, otherwise only the named ones
+        for (const range of [...open]) {
+          if (range.codes.length === 0 && comment.codes.length > 0) {
+            // Inside a plain scl-disable, the named rules are reported again from here on
+            const except = [...new Set([...(range.except ?? []), ...comment.codes])];
+            if (except.length === range.except?.length) continue;
+            range.endLine = comment.line;
+            open.splice(open.indexOf(range), 1);
+            const remaining = { codes: [], except, startLine: comment.line, endLine: Infinity };
+            ranges.push(remaining);
+            open.push(remaining);
+            continue;
+          }
+          const ends = comment.codes.length === 0 || range.codes.every(c => comment.codes.includes(c));
+          const rest = range.codes.filter(c => !comment.codes.includes(c));
+          if (!ends && rest.length === range.codes.length) continue;
+          range.endLine = comment.line;
+          open.splice(open.indexOf(range), 1);
+          if (!ends) {
+            // Codes not named in scl-enable stay disabled
+            const remaining = { codes: rest, startLine: comment.line, endLine: Infinity };
+            ranges.push(remaining);
+            open.push(remaining);
+          }
+        }
+        break;
+    }
+  }
+
+  if (ranges.length === 0) return diagnostics;
+  return diagnostics.filter(d => !ranges.some(r =>
+    d.line >= r.startLine && d.line < r.endLine &&
+    (r.codes.length === 0 ? !r.except?.includes(d.code) : r.codes.includes(d.code))
+  ));
+}
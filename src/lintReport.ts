@@ -0,0 +1,198 @@
+/**
+ * SCL Lint Reports - Output formats of the command-line linter.
+ *
+ *   text   file:line:col: severity CODE: message   (one line per problem,
+ *          followed by indented lines for related locations)
+ *   json   Files with their diagnostics and a summary
+ *   sarif  SARIF 2.1.0 for code scanning (GitHub, Azure DevOps, GitLab)
+ *   junit  JUnit XML for CI test reports (one test suite per file)
+ *
+ * Lines and columns are 1-based in every format.
+ */
+
+import { LintDiagnostic, LintSeverity, RULES } from "./rules";
+
+export type ReportFormat = "text" | "json" | "sarif" | "junit";
+
+export const REPORT_FORMATS: ReportFormat[] = ["text", "json", "sarif", "junit"];
+
+export interface FileReport {
+  path: string;                   // Relative to the working directory, with '/'
+  diagnostics: LintDiagnostic[];  // endCol is always set; related uris are paths like `path`
+}
+
+export interface ReportSummary {
+  files: number;
+  errors: number;
+  warnings: number;
+  hints: number;
+}
+
+export function summarize(reports: FileReport[]): ReportSummary {
+  const count = (severity: LintSeverity) =>
+    reports.reduce((n, r) => n + r.diagnostics.filter(d => d.severity === severity).length, 0);
+  return { files: reports.length, errors: count("error"), warnings: count("warning"), hints: count("hint") };
+}
+
+export function formatReport(format: ReportFormat, reports: FileReport[], version: string): string {
+  switch (format) {
+    case "text": return formatText(reports);
+    case "json": return formatJson(reports);
+    case "sarif": return formatSarif(reports, version);
+    case "junit": return formatJunit(reports);
+  }
+}
+
+// ─── Text ───────────────────────────────────────────────────────────────────
+
+function formatText(reports: FileReport[]): string {
+  const lines: string[] = [];
+  for (const report of reports) {
+    for (const d of report.diagnostics) {
+      lines.push(`${report.path}:${d.line + 1}:${d.col + 1}: ${d.severity} ${d.code}: ${d.message}`);
+      for (const r of d.related || []) lines.push(`    ${r.uri}:${r.line + 1}:${r.col + 1}: ${r.message}`);
+    }
+  }
+  const s = summarize(reports);
+  const problems = s.errors + s.warnings + s.hints;
+  if (lines.length > 0) lines.push("");
+  lines.push(
+    `${plural(s.files, "file")} checked, ${plural(problems, "problem")} ` +
+    `(${plural(s.errors, "error")}, ${plural(s.warnings, "warning")}, ${plural(s.hints, "hint")})`
+  );
+  return lines.join("\n") + "\n";
+}
+
+// ─── JSON ───────────────────────────────────────────────────────────────────
+
+function formatJson(reports: FileReport[]): string {
+  const files = reports.map(r => ({
+    path: r.path,
+    diagnostics: r.diagnostics.map(d => ({
+      code: d.code,
+      severity: d.severity,
+      message: d.message,
+      line: d.line + 1,
+      column: d.col + 1,
+      endLine: d.line + 1,
+      endColumn: (d.endCol ?? d.col) + 1,
+      related: d.related?.map(r => ({
+        path: r.uri,
+        line: r.line + 1,
+        column: r.col + 1,
+        message: r.message,
+      })),
+    })),
+  }));
+  return JSON.stringify({ summary: summarize(reports), files }, null, 2) + "\n";
+}
+
+// ─── SARIF ──────────────────────────────────────────────────────────────────
+
+const SARIF_LEVELS: Record<LintSeverity, string> = { error: "error", warning: "warning", hint: "note" };
+
+function formatSarif(reports: FileReport[], version: string): string {
+  const results = reports.flatMap(r => r.diagnostics.map(d => ({
+    ruleId: d.code,
+    ruleIndex: RULES.findIndex(rule => rule.code === d.code),
+    level: SARIF_LEVELS[d.severity],
+    message: { text: d.message },
+    locations: [{
+      physicalLocation: {
+        artifactLocation: { uri: encodeURI(r.path), uriBaseId: "%SRCROOT%" },
+        region: {
+          startLine: d.line + 1,
+          startColumn: d.col + 1,
+          endLine: d.line + 1,
+          endColumn: (d.endCol ?? d.col) + 1,
+        },
+      },
+    }],
+    relatedLocations: d.related?.map((rel, id) => ({
+      id,
+      message: { text: rel.message },
+      physicalLocation: {
+        artifactLocation: { uri: encodeURI(rel.uri), uriBaseId: "%SRCROOT%" },
+        region: { startLine: rel.line + 1, startColumn: rel.col + 1 },
+      },
+    })),
+  })));
+
+  const sarif = {
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [{
+      tool: {
+        driver: {
+          name: "tia-scl",
+          version,
+          informationUri: "https://github.com/kasi09/TIA-SCL",
+          rules: RULES.map(rule => ({
+            id: rule.code,
+            shortDescription: { text: rule.description },
+            defaultConfiguration: { level: SARIF_LEVELS[rule.severity] },
+          })),
+        },
+      },
+      results,
+    }],
+  };
+  return JSON.stringify(sarif, null, 2) + "\n";
+}
+
+// ─── JUnit ──────────────────────────────────────────────────────────────────
+
+/**
+ * Every problem is a test case. Only errors are failures, so the test report
+ * fails exactly when the linter exits with errors; warnings and hints are
+ * listed as passed cases with their message as output.
+ */
+function formatJunit(reports: FileReport[]): string {
+  const s = summarize(reports);
+  const lines: string[] = [];
+  lines.push(`<?xml version="1.0" encoding="UTF-8"?>`);
+  lines.push(`<testsuites name="tia-scl" tests="${countCases(reports)}" failures="${s.errors}">`);
+
+  for (const report of reports) {
+    const errors = report.diagnostics.filter(d => d.severity === "error").length;
+    const tests = Math.max(report.diagnostics.length, 1);
+    lines.push(`  <testsuite name="${xml(report.path)}" tests="${tests}" failures="${errors}">`);
+    if (report.diagnostics.length === 0) {
+      lines.push(`    <testcase name="lint" classname="${xml(report.path)}"/>`);
+    }
+    for (const d of report.diagnostics) {
+      const location = `${report.path}:${d.line + 1}:${d.col + 1}`;
+      lines.push(`    <testcase name="${xml(`${d.code} ${location}`)}" classname="${xml(report.path)}">`);
+      if (d.severity === "error") {
+        lines.push(`      <failure type="${d.code}" message="${xml(d.message)}">${xml(`${location}: ${d.message}`)}</failure>`);
+      } else {
+        lines.push(`      <system-out>${xml(`${d.severity}: ${d.message}`)}</system-out>`);
+      }
+      lines.push(`    </testcase>`);
+    }
+    lines.push(`  </testsuite>`);
+  }
+
+  lines.push(`</testsuites>`);
+  return lines.join("\n") + "\n";
+}
+
+function countCases(reports: FileReport[]): number {
+  return reports.reduce((n, r) => n + Math.max(r.diagnostics.length, 1), 0);
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+export function plural(count: number, word: string): string {
+  return `${count} ${word}${count === 1 ? "" : "s"}`;
+}
+
+/** Escapes text for XML attributes and content (also used by the test reports) */
+export function xml(text: string): string {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
@@ -1,66 +1,117 @@
 /**
  * SCL Linter - Orchestrates parsing and rule checking.
  *
- * Provides diagnostics to VS Code with debounce support.
+ * Publishes diagnostics to the client with debounce support. Open files are
+ * re-checked when other files of the workspace index change, and when the
+ * rule settings (tia-scl.lint.rules or a .sclrc.json) change.
  */
 
-import * as vscode from "vscode";
-import { parse } from "./parser";
-import { runRules } from "./rules";
+import * as path from "path";
+import { Connection, Diagnostic, DiagnosticSeverity, Location, Range, TextDocuments } from "vscode-languageserver";
+import { TextDocument } from "vscode-languageserver-textdocument";
+import { URI } from "vscode-uri";
+import { LintSeverity, runRules } from "./rules";
+import {
+  LintConfig,
+  configureDiagnostics,
+  findConfigFile,
+  loadConfigFile,
+  mergeConfigs,
+  parseRules,
+} from "./lintConfig";
+import { parseNaming } from "./namingConvention";
+import { lineText } from "./document";
+import { SclWorkspaceIndex } from "./workspaceIndex";
 
 export class SclLinter {
-  private diagnosticCollection: vscode.DiagnosticCollection;
   private debounceTimers = new Map<string, ReturnType<typeof setTimeout>>();
   private readonly debounceMs = 500;
-
-  constructor(context: vscode.ExtensionContext) {
-    this.diagnosticCollection = vscode.languages.createDiagnosticCollection("scl");
-    context.subscriptions.push(this.diagnosticCollection);
+  private indexReady = false;
+  private editorConfig: LintConfig = { rules: {}, naming: {} };
+  private configFiles = new Map<string, LintConfig | undefined>();   // Directory → nearest .sclrc.json
+
+  constructor(
+    private connection: Connection,
+    private documents: TextDocuments<TextDocument>,
+    private index: SclWorkspaceIndex
+  ) {
+    // Lint on open (immediate)
+    documents.onDidOpen(({ document }) => this.lintDocument(document));
 
     // Lint on save (immediate)
-    context.subscriptions.push(
-      vscode.workspace.onDidSaveTextDocument((doc) => {
-        if (doc.languageId === "scl") this.lintDocument(doc);
-      })
-    );
-
-    // Lint on open (immediate)
-    context.subscriptions.push(
-      vscode.workspace.onDidOpenTextDocument((doc) => {
-        if (doc.languageId === "scl") this.lintDocument(doc);
-      })
-    );
+    documents.onDidSave(({ document }) => this.lintDocument(document));
 
     // Lint on change (debounced)
-    context.subscriptions.push(
-      vscode.workspace.onDidChangeTextDocument((event) => {
-        if (event.document.languageId === "scl") {
-          this.lintDocumentDebounced(event.document);
-        }
-      })
-    );
+    documents.onDidChangeContent(({ document }) => this.lintDocumentDebounced(document));
 
     // Cleanup on close
-    context.subscriptions.push(
-      vscode.workspace.onDidCloseTextDocument((doc) => {
-        this.diagnosticCollection.delete(doc.uri);
-        const key = doc.uri.toString();
-        const timer = this.debounceTimers.get(key);
-        if (timer) {
-          clearTimeout(timer);
-          this.debounceTimers.delete(key);
-        }
-      })
-    );
+    documents.onDidClose(({ document }) => {
+      const timer = this.debounceTimers.get(document.uri);
+      if (timer) {
+        clearTimeout(timer);
+        this.debounceTimers.delete(document.uri);
+      }
+      this.connection.sendDiagnostics({ uri: document.uri, diagnostics: [] });
+    });
+
+    // Re-lint open files when declarations in other files change
+    index.symbols.onDidChange((uri) => {
+      for (const doc of documents.all()) {
+        if (doc.uri !== uri) this.lintDocumentDebounced(doc);
+      }
+    });
+
+    // Cross-file checks wait for the initial workspace scan
+    index.ready.then(() => {
+      this.indexReady = true;
+      this.lintAll();
+    });
+  }
 
-    // Lint all currently open SCL files
-    for (const doc of vscode.workspace.textDocuments) {
-      if (doc.languageId === "scl") this.lintDocument(doc);
+  /** Applies the tia-scl.lint settings (rules, naming). Invalid settings are reported and ignored. */
+  setEditorSettings(lint: { rules?: unknown; naming?: unknown } | undefined): void {
+    try {
+      this.editorConfig = {
+        rules: parseRules(lint?.rules, "tia-scl.lint.rules"),
+        naming: parseNaming(lint?.naming, "tia-scl.lint.naming"),
+      };
+    } catch (e) {
+      this.editorConfig = { rules: {}, naming: {} };
+      this.connection.window.showWarningMessage(e instanceof Error ? e.message : String(e));
     }
+    this.lintAll();
   }
 
-  private lintDocumentDebounced(document: vscode.TextDocument): void {
-    const key = document.uri.toString();
+  /** Called when a .sclrc.json was created, changed or deleted. */
+  configFilesChanged(): void {
+    this.configFiles.clear();
+    this.lintAll();
+  }
+
+  private lintAll(): void {
+    for (const doc of this.documents.all()) this.lintDocument(doc);
+  }
+
+  private configFor(document: TextDocument): LintConfig {
+    const uri = URI.parse(document.uri);
+    if (uri.scheme !== "file") return this.editorConfig;
+
+    const dir = path.dirname(uri.fsPath);
+    if (!this.configFiles.has(dir)) {
+      let config: LintConfig | undefined;
+      const file = findConfigFile(dir);
+      try {
+        config = file ? loadConfigFile(file) : undefined;
+      } catch (e) {
+        this.connection.window.showWarningMessage(e instanceof Error ? e.message : String(e));
+      }
+      this.configFiles.set(dir, config);
+    }
+    return mergeConfigs(this.configFiles.get(dir), this.editorConfig);
+  }
+
+  private lintDocumentDebounced(document: TextDocument): void {
+    const key = document.uri;
     const existing = this.debounceTimers.get(key);
     if (existing) clearTimeout(existing);
 
@@ -68,34 +119,50 @@ export class SclLinter {
       key,
       setTimeout(() => {
         this.debounceTimers.delete(key);
-        this.lintDocument(document);
+        const current = this.documents.get(key);
+        if (current) this.lintDocument(current);
       }, this.debounceMs)
     );
   }
 
-  private lintDocument(document: vscode.TextDocument): void {
-    const text = document.getText();
-    const lines = text.split(/\r?\n/);
-
+  private lintDocument(document: TextDocument): void {
     // Parse
-    const parseResult = parse(text);
+    const parseResult = this.index.parseDocument(document);
 
     // Run rules
-    const lintDiags = runRules(parseResult);
+    const config = this.configFor(document);
+    const lintDiags = configureDiagnostics(
+      runRules(parseResult, this.indexReady ? this.index.symbols : undefined, config.naming),
+      parseResult.tokens,
+      config
+    );
 
-    // Convert to VS Code diagnostics
-    const diagnostics = lintDiags.map((d) => {
-      const lineText = lines[d.line] || "";
+    // Convert to LSP diagnostics
+    const diagnostics = lintDiags.map((d): Diagnostic => {
       const startCol = d.col;
-      const endCol = d.endCol ?? lineText.trimEnd().length;
-      const range = new vscode.Range(d.line, startCol, d.line, Math.max(endCol, startCol + 1));
-
-      const diag = new vscode.Diagnostic(range, d.message, d.severity);
-      diag.code = d.code;
-      diag.source = "SCL";
-      return diag;
+      const endCol = d.endCol ?? lineText(document, d.line).trimEnd().length;
+      return {
+        range: Range.create(d.line, startCol, d.line, Math.max(endCol, startCol + 1)),
+        message: d.message,
+        severity: toSeverity(d.severity),
+        code: d.code,
+        source: "SCL",
+        data: d.suggestion ? { suggestion: d.suggestion } : undefined,
+        relatedInformation: d.related?.map(r => ({
+          location: Location.create(r.uri, Range.create(r.line, r.col, r.line, r.endCol ?? r.col + 1)),
+          message: r.message,
+        })),
+      };
     });
 
-    this.diagnosticCollection.set(document.uri, diagnostics);
+    this.connection.sendDiagnostics({ uri: document.uri, diagnostics });
+  }
+}
+
+function toSeverity(severity: LintSeverity): DiagnosticSeverity {
+  switch (severity) {
+    case "error": return DiagnosticSeverity.Error;
+    case "warning": return DiagnosticSeverity.Warning;
+    case "hint": return DiagnosticSeverity.Hint;
   }
 }
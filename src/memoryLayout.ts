@@ -0,0 +1,320 @@
+/**
+ * SCL Memory Layout - Byte.bit offsets of the members of standard-access blocks.
+ *
+ * Blocks with { S7_Optimized_Access := 'FALSE' } (global DBs, instance DBs and
+ * FBs) and every UDT have a fixed layout that HMI panels and third-party
+ * drivers address absolutely (DB10.DBW4). The offsets follow the S7 rules:
+ *   - Bools are packed bit by bit, a following Byte/Char starts a new byte
+ *   - Every type of 2 bytes or more, STRUCTs, UDTs, arrays and strings start
+ *     at an even byte; STRUCTs, UDTs and arrays fill up to an even size
+ *   - String[n] takes n + 2 bytes, WString[n] 2n + 4 bytes (n defaults to 254)
+ *   - An FB instance holds Input, Output, InOut and Static in this order;
+ *     InOut parameters of structured types are 6-byte pointers
+ *
+ * From a member of unknown size on (a type not in the workspace, an array
+ * with constant bounds) the offsets are left open.
+ */
+
+import { Block, Expression, NamedType, SectionType, TypeRef, VarDeclaration } from "./ast";
+import { csvField } from "./crossReference";
+import { SymbolIndex } from "./symbolIndex";
+
+export interface LayoutMember {
+  path: string;                   // Data.Level, relative to the block
+  type: string;                   // Type as written in the source
+  decl: VarDeclaration;
+  depth: number;                  // 0 for members of the block itself
+  offset?: number;                // Bits from the start of the block; undefined from a member of unknown size on
+  bits?: number;                  // Size in bits; undefined if unknown
+}
+
+export interface BlockLayout {
+  block: Block;
+  members: LayoutMember[];        // Members of STRUCTs, UDTs and multi-instances follow their parent
+  size?: number;                  // Bytes; undefined if a size is unknown
+  problem?: string;               // Why the layout is incomplete
+}
+
+/** Row of the exported layout table */
+export interface MemoryLayoutRow {
+  block: string;
+  file: string;
+  path: string;
+  type: string;
+  offset?: number;                // Bits
+  bits?: number;
+  address?: string;               // DBX4.3, DBW4, ... (data blocks only)
+}
+
+/** Server request of the layout table of all standard-access blocks (no params) */
+export const MEMORY_LAYOUT_REQUEST = "tia-scl/memoryLayout";
+
+const BYTES: Record<string, number> = {
+  BYTE: 1, CHAR: 1, SINT: 1, USINT: 1,
+  WORD: 2, INT: 2, UINT: 2, WCHAR: 2, DATE: 2, S5TIME: 2,
+  DWORD: 4, DINT: 4, UDINT: 4, REAL: 4, TIME: 4, TIME_OF_DAY: 4, TOD: 4,
+  LWORD: 8, LINT: 8, ULINT: 8, LREAL: 8, LTIME: 8, LTIME_OF_DAY: 8, LTOD: 8, LDT: 8,
+  DATE_AND_TIME: 8, DT: 8, DTL: 12, POINTER: 6, ANY: 10,
+  // Instances of the IEC timers, counters and edge detectors (S7-1200/1500)
+  IEC_TIMER: 16, TON: 16, TOF: 16, TP: 16, TONR: 16, TON_TIME: 16, TOF_TIME: 16, TP_TIME: 16, TONR_TIME: 16,
+  IEC_COUNTER: 6, CTU: 6, CTD: 6, CTUD: 6, CTU_INT: 6, CTD_INT: 6, CTUD_INT: 6,
+  R_TRIG: 2, F_TRIG: 2,
+};
+
+/** Types passed by value as InOut parameters; all others are passed as a pointer */
+const BY_VALUE = new Set(Object.keys(BYTES).filter(t => BYTES[t] <= 8 && t !== "DATE_AND_TIME" && t !== "DT"));
+
+const POINTER_BITS = 48;
+const WORD = 16;
+const DEFAULT_STRING_LENGTH = 254;
+const INSTANCE_SECTIONS: SectionType[] = ["VAR_INPUT", "VAR_OUTPUT", "VAR_IN_OUT", "VAR"];
+
+/** True if a block has { S7_Optimized_Access := 'FALSE' }. */
+export function isStandardAccess(block: Block): boolean {
+  const entry = block.pragmas.flatMap(p => p.entries).find(e => e.name.toLowerCase() === "s7_optimized_access");
+  return !!entry && /false/i.test(entry.value);
+}
+
+/**
+ * Layout of a UDT, or of a DB or FB with standard access. Undefined for
+ * optimized blocks, FCs and OBs, which have no fixed offsets.
+ */
+export function blockLayout(block: Block, index: SymbolIndex): BlockLayout | undefined {
+  const builder = new LayoutBuilder(index);
+  let entries: Entry[];
+  switch (block.blockType) {
+    case "TYPE":
+      entries = (block.structType?.members ?? []).map(decl => ({ decl }));
+      builder.visiting.add(block.name.toLowerCase());
+      break;
+    case "FUNCTION_BLOCK":
+      if (!isStandardAccess(block)) return undefined;
+      entries = instanceEntries(block);
+      builder.visiting.add(block.name.toLowerCase());
+      break;
+    case "DATA_BLOCK": {
+      if (!isStandardAccess(block)) return undefined;
+      const instanceOf = block.instanceOf;
+      if (instanceOf?.kind !== "NamedType") {
+        entries = block.sections.flatMap(s => s.declarations).map(decl => ({ decl }));
+        break;
+      }
+      const type = index.findBlock(instanceOf.name, ["FUNCTION_BLOCK", "TYPE"]);
+      if (!type) return { block, members: [], problem: `"${instanceOf.name}" is not in the workspace` };
+      entries = type.type === "TYPE"
+        ? (type.block.structType?.members ?? []).map(decl => ({ decl }))
+        : instanceEntries(type.block);
+      builder.visiting.add(type.name.toLowerCase());
+      break;
+    }
+    default:
+      return undefined;
+  }
+
+  const end = builder.place(entries, 0, "", 0, true);
+  return {
+    block,
+    members: builder.members,
+    size: end === undefined ? undefined : roundUp(end, WORD) / 8,
+    problem: builder.problem,
+  };
+}
+
+/** Layout rows of every UDT and standard-access block of the index, for the exported table. */
+export function memoryLayoutRows(index: SymbolIndex, displayPath: (uri: string) => string): MemoryLayoutRow[] {
+  const rows: MemoryLayoutRow[] = [];
+  const blocks = index.getBlocks().sort((a, b) => a.name.localeCompare(b.name));
+  for (const indexed of blocks) {
+    const layout = blockLayout(indexed.block, index);
+    if (!layout) continue;
+    const file = displayPath(indexed.uri);
+    for (const m of layout.members) {
+      const address = indexed.type === "DATA_BLOCK" ? dbAddress(m) : undefined;
+      rows.push({ block: indexed.name, file, path: m.path, type: m.type, offset: m.offset, bits: m.bits, address });
+    }
+  }
+  return rows;
+}
+
+/** Formats the layout table as CSV (RFC 4180). */
+export function memoryLayoutToCsv(rows: MemoryLayoutRow[]): string {
+  const lines = [["Block", "Member", "Data type", "Offset", "Size", "Address", "File"]];
+  for (const r of rows) {
+    lines.push([
+      r.block,
+      r.path,
+      r.type,
+      r.offset === undefined ? "" : formatOffset(r.offset),
+      r.bits === undefined ? "" : formatSize(r.bits),
+      r.address ?? "",
+      r.file,
+    ]);
+  }
+  return lines.map(row => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+/** 35 → "4.3" */
+export function formatOffset(bits: number): string {
+  return `${Math.floor(bits / 8)}.${bits % 8}`;
+}
+
+/** 1 → "1 bit", 16 → "2 bytes" */
+export function formatSize(bits: number): string {
+  if (bits < 8) return bits === 1 ? "1 bit" : `${bits} bits`;
+  const bytes = bits / 8;
+  return bytes === 1 ? "1 byte" : `${bytes} bytes`;
+}
+
+/**
+ * Address of a member inside its DB: DBX4.3, DBB4, DBW4 or DBD4 for
+ * elementary types, DBB of the first byte for the others.
+ */
+export function dbAddress(member: LayoutMember): string | undefined {
+  if (member.offset === undefined) return undefined;
+  const byte = Math.floor(member.offset / 8);
+  const elementary = member.decl.type.kind === "NamedType" && !member.decl.type.quoted;
+  switch (elementary ? member.bits : undefined) {
+    case 1: return `DBX${byte}.${member.offset % 8}`;
+    case 16: return `DBW${byte}`;
+    case 32: return `DBD${byte}`;
+    default: return `DBB${byte}`;
+  }
+}
+
+// ─── Placement ──────────────────────────────────────────────────────────────
+
+interface Entry {
+  decl: VarDeclaration;
+  inOut?: boolean;                // InOut parameter of an FB
+}
+
+interface TypeSize {
+  bits: number;
+  align: number;                  // 1 (Bool), 8 or 16 bits
+}
+
+class LayoutBuilder {
+  members: LayoutMember[] = [];
+  problem?: string;
+  /** UDTs and FBs being laid out (lowercase), against recursive types */
+  visiting = new Set<string>();
+
+  constructor(private index: SymbolIndex) {}
+
+  /**
+   * Places declarations from a bit offset and returns the offset after the last
+   * one, or undefined if a size is unknown. Members are only recorded with emit.
+   */
+  place(entries: Entry[], start: number | undefined, prefix: string, depth: number, emit: boolean): number | undefined {
+    let offset = start;
+    for (const { decl, inOut } of entries) {
+      const path = prefix ? `${prefix}.${decl.name}` : decl.name;
+      const size = inOut && !passedByValue(decl.type) ? { bits: POINTER_BITS, align: WORD } : this.size(decl.type);
+      // The alignment of a member of unknown size is unknown as well
+      offset = offset !== undefined && size ? roundUp(offset, size.align) : undefined;
+      if (emit) {
+        this.members.push({ path, type: decl.typeText, decl, depth, offset, bits: size?.bits });
+        const children = inOut && !passedByValue(decl.type) ? undefined : this.children(decl.type);
+        if (children) this.withType(decl.type, () => this.place(children, offset, path, depth + 1, true));
+      }
+      if (!size) {
+        if (emit && !this.problem) this.problem = `The size of ${path} : ${decl.typeText} is unknown`;
+      } else if (offset !== undefined) {
+        offset += size.bits;
+      }
+    }
+    return offset;
+  }
+
+  private size(type: TypeRef): TypeSize | undefined {
+    switch (type.kind) {
+      case "StructType": {
+        const end = this.place(type.members.map(decl => ({ decl })), 0, "", 0, false);
+        return end === undefined ? undefined : { bits: roundUp(end, WORD), align: WORD };
+      }
+      case "ArrayType": {
+        const element = this.size(type.elementType);
+        const count = type.dimensions.reduce<number | undefined>((n, d) => {
+          const low = integerValue(d.low);
+          const high = integerValue(d.high);
+          return n === undefined || low === undefined || high === undefined ? undefined : n * (high - low + 1);
+        }, 1);
+        if (!element || count === undefined || type.dimensions.length === 0) return undefined;
+        const stride = element.align >= WORD ? roundUp(element.bits, WORD) : element.bits;
+        return { bits: roundUp(stride * count, WORD), align: WORD };
+      }
+      case "NamedType":
+        return this.namedSize(type);
+      default:
+        return undefined;
+    }
+  }
+
+  private namedSize(type: NamedType): TypeSize | undefined {
+    const name = type.name.toUpperCase();
+    if (!type.quoted) {
+      if (name === "BOOL") return { bits: 1, align: 1 };
+      if (name === "STRING" || name === "WSTRING") {
+        const length = type.length ? integerValue(type.length) : DEFAULT_STRING_LENGTH;
+        if (length === undefined) return undefined;
+        return { bits: (name === "STRING" ? length + 2 : 2 * length + 4) * 8, align: WORD };
+      }
+      if (BYTES[name] !== undefined) return { bits: BYTES[name] * 8, align: BYTES[name] === 1 ? 8 : WORD };
+    }
+    const children = this.children(type);
+    if (!children) return undefined;
+    const end = this.withType(type, () => this.place(children, 0, "", 0, false));
+    return end === undefined ? undefined : { bits: roundUp(end, WORD), align: WORD };
+  }
+
+  /** Members of an inline STRUCT, a UDT or a multi-instance FB */
+  private children(type: TypeRef): Entry[] | undefined {
+    if (type.kind === "StructType") return type.members.map(decl => ({ decl }));
+    if (type.kind !== "NamedType" || BYTES[type.name.toUpperCase()] !== undefined) return undefined;
+    if (this.visiting.has(type.name.toLowerCase())) return undefined;
+    const target = this.index.findBlock(type.name, ["TYPE", "FUNCTION_BLOCK"]);
+    if (!target) return undefined;
+    return target.type === "TYPE"
+      ? (target.block.structType?.members ?? []).map(decl => ({ decl }))
+      : instanceEntries(target.block);
+  }
+
+  private withType<T>(type: TypeRef, fn: () => T): T {
+    if (type.kind !== "NamedType") return fn();
+    const key = type.name.toLowerCase();
+    this.visiting.add(key);
+    try {
+      return fn();
+    } finally {
+      this.visiting.delete(key);
+    }
+  }
+}
+
+/** Members of an FB instance: Input, Output, InOut, Static */
+function instanceEntries(fb: Block): Entry[] {
+  const entries: Entry[] = [];
+  for (const sectionType of INSTANCE_SECTIONS) {
+    for (const section of fb.sections.filter(s => s.sectionType === sectionType)) {
+      entries.push(...section.declarations.map(decl => ({ decl, inOut: sectionType === "VAR_IN_OUT" })));
+    }
+  }
+  return entries;
+}
+
+function passedByValue(type: TypeRef): boolean {
+  return type.kind === "NamedType" && !type.quoted && (type.name.toUpperCase() === "BOOL" || BY_VALUE.has(type.name.toUpperCase()));
+}
+
+function integerValue(expr: Expression): number | undefined {
+  if (expr.kind === "Literal" && expr.literalType === "integer" && /^\d+$/.test(expr.text)) return Number(expr.text);
+  if (expr.kind === "Unary" && expr.operator === "-") {
+    const value = integerValue(expr.operand);
+    return value === undefined ? undefined : -value;
+  }
+  return undefined;
+}
+
+function roundUp(bits: number, align: number): number {
+  return Math.ceil(bits / align) * align;
+}
@@ -0,0 +1,33 @@
+/**
+ * SCL Memory Layout Commands - Export the offsets of standard-access blocks.
+ *
+ * "Export Memory Layout" writes the byte.bit offset, size and DB address of
+ * every member of the UDTs and standard-access DBs and FBs of the workspace
+ * to a CSV file. The table is built by the language server
+ * (MEMORY_LAYOUT_REQUEST).
+ */
+
+import * as vscode from "vscode";
+import { LanguageClient } from "vscode-languageclient/node";
+import { MEMORY_LAYOUT_REQUEST, MemoryLayoutRow, memoryLayoutToCsv } from "./memoryLayout";
+
+export async function exportMemoryLayout(client: LanguageClient): Promise<void> {
+  try {
+    const rows = await client.sendRequest<MemoryLayoutRow[]>(MEMORY_LAYOUT_REQUEST);
+    if (rows.length === 0) {
+      vscode.window.showWarningMessage("The workspace contains no UDT and no block with standard access.");
+      return;
+    }
+    const folder = vscode.workspace.workspaceFolders?.[0]?.uri;
+    const target = await vscode.window.showSaveDialog({
+      defaultUri: folder && vscode.Uri.joinPath(folder, "memory-layout.csv"),
+      filters: { "CSV": ["csv"] },
+    });
+    if (!target) return;
+    await vscode.workspace.fs.writeFile(target, Buffer.from(memoryLayoutToCsv(rows), "utf8"));
+    const blocks = new Set(rows.map(r => r.block)).size;
+    vscode.window.showInformationMessage(`Exported the layout of ${blocks} block(s) to ${target.fsPath}`);
+  } catch (e) {
+    vscode.window.showErrorMessage(`Memory layout export failed: ${e instanceof Error ? e.message : String(e)}`);
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * SCL Naming Conventions - Checks block and variable names against patterns.
+ *
+ * A pattern is a regular expression per block type or VAR section, set in
+ * the "naming" object of .sclrc.json or the tia-scl.lint.naming setting:
+ *
+ *   { "FUNCTION_BLOCK": "^FB_", "INSTANCE_DB": "^IDB_", "TYPE": "^UDT_",
+ *     "VAR_INPUT": "^i_", "VAR_OUTPUT": "^o_", "VAR_IN_OUT": "^io_",
+ *     "VAR": "^s_", "VAR_TEMP": "^t_", "VAR_CONSTANT": "^[A-Z][A-Z0-9_]*$" }
+ *
+ * Without configuration only FB_, FC_ and DB_ block prefixes are checked;
+ * an empty pattern (or null) turns a check off. For every violation a name
+ * that matches the pattern is suggested where one can be derived, which the
+ * SCL201 quick fix renames to.
+ */
+
+import { Block, BlockType, SectionType, SourceRange } from "./ast";
+import { ParseResult } from "./parser";
+import { SYSTEM_FB_MEMBERS } from "./sclData";
+import { SymbolIndex } from "./symbolIndex";
+
+export type NamingKind =
+  | BlockType | "INSTANCE_DB"
+  | "VAR_INPUT" | "VAR_OUTPUT" | "VAR_IN_OUT" | "VAR" | "VAR_TEMP" | "VAR_CONSTANT";
+
+/** Pattern per block type or VAR section (null or "": not checked) */
+export type NamingConfig = Partial<Record<NamingKind, string | null>>;
+
+export const NAMING_KINDS: NamingKind[] = [
+  "FUNCTION_BLOCK", "FUNCTION", "ORGANIZATION_BLOCK", "DATA_BLOCK", "INSTANCE_DB", "TYPE",
+  "VAR_INPUT", "VAR_OUTPUT", "VAR_IN_OUT", "VAR", "VAR_TEMP", "VAR_CONSTANT",
+];
+
+export const DEFAULT_NAMING: NamingConfig = {
+  FUNCTION_BLOCK: "^FB_",
+  FUNCTION: "^FC_",
+  DATA_BLOCK: "^DB_",
+  INSTANCE_DB: "^DB_",
+};
+
+export interface NamingViolation {
+  kind: NamingKind;
+  name: string;
+  pattern: string;
+  range: SourceRange;             // Name in the declaration
+  suggestion?: string;            // Name that matches the pattern
+}
+
+const CHECKED_SECTIONS = new Set<SectionType>(["VAR_INPUT", "VAR_OUTPUT", "VAR_IN_OUT", "VAR", "VAR_TEMP", "VAR_CONSTANT"]);
+
+/**
+ * Validates a "naming" object from .sclrc.json or the editor settings.
+ * Throws an Error naming the first invalid entry.
+ */
+export function parseNaming(value: unknown, source: string): NamingConfig {
+  if (value === undefined || value === null) return {};
+  if (typeof value !== "object" || Array.isArray(value)) {
+    throw new Error(`${source}: "naming" must be an object`);
+  }
+  const naming: NamingConfig = {};
+  for (const [key, pattern] of Object.entries(value as Record<string, unknown>)) {
+    const kind = key.toUpperCase() as NamingKind;
+    if (!NAMING_KINDS.includes(kind)) {
+      throw new Error(`${source}: unknown naming kind '${key}' (expected one of ${NAMING_KINDS.join(", ")})`);
+    }
+    if (pattern !== null && typeof pattern !== "string") {
+      throw new Error(`${source}: naming pattern for '${key}' must be a string`);
+    }
+    if (pattern) {
+      try {
+        new RegExp(pattern);
+      } catch (e) {
+        throw new Error(`${source}: invalid naming pattern for '${key}': ${e instanceof Error ? e.message : String(e)}`);
+      }
+    }
+    naming[kind] = pattern;
+  }
+  return naming;
+}
+
+/** Checks all blocks and top-level variables of a file. The configuration overrides DEFAULT_NAMING. */
+export function checkNaming(result: ParseResult, naming: NamingConfig, index?: SymbolIndex): NamingViolation[] {
+  const patterns = compile({ ...DEFAULT_NAMING, ...naming });
+  const violations: NamingViolation[] = [];
+
+  const check = (kind: NamingKind, name: string, range: SourceRange) => {
+    const pattern = patterns.get(kind);
+    if (!pattern || !name || pattern.test(name)) return;
+    violations.push({ kind, name, pattern: pattern.source, range, suggestion: suggestName(name, pattern) });
+  };
+
+  for (const block of result.ast.blocks) {
+    check(isInstanceDb(block, result, index) ? "INSTANCE_DB" : block.blockType, block.name, unquoted(block.nameRange, block.name));
+
+    // Variables of global DBs and UDT members are data, not interface or locals
+    if (block.blockType === "DATA_BLOCK" || block.blockType === "TYPE") continue;
+    for (const section of block.sections) {
+      if (!CHECKED_SECTIONS.has(section.sectionType)) continue;
+      for (const decl of section.declarations) {
+        check(section.sectionType as NamingKind, decl.name, decl.nameRange);
+      }
+    }
+  }
+
+  return violations;
+}
+
+/** Range of "Name" without the quotes, so the quick fix finds the symbol under it */
+function unquoted(range: SourceRange, name: string): SourceRange {
+  if (range.start.line !== range.end.line || range.end.col - range.start.col !== name.length + 2) return range;
+  return {
+    start: { ...range.start, col: range.start.col + 1, offset: range.start.offset + 1 },
+    end: { ...range.end, col: range.end.col - 1, offset: range.end.offset - 1 },
+  };
+}
+
+function compile(naming: NamingConfig): Map<NamingKind, RegExp> {
+  const patterns = new Map<NamingKind, RegExp>();
+  for (const kind of NAMING_KINDS) {
+    const pattern = naming[kind];
+    if (pattern) patterns.set(kind, new RegExp(pattern));
+  }
+  return patterns;
+}
+
+/** DATA_BLOCK "x" "FB_Type" (user FB or IEC timer/counter), as opposed to a global DB or a UDT instance */
+function isInstanceDb(block: Block, result: ParseResult, index?: SymbolIndex): boolean {
+  const type = block.instanceOf;
+  if (block.blockType !== "DATA_BLOCK" || !type || type.kind !== "NamedType") return false;
+  if (SYSTEM_FB_MEMBERS[type.name.toUpperCase()]) return true;
+  if (index) return !!index.findBlock(type.name, ["FUNCTION_BLOCK"]);
+  const upper = type.name.toUpperCase();
+  return result.ast.blocks.some(b => b.blockType === "FUNCTION_BLOCK" && b.name.toUpperCase() === upper);
+}
+
+// ─── Suggestions ────────────────────────────────────────────────────────────
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Derives a name that matches the pattern: adds its literal prefix, replaces
+ * another short prefix (i_Start → o_Start) and tries common casings.
+ */
+export function suggestName(name: string, pattern: RegExp): string | undefined {
+  const prefix = /^\^([A-Za-z0-9_]*)/.exec(pattern.source)?.[1] ?? "";
+  const stripped = name.replace(/^(?:[a-z]{1,3}|[A-Z]{1,3})_(?=[A-Za-z0-9])/, "");
+
+  const casings = [
+    (s: string) => s,
+    (s: string) => s.charAt(0).toLowerCase() + s.slice(1),
+    (s: string) => s.charAt(0).toUpperCase() + s.slice(1),
+    upperSnakeCase,
+  ];
+
+  for (const base of stripped !== name ? [stripped, name] : [name]) {
+    for (const casing of casings) {
+      for (const candidate of [prefix + casing(base), casing(base)]) {
+        if (candidate !== name && IDENTIFIER.test(candidate) && pattern.test(candidate)) return candidate;
+      }
+    }
+  }
+  return undefined;
+}
+
+/** maxSpeed → MAX_SPEED */
+function upperSnakeCase(name: string): string {
+  return name.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toUpperCase();
+}
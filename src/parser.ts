@@ -1,13 +1,21 @@
 /**
- * SCL Parser - Structural analysis of SCL source files.
+ * SCL Parser - Recursive-descent parser producing a full AST.
  *
- * Not a full AST parser, but a stack-based structure tracker that:
- * - Strips comments and strings
- * - Tracks block/var/control flow nesting via stacks
- * - Builds a symbol table of declared variables per block
- * - Tracks which variables are used in code
+ * - Tokenizes the source with the lexer (comments, strings, typed literals)
+ * - Parses blocks, declarations, statements and expressions with source ranges
+ * - Recovers from missing END_xxx keywords and records unmatched opens/closes
+ * - Derives the ParseResult summary (symbol table, usage, structure checks)
+ *   used by the linter and the providers
  */
 
+import { Token, tokenize, significantTokens } from "./lexer";
+import {
+  SourceFile, SourceRange, SourcePosition, Block, BlockType, BlockProperty, Pragma,
+  VarSection, SectionType, VarDeclaration, TypeRef, StructType, NamedType,
+  RangeExpression, Statement, IfBranch, CaseBranch, Expression, Argument, LiteralType,
+  walkStatements, childStatementLists, statementExpressions, walkExpression,
+} from "./ast";
+
 // ─── Types ──────────────────────────────────────────────────────────────────
 
 export interface StackEntry {
@@ -21,6 +29,7 @@ export interface VariableDecl {
   type: string;
   section: string;      // VAR_INPUT, VAR_OUTPUT, VAR_IN_OUT, VAR, VAR_TEMP, VAR_CONSTANT, STRUCT
   block: string;        // Parent block name
+  parent: string;       // Dotted path of the enclosing STRUCT variable ("" at top level)
   line: number;
   col: number;
 }
@@ -29,24 +38,35 @@ export interface BlockDecl {
   type: string;         // FUNCTION_BLOCK, FUNCTION, DATA_BLOCK, ORGANIZATION_BLOCK, TYPE
   name: string;
   line: number;
+  col: number;
   endLine: number;
+  nameLine: number;
+  nameCol: number;
   hasVersion: boolean;
   hasPragma: boolean;
   hasBegin: boolean;
   hasCode: boolean;     // Non-empty code after BEGIN
-  hasCaseElse: Map<number, boolean>;  // line -> hasElse for CASE statements
+  caseStatements: { line: number; col: number; hasElse: boolean }[];
+}
+
+export interface ParseError {
+  message: string;
+  range: SourceRange;
 }
 
 export interface ParseResult {
+  ast: SourceFile;
+  tokens: Token[];                  // Full token stream, including comments
   blocks: BlockDecl[];
   variables: VariableDecl[];
-  usedVariables: Set<string>;       // All #variable references (lowercase)
+  usedVariables: Set<string>;       // All variable references in code (lowercase)
   unmatchedOpens: StackEntry[];     // Opening keywords without closing
   unmatchedCloses: StackEntry[];    // Closing keywords without opening
-  exitOutsideLoop: StackEntry[];   // EXIT/CONTINUE outside loop
+  exitOutsideLoop: StackEntry[];    // EXIT/CONTINUE outside loop
+  errors: ParseError[];             // Syntax errors
 }
 
-// ─── Block keyword pairs ────────────────────────────────────────────────────
+// ─── Keyword groups ─────────────────────────────────────────────────────────
 
 const BLOCK_PAIRS: Record<string, string> = {
   "FUNCTION_BLOCK": "END_FUNCTION_BLOCK",
@@ -56,352 +76,1386 @@ const BLOCK_PAIRS: Record<string, string> = {
   "TYPE": "END_TYPE",
 };
 
-const BLOCK_END_TO_OPEN: Record<string, string> = {};
-for (const [open, close] of Object.entries(BLOCK_PAIRS)) {
-  BLOCK_END_TO_OPEN[close] = open;
-}
+const BLOCK_ENDS = new Set(Object.values(BLOCK_PAIRS));
 
 const VAR_OPENS = new Set([
-  "VAR_INPUT", "VAR_OUTPUT", "VAR_IN_OUT", "VAR_TEMP",
-  "VAR_GLOBAL", "VAR", "STRUCT",
+  "VAR_INPUT", "VAR_OUTPUT", "VAR_IN_OUT", "VAR_TEMP", "VAR_GLOBAL", "VAR",
 ]);
 
-const CONTROL_PAIRS: Record<string, string> = {
-  "IF": "END_IF",
-  "FOR": "END_FOR",
-  "WHILE": "END_WHILE",
-  "REPEAT": "END_REPEAT",
-  "CASE": "END_CASE",
-  "REGION": "END_REGION",
-};
+const VAR_MODIFIERS = new Set(["CONSTANT", "RETAIN", "NON_RETAIN", "DB_SPECIFIC"]);
 
-const CONTROL_END_TO_OPEN: Record<string, string> = {};
-for (const [open, close] of Object.entries(CONTROL_PAIRS)) {
-  CONTROL_END_TO_OPEN[close] = open;
-}
+const HEADER_PROPERTIES = new Set(["VERSION", "TITLE", "AUTHOR", "FAMILY", "NAME"]);
 
-const LOOP_KEYWORDS = new Set(["FOR", "WHILE", "REPEAT"]);
+const ASSIGN_OPS = new Set([":=", "+=", "-=", "*=", "/=", "?="]);
 
-// ─── Parser ─────────────────────────────────────────────────────────────────
+const LOOP_KINDS = new Set(["For", "While", "Repeat"]);
+
+// ─── Entry points ───────────────────────────────────────────────────────────
 
+/** Parses SCL source into an AST and the derived structural summary. */
 export function parse(text: string): ParseResult {
-  const lines = text.split(/\r?\n/);
+  const tokens = tokenize(text);
+  const parser = new Parser(significantTokens(tokens), text);
+  const ast = parser.parseFile();
+
   const result: ParseResult = {
+    ast,
+    tokens,
     blocks: [],
     variables: [],
     usedVariables: new Set(),
-    unmatchedOpens: [],
-    unmatchedCloses: [],
+    unmatchedOpens: parser.unmatchedOpens,
+    unmatchedCloses: parser.unmatchedCloses,
     exitOutsideLoop: [],
+    errors: parser.errors,
   };
 
-  const blockStack: StackEntry[] = [];
-  const varStack: StackEntry[] = [];
-  const controlStack: StackEntry[] = [];
+  for (const block of ast.blocks) {
+    deriveBlock(block, result);
+  }
+  attachComments(ast.blocks, tokens);
 
-  let currentBlock: BlockDecl | null = null;
-  let currentVarSection = "";
-  let inBlockComment = false;
-  let afterBegin = false;
+  return result;
+}
 
-  for (let lineIdx = 0; lineIdx < lines.length; lineIdx++) {
-    let line = lines[lineIdx];
+// ─── Derivation ─────────────────────────────────────────────────────────────
 
-    // Handle block comments spanning lines
-    if (inBlockComment) {
-      const endIdx = line.indexOf("*)");
-      if (endIdx >= 0) {
-        line = " ".repeat(endIdx + 2) + line.substring(endIdx + 2);
-        inBlockComment = false;
-      } else {
-        continue;
+function deriveBlock(block: Block, result: ParseResult): void {
+  const decl: BlockDecl = {
+    type: block.blockType,
+    name: block.name,
+    line: block.keywordRange.start.line,
+    col: block.keywordRange.start.col,
+    endLine: block.endRange ? block.endRange.start.line : -1,
+    nameLine: block.nameRange.start.line,
+    nameCol: block.nameRange.start.col,
+    hasVersion: block.properties.some(p => p.name === "VERSION"),
+    hasPragma: block.pragmas.length > 0,
+    hasBegin: block.beginRange !== undefined,
+    hasCode: (block.body || []).some(s => s.kind !== "Empty"),
+    caseStatements: [],
+  };
+  result.blocks.push(decl);
+
+  // Symbol table
+  for (const section of block.sections) {
+    addVariables(section.declarations, section.sectionType, block.name, "", result);
+  }
+  if (block.structType) {
+    addVariables(block.structType.members, "STRUCT", block.name, "", result);
+  }
+
+  // Variable usage (declarations may reference constants in bounds and initializers)
+  const collectUsage = (expr: Expression) => {
+    walkExpression(expr, e => {
+      if (e.kind === "LocalRef" || e.kind === "Identifier") {
+        result.usedVariables.add(e.name.toLowerCase());
       }
+    });
+  };
+  for (const section of block.sections) {
+    for (const d of section.declarations) {
+      declarationExpressions(d).forEach(collectUsage);
     }
+  }
+
+  if (!block.body) return;
 
-    // Strip inline block comments (* ... *)
-    line = stripBlockComments(line);
-    if (line.includes("(*")) {
-      inBlockComment = true;
-      line = line.substring(0, line.indexOf("(*"));
+  if (block.blockType !== "DATA_BLOCK") {
+    walkStatements(block.body, stmt => statementExpressions(stmt).forEach(collectUsage));
+  }
+
+  // CASE ... ELSE tracking
+  walkStatements(block.body, stmt => {
+    if (stmt.kind === "Case") {
+      decl.caseStatements.push({
+        line: stmt.range.start.line,
+        col: stmt.range.start.col,
+        hasElse: stmt.elseBody !== undefined,
+      });
     }
+  });
 
-    // Strip line comments
-    const commentIdx = lineCommentIndex(line);
-    if (commentIdx >= 0) {
-      line = line.substring(0, commentIdx);
+  // EXIT / CONTINUE outside of loops
+  const visit = (statements: Statement[], inLoop: boolean) => {
+    for (const stmt of statements) {
+      if (stmt.kind === "Jump" && (stmt.keyword === "EXIT" || stmt.keyword === "CONTINUE") && !inLoop) {
+        result.exitOutsideLoop.push({
+          keyword: stmt.keyword,
+          line: stmt.range.start.line,
+          col: stmt.range.start.col,
+        });
+      }
+      const nestedInLoop = inLoop || LOOP_KINDS.has(stmt.kind);
+      childStatementLists(stmt).forEach(list => visit(list, nestedInLoop));
     }
+  };
+  visit(block.body, false);
+}
 
-    // Save original line (before stripping strings) for block name extraction
-    const originalLine = line;
+/** Stores the trailing comment of each declaration line (`Speed : Real; // Setpoint`). */
+function attachComments(blocks: Block[], tokens: Token[]): void {
+  const commentsByLine = new Map<number, Token[]>();
+  for (const tok of tokens) {
+    if (tok.kind !== "comment") continue;
+    if (!commentsByLine.has(tok.line)) commentsByLine.set(tok.line, []);
+    commentsByLine.get(tok.line)!.push(tok);
+  }
+  if (commentsByLine.size === 0) return;
 
-    // Strip string literals
-    line = stripStrings(line);
+  const visit = (decls: VarDeclaration[]) => {
+    for (const d of decls) {
+      const end = d.range.end;
+      const comment = (commentsByLine.get(end.line) || []).find(t => t.offset >= end.offset);
+      if (comment) d.comment = commentText(comment.text);
+      const struct = structOf(d.type);
+      if (struct) visit(struct.members);
+    }
+  };
 
-    const trimmed = line.trim();
-    if (!trimmed) continue;
+  for (const block of blocks) {
+    block.sections.forEach(s => visit(s.declarations));
+    if (block.structType) visit(block.structType.members);
+  }
+}
 
-    const upper = trimmed.toUpperCase();
+/** Text of a comment token without its delimiters */
+export function commentText(text: string): string {
+  if (text.startsWith("//")) return text.substring(2).trim();
+  return text.replace(/^(\(\*|\/\*)/, "").replace(/(\*\)|\*\/)$/, "").trim();
+}
 
-    // ── Track #variable usage ──────────────────────────────────
-    const hashVarRegex = /#([A-Za-z_]\w*)/g;
-    let hvMatch;
-    while ((hvMatch = hashVarRegex.exec(originalLine)) !== null) {
-      result.usedVariables.add(hvMatch[1].toLowerCase());
+function addVariables(
+  decls: VarDeclaration[],
+  section: string,
+  blockName: string,
+  parent: string,
+  result: ParseResult
+): void {
+  for (const d of decls) {
+    result.variables.push({
+      name: d.name,
+      type: d.typeText,
+      section,
+      block: blockName,
+      parent,
+      line: d.nameRange.start.line,
+      col: d.nameRange.start.col,
+    });
+    const struct = structOf(d.type);
+    if (struct) {
+      addVariables(struct.members, "STRUCT", blockName, parent ? `${parent}.${d.name}` : d.name, result);
     }
+  }
+}
 
-    // ── Pragma detection ───────────────────────────────────────
-    if (trimmed.startsWith("{") && currentBlock) {
-      currentBlock.hasPragma = true;
-      continue;
-    }
+/**
+ * Parses a single expression such as `#motors[#i].Data`. Returns undefined
+ * if the text is not exactly one valid expression.
+ */
+export function parseExpression(text: string): Expression | undefined {
+  const parser = new Parser(significantTokens(tokenize(text)), text);
+  return parser.parseStandaloneExpression();
+}
+
+/**
+ * Parses the variable or block reference that ends at the end of a line
+ * prefix, e.g. `#motors[#i].Data` in `IF #motors[#i].Data` (before a '.'
+ * or '(' typed by the user).
+ */
+export function parseTrailingReference(prefix: string): Expression | undefined {
+  const text = trailingReferenceText(prefix);
+  return text ? parseExpression(text) : undefined;
+}
 
-    // ── VERSION detection ──────────────────────────────────────
-    if (upper.startsWith("VERSION") && currentBlock) {
-      currentBlock.hasVersion = true;
+/** Source text of the reference parsed by parseTrailingReference. */
+export function trailingReferenceText(prefix: string): string {
+  let i = prefix.length - 1;
+  let depth = 0;
+  while (i >= 0) {
+    const ch = prefix[i];
+    if (ch === '"') {
+      const open = prefix.lastIndexOf('"', i - 1);
+      if (open < 0) return "";
+      i = open - 1;
       continue;
     }
+    if (ch === "]") {
+      depth++;
+    } else if (ch === "[") {
+      if (depth === 0) break;
+      depth--;
+    } else if (depth === 0 && !/[\w#.%]/.test(ch)) {
+      break;
+    }
+    i--;
+  }
+  return prefix.substring(i + 1);
+}
 
-    // ── Block declarations ─────────────────────────────────────
-    let handled = false;
-    for (const openKw of Object.keys(BLOCK_PAIRS)) {
-      if (matchKeyword(upper, openKw)) {
-        const name = extractBlockName(originalLine);
-        const block: BlockDecl = {
-          type: openKw,
-          name,
-          line: lineIdx,
-          endLine: -1,
-          hasVersion: false,
-          hasPragma: false,
-          hasBegin: false,
-          hasCode: false,
-          hasCaseElse: new Map(),
-        };
-        result.blocks.push(block);
-        currentBlock = block;
-        blockStack.push({ keyword: openKw, line: lineIdx, col: 0 });
-        afterBegin = false;
-        handled = true;
+/** Returns the inline STRUCT of a type (also through arrays), if any. */
+export function structOf(type: TypeRef): StructType | undefined {
+  if (type.kind === "StructType") return type;
+  if (type.kind === "ArrayType") return structOf(type.elementType);
+  return undefined;
+}
+
+function declarationExpressions(decl: VarDeclaration): Expression[] {
+  const exprs: Expression[] = [];
+  const visitType = (type: TypeRef) => {
+    switch (type.kind) {
+      case "NamedType":
+        if (type.length) exprs.push(type.length);
         break;
+      case "ArrayType":
+        exprs.push(...type.dimensions);
+        visitType(type.elementType);
+        break;
+      case "StructType":
+        for (const m of type.members) exprs.push(...declarationExpressions(m));
+        break;
+      case "RefType":
+        visitType(type.target);
+        break;
+    }
+  };
+  visitType(decl.type);
+  if (decl.initializer) exprs.push(decl.initializer);
+  return exprs;
+}
+
+// ─── Parser ─────────────────────────────────────────────────────────────────
+
+class Parser {
+  readonly errors: ParseError[] = [];
+  readonly unmatchedOpens: StackEntry[] = [];
+  readonly unmatchedCloses: StackEntry[] = [];
+
+  private pos = 0;
+  private prev: Token;
+  /** Closing keywords of all enclosing constructs (innermost last) */
+  private closers: string[] = [];
+
+  constructor(private tokens: Token[], private text: string) {
+    this.prev = tokens[0];
+  }
+
+  // ── File ──────────────────────────────────────────────────────
+
+  parseFile(): SourceFile {
+    const blocks: Block[] = [];
+    const first = this.peek();
+
+    while (!this.atEof()) {
+      const tok = this.peek();
+      if (this.isBlockStart(tok)) {
+        blocks.push(this.parseBlock());
+        continue;
+      }
+      if (tok.kind === "keyword" && tok.value.startsWith("END_")) {
+        this.unmatchedCloses.push(entry(tok));
+        this.next();
+        this.acceptOp(";");
+        continue;
+      }
+      this.error(`Unexpected '${tok.text}' outside of a block`, tokenRange(tok));
+      while (!this.atEof() && !this.isBlockStart(this.peek()) &&
+             !(this.peek().kind === "keyword" && this.peek().value.startsWith("END_"))) {
+        this.next();
       }
     }
-    if (handled) continue;
 
-    // Block end keywords
-    for (const closeKw of Object.keys(BLOCK_END_TO_OPEN)) {
-      if (matchKeyword(upper, closeKw)) {
-        if (blockStack.length > 0) {
-          const top = blockStack[blockStack.length - 1];
-          if (BLOCK_PAIRS[top.keyword] === closeKw) {
-            blockStack.pop();
-            if (currentBlock) currentBlock.endLine = lineIdx;
-            currentBlock = null;
-            afterBegin = false;
-          } else {
-            result.unmatchedCloses.push({ keyword: closeKw, line: lineIdx, col: 0 });
-          }
-        } else {
-          result.unmatchedCloses.push({ keyword: closeKw, line: lineIdx, col: 0 });
+    return {
+      kind: "SourceFile",
+      blocks,
+      range: { start: startOf(first), end: endOf(this.peek()) },
+    };
+  }
+
+  parseStandaloneExpression(): Expression | undefined {
+    if (this.atEof()) return undefined;
+    const expr = this.parseExpression();
+    return this.errors.length === 0 && this.atEof() ? expr : undefined;
+  }
+
+  // ── Blocks ────────────────────────────────────────────────────
+
+  private parseBlock(): Block {
+    const kwTok = this.next();
+    const blockType = kwTok.value as BlockType;
+    const closer = BLOCK_PAIRS[blockType];
+
+    const block: Block = {
+      kind: "Block",
+      blockType,
+      name: "",
+      nameRange: { start: endOf(kwTok), end: endOf(kwTok) },
+      keywordRange: tokenRange(kwTok),
+      pragmas: [],
+      properties: [],
+      sections: [],
+      range: tokenRange(kwTok),
+    };
+
+    // Name
+    const nameTok = this.peek();
+    if (nameTok.kind === "quotedName" || nameTok.kind === "identifier") {
+      this.next();
+      block.name = nameTok.kind === "quotedName" ? nameTok.value : nameTok.text;
+      block.nameRange = tokenRange(nameTok);
+    } else {
+      this.error(`Expected a name after '${kwTok.value}'`, tokenRange(nameTok));
+    }
+
+    // FUNCTION "x" : ReturnType (and IEC-style TYPE name : STRUCT)
+    if (this.isOp(this.peek(), ":")) {
+      this.next();
+      if (blockType === "FUNCTION") {
+        block.returnType = this.parseType();
+      }
+    }
+
+    this.closers.push(closer);
+    this.parseBlockHeader(block);
+
+    while (!this.atEof()) {
+      const tok = this.peek();
+
+      if (tok.kind === "pragma") {
+        block.pragmas.push(this.parsePragma(this.next()));
+        continue;
+      }
+      if (tok.kind === "keyword") {
+        if (tok.value === closer) {
+          this.next();
+          block.endRange = tokenRange(tok);
+          this.acceptOp(";");
+          break;
         }
-        handled = true;
-        break;
+        if (VAR_OPENS.has(tok.value)) {
+          block.sections.push(this.parseVarSection());
+          continue;
+        }
+        if (tok.value === "STRUCT" && !block.structType) {
+          block.structType = this.parseStructType();
+          this.acceptOp(";");
+          continue;
+        }
+        if (tok.value === "BEGIN") {
+          this.next();
+          block.beginRange = tokenRange(tok);
+          block.body = this.parseStatementList(new Set([closer]));
+          continue;
+        }
+        if (this.isBlockStart(tok) || BLOCK_ENDS.has(tok.value)) break;
+        if (tok.value.startsWith("END_")) {
+          this.unmatchedCloses.push(entry(tok));
+          this.next();
+          this.acceptOp(";");
+          continue;
+        }
+      }
+
+      // DATA_BLOCK "DB" "FB_Type" - instance or UDT-typed DB
+      if (blockType === "DATA_BLOCK" && !block.instanceOf && !block.beginRange &&
+          (tok.kind === "quotedName" || tok.kind === "identifier")) {
+        block.instanceOf = this.parseType();
+        this.acceptOp(";");
+        continue;
       }
+
+      this.error(`Unexpected '${tok.text}' in ${blockType} declaration`, tokenRange(tok));
+      this.next();
     }
-    if (handled) continue;
 
-    // ── BEGIN ──────────────────────────────────────────────────
-    if (upper === "BEGIN") {
-      if (currentBlock) currentBlock.hasBegin = true;
-      afterBegin = true;
-      continue;
+    if (!block.endRange) {
+      this.unmatchedOpens.push(entry(kwTok));
     }
+    this.closers.pop();
+    block.range = { start: startOf(kwTok), end: endOf(this.prev) };
+    return block;
+  }
 
-    // ── VAR section ends ───────────────────────────────────────
-    if (matchKeyword(upper, "END_VAR") || matchKeyword(upper, "END_STRUCT")) {
-      if (varStack.length > 0) {
-        varStack.pop();
-        currentVarSection = varStack.length > 0 ? varStack[varStack.length - 1].keyword : "";
-      } else {
-        result.unmatchedCloses.push({
-          keyword: upper.startsWith("END_STRUCT") ? "END_STRUCT" : "END_VAR",
-          line: lineIdx, col: 0,
-        });
+  private parseBlockHeader(block: Block): void {
+    while (!this.atEof()) {
+      const tok = this.peek();
+      if (tok.kind === "pragma") {
+        block.pragmas.push(this.parsePragma(this.next()));
+        continue;
       }
-      continue;
+      const upper = tok.value.toUpperCase();
+      if (tok.kind === "identifier" && HEADER_PROPERTIES.has(upper) &&
+          (this.isOp(this.peek(1), ":") || this.isOp(this.peek(1), "="))) {
+        block.properties.push(this.parseBlockProperty());
+        continue;
+      }
+      if (tok.kind === "identifier" && upper === "KNOW_HOW_PROTECT") {
+        this.next();
+        block.properties.push({ name: upper, value: "", range: tokenRange(tok) });
+        continue;
+      }
+      if (tok.kind === "keyword" && tok.value === "NON_RETAIN") {
+        this.next();
+        block.properties.push({ name: tok.value, value: "", range: tokenRange(tok) });
+        continue;
+      }
+      break;
     }
+  }
 
-    // "VAR CONSTANT" special case
-    if (upper.startsWith("VAR") && upper.includes("CONSTANT") && !upper.startsWith("VAR_")) {
-      currentVarSection = "VAR_CONSTANT";
-      varStack.push({ keyword: "VAR_CONSTANT", line: lineIdx, col: 0 });
-      continue;
+  private parseBlockProperty(): BlockProperty {
+    const nameTok = this.next();
+    this.next(); // ':' or '='
+
+    // The value runs to the end of the line (titles are free text)
+    let first: Token | undefined;
+    let last: Token | undefined;
+    while (!this.atEof() && this.peek().line === nameTok.line &&
+           this.peek().kind !== "keyword" && this.peek().kind !== "pragma") {
+      const tok = this.next();
+      if (!first) first = tok;
+      last = tok;
     }
 
-    // VAR section opens
-    let varMatched = false;
-    for (const varKw of VAR_OPENS) {
-      if (matchKeyword(upper, varKw)) {
-        currentVarSection = varKw;
-        varStack.push({ keyword: varKw, line: lineIdx, col: 0 });
-        varMatched = true;
-        break;
-      }
+    let value = "";
+    if (first && last) {
+      value = this.text.substring(first.offset, last.endOffset).trim();
+      if (first === last && first.kind === "string") value = value.slice(1, -1);
     }
-    if (varMatched) continue;
-
-    // ── Variable declarations (inside VAR sections) ────────────
-    if (currentVarSection && !afterBegin) {
-      // Use originalLine (before stripStrings) to preserve UDT type names like "UDT_Motor"
-      const origTrimmed = originalLine.trim();
-      const varMatch = origTrimmed.match(/^(\w+)\s*:\s*(.+?)(?:\s*:=\s*.+?)?\s*;/);
-      if (varMatch) {
-        const varName = varMatch[1];
-        let varType = varMatch[2].trim().replace(/;$/, "").trim();
-        if (!isKeyword(varName)) {
-          result.variables.push({
-            name: varName,
-            type: varType,
-            section: currentVarSection,
-            block: currentBlock?.name || "",
-            line: lineIdx,
-            col: origTrimmed.indexOf(varName),
-          });
-        }
+    return {
+      name: nameTok.value.toUpperCase(),
+      value,
+      range: { start: startOf(nameTok), end: endOf(this.prev) },
+    };
+  }
+
+  private parsePragma(tok: Token): Pragma {
+    const entries: { name: string; value: string }[] = [];
+    const entryRegex = /([A-Za-z_]\w*)\s*:=\s*'((?:\$.|[^'])*)'/g;
+    let match;
+    while ((match = entryRegex.exec(tok.text)) !== null) {
+      entries.push({ name: match[1], value: match[2] });
+    }
+    return { kind: "Pragma", text: tok.text, entries, range: tokenRange(tok) };
+  }
+
+  // ── Declarations ──────────────────────────────────────────────
+
+  private parseVarSection(): VarSection {
+    const kwTok = this.next();
+    const modifiers: string[] = [];
+    while (this.peek().kind === "keyword" && VAR_MODIFIERS.has(this.peek().value)) {
+      modifiers.push(this.next().value);
+    }
+
+    let sectionType = kwTok.value as SectionType;
+    if (sectionType === "VAR" && modifiers.includes("CONSTANT")) {
+      sectionType = "VAR_CONSTANT";
+    }
+
+    this.closers.push("END_VAR");
+    const declarations = this.parseDeclarations("END_VAR");
+    let endRange: SourceRange | undefined;
+    const endTok = this.peek();
+    if (this.isKeyword(endTok, "END_VAR")) {
+      this.next();
+      endRange = tokenRange(endTok);
+      this.acceptOp(";");
+    } else {
+      this.unmatchedOpens.push({ keyword: sectionType, line: kwTok.line, col: kwTok.col });
+    }
+    this.closers.pop();
+
+    return {
+      kind: "VarSection",
+      sectionType,
+      modifiers,
+      declarations,
+      keywordRange: tokenRange(kwTok),
+      endRange,
+      range: { start: startOf(kwTok), end: endOf(this.prev) },
+    };
+  }
+
+  private parseDeclarations(terminator: string): VarDeclaration[] {
+    const decls: VarDeclaration[] = [];
+
+    while (!this.atEof()) {
+      const tok = this.peek();
+      if (tok.kind === "keyword") {
+        if (tok.value === terminator) break;
+        if (this.isDeclarationBoundary(tok)) break;
+        this.error(`Unexpected '${tok.text}' in declaration section`, tokenRange(tok));
+        this.next();
         continue;
       }
-      // Simple declaration without ; on same line
-      const simpleMatch = origTrimmed.match(/^(\w+)\s*:\s*(\S+)/);
-      if (simpleMatch && !isKeyword(simpleMatch[1])) {
-        result.variables.push({
-          name: simpleMatch[1],
-          type: simpleMatch[2].replace(/;$/, "").trim(),
-          section: currentVarSection,
-          block: currentBlock?.name || "",
-          line: lineIdx,
-          col: 0,
-        });
+      if (tok.kind === "identifier" || tok.kind === "quotedName") {
+        decls.push(...this.parseDeclaration());
+        continue;
       }
-      continue;
+      if (tok.kind === "pragma" || this.isOp(tok, ";")) {
+        this.next();
+        continue;
+      }
+      this.error(`Expected a variable declaration, found '${tok.text}'`, tokenRange(tok));
+      this.skipPast(";");
     }
 
-    // ── Control flow (only in code section after BEGIN) ────────
-    if (afterBegin) {
-      if (currentBlock && trimmed !== ";" && !upper.startsWith("END_")) {
-        currentBlock.hasCode = true;
-      }
+    return decls;
+  }
+
+  private parseDeclaration(): VarDeclaration[] {
+    const names: Token[] = [];
+    const pragmas: Pragma[] = [];
+    const startTok = this.peek();
 
-      // CASE ... OF
-      if (matchKeyword(upper, "CASE")) {
-        controlStack.push({ keyword: "CASE", line: lineIdx, col: 0 });
-        if (currentBlock) currentBlock.hasCaseElse.set(lineIdx, false);
+    for (;;) {
+      names.push(this.next());
+      while (this.peek().kind === "pragma") pragmas.push(this.parsePragma(this.next()));
+      if (this.isOp(this.peek(), ",") &&
+          (this.peek(1).kind === "identifier" || this.peek(1).kind === "quotedName")) {
+        this.next();
         continue;
       }
+      break;
+    }
+
+    if (!this.expectOp(":", "in variable declaration")) {
+      this.skipPast(";");
+      return [];
+    }
+
+    const typeStart = this.peek();
+    const type = this.parseType();
+    const typeText = this.typeText(type, typeStart);
+
+    while (this.peek().kind === "pragma") pragmas.push(this.parsePragma(this.next()));
+
+    let initializer: Expression | undefined;
+    let initializerText: string | undefined;
+    if (this.isOp(this.peek(), ":=")) {
+      this.next();
+      initializer = this.parseExpression();
+      initializerText = this.text
+        .substring(initializer.range.start.offset, initializer.range.end.offset)
+        .replace(/\s+/g, " ")
+        .trim();
+    }
+    this.expectSemicolon();
 
-      // ELSE inside CASE -> mark it
-      if (matchKeyword(upper, "ELSE") && controlStack.length > 0) {
-        const top = controlStack[controlStack.length - 1];
-        if (top.keyword === "CASE" && currentBlock) {
-          currentBlock.hasCaseElse.set(top.line, true);
+    return names.map(nameTok => ({
+      kind: "VarDeclaration" as const,
+      name: nameTok.kind === "quotedName" ? nameTok.value : nameTok.text,
+      nameRange: tokenRange(nameTok),
+      type,
+      typeText,
+      initializer,
+      initializerText,
+      pragmas,
+      range: { start: startOf(startTok), end: endOf(this.prev) },
+    }));
+  }
+
+  private parseType(): TypeRef {
+    const tok = this.peek();
+
+    if (this.isKeyword(tok, "ARRAY")) {
+      this.next();
+      const dimensions: Expression[] = [];
+      if (this.expectOp("[", "after ARRAY")) {
+        if (this.isOp(this.peek(), "*")) {
+          this.next();
+        } else {
+          do {
+            dimensions.push(this.parseRangeOrExpression());
+          } while (this.acceptOp(","));
         }
-        continue;
+        this.expectOp("]", "to close array bounds");
       }
+      this.expectKeyword("OF");
+      const elementType = this.parseType();
+      return {
+        kind: "ArrayType",
+        dimensions: dimensions.filter((d): d is RangeExpression => d.kind === "Range"),
+        elementType,
+        range: { start: startOf(tok), end: endOf(this.prev) },
+      };
+    }
 
-      // IF (but not ELSIF)
-      if ((upper === "IF" || upper.startsWith("IF ")) && !upper.startsWith("ELSIF")) {
-        controlStack.push({ keyword: "IF", line: lineIdx, col: 0 });
+    if (this.isKeyword(tok, "STRUCT")) {
+      return this.parseStructType();
+    }
+
+    if (this.isKeyword(tok, "REF_TO")) {
+      this.next();
+      const target = this.parseType();
+      return { kind: "RefType", target, range: { start: startOf(tok), end: endOf(this.prev) } };
+    }
+
+    if (tok.kind === "quotedName" || tok.kind === "identifier") {
+      this.next();
+      const named: NamedType = {
+        kind: "NamedType",
+        name: tok.kind === "quotedName" ? tok.value : tok.text,
+        quoted: tok.kind === "quotedName",
+        range: tokenRange(tok),
+      };
+      // String[20], WString[100]
+      if (this.isOp(this.peek(), "[")) {
+        this.next();
+        named.length = this.parseExpression();
+        this.expectOp("]", "to close string length");
+        named.range = { start: startOf(tok), end: endOf(this.prev) };
       }
+      return named;
+    }
 
-      // FOR, WHILE, REPEAT, REGION
-      for (const openKw of ["FOR", "WHILE", "REPEAT", "REGION"]) {
-        if (matchKeyword(upper, openKw)) {
-          controlStack.push({ keyword: openKw, line: lineIdx, col: 0 });
-          break;
+    this.error(`Expected a data type, found '${tok.text || "end of file"}'`, tokenRange(tok));
+    return { kind: "NamedType", name: "", quoted: false, range: { start: startOf(tok), end: startOf(tok) } };
+  }
+
+  private parseStructType(): StructType {
+    const kwTok = this.next();
+    this.closers.push("END_STRUCT");
+    const members = this.parseDeclarations("END_STRUCT");
+    let endRange: SourceRange | undefined;
+    const endTok = this.peek();
+    if (this.isKeyword(endTok, "END_STRUCT")) {
+      this.next();
+      endRange = tokenRange(endTok);
+    } else {
+      this.unmatchedOpens.push(entry(kwTok));
+    }
+    this.closers.pop();
+    return {
+      kind: "StructType",
+      members,
+      endRange,
+      range: { start: startOf(kwTok), end: endOf(this.prev) },
+    };
+  }
+
+  /** Type as written, with whitespace collapsed; inline structs are shown as "Struct". */
+  private typeText(type: TypeRef, startTok: Token): string {
+    let element = type;
+    while (element.kind === "ArrayType") element = element.elementType;
+    if (element.kind === "StructType") {
+      const prefix = this.text.substring(startTok.offset, element.range.start.offset);
+      return (prefix + "Struct").replace(/\s+/g, " ").trim();
+    }
+    return this.text.substring(type.range.start.offset, type.range.end.offset).replace(/\s+/g, " ").trim();
+  }
+
+  // ── Statements ────────────────────────────────────────────────
+
+  private parseStatementList(terminators: Set<string>, stopAtCaseLabel = false): Statement[] {
+    const statements: Statement[] = [];
+
+    while (!this.atEof()) {
+      const tok = this.peek();
+
+      if (tok.kind === "keyword") {
+        if (terminators.has(tok.value)) break;
+        if (this.isBlockStart(tok)) break;
+        if (tok.value.startsWith("END_")) {
+          // Closes an enclosing construct: the current one is left unmatched
+          if (this.closers.includes(tok.value)) break;
+          this.unmatchedCloses.push(entry(tok));
+          this.next();
+          this.acceptOp(";");
+          continue;
+        }
+        if (tok.value === "ELSE" || tok.value === "ELSIF" || tok.value === "UNTIL") {
+          const owner = tok.value === "UNTIL" ? ["END_REPEAT"]
+            : tok.value === "ELSIF" ? ["END_IF"] : ["END_IF", "END_CASE"];
+          if (this.closers.some(c => owner.includes(c))) break;
+          this.error(`'${tok.value}' without matching '${tok.value === "UNTIL" ? "REPEAT" : "IF"}'`, tokenRange(tok));
+          this.next();
+          continue;
         }
       }
+      if (stopAtCaseLabel && this.isCaseLabelAhead()) break;
 
-      // Control flow closers
-      for (const closeKw of Object.keys(CONTROL_END_TO_OPEN)) {
-        if (matchKeyword(upper, closeKw)) {
-          const expectedOpen = CONTROL_END_TO_OPEN[closeKw];
-          if (controlStack.length > 0 && controlStack[controlStack.length - 1].keyword === expectedOpen) {
-            controlStack.pop();
+      const before = this.pos;
+      const stmt = this.parseStatement();
+      if (stmt) statements.push(stmt);
+      if (this.pos === before) this.next();
+    }
+
+    return statements;
+  }
+
+  private parseStatement(): Statement | undefined {
+    const tok = this.peek();
+
+    if (this.isOp(tok, ";")) {
+      this.next();
+      return { kind: "Empty", range: tokenRange(tok) };
+    }
+
+    if (tok.kind === "keyword") {
+      switch (tok.value) {
+        case "IF": return this.parseIf();
+        case "CASE": return this.parseCase();
+        case "FOR": return this.parseFor();
+        case "WHILE": return this.parseWhile();
+        case "REPEAT": return this.parseRepeat();
+        case "REGION": return this.parseRegion();
+        case "EXIT":
+        case "CONTINUE":
+        case "RETURN": {
+          this.next();
+          this.expectSemicolon();
+          return { kind: "Jump", keyword: tok.value, range: this.rangeFrom(tok) };
+        }
+        case "GOTO": {
+          this.next();
+          const labelTok = this.peek();
+          let label: string | undefined;
+          if (labelTok.kind === "identifier") {
+            this.next();
+            label = labelTok.text;
           } else {
-            result.unmatchedCloses.push({ keyword: closeKw, line: lineIdx, col: 0 });
+            this.error("Expected a jump label after 'GOTO'", tokenRange(labelTok));
           }
-          break;
+          this.expectSemicolon();
+          return { kind: "Jump", keyword: "GOTO", label, range: this.rangeFrom(tok) };
         }
       }
+    }
+
+    // Jump label: "Label: statement"
+    if (tok.kind === "identifier" && this.isOp(this.peek(1), ":")) {
+      this.next();
+      this.next();
+      return undefined;
+    }
+
+    const errorCount = this.errors.length;
+    const target = this.parseExpression();
+    if (this.errors.length > errorCount) {
+      this.recover();
+      return undefined;
+    }
+
+    const opTok = this.peek();
+    if (opTok.kind === "operator" && ASSIGN_OPS.has(opTok.value)) {
+      this.next();
+      const value = this.parseExpression();
+      if (this.errors.length > errorCount) {
+        this.recover();
+      } else {
+        this.expectSemicolon();
+      }
+      return { kind: "Assignment", target, operator: opTok.value, value, range: this.rangeFrom(tok) };
+    }
+
+    if (target.kind !== "Call") {
+      this.error(`Expected ':=' or a call after '${this.text.substring(tok.offset, this.prev.endOffset)}'`, tokenRange(opTok));
+      this.recover();
+      return undefined;
+    }
+
+    this.expectSemicolon();
+    return { kind: "CallStatement", call: target, range: this.rangeFrom(tok) };
+  }
+
+  private parseIf(): Statement {
+    const kwTok = this.next();
+    this.closers.push("END_IF");
+
+    const branches: IfBranch[] = [];
+    let branchTok = kwTok;
+    for (;;) {
+      const condition = this.parseExpression();
+      this.expectKeyword("THEN");
+      const body = this.parseStatementList(new Set(["ELSIF", "ELSE", "END_IF"]));
+      branches.push({ condition, body, range: this.rangeFrom(branchTok) });
+      if (!this.isKeyword(this.peek(), "ELSIF")) break;
+      branchTok = this.next();
+    }
+
+    let elseBody: Statement[] | undefined;
+    let elseRange: SourceRange | undefined;
+    if (this.isKeyword(this.peek(), "ELSE")) {
+      elseRange = tokenRange(this.next());
+      elseBody = this.parseStatementList(new Set(["END_IF"]));
+    }
+
+    const endRange = this.closeConstruct(kwTok, "END_IF");
+    return { kind: "If", branches, elseBody, elseRange, endRange, range: this.rangeFrom(kwTok) };
+  }
+
+  private parseCase(): Statement {
+    const kwTok = this.next();
+    this.closers.push("END_CASE");
+
+    const selector = this.parseExpression();
+    this.expectKeyword("OF");
+
+    const branches: CaseBranch[] = [];
+    const terminators = new Set(["ELSE", "END_CASE"]);
+    while (!this.atEof()) {
+      const tok = this.peek();
+      if (this.isKeyword(tok, "ELSE") || this.isKeyword(tok, "END_CASE")) break;
+
+      if (this.isCaseLabelAhead()) {
+        const labels: Expression[] = [];
+        do {
+          labels.push(this.parseRangeOrExpression());
+        } while (this.acceptOp(","));
+        this.expectOp(":", "after CASE label");
+        const body = this.parseStatementList(terminators, true);
+        branches.push({ labels, body, range: this.rangeFrom(tok) });
+        continue;
+      }
+
+      // Statements before the first label, or a foreign closer
+      const before = this.pos;
+      if (tok.kind !== "keyword" || !tok.value.startsWith("END_")) {
+        this.error("Expected a CASE label (e.g. '1:' or '1..5:')", tokenRange(tok));
+      }
+      this.parseStatementList(terminators, true);
+      if (this.pos === before) break;
+    }
+
+    let elseBody: Statement[] | undefined;
+    let elseRange: SourceRange | undefined;
+    if (this.isKeyword(this.peek(), "ELSE")) {
+      elseRange = tokenRange(this.next());
+      this.acceptOp(":");
+      elseBody = this.parseStatementList(new Set(["END_CASE"]));
+    }
+
+    const endRange = this.closeConstruct(kwTok, "END_CASE");
+    return { kind: "Case", selector, branches, elseBody, elseRange, endRange, range: this.rangeFrom(kwTok) };
+  }
+
+  private parseFor(): Statement {
+    const kwTok = this.next();
+    this.closers.push("END_FOR");
+
+    const variable = this.parsePostfix();
+    this.expectOp(":=", "in FOR statement");
+    const start = this.parseExpression();
+    this.expectKeyword("TO");
+    const end = this.parseExpression();
+    let step: Expression | undefined;
+    if (this.acceptKeyword("BY")) {
+      step = this.parseExpression();
+    }
+    this.expectKeyword("DO");
+    const body = this.parseStatementList(new Set(["END_FOR"]));
+
+    const endRange = this.closeConstruct(kwTok, "END_FOR");
+    return { kind: "For", variable, start, end, step, body, endRange, range: this.rangeFrom(kwTok) };
+  }
+
+  private parseWhile(): Statement {
+    const kwTok = this.next();
+    this.closers.push("END_WHILE");
+
+    const condition = this.parseExpression();
+    this.expectKeyword("DO");
+    const body = this.parseStatementList(new Set(["END_WHILE"]));
+
+    const endRange = this.closeConstruct(kwTok, "END_WHILE");
+    return { kind: "While", condition, body, endRange, range: this.rangeFrom(kwTok) };
+  }
+
+  private parseRepeat(): Statement {
+    const kwTok = this.next();
+    this.closers.push("END_REPEAT");
+
+    const body = this.parseStatementList(new Set(["UNTIL", "END_REPEAT"]));
+    let condition: Expression;
+    if (this.acceptKeyword("UNTIL")) {
+      condition = this.parseExpression();
+      this.acceptOp(";");
+    } else {
+      this.error("Expected 'UNTIL' before 'END_REPEAT'", tokenRange(this.peek()));
+      condition = this.errorExpression();
+    }
+
+    const endRange = this.closeConstruct(kwTok, "END_REPEAT");
+    return { kind: "Repeat", body, condition, endRange, range: this.rangeFrom(kwTok) };
+  }
+
+  private parseRegion(): Statement {
+    const kwTok = this.next();
+    let name = "";
+    if (this.peek().kind === "regionName") {
+      name = this.next().value;
+    }
+    this.closers.push("END_REGION");
+
+    const body = this.parseStatementList(new Set(["END_REGION"]));
+
+    const endRange = this.closeConstruct(kwTok, "END_REGION");
+    return { kind: "Region", name, body, endRange, range: this.rangeFrom(kwTok) };
+  }
+
+  /** Consumes the END_xxx keyword of a construct or records it as unmatched. */
+  private closeConstruct(openTok: Token, closer: string): SourceRange | undefined {
+    this.closers.pop();
+    const tok = this.peek();
+    if (this.isKeyword(tok, closer)) {
+      this.next();
+      this.acceptOp(";");
+      return tokenRange(tok);
+    }
+    this.unmatchedOpens.push(entry(openTok));
+    return undefined;
+  }
+
+  /** True if the upcoming tokens form a CASE label list terminated by ':' */
+  private isCaseLabelAhead(): boolean {
+    let sawValue = false;
+    for (let i = this.pos; i < this.tokens.length; i++) {
+      const t = this.tokens[i];
+      switch (t.kind) {
+        case "number":
+        case "typedLiteral":
+        case "identifier":
+        case "localRef":
+        case "quotedName":
+          sawValue = true;
+          continue;
+        case "operator":
+          if (t.value === ":") return sawValue;
+          if (t.value === "," || t.value === ".." || t.value === "-" || t.value === "+" || t.value === ".") continue;
+          return false;
+        default:
+          return false;
+      }
+    }
+    return false;
+  }
+
+  // ── Expressions ───────────────────────────────────────────────
+
+  private parseExpression(): Expression {
+    return this.parseOr();
+  }
+
+  private parseRangeOrExpression(): Expression {
+    const low = this.parseExpression();
+    if (this.acceptOp("..")) {
+      const high = this.parseExpression();
+      return { kind: "Range", low, high, range: span(low.range, high.range) };
+    }
+    return low;
+  }
+
+  private parseOr(): Expression {
+    let left = this.parseXor();
+    while (this.isKeyword(this.peek(), "OR")) {
+      this.next();
+      const right = this.parseXor();
+      left = binary("OR", left, right);
+    }
+    return left;
+  }
+
+  private parseXor(): Expression {
+    let left = this.parseAnd();
+    while (this.isKeyword(this.peek(), "XOR")) {
+      this.next();
+      const right = this.parseAnd();
+      left = binary("XOR", left, right);
+    }
+    return left;
+  }
+
+  private parseAnd(): Expression {
+    let left = this.parseEquality();
+    while (this.isKeyword(this.peek(), "AND") || this.isOp(this.peek(), "&")) {
+      this.next();
+      const right = this.parseEquality();
+      left = binary("AND", left, right);
+    }
+    return left;
+  }
+
+  private parseEquality(): Expression {
+    let left = this.parseComparison();
+    while (this.isOp(this.peek(), "=") || this.isOp(this.peek(), "<>")) {
+      const op = this.next().value;
+      const right = this.parseComparison();
+      left = binary(op, left, right);
+    }
+    return left;
+  }
 
-      // EXIT / CONTINUE outside loop
-      if (matchKeyword(upper, "EXIT") || matchKeyword(upper, "CONTINUE")) {
-        const inLoop = controlStack.some(e => LOOP_KEYWORDS.has(e.keyword));
-        if (!inLoop) {
-          result.exitOutsideLoop.push({
-            keyword: upper.startsWith("EXIT") ? "EXIT" : "CONTINUE",
-            line: lineIdx, col: 0,
-          });
+  private parseComparison(): Expression {
+    let left = this.parseAdditive();
+    while (["<", ">", "<=", ">="].some(op => this.isOp(this.peek(), op))) {
+      const op = this.next().value;
+      const right = this.parseAdditive();
+      left = binary(op, left, right);
+    }
+    return left;
+  }
+
+  private parseAdditive(): Expression {
+    let left = this.parseMultiplicative();
+    while (this.isOp(this.peek(), "+") || this.isOp(this.peek(), "-")) {
+      const op = this.next().value;
+      const right = this.parseMultiplicative();
+      left = binary(op, left, right);
+    }
+    return left;
+  }
+
+  private parseMultiplicative(): Expression {
+    let left = this.parseUnary();
+    while (this.isOp(this.peek(), "*") || this.isOp(this.peek(), "/") || this.isKeyword(this.peek(), "MOD")) {
+      const op = this.next().value;
+      const right = this.parseUnary();
+      left = binary(op, left, right);
+    }
+    return left;
+  }
+
+  private parseUnary(): Expression {
+    const tok = this.peek();
+    if (this.isKeyword(tok, "NOT") || this.isOp(tok, "-") || this.isOp(tok, "+")) {
+      this.next();
+      const operand = this.parseUnary();
+      return { kind: "Unary", operator: tok.value, operand, range: { start: startOf(tok), end: operand.range.end } };
+    }
+    return this.parsePower();
+  }
+
+  private parsePower(): Expression {
+    const base = this.parsePostfix();
+    if (this.isOp(this.peek(), "**")) {
+      this.next();
+      const exponent = this.parseUnary();
+      return binary("**", base, exponent);
+    }
+    return base;
+  }
+
+  private parsePostfix(): Expression {
+    let expr = this.parsePrimary();
+
+    for (;;) {
+      const tok = this.peek();
+
+      if (this.isOp(tok, ".")) {
+        this.next();
+        const memberTok = this.peek();
+        if (["identifier", "quotedName", "address", "keyword", "number"].includes(memberTok.kind)) {
+          this.next();
+          const member = memberTok.kind === "quotedName" || memberTok.kind === "address"
+            ? memberTok.value : memberTok.text;
+          expr = {
+            kind: "MemberAccess",
+            object: expr,
+            member,
+            memberRange: tokenRange(memberTok),
+            range: { start: expr.range.start, end: endOf(memberTok) },
+          };
+        } else {
+          this.error("Expected a member name after '.'", tokenRange(memberTok));
+          return expr;
         }
+        continue;
+      }
+
+      if (this.isOp(tok, "[")) {
+        this.next();
+        const indices: Expression[] = [];
+        do {
+          indices.push(this.parseExpression());
+        } while (this.acceptOp(","));
+        this.expectOp("]", "to close index");
+        expr = { kind: "IndexAccess", object: expr, indices, range: { start: expr.range.start, end: endOf(this.prev) } };
+        continue;
+      }
+
+      if (this.isOp(tok, "(") && isCallable(expr)) {
+        this.next();
+        const args = this.parseArguments();
+        expr = { kind: "Call", callee: expr, args, range: { start: expr.range.start, end: endOf(this.prev) } };
+        continue;
       }
+
+      if (this.isOp(tok, "^")) {
+        this.next();
+        expr = { kind: "Deref", operand: expr, range: { start: expr.range.start, end: endOf(tok) } };
+        continue;
+      }
+
+      return expr;
     }
   }
 
-  // Remaining unmatched opens
-  result.unmatchedOpens.push(...blockStack, ...varStack, ...controlStack);
+  private parseArguments(): Argument[] {
+    const args: Argument[] = [];
+    if (this.acceptOp(")")) return args;
 
-  return result;
+    for (;;) {
+      const tok = this.peek();
+      const after = this.peek(1);
+      if ((tok.kind === "identifier" || tok.kind === "quotedName") &&
+          (this.isOp(after, ":=") || this.isOp(after, "=>"))) {
+        this.next();
+        this.next();
+        const value = this.parseExpression();
+        args.push({
+          name: tok.kind === "quotedName" ? tok.value : tok.text,
+          nameRange: tokenRange(tok),
+          direction: after.value === ":=" ? "input" : "output",
+          value,
+          range: { start: startOf(tok), end: value.range.end },
+        });
+      } else {
+        const value = this.parseExpression();
+        args.push({ direction: "positional", value, range: value.range });
+      }
+
+      if (this.acceptOp(",")) continue;
+      this.expectOp(")", "to close argument list");
+      return args;
+    }
+  }
+
+  private parsePrimary(): Expression {
+    const tok = this.peek();
+
+    switch (tok.kind) {
+      case "number": {
+        this.next();
+        const isReal = !tok.text.includes("#") && /[.eE]/.test(tok.text);
+        return { kind: "Literal", literalType: isReal ? "real" : "integer", text: tok.text, range: tokenRange(tok) };
+      }
+      case "typedLiteral": {
+        this.next();
+        const prefix = tok.text.substring(0, tok.text.indexOf("#")).toUpperCase();
+        return {
+          kind: "Literal",
+          literalType: typedLiteralType(prefix),
+          text: tok.text,
+          typePrefix: prefix,
+          range: tokenRange(tok),
+        };
+      }
+      case "string":
+        this.next();
+        return { kind: "Literal", literalType: "string", text: tok.text, range: tokenRange(tok) };
+      case "localRef":
+        this.next();
+        return { kind: "LocalRef", name: tok.value, range: tokenRange(tok) };
+      case "quotedName":
+        this.next();
+        return { kind: "GlobalRef", name: tok.value, range: tokenRange(tok) };
+      case "identifier":
+        this.next();
+        return { kind: "Identifier", name: tok.text, range: tokenRange(tok) };
+      case "address":
+        this.next();
+        return { kind: "AddressRef", address: tok.value, range: tokenRange(tok) };
+      case "keyword":
+        if (tok.value === "TRUE" || tok.value === "FALSE") {
+          this.next();
+          return { kind: "Literal", literalType: "boolean", text: tok.text, range: tokenRange(tok) };
+        }
+        if (tok.value === "NULL") {
+          this.next();
+          return { kind: "Literal", literalType: "null", text: tok.text, range: tokenRange(tok) };
+        }
+        break;
+      case "operator":
+        if (tok.value === "(") {
+          this.next();
+          const inner = this.parseExpression();
+          this.expectOp(")", "to close parenthesis");
+          return { kind: "Paren", expression: inner, range: this.rangeFrom(tok) };
+        }
+        if (tok.value === "[") {
+          return this.parseArrayLiteral();
+        }
+        break;
+    }
+
+    this.error(`Expected an expression, found '${tok.text || "end of file"}'`, tokenRange(tok));
+    return this.errorExpression();
+  }
+
+  private parseArrayLiteral(): Expression {
+    const open = this.next();
+    const elements: Expression[] = [];
+    if (!this.isOp(this.peek(), "]")) {
+      do {
+        let element = this.parseExpression();
+        // 3(0) - repeat a value n times
+        if (element.kind === "Literal" && this.isOp(this.peek(), "(")) {
+          this.next();
+          const value = this.isOp(this.peek(), ")") ? this.errorExpression() : this.parseExpression();
+          this.expectOp(")", "to close repetition");
+          element = { kind: "Repeated", count: element, value, range: { start: element.range.start, end: endOf(this.prev) } };
+        }
+        elements.push(element);
+      } while (this.acceptOp(","));
+    }
+    this.expectOp("]", "to close array initializer");
+    return { kind: "ArrayLiteral", elements, range: this.rangeFrom(open) };
+  }
+
+  private errorExpression(): Expression {
+    const at = startOf(this.peek());
+    return { kind: "Error", range: { start: at, end: at } };
+  }
+
+  // ── Token helpers ─────────────────────────────────────────────
+
+  private peek(offset = 0): Token {
+    return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+  }
+
+  private next(): Token {
+    const tok = this.peek();
+    if (tok.kind !== "eof") {
+      this.pos++;
+      this.prev = tok;
+    }
+    return tok;
+  }
+
+  private atEof(): boolean {
+    return this.peek().kind === "eof";
+  }
+
+  private isOp(tok: Token, op: string): boolean {
+    return tok.kind === "operator" && tok.value === op;
+  }
+
+  private isKeyword(tok: Token, kw: string): boolean {
+    return tok.kind === "keyword" && tok.value === kw;
+  }
+
+  private isBlockStart(tok: Token): boolean {
+    return tok.kind === "keyword" && tok.value in BLOCK_PAIRS;
+  }
+
+  private isDeclarationBoundary(tok: Token): boolean {
+    return VAR_OPENS.has(tok.value) || tok.value === "BEGIN" || tok.value === "END_VAR" ||
+      tok.value === "END_STRUCT" || this.isBlockStart(tok) || BLOCK_ENDS.has(tok.value);
+  }
+
+  private acceptOp(op: string): boolean {
+    if (this.isOp(this.peek(), op)) {
+      this.next();
+      return true;
+    }
+    return false;
+  }
+
+  private acceptKeyword(kw: string): boolean {
+    if (this.isKeyword(this.peek(), kw)) {
+      this.next();
+      return true;
+    }
+    return false;
+  }
+
+  private expectOp(op: string, context: string): boolean {
+    if (this.acceptOp(op)) return true;
+    this.error(`Expected '${op}' ${context}`, tokenRange(this.peek()));
+    return false;
+  }
+
+  private expectKeyword(kw: string): boolean {
+    if (this.acceptKeyword(kw)) return true;
+    this.error(`Expected '${kw}'`, tokenRange(this.peek()));
+    return false;
+  }
+
+  private expectSemicolon(): void {
+    if (this.acceptOp(";")) return;
+    this.error("Expected ';'", tokenRange(this.prev));
+  }
+
+  /** Skips to the end of the current statement after a syntax error. */
+  private recover(): void {
+    while (!this.atEof()) {
+      const tok = this.peek();
+      if (this.isOp(tok, ";")) {
+        this.next();
+        return;
+      }
+      if (tok.kind === "keyword" && tok.line !== this.prev.line) return;
+      if (tok.kind === "keyword" && (tok.value.startsWith("END_") || tok.value === "ELSE" ||
+          tok.value === "ELSIF" || tok.value === "UNTIL")) return;
+      this.next();
+    }
+  }
+
+  private skipPast(op: string): void {
+    while (!this.atEof()) {
+      const tok = this.peek();
+      if (tok.kind === "keyword" && this.isDeclarationBoundary(tok)) return;
+      this.next();
+      if (this.isOp(tok, op)) return;
+    }
+  }
+
+  private rangeFrom(startTok: Token): SourceRange {
+    return { start: startOf(startTok), end: endOf(this.prev) };
+  }
+
+  private error(message: string, range: SourceRange): void {
+    // Avoid cascades: one error per position
+    const last = this.errors[this.errors.length - 1];
+    if (last && last.range.start.offset === range.start.offset) return;
+    this.errors.push({ message, range });
+  }
 }
 
 // ─── Helpers ────────────────────────────────────────────────────────────────
 
-function matchKeyword(upper: string, keyword: string): boolean {
-  if (upper === keyword) return true;
-  if (upper === keyword + ";") return true;
-  if (upper.startsWith(keyword + " ") || upper.startsWith(keyword + "\t") || upper.startsWith(keyword + ";")) return true;
-  return false;
+function startOf(tok: Token): SourcePosition {
+  return { line: tok.line, col: tok.col, offset: tok.offset };
 }
 
-function extractBlockName(line: string): string {
-  const match = line.match(/"([^"]+)"/);
-  return match ? match[1] : "";
+function endOf(tok: Token): SourcePosition {
+  return { line: tok.endLine, col: tok.endCol, offset: tok.endOffset };
 }
 
-function stripBlockComments(line: string): string {
-  return line.replace(/\(\*[\s\S]*?\*\)/g, (m) => " ".repeat(m.length));
+function tokenRange(tok: Token): SourceRange {
+  return { start: startOf(tok), end: endOf(tok) };
 }
 
-function lineCommentIndex(line: string): number {
-  let inString = false;
-  let stringChar = "";
-  for (let i = 0; i < line.length - 1; i++) {
-    const ch = line[i];
-    if (inString) {
-      if (ch === stringChar) inString = false;
-    } else {
-      if (ch === "'" || ch === '"') {
-        inString = true;
-        stringChar = ch;
-      } else if (ch === "/" && line[i + 1] === "/") {
-        return i;
-      }
-    }
-  }
-  return -1;
+function span(a: SourceRange, b: SourceRange): SourceRange {
+  return { start: a.start, end: b.end };
 }
 
-function stripStrings(line: string): string {
-  return line.replace(/'[^']*'/g, (m) => "'" + " ".repeat(m.length - 2) + "'")
-             .replace(/"[^"]*"/g, (m) => '"' + " ".repeat(m.length - 2) + '"');
+function entry(tok: Token): StackEntry {
+  return { keyword: tok.value, line: tok.line, col: tok.col };
 }
 
-const KEYWORD_SET = new Set([
-  "IF", "THEN", "ELSIF", "ELSE", "END_IF",
-  "FOR", "TO", "BY", "DO", "END_FOR",
-  "WHILE", "END_WHILE", "REPEAT", "UNTIL", "END_REPEAT",
-  "CASE", "OF", "END_CASE", "RETURN", "EXIT", "CONTINUE",
-  "BEGIN", "END_VAR", "END_STRUCT", "REGION", "END_REGION",
-  "TRUE", "FALSE", "AND", "OR", "XOR", "NOT", "MOD",
-]);
+function binary(operator: string, left: Expression, right: Expression): Expression {
+  return { kind: "Binary", operator, left, right, range: span(left.range, right.range) };
+}
 
-function isKeyword(word: string): boolean {
-  return KEYWORD_SET.has(word.toUpperCase());
+function isCallable(expr: Expression): boolean {
+  return expr.kind === "LocalRef" || expr.kind === "GlobalRef" || expr.kind === "Identifier" ||
+    expr.kind === "MemberAccess" || expr.kind === "IndexAccess";
+}
+
+function typedLiteralType(prefix: string): LiteralType {
+  switch (prefix) {
+    case "T": case "TIME": case "LT": case "LTIME": case "S5T": case "S5TIME":
+      return "time";
+    case "D": case "DATE": case "LD": case "LDATE":
+      return "date";
+    case "DT": case "DATE_AND_TIME": case "LDT": case "DTL":
+      return "dateTime";
+    case "TOD": case "TIME_OF_DAY": case "LTOD": case "LTIME_OF_DAY":
+      return "timeOfDay";
+    default:
+      return "typed";
+  }
 }
@@ -0,0 +1,183 @@
+/**
+ * SCL Program Structure View - Webview showing the call tree of the program.
+ *
+ * The tree is requested from the language server (PROGRAM_STRUCTURE_REQUEST):
+ * every OB with the blocks it calls, their instances and the calls below
+ * them, then the FBs and FCs no block calls. Recursive calls are marked and
+ * not expanded; the call depth of every OB is shown next to it. Clicking a
+ * row opens the call.
+ */
+
+import * as vscode from "vscode";
+import { LanguageClient } from "vscode-languageclient/node";
+import { createWebviewPanel, webviewHtml } from "./webview";
+import { PROGRAM_STRUCTURE_REQUEST, ProgramStructure } from "./callHierarchy";
+
+export class ProgramStructurePanel {
+  private static current: ProgramStructurePanel | undefined;
+
+  /** Opens the view, or refreshes and reveals it if it is already open. */
+  static show(client: LanguageClient): void {
+    if (ProgramStructurePanel.current) {
+      ProgramStructurePanel.current.panel.reveal();
+      ProgramStructurePanel.current.refresh();
+      return;
+    }
+    const panel = createWebviewPanel("tia-scl.programStructure", "SCL Program Structure", vscode.ViewColumn.Active);
+    ProgramStructurePanel.current = new ProgramStructurePanel(panel, client);
+  }
+
+  private constructor(private panel: vscode.WebviewPanel, private client: LanguageClient) {
+    panel.webview.html = structureHtml();
+    panel.onDidDispose(() => {
+      ProgramStructurePanel.current = undefined;
+    });
+    panel.webview.onDidReceiveMessage(message => this.onMessage(message));
+  }
+
+  private async refresh(): Promise<void> {
+    try {
+      const structure = await this.client.sendRequest<ProgramStructure>(PROGRAM_STRUCTURE_REQUEST);
+      this.panel.webview.postMessage({ type: "structure", structure });
+    } catch (e) {
+      vscode.window.showErrorMessage(`Program structure failed: ${e instanceof Error ? e.message : String(e)}`);
+    }
+  }
+
+  private async onMessage(message: { type: string; uri?: string; line?: number; col?: number }): Promise<void> {
+    switch (message.type) {
+      case "ready":
+      case "refresh":
+        await this.refresh();
+        break;
+      case "open": {
+        if (!message.uri) return;
+        const position = new vscode.Position(message.line ?? 0, message.col ?? 0);
+        await vscode.window.showTextDocument(vscode.Uri.parse(message.uri), {
+          selection: new vscode.Range(position, position),
+          viewColumn: vscode.ViewColumn.Beside,
+        });
+        break;
+      }
+    }
+  }
+}
+
+// ─── Webview content ────────────────────────────────────────────────────────
+
+function structureHtml(): string {
+  return webviewHtml({
+    title: "SCL Program Structure",
+    style: `
+  .toolbar { display: flex; gap: 8px; align-items: center; margin-bottom: 8px; }
+  input { flex: 1; background: var(--vscode-input-background); color: var(--vscode-input-foreground);
+          border: 1px solid var(--vscode-input-border, transparent); padding: 4px; }
+  #summary { opacity: 0.7; }
+  .recursions { border-left: 3px solid var(--vscode-editorWarning-foreground); padding: 2px 8px; margin-bottom: 8px; }
+  .row { display: flex; gap: 8px; align-items: baseline; padding: 1px 0; cursor: pointer; white-space: nowrap; }
+  .row:hover { background: var(--vscode-list-hoverBackground); }
+  .twisty { width: 1em; text-align: center; opacity: 0.8; }
+  .type { font-size: 85%; opacity: 0.7; min-width: 2.5em; }
+  .block { font-family: var(--vscode-editor-font-family); }
+  .instance { font-family: var(--vscode-editor-font-family); color: var(--vscode-charts-blue); }
+  .calls, .depth, .location { opacity: 0.7; }
+  .location { margin-left: auto; padding-right: 8px; }
+  .recursive { color: var(--vscode-editorWarning-foreground); }
+  .uncalled { opacity: 0.6; }
+  .heading { margin: 12px 0 4px; font-weight: bold; }
+  .children { margin-left: 1.2em; }
+  .collapsed > .children { display: none; }
+`,
+    body: `
+<div class="toolbar">
+  <input id="filter" type="search" placeholder="Filter by block or instance">
+  <span id="summary"></span>
+  <button id="expand">Expand All</button>
+  <button id="collapse">Collapse All</button>
+  <button id="refresh">Refresh</button>
+</div>
+<div id="recursions"></div>
+<div id="tree"></div>
+`,
+    script: `
+  const TYPES = { ORGANIZATION_BLOCK: "OB", FUNCTION_BLOCK: "FB", FUNCTION: "FC", SYSTEM: "SFB" };
+  let structure = { roots: [], maxDepth: 0, recursions: [] };
+  const nodes = [];
+
+  /** True if the node or a node below it matches the filter */
+  function matches(node, filter) {
+    return !filter || (node.block + " " + (node.instance || "")).toLowerCase().includes(filter) ||
+      node.children.some(c => matches(c, filter));
+  }
+
+  function renderNode(node, filter, root) {
+    if (!matches(node, filter)) return "";
+    const id = nodes.push(node) - 1;
+    const twisty = node.children.length ? "\\u25BE" : "";
+    const details = [];
+    if (node.calls > 1) details.push('<span class="calls">' + node.calls + ' calls</span>');
+    if (root && node.depth > 0) details.push('<span class="depth">call depth ' + node.depth + '</span>');
+    if (node.recursive) details.push('<span class="recursive">\\u21BB recursion</span>');
+    return '<div class="node' + (node.uncalled ? " uncalled" : "") + '">' +
+      '<div class="row" data-id="' + id + '">' +
+      '<span class="twisty">' + twisty + '</span>' +
+      '<span class="type">' + (TYPES[node.type] || node.type) + '</span>' +
+      '<span class="block">' + escape(node.block) + '</span>' +
+      (node.instance ? '<span class="instance">' + escape(node.instance) + '</span>' : "") +
+      details.join("") +
+      '<span class="location">' + escape(node.file) + ':' + (node.line + 1) + '</span></div>' +
+      '<div class="children">' + node.children.map(c => renderNode(c, filter, false)).join("") + '</div>' +
+      '</div>';
+  }
+
+  function render() {
+    const filter = document.getElementById("filter").value.trim().toLowerCase();
+    nodes.length = 0;
+    const obs = structure.roots.filter(r => !r.uncalled);
+    const uncalled = structure.roots.filter(r => r.uncalled);
+    let html = obs.map(r => renderNode(r, filter, true)).join("");
+    if (uncalled.length) {
+      html += '<div class="heading">Not called</div>' + uncalled.map(r => renderNode(r, filter, true)).join("");
+    }
+    document.getElementById("tree").innerHTML = html || "No FBs, FCs or OBs in the workspace.";
+    document.getElementById("recursions").innerHTML = structure.recursions.length
+      ? '<div class="recursions">Recursive calls: ' + structure.recursions.map(escape).join("; ") + '</div>' : "";
+    document.getElementById("summary").textContent =
+      obs.length + " OB" + (obs.length === 1 ? "" : "s") + " \\u00B7 max. call depth " + structure.maxDepth;
+  }
+
+  function setCollapsed(collapsed) {
+    for (const node of document.querySelectorAll(".node")) {
+      if (node.querySelector(".children").children.length) node.classList.toggle("collapsed", collapsed);
+    }
+    for (const twisty of document.querySelectorAll(".twisty")) {
+      if (twisty.textContent) twisty.textContent = collapsed ? "\\u25B8" : "\\u25BE";
+    }
+  }
+
+  document.getElementById("tree").addEventListener("click", e => {
+    const row = e.target.closest(".row");
+    if (!row) return;
+    if (e.target.classList.contains("twisty") && e.target.textContent) {
+      const collapsed = row.parentElement.classList.toggle("collapsed");
+      e.target.textContent = collapsed ? "\\u25B8" : "\\u25BE";
+      return;
+    }
+    const node = nodes[Number(row.dataset.id)];
+    vscode.postMessage({ type: "open", uri: node.uri, line: node.line, col: node.col });
+  });
+  document.getElementById("filter").addEventListener("input", render);
+  document.getElementById("expand").addEventListener("click", () => setCollapsed(false));
+  document.getElementById("collapse").addEventListener("click", () => setCollapsed(true));
+  document.getElementById("refresh").addEventListener("click", () => vscode.postMessage({ type: "refresh" }));
+
+  window.addEventListener("message", e => {
+    if (e.data.type === "structure") {
+      structure = e.data.structure;
+      render();
+    }
+  });
+  vscode.postMessage({ type: "ready" });
+`,
+  });
+}
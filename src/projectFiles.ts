@@ -0,0 +1,91 @@
+/**
+ * SCL Project Files - Loads .scl files, tag tables and SimaticML exports from disk.
+ *
+ * Used by the tools that run outside the editor (command line, debug
+ * adapter): directories are searched recursively and all files are indexed
+ * together, so references between them resolve as in the editor.
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+import { SymbolIndex } from "./symbolIndex";
+import { TAG_TABLE_FILE, readTagTable } from "./tagTable";
+import { isSimaticMl, simaticMlToScl } from "./simaticMl";
+import { TEST_FILE } from "./unitTest";
+
+/**
+ * Expands directories to the .scl files, test files and possible tag tables
+ * and SimaticML exports below them (skipping node_modules and hidden folders).
+ * A .xlsx or .csv file given by name is a tag table, imported like --tags.
+ */
+export function collectFiles(paths: string[]): { files: string[]; exports: string[]; tests: string[]; tags: string[] } {
+  const files = new Set<string>();
+  const exports = new Set<string>();
+  const tests = new Set<string>();
+  const tags = new Set<string>();
+  const visit = (p: string, explicit: boolean) => {
+    let stat: fs.Stats;
+    try {
+      stat = fs.statSync(p);
+    } catch {
+      throw new Error(`Cannot read '${p}'`);
+    }
+    if (stat.isDirectory()) {
+      const name = path.basename(p);
+      if (!explicit && (name === "node_modules" || name.startsWith("."))) return;
+      for (const entry of fs.readdirSync(p).sort()) visit(path.join(p, entry), false);
+    } else if (TEST_FILE.test(p)) {
+      tests.add(path.resolve(p));
+    } else if (TAG_TABLE_FILE.test(p) && (!explicit || /\.xml$/i.test(p))) {
+      exports.add(path.resolve(p));
+    } else if (TAG_TABLE_FILE.test(p)) {
+      tags.add(path.resolve(p));
+    } else if (explicit || /\.scl$/i.test(p)) {
+      files.add(path.resolve(p));
+    }
+  };
+  for (const p of paths) visit(p, true);
+  return { files: [...files], exports: [...exports], tests: [...tests], tags: [...tags] };
+}
+
+/** Indexes all files first, so cross-file references resolve in every file. */
+export function buildIndex(files: string[], exports: string[], tagFiles: string[]): { index: SymbolIndex; texts: Map<string, string> } {
+  const index = new SymbolIndex();
+  const texts = new Map<string, string>();
+  for (const file of files) {
+    const text = fs.readFileSync(file, "utf8");
+    texts.set(file, text);
+    index.update(file, text);
+  }
+  for (const file of exports) {
+    const data = fs.readFileSync(file);
+    if (/\.xml$/i.test(file) && isSimaticMl(data.toString("utf8"))) {
+      const source = convertSimaticMl(file, data.toString("utf8"));
+      index.updateGenerated(file, source.text, source.sourceLines);
+      continue;
+    }
+    const tags = readTagTable(file, data, file);
+    if (tags) index.setTags(file, tags);
+  }
+  for (const file of tagFiles) {
+    let data: Buffer;
+    try {
+      data = fs.readFileSync(file);
+    } catch {
+      throw new Error(`Cannot read '${file}'`);
+    }
+    const tags = readTagTable(file, data, path.resolve(file));
+    if (!tags) throw new Error(`'${file}' is not a PLC tag table export`);
+    index.setTags(path.resolve(file), tags);
+  }
+  return { index, texts };
+}
+
+/** SCL source of a SimaticML export; errors name the file */
+export function convertSimaticMl(file: string, text: string): { text: string; sourceLines: number[] } {
+  try {
+    return simaticMlToScl(text);
+  } catch (e) {
+    throw new Error(`Cannot convert '${file}': ${e instanceof Error ? e.message : String(e)}`);
+  }
+}
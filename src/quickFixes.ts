@@ -5,20 +5,38 @@
  *   SCL102: Add missing VERSION declaration
  *   SCL103: Add missing S7_Optimized_Access pragma
  *   SCL104: Add ELSE branch to CASE statement
- *   SCL201: Rename block with naming convention prefix
+ *   SCL201: Rename block or variable to the naming convention (in all workspace files)
+ *
+ * and, for every rule, suppression comments for the line or the whole file.
  */
 
-import * as vscode from "vscode";
-
-export class SclCodeActionProvider implements vscode.CodeActionProvider {
-  static readonly providedCodeActionKinds = [vscode.CodeActionKind.QuickFix];
+import {
+  CodeAction,
+  CodeActionContext,
+  CodeActionKind,
+  Diagnostic,
+  Position,
+  TextEdit,
+  WorkspaceEdit,
+} from "vscode-languageserver";
+import { TextDocument } from "vscode-languageserver-textdocument";
+import { symbolAt } from "./references";
+import { renameEdit } from "./renameProvider";
+import { SclWorkspaceIndex } from "./workspaceIndex";
+import { lineText } from "./document";
+
+export class SclCodeActionProvider {
+  static readonly providedCodeActionKinds = [CodeActionKind.QuickFix];
+
+  constructor(private index: SclWorkspaceIndex) {}
 
   provideCodeActions(
-    document: vscode.TextDocument,
-    _range: vscode.Range,
-    context: vscode.CodeActionContext
-  ): vscode.CodeAction[] {
-    const actions: vscode.CodeAction[] = [];
+    document: TextDocument,
+    context: CodeActionContext
+  ): CodeAction[] {
+    const actions: CodeAction[] = [];
+    const suppressions: CodeAction[] = [];
+    const suppressed = new Set<string>();
 
     for (const diag of context.diagnostics) {
       if (diag.source !== "SCL") continue;
@@ -39,16 +57,60 @@ export class SclCodeActionProvider implements vscode.CodeActionProvider {
           break;
         }
       }
+
+      // One pair of suppression actions per rule and line
+      const key = `${diag.code}:${diag.range.start.line}`;
+      if (typeof diag.code === "string" && !suppressed.has(key)) {
+        suppressed.add(key);
+        suppressions.push(this.suppressForLine(document, diag, diag.code));
+        suppressions.push(this.suppressForFile(document, diag, diag.code));
+      }
+    }
+
+    // Real fixes first
+    return [...actions, ...suppressions];
+  }
+
+  private suppressForLine(
+    document: TextDocument,
+    diag: Diagnostic,
+    code: string
+  ): CodeAction {
+    const action = CodeAction.create(`Suppress ${code} for this line`, CodeActionKind.QuickFix);
+    action.diagnostics = [diag];
+
+    // Extend a directive on the line above instead of stacking a second one
+    const line = diag.range.start.line;
+    const previous = line > 0 ? lineText(document, line - 1) : "";
+    const directive = previous.match(/^\s*\/\/\s*scl-disable-next-line\b[^-]*?(?=\s*$)/i);
+    if (directive && /SCL\d/i.test(directive[0])) {
+      action.edit = insertEdit(document, Position.create(line - 1, directive[0].length), ` ${code}`);
+    } else {
+      action.edit = insertEdit(
+        document,
+        Position.create(line, 0),
+        `${this.getIndent(document, line)}// scl-disable-next-line ${code}\n`
+      );
     }
+    return action;
+  }
 
-    return actions;
+  private suppressForFile(
+    document: TextDocument,
+    diag: Diagnostic,
+    code: string
+  ): CodeAction {
+    const action = CodeAction.create(`Suppress ${code} in this file`, CodeActionKind.QuickFix);
+    action.diagnostics = [diag];
+    action.edit = insertEdit(document, Position.create(0, 0), `(* scl-disable ${code} *)\n`);
+    return action;
   }
 
   private fixMissingVersion(
-    document: vscode.TextDocument,
-    diag: vscode.Diagnostic
-  ): vscode.CodeAction {
-    const action = new vscode.CodeAction("Add VERSION : 0.1", vscode.CodeActionKind.QuickFix);
+    document: TextDocument,
+    diag: Diagnostic
+  ): CodeAction {
+    const action = CodeAction.create("Add VERSION : 0.1", CodeActionKind.QuickFix);
     action.diagnostics = [diag];
     action.isPreferred = true;
 
@@ -56,7 +118,7 @@ export class SclCodeActionProvider implements vscode.CodeActionProvider {
     const blockLine = diag.range.start.line;
     let insertLine = blockLine + 1;
     for (let i = blockLine + 1; i < Math.min(blockLine + 5, document.lineCount); i++) {
-      const trimmed = document.lineAt(i).text.trim();
+      const trimmed = lineText(document, i).trim();
       if (trimmed.startsWith("{")) {
         insertLine = i + 1;
       } else {
@@ -64,94 +126,80 @@ export class SclCodeActionProvider implements vscode.CodeActionProvider {
       }
     }
 
-    const edit = new vscode.WorkspaceEdit();
-    edit.insert(document.uri, new vscode.Position(insertLine, 0), "VERSION : 0.1\n");
-    action.edit = edit;
+    action.edit = insertEdit(document, Position.create(insertLine, 0), "VERSION : 0.1\n");
     return action;
   }
 
   private fixMissingPragma(
-    document: vscode.TextDocument,
-    diag: vscode.Diagnostic
-  ): vscode.CodeAction {
-    const action = new vscode.CodeAction(
+    document: TextDocument,
+    diag: Diagnostic
+  ): CodeAction {
+    const action = CodeAction.create(
       "Add { S7_Optimized_Access := 'TRUE' }",
-      vscode.CodeActionKind.QuickFix
+      CodeActionKind.QuickFix
     );
     action.diagnostics = [diag];
     action.isPreferred = true;
 
     const blockLine = diag.range.start.line;
-    const edit = new vscode.WorkspaceEdit();
-    edit.insert(
-      document.uri,
-      new vscode.Position(blockLine + 1, 0),
+    action.edit = insertEdit(
+      document,
+      Position.create(blockLine + 1, 0),
       "{ S7_Optimized_Access := 'TRUE' }\n"
     );
-    action.edit = edit;
     return action;
   }
 
   private fixCaseWithoutElse(
-    document: vscode.TextDocument,
-    diag: vscode.Diagnostic
-  ): vscode.CodeAction {
-    const action = new vscode.CodeAction("Add ELSE branch", vscode.CodeActionKind.QuickFix);
+    document: TextDocument,
+    diag: Diagnostic
+  ): CodeAction {
+    const action = CodeAction.create("Add ELSE branch", CodeActionKind.QuickFix);
     action.diagnostics = [diag];
 
     const caseLine = diag.range.start.line;
     const caseIndent = this.getIndent(document, caseLine);
     const endCaseLine = this.findEndCase(document, caseLine);
 
-    const edit = new vscode.WorkspaceEdit();
-    edit.insert(
-      document.uri,
-      new vscode.Position(endCaseLine, 0),
+    action.edit = insertEdit(
+      document,
+      Position.create(endCaseLine, 0),
       `${caseIndent}    ELSE\n${caseIndent}        ;\n`
     );
-    action.edit = edit;
     return action;
   }
 
   private fixNamingConvention(
-    document: vscode.TextDocument,
-    diag: vscode.Diagnostic
-  ): vscode.CodeAction | undefined {
-    const line = document.lineAt(diag.range.start.line).text;
-    const nameMatch = line.match(/"([^"]+)"/);
-    if (!nameMatch) return undefined;
-    const currentName = nameMatch[1];
-
-    // Extract expected prefix from message
-    const prefixMatch = diag.message.match(/'([A-Z]+_)\.\.\.'$/);
-    if (!prefixMatch) return undefined;
-    const prefix = prefixMatch[1];
-    const newName = prefix + currentName;
-
-    const action = new vscode.CodeAction(
+    document: TextDocument,
+    diag: Diagnostic
+  ): CodeAction | undefined {
+    // The rule attaches a name that matches the configured pattern
+    const newName: unknown = diag.data?.suggestion;
+    if (typeof newName !== "string") return undefined;
+
+    this.index.syncOpenDocuments();
+    const start = diag.range.start;
+    const symbol = symbolAt(this.index.symbols, document.uri, start.line, start.character);
+    if (!symbol || !symbol.isDeclaration) return undefined;
+
+    const action = CodeAction.create(
       `Rename to "${newName}"`,
-      vscode.CodeActionKind.QuickFix
+      CodeActionKind.QuickFix
     );
     action.diagnostics = [diag];
 
-    const edit = new vscode.WorkspaceEdit();
-    const fullText = document.getText();
-    const escaped = currentName.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-    const regex = new RegExp(`"${escaped}"`, "g");
-    let match;
-    while ((match = regex.exec(fullText)) !== null) {
-      const startPos = document.positionAt(match.index);
-      const endPos = document.positionAt(match.index + match[0].length);
-      edit.replace(document.uri, new vscode.Range(startPos, endPos), `"${newName}"`);
+    try {
+      action.edit = renameEdit(this.index, symbol.declaration, newName);
+    } catch {
+      return undefined; // New name is not allowed (e.g. already taken)
     }
-    action.edit = edit;
     return action;
   }
 
-  private findEndCase(document: vscode.TextDocument, caseLine: number): number {
+  private findEndCase(document: TextDocument, caseLine: number): number {
     let depth = 0;
     for (let i = caseLine; i < document.lineCount; i++) {
-      const upper = document.lineAt(i).text.trim().toUpperCase();
+      const upper = lineText(document, i).trim().toUpperCase();
       if (/^CASE\b/.test(upper)) depth++;
       if (/^END_CASE\b/.test(upper)) {
         depth--;
@@ -161,8 +209,12 @@ export class SclCodeActionProvider implements vscode.CodeActionProvider {
     return caseLine;
   }
 
-  private getIndent(document: vscode.TextDocument, line: number): string {
-    const match = document.lineAt(line).text.match(/^(\s*)/);
+  private getIndent(document: TextDocument, line: number): string {
+    const match = lineText(document, line).match(/^(\s*)/);
     return match ? match[1] : "";
   }
 }
+
+function insertEdit(document: TextDocument, position: Position, text: string): WorkspaceEdit {
+  return { changes: { [document.uri]: [TextEdit.insert(position, text)] } };
+}
@@ -0,0 +1,30 @@
+/**
+ * SCL Reference Provider - Find All References (Shift+F12).
+ *
+ * Finds #variables, interface parameters (also as named arguments at call
+ * sites), blocks, UDTs and DB members in all .scl files of the workspace.
+ */
+
+import { Location, Position, ReferenceContext } from "vscode-languageserver";
+import { TextDocument } from "vscode-languageserver-textdocument";
+import { findReferences, symbolAt } from "./references";
+import { toRange } from "./document";
+import { SclWorkspaceIndex } from "./workspaceIndex";
+
+export class SclReferenceProvider {
+  constructor(private index: SclWorkspaceIndex) {}
+
+  provideReferences(
+    document: TextDocument,
+    position: Position,
+    context: ReferenceContext
+  ): Location[] {
+    this.index.syncOpenDocuments();
+    const symbol = symbolAt(this.index.symbols, document.uri, position.line, position.character);
+    if (!symbol) return [];
+
+    return findReferences(this.index.symbols, symbol.declaration)
+      .filter(o => context.includeDeclaration || !o.isDeclaration)
+      .map(o => Location.create(o.uri, toRange(o.range)));
+  }
+}
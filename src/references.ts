@@ -0,0 +1,195 @@
+/**
+ * SCL References - Finds every occurrence of a symbol in the workspace.
+ *
+ * An occurrence is a name in the source (declaration, #local, "Block",
+ * member after '.', named argument at a call site, quoted type) together
+ * with the declaration it resolves to. Occurrences refer to the same symbol
+ * when they resolve to the same declaration node, so a #Speed in one block
+ * never matches a #Speed of another.
+ */
+
+import {
+  Block, Expression, SourcePosition, SourceRange, TypeRef, VarDeclaration,
+  rangeContains, statementExpressions, walkExpression, walkStatements,
+} from "./ast";
+import { RESERVED_WORDS } from "./lexer";
+import { structOf } from "./parser";
+import { SymbolIndex } from "./symbolIndex";
+import { DATA_TYPES } from "./sclData";
+import {
+  Declaration, Scope, blockDeclaration, resolveArgument, resolveExpression,
+} from "./resolver";
+
+export interface Occurrence {
+  uri: string;
+  range: SourceRange;             // The name only, without quotes or '#'
+  declaration: Declaration;
+  isDeclaration: boolean;
+}
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// ─── Queries ────────────────────────────────────────────────────────────────
+
+/** Returns the occurrence under a position, if it resolves to a workspace symbol. */
+export function symbolAt(index: SymbolIndex, uri: string, line: number, col: number): Occurrence | undefined {
+  return fileOccurrences(index, uri).find(o => rangeContains(o.range, line, col));
+}
+
+/**
+ * Returns all occurrences of a symbol in all indexed files, declaration included.
+ * SCL generated from SimaticML exports is skipped: its positions are not in the file.
+ */
+export function findReferences(index: SymbolIndex, declaration: Declaration): Occurrence[] {
+  const result: Occurrence[] = [];
+  for (const uri of index.uris()) {
+    if (index.isGenerated(uri)) continue;
+    result.push(...fileOccurrences(index, uri).filter(o => o.declaration.node === declaration.node));
+  }
+  return result;
+}
+
+/** Returns an error message if the symbol cannot be renamed to newName. */
+export function validateRename(index: SymbolIndex, declaration: Declaration, newName: string): string | undefined {
+  if (!IDENTIFIER.test(newName)) {
+    return `'${newName}' is not a valid SCL identifier`;
+  }
+  const upper = newName.toUpperCase();
+  if (RESERVED_WORDS.has(upper) || DATA_TYPES.some(t => t.label.toUpperCase() === upper)) {
+    return `'${newName}' is a reserved word`;
+  }
+  if (upper === declaration.name.toUpperCase()) return undefined;
+  if (index.isGenerated(declaration.uri)) {
+    return `'${declaration.name}' is declared in a SimaticML export; rename it in TIA Portal`;
+  }
+
+  if (declaration.kind === "block") {
+    const existing = index.findBlock(newName);
+    if (existing) return `A ${existing.type.replace(/_/g, " ")} named "${existing.name}" already exists`;
+    return undefined;
+  }
+
+  const siblings = siblingsOf(declaration.owner, declaration.node as VarDeclaration) || [];
+  const clash = siblings.find(d => d !== declaration.node && d.name.toUpperCase() === upper);
+  if (clash) {
+    const where = declaration.owner.name ? `"${declaration.owner.name}"` : "this block";
+    return `'${clash.name}' is already declared in ${where}`;
+  }
+  return undefined;
+}
+
+// ─── Collection ─────────────────────────────────────────────────────────────
+
+/** Returns all resolvable name occurrences of one indexed file. */
+export function fileOccurrences(index: SymbolIndex, uri: string): Occurrence[] {
+  const file = index.getFile(uri);
+  if (!file) return [];
+  const out: Occurrence[] = [];
+
+  const add = (range: SourceRange, declaration: Declaration | undefined, isDeclaration = false) => {
+    if (declaration) out.push({ uri, range, declaration, isDeclaration });
+  };
+
+  const visitType = (type: TypeRef, scope: Scope) => {
+    switch (type.kind) {
+      case "NamedType": {
+        if (type.length) visitExpression(type.length, scope);
+        const target = type.name ? index.findBlock(type.name) : undefined;
+        if (target) add(typeNameSpan(type.range.start, type.name, type.quoted), blockDeclaration(target.uri, target.block));
+        break;
+      }
+      case "ArrayType":
+        type.dimensions.forEach(d => visitExpression(d, scope));
+        visitType(type.elementType, scope);
+        break;
+      case "StructType":
+        type.members.forEach(m => visitDeclaration(m, "STRUCT", scope));
+        break;
+      case "RefType":
+        visitType(type.target, scope);
+        break;
+    }
+  };
+
+  const visitDeclaration = (decl: VarDeclaration, section: string, scope: Scope) => {
+    add(nameSpan(decl.nameRange, decl.name),
+      { kind: "variable", name: decl.name, node: decl, uri, owner: scope.block, section }, true);
+    visitType(decl.type, scope);
+    if (decl.initializer) visitExpression(decl.initializer, scope);
+  };
+
+  const visitExpression = (expr: Expression, scope: Scope) => {
+    walkExpression(expr, e => {
+      switch (e.kind) {
+        case "LocalRef":
+        case "Identifier":
+        case "GlobalRef":
+          add(nameSpan(e.range, e.name), resolveExpression(index, scope, e));
+          break;
+        case "MemberAccess":
+          add(nameSpan(e.memberRange, e.member), resolveExpression(index, scope, e));
+          break;
+        case "Call":
+          for (const arg of e.args) {
+            if (arg.name && arg.nameRange) {
+              add(nameSpan(arg.nameRange, arg.name), resolveArgument(index, scope, e, arg));
+            }
+          }
+          break;
+      }
+    });
+  };
+
+  for (const block of file.ast.blocks) {
+    const scope: Scope = { uri, block };
+    if (block.name) add(nameSpan(block.nameRange, block.name), blockDeclaration(uri, block), true);
+    if (block.returnType) visitType(block.returnType, scope);
+    if (block.instanceOf) visitType(block.instanceOf, scope);
+    if (block.structType) visitType(block.structType, scope);
+    for (const section of block.sections) {
+      section.declarations.forEach(d => visitDeclaration(d, section.sectionType, scope));
+    }
+    walkStatements(block.body || [], stmt => {
+      statementExpressions(stmt).forEach(e => visitExpression(e, scope));
+    });
+  }
+
+  return out;
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+/**
+ * Narrows the range of a name token (name, "name", #name or #"name") to the
+ * name itself, so a rename keeps the quotes and the '#'.
+ */
+function nameSpan(range: SourceRange, name: string): SourceRange {
+  const quoted = range.end.offset - range.start.offset - name.length >= 2;
+  const end = quoted ? shift(range.end, -1) : range.end;
+  return { start: shift(end, -name.length), end };
+}
+
+function typeNameSpan(start: SourcePosition, name: string, quoted: boolean): SourceRange {
+  const nameStart = quoted ? shift(start, 1) : start;
+  return { start: nameStart, end: shift(nameStart, name.length) };
+}
+
+function shift(pos: SourcePosition, delta: number): SourcePosition {
+  return { line: pos.line, col: pos.col + delta, offset: pos.offset + delta };
+}
+
+/** Finds the declaration list (VAR sections or STRUCT) that contains a declaration. */
+function siblingsOf(owner: Block, decl: VarDeclaration): VarDeclaration[] | undefined {
+  const search = (list: VarDeclaration[]): VarDeclaration[] | undefined => {
+    if (list.includes(decl)) return list;
+    for (const d of list) {
+      const struct = structOf(d.type);
+      const found = struct && search(struct.members);
+      if (found) return found;
+    }
+    return undefined;
+  };
+
+  const topLevel = owner.sections.flatMap(s => s.declarations);
+  return search(topLevel) || (owner.structType && search(owner.structType.members));
+}
@@ -0,0 +1,59 @@
+/**
+ * SCL Rename Provider - Rename Symbol (F2).
+ *
+ * Renames a symbol at its declaration and every reference in the workspace.
+ * Quotes and '#' prefixes are kept; names that are not valid identifiers,
+ * reserved words or already declared in the same scope are refused.
+ */
+
+import { Position, Range, TextEdit, WorkspaceEdit } from "vscode-languageserver";
+import { TextDocument } from "vscode-languageserver-textdocument";
+import { Declaration } from "./resolver";
+import { findReferences, symbolAt, validateRename } from "./references";
+import { toRange } from "./document";
+import { SclWorkspaceIndex } from "./workspaceIndex";
+
+export class SclRenameProvider {
+  constructor(private index: SclWorkspaceIndex) {}
+
+  prepareRename(
+    document: TextDocument,
+    position: Position
+  ): { range: Range; placeholder: string } {
+    this.index.syncOpenDocuments();
+    const symbol = symbolAt(this.index.symbols, document.uri, position.line, position.character);
+    if (!symbol) {
+      throw new Error("This element can't be renamed. Place the cursor on a variable, block or UDT name.");
+    }
+    return { range: toRange(symbol.range), placeholder: symbol.declaration.name };
+  }
+
+  provideRenameEdits(
+    document: TextDocument,
+    position: Position,
+    newName: string
+  ): WorkspaceEdit {
+    this.index.syncOpenDocuments();
+    const symbol = symbolAt(this.index.symbols, document.uri, position.line, position.character);
+    if (!symbol) {
+      throw new Error("This element can't be renamed.");
+    }
+    return renameEdit(this.index, symbol.declaration, newName);
+  }
+}
+
+/**
+ * Builds the edit that renames a symbol everywhere. Throws if the new name
+ * is not allowed. Also used by the SCL201 quick fix.
+ */
+export function renameEdit(index: SclWorkspaceIndex, declaration: Declaration, newName: string): WorkspaceEdit {
+  const error = validateRename(index.symbols, declaration, newName);
+  if (error) throw new Error(error);
+
+  const changes: { [uri: string]: TextEdit[] } = {};
+  for (const occurrence of findReferences(index.symbols, declaration)) {
+    if (!changes[occurrence.uri]) changes[occurrence.uri] = [];
+    changes[occurrence.uri].push(TextEdit.replace(toRange(occurrence.range), newName));
+  }
+  return { changes };
+}
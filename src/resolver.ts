@@ -0,0 +1,185 @@
+/**
+ * SCL Resolver - Maps names and member paths to their declarations.
+ *
+ * Resolves the expressions of a block against its own declarations and the
+ * workspace SymbolIndex:
+ *   #Speed             → VAR declaration of the enclosing block
+ *   "DB_Process".Temp  → VAR declaration of the global DB
+ *   #motor.Speed       → STRUCT member of "UDT_Motor"
+ *   "DB_Motor1".Q      → VAR_OUTPUT of the FB behind the instance DB
+ *   "FC_Scale"         → the FUNCTION block itself
+ */
+
+import { Argument, Block, CallExpression, Expression, TypeRef, VarDeclaration } from "./ast";
+import { IndexedBlock, InterfaceMember, SymbolIndex } from "./symbolIndex";
+
+// ─── Types ──────────────────────────────────────────────────────────────────
+
+export interface Declaration {
+  kind: "block" | "variable";
+  name: string;
+  node: Block | VarDeclaration;   // Identity of the symbol
+  uri: string;                    // File the symbol is declared in
+  owner: Block;                   // Declaring block (the block itself for blocks)
+  section?: string;               // VAR section or STRUCT (variables only)
+}
+
+/** Block in which an expression is resolved */
+export interface Scope {
+  uri: string;
+  block: Block;
+}
+
+/** What a value is made of: a declared type, or a block used as a value ("DB", "FC") */
+export type Container =
+  | { kind: "type"; type: TypeRef; uri: string; owner: Block }
+  | { kind: "block"; block: IndexedBlock };
+
+const PARAMETER_SECTIONS = ["VAR_INPUT", "VAR_OUTPUT", "VAR_IN_OUT"];
+
+// ─── Resolution ─────────────────────────────────────────────────────────────
+
+/** Returns the declaration a name or member path refers to. */
+export function resolveExpression(index: SymbolIndex, scope: Scope, expr: Expression): Declaration | undefined {
+  switch (expr.kind) {
+    case "LocalRef":
+      return lookupLocal(scope, expr.name);
+    case "Identifier":
+      return lookupLocal(scope, expr.name) || lookupBlock(index, expr.name);
+    case "GlobalRef":
+      return lookupBlock(index, expr.name);
+    case "MemberAccess": {
+      const container = containerOf(index, scope, expr.object);
+      if (!container) return undefined;
+      return findMember(membersOf(index, container), expr.member);
+    }
+    default:
+      return undefined;
+  }
+}
+
+/** Returns the declaration of the formal parameter a named argument binds to. */
+export function resolveArgument(
+  index: SymbolIndex,
+  scope: Scope,
+  call: CallExpression,
+  arg: Argument
+): Declaration | undefined {
+  if (!arg.name) return undefined;
+  return findMember(parametersOf(index, scope, call.callee), arg.name);
+}
+
+/** Formal parameters of a called FC, instance DB or multi-instance. */
+export function parametersOf(index: SymbolIndex, scope: Scope, callee: Expression): Declaration[] {
+  const container = containerOf(index, scope, callee);
+  if (!container) return [];
+  return membersOf(index, container).filter(m => PARAMETER_SECTIONS.includes(m.section || ""));
+}
+
+/** Returns what the value of an expression is made of, for member lookups. */
+export function containerOf(index: SymbolIndex, scope: Scope, expr: Expression): Container | undefined {
+  switch (expr.kind) {
+    case "Paren":
+      return containerOf(index, scope, expr.expression);
+    case "IndexAccess": {
+      const inner = containerOf(index, scope, expr.object);
+      if (inner && inner.kind === "type" && inner.type.kind === "ArrayType") {
+        return { ...inner, type: inner.type.elementType };
+      }
+      return undefined;
+    }
+    case "Deref": {
+      const inner = containerOf(index, scope, expr.operand);
+      if (inner && inner.kind === "type" && inner.type.kind === "RefType") {
+        return { ...inner, type: inner.type.target };
+      }
+      return undefined;
+    }
+    default: {
+      const decl = resolveExpression(index, scope, expr);
+      if (!decl) return undefined;
+      if (decl.kind === "block") {
+        const block = decl.node as Block;
+        return { kind: "block", block: { name: block.name, type: block.blockType, uri: decl.uri, block } };
+      }
+      return { kind: "type", type: (decl.node as VarDeclaration).type, uri: decl.uri, owner: decl.owner };
+    }
+  }
+}
+
+/** Members reachable with a '.' after a value of the container. */
+export function membersOf(index: SymbolIndex, container: Container): Declaration[] {
+  if (container.kind === "block") {
+    const { block } = container;
+    switch (block.type) {
+      case "FUNCTION":
+        return index.getInterface(block.name)
+          .filter(m => PARAMETER_SECTIONS.includes(m.section))
+          .map(fromMember);
+      case "ORGANIZATION_BLOCK":
+        return [];
+      default:
+        return index.getMembers(block.name).map(fromMember);
+    }
+  }
+
+  const type = container.type;
+  if (type.kind === "StructType") {
+    return type.members.map(decl => variable(decl, container.uri, container.owner, "STRUCT"));
+  }
+  if (type.kind === "NamedType" && type.name) {
+    const target = index.findBlock(type.name, ["TYPE", "FUNCTION_BLOCK"]);
+    return target ? index.getMembers(target.name).map(fromMember) : [];
+  }
+  return [];
+}
+
+/** Type of the value behind a container: a declared type, or the FB/UDT of an instance DB. */
+export function instanceType(container: Container): TypeRef | undefined {
+  if (container.kind === "type") return container.type;
+  return container.block.type === "DATA_BLOCK" ? container.block.block.instanceOf : undefined;
+}
+
+/** Top-level declarations of a block (all VAR sections, or the STRUCT of a UDT). */
+export function declarationsOf(uri: string, block: Block): Declaration[] {
+  const result: Declaration[] = [];
+  for (const section of block.sections) {
+    for (const decl of section.declarations) {
+      result.push(variable(decl, uri, block, section.sectionType));
+    }
+  }
+  if (block.structType) {
+    for (const decl of block.structType.members) {
+      result.push(variable(decl, uri, block, "STRUCT"));
+    }
+  }
+  return result;
+}
+
+export function blockDeclaration(uri: string, block: Block): Declaration {
+  return { kind: "block", name: block.name, node: block, uri, owner: block };
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function lookupLocal(scope: Scope, name: string): Declaration | undefined {
+  return findMember(declarationsOf(scope.uri, scope.block), name);
+}
+
+function lookupBlock(index: SymbolIndex, name: string): Declaration | undefined {
+  const indexed = index.findBlock(name);
+  return indexed ? blockDeclaration(indexed.uri, indexed.block) : undefined;
+}
+
+function findMember(members: Declaration[], name: string): Declaration | undefined {
+  const lower = name.toLowerCase();
+  return members.find(m => m.name.toLowerCase() === lower);
+}
+
+function variable(decl: VarDeclaration, uri: string, owner: Block, section: string): Declaration {
+  return { kind: "variable", name: decl.name, node: decl, uri, owner, section };
+}
+
+function fromMember(member: InterfaceMember): Declaration {
+  return variable(member.decl, member.owner.uri, member.owner.block, member.section);
+}
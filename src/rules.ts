@@ -5,23 +5,79 @@
  *   SCL001-SCL099: Errors (red)
  *   SCL101-SCL199: Warnings (yellow)
  *   SCL201-SCL299: Hints (grey)
+ *
+ * The same checks run in the editor and in the command-line linter (cli.ts).
  */
 
-import * as vscode from "vscode";
 import { ParseResult } from "./parser";
+import { SymbolIndex } from "./symbolIndex";
+import { checkTypes } from "./typeChecker";
+import { NamingConfig, checkNaming } from "./namingConvention";
+import { DataFlowRule, checkDataFlow } from "./dataFlow";
+import { CrossReference, fileCrossReferences } from "./crossReference";
+import { normalizeAddress, parseAddress } from "./tagTable";
+import { Expression, TypeRef, SourceRange, walkStatements, statementExpressions, walkExpression } from "./ast";
+
+export type LintSeverity = "error" | "warning" | "hint";
 
 export interface LintDiagnostic {
   line: number;
   col: number;
   endCol?: number;
   message: string;
-  severity: vscode.DiagnosticSeverity;
+  severity: LintSeverity;
   code: string;
+  suggestion?: string;            // Replacement name offered by the quick fix (SCL201)
+  related?: LintRelated[];        // Other locations involved (SCL112)
+}
+
+export interface LintRelated {
+  uri: string;                    // Key of the file in the SymbolIndex
+  line: number;
+  col: number;
+  endCol?: number;
+  message: string;
 }
 
+export interface RuleInfo {
+  code: string;
+  severity: LintSeverity;
+  description: string;
+}
+
+/** All rules with their default severity (also the rule list of SARIF reports) */
+export const RULES: RuleInfo[] = [
+  { code: "SCL001", severity: "error", description: "Unmatched control flow (IF without END_IF, FOR without END_FOR, ...)" },
+  { code: "SCL002", severity: "error", description: "Unmatched VAR section (VAR_INPUT without END_VAR)" },
+  { code: "SCL003", severity: "error", description: "Unmatched block declaration (FUNCTION_BLOCK without END_FUNCTION_BLOCK)" },
+  { code: "SCL004", severity: "error", description: "Duplicate variable name in the same block" },
+  { code: "SCL005", severity: "error", description: "EXIT/CONTINUE outside of a loop" },
+  { code: "SCL006", severity: "error", description: "Syntax error" },
+  { code: "SCL007", severity: "error", description: "Type error" },
+  { code: "SCL101", severity: "warning", description: "Unused variable" },
+  { code: "SCL102", severity: "warning", description: "Missing VERSION declaration" },
+  { code: "SCL103", severity: "warning", description: "Missing S7_Optimized_Access pragma" },
+  { code: "SCL104", severity: "warning", description: "CASE statement without ELSE branch" },
+  { code: "SCL105", severity: "warning", description: "Empty BEGIN section" },
+  { code: "SCL106", severity: "warning", description: "Unknown UDT, FB or DB" },
+  { code: "SCL107", severity: "warning", description: "VAR_TEMP read before it is assigned" },
+  { code: "SCL108", severity: "warning", description: "VAR_OUTPUT never assigned" },
+  { code: "SCL109", severity: "warning", description: "FUNCTION return value not assigned on all paths" },
+  { code: "SCL110", severity: "warning", description: "VAR_INPUT assigned inside the block" },
+  { code: "SCL111", severity: "warning", description: "VAR_TEMP assigned but never read" },
+  { code: "SCL112", severity: "warning", description: "Address or global tag written by more than one block, or more than once unconditionally" },
+  { code: "SCL113", severity: "warning", description: "Address or PLC tag not in the imported tag tables, or address used with a different width" },
+  { code: "SCL201", severity: "hint", description: "Naming convention (pattern per block type and VAR section)" },
+];
+
 // ─── Run all rules ──────────────────────────────────────────────────────────
 
-export function runRules(result: ParseResult): LintDiagnostic[] {
+/**
+ * Runs all rules on a parsed file. Rules that resolve references to other
+ * files (SCL106) only run when a workspace index is given. Naming patterns
+ * override the defaults of namingConvention.ts.
+ */
+export function runRules(result: ParseResult, index?: SymbolIndex, naming: NamingConfig = {}): LintDiagnostic[] {
   const diagnostics: LintDiagnostic[] = [];
 
   diagnostics.push(...ruleUnmatchedControlFlow(result));
@@ -29,12 +85,18 @@ export function runRules(result: ParseResult): LintDiagnostic[] {
   diagnostics.push(...ruleUnmatchedBlocks(result));
   diagnostics.push(...ruleDuplicateVariables(result));
   diagnostics.push(...ruleExitOutsideLoop(result));
+  diagnostics.push(...ruleSyntaxErrors(result));
+  diagnostics.push(...ruleTypeErrors(result, index));
   diagnostics.push(...ruleUnusedVariables(result));
   diagnostics.push(...ruleMissingVersion(result));
   diagnostics.push(...ruleMissingPragma(result));
   diagnostics.push(...ruleCaseWithoutElse(result));
   diagnostics.push(...ruleEmptyBlock(result));
-  diagnostics.push(...ruleNamingConvention(result));
+  if (index) diagnostics.push(...ruleUnresolvedReferences(result, index));
+  if (index) diagnostics.push(...ruleMultipleWriters(result, index));
+  if (index) diagnostics.push(...rulePlcTags(result, index));
+  diagnostics.push(...ruleDataFlow(result));
+  diagnostics.push(...ruleNamingConvention(result, naming, index));
 
   return diagnostics;
 }
@@ -50,9 +112,10 @@ function ruleUnmatchedControlFlow(result: ParseResult): LintDiagnostic[] {
     if (["IF", "FOR", "WHILE", "REPEAT", "CASE", "REGION"].includes(entry.keyword)) {
       diags.push({
         line: entry.line,
-        col: 0,
+        col: entry.col,
+        endCol: entry.col + entry.keyword.length,
         message: `'${entry.keyword}' has no matching 'END_${entry.keyword}'`,
-        severity: vscode.DiagnosticSeverity.Error,
+        severity: "error",
         code: "SCL001",
       });
     }
@@ -67,9 +130,10 @@ function ruleUnmatchedControlFlow(result: ParseResult): LintDiagnostic[] {
       const openKw = entry.keyword.replace("END_", "");
       diags.push({
         line: entry.line,
-        col: 0,
+        col: entry.col,
+        endCol: entry.col + entry.keyword.length,
         message: `'${entry.keyword}' without matching '${openKw}'`,
-        severity: vscode.DiagnosticSeverity.Error,
+        severity: "error",
         code: "SCL001",
       });
     }
@@ -88,9 +152,10 @@ function ruleUnmatchedVarSections(result: ParseResult): LintDiagnostic[] {
       const endKw = entry.keyword === "STRUCT" ? "END_STRUCT" : "END_VAR";
       diags.push({
         line: entry.line,
-        col: 0,
+        col: entry.col,
+        endCol: entry.col + entry.keyword.length,
         message: `'${entry.keyword}' has no matching '${endKw}'`,
-        severity: vscode.DiagnosticSeverity.Error,
+        severity: "error",
         code: "SCL002",
       });
     }
@@ -100,9 +165,10 @@ function ruleUnmatchedVarSections(result: ParseResult): LintDiagnostic[] {
     if (entry.keyword === "END_VAR" || entry.keyword === "END_STRUCT") {
       diags.push({
         line: entry.line,
-        col: 0,
+        col: entry.col,
+        endCol: entry.col + entry.keyword.length,
         message: `'${entry.keyword}' without matching opening declaration`,
-        severity: vscode.DiagnosticSeverity.Error,
+        severity: "error",
         code: "SCL002",
       });
     }
@@ -120,9 +186,10 @@ function ruleUnmatchedBlocks(result: ParseResult): LintDiagnostic[] {
     if (["FUNCTION_BLOCK", "FUNCTION", "ORGANIZATION_BLOCK", "DATA_BLOCK", "TYPE"].includes(entry.keyword)) {
       diags.push({
         line: entry.line,
-        col: 0,
+        col: entry.col,
+        endCol: entry.col + entry.keyword.length,
         message: `'${entry.keyword}' has no matching 'END_${entry.keyword}'`,
-        severity: vscode.DiagnosticSeverity.Error,
+        severity: "error",
         code: "SCL003",
       });
     }
@@ -132,9 +199,10 @@ function ruleUnmatchedBlocks(result: ParseResult): LintDiagnostic[] {
     if (["END_FUNCTION_BLOCK", "END_FUNCTION", "END_ORGANIZATION_BLOCK", "END_DATA_BLOCK", "END_TYPE"].includes(entry.keyword)) {
       diags.push({
         line: entry.line,
-        col: 0,
+        col: entry.col,
+        endCol: entry.col + entry.keyword.length,
         message: `'${entry.keyword}' without matching block declaration`,
-        severity: vscode.DiagnosticSeverity.Error,
+        severity: "error",
         code: "SCL003",
       });
     }
@@ -148,10 +216,10 @@ function ruleUnmatchedBlocks(result: ParseResult): LintDiagnostic[] {
 function ruleDuplicateVariables(result: ParseResult): LintDiagnostic[] {
   const diags: LintDiagnostic[] = [];
 
-  // Group by block
+  // Group by block and enclosing STRUCT
   const byBlock = new Map<string, Map<string, { line: number; col: number }[]>>();
   for (const v of result.variables) {
-    const key = v.block;
+    const key = `${v.block}|${v.parent}`;
     if (!byBlock.has(key)) byBlock.set(key, new Map());
     const blockVars = byBlock.get(key)!;
     const lower = v.name.toLowerCase();
@@ -167,8 +235,9 @@ function ruleDuplicateVariables(result: ParseResult): LintDiagnostic[] {
           diags.push({
             line: locations[i].line,
             col: locations[i].col,
+            endCol: locations[i].col + name.length,
             message: `Duplicate variable '${name}' (first declared on line ${locations[0].line + 1})`,
-            severity: vscode.DiagnosticSeverity.Error,
+            severity: "error",
             code: "SCL004",
           });
         }
@@ -184,13 +253,47 @@ function ruleDuplicateVariables(result: ParseResult): LintDiagnostic[] {
 function ruleExitOutsideLoop(result: ParseResult): LintDiagnostic[] {
   return result.exitOutsideLoop.map(entry => ({
     line: entry.line,
-    col: 0,
+    col: entry.col,
+    endCol: entry.col + entry.keyword.length,
     message: `'${entry.keyword}' used outside of a FOR/WHILE/REPEAT loop`,
-    severity: vscode.DiagnosticSeverity.Error,
+    severity: "error",
     code: "SCL005",
   }));
 }
 
+// ─── SCL006: Syntax errors ──────────────────────────────────────────────────
+
+function ruleSyntaxErrors(result: ParseResult): LintDiagnostic[] {
+  return result.errors.map(err => ({
+    line: err.range.start.line,
+    col: err.range.start.col,
+    endCol: err.range.end.line === err.range.start.line ? err.range.end.col : undefined,
+    message: err.message,
+    severity: "error",
+    code: "SCL006",
+  }));
+}
+
+// ─── SCL007: Type errors ────────────────────────────────────────────────────
+
+function ruleTypeErrors(result: ParseResult, index?: SymbolIndex): LintDiagnostic[] {
+  // Until the workspace is indexed, types are resolved within this file only
+  let symbols = index;
+  if (!symbols) {
+    symbols = new SymbolIndex();
+    symbols.set("", result);
+  }
+
+  return checkTypes(result, symbols, "").map(err => ({
+    line: err.range.start.line,
+    col: err.range.start.col,
+    endCol: err.range.end.line === err.range.start.line ? err.range.end.col : undefined,
+    message: err.message,
+    severity: "error",
+    code: "SCL007",
+  }));
+}
+
 // ─── SCL101: Unused variables ───────────────────────────────────────────────
 
 function ruleUnusedVariables(result: ParseResult): LintDiagnostic[] {
@@ -204,13 +307,17 @@ function ruleUnusedVariables(result: ParseResult): LintDiagnostic[] {
     // Skip VAR_OUTPUT (they may be set but not read internally)
     if (v.section === "VAR_OUTPUT") continue;
 
+    // Only the top-level variable counts: #s.a uses the name s, not the member
+    if (v.section === "STRUCT") continue;
+
     const lower = v.name.toLowerCase();
     if (!result.usedVariables.has(lower)) {
       diags.push({
         line: v.line,
         col: v.col,
+        endCol: v.col + v.name.length,
         message: `Variable '${v.name}' is declared but never used`,
-        severity: vscode.DiagnosticSeverity.Warning,
+        severity: "warning",
         code: "SCL101",
       });
     }
@@ -228,9 +335,9 @@ function ruleMissingVersion(result: ParseResult): LintDiagnostic[] {
     if (!block.hasVersion) {
       diags.push({
         line: block.line,
-        col: 0,
+        col: block.col,
         message: `Block '${block.name || block.type}' has no VERSION declaration`,
-        severity: vscode.DiagnosticSeverity.Warning,
+        severity: "warning",
         code: "SCL102",
       });
     }
@@ -251,9 +358,9 @@ function ruleMissingPragma(result: ParseResult): LintDiagnostic[] {
     if (!block.hasPragma) {
       diags.push({
         line: block.line,
-        col: 0,
+        col: block.col,
         message: `Block '${block.name || block.type}' has no { S7_Optimized_Access } pragma`,
-        severity: vscode.DiagnosticSeverity.Warning,
+        severity: "warning",
         code: "SCL103",
       });
     }
@@ -268,13 +375,14 @@ function ruleCaseWithoutElse(result: ParseResult): LintDiagnostic[] {
   const diags: LintDiagnostic[] = [];
 
   for (const block of result.blocks) {
-    for (const [caseLine, hasElse] of block.hasCaseElse) {
-      if (!hasElse) {
+    for (const c of block.caseStatements) {
+      if (!c.hasElse) {
         diags.push({
-          line: caseLine,
-          col: 0,
+          line: c.line,
+          col: c.col,
+          endCol: c.col + "CASE".length,
           message: "CASE statement has no ELSE branch",
-          severity: vscode.DiagnosticSeverity.Warning,
+          severity: "warning",
           code: "SCL104",
         });
       }
@@ -296,9 +404,9 @@ function ruleEmptyBlock(result: ParseResult): LintDiagnostic[] {
     if (block.hasBegin && !block.hasCode) {
       diags.push({
         line: block.line,
-        col: 0,
+        col: block.col,
         message: `Block '${block.name || block.type}' has an empty BEGIN section`,
-        severity: vscode.DiagnosticSeverity.Warning,
+        severity: "warning",
         code: "SCL105",
       });
     }
@@ -307,29 +415,228 @@ function ruleEmptyBlock(result: ParseResult): LintDiagnostic[] {
   return diags;
 }
 
-// ─── SCL201: Naming convention ──────────────────────────────────────────────
+// ─── SCL106: Unresolved block or type reference ─────────────────────────────
 
-function ruleNamingConvention(result: ParseResult): LintDiagnostic[] {
+function ruleUnresolvedReferences(result: ParseResult, index: SymbolIndex): LintDiagnostic[] {
   const diags: LintDiagnostic[] = [];
 
-  const prefixMap: Record<string, string> = {
-    "FUNCTION_BLOCK": "FB_",
-    "FUNCTION": "FC_",
-    "DATA_BLOCK": "DB_",
+  const report = (what: string, name: string, range: SourceRange) => {
+    diags.push({
+      line: range.start.line,
+      col: range.start.col,
+      endCol: range.end.line === range.start.line ? range.end.col : undefined,
+      message: `Unknown ${what} "${name}" (not declared in any workspace .scl file)`,
+      severity: "warning",
+      code: "SCL106",
+    });
   };
 
-  for (const block of result.blocks) {
-    const expected = prefixMap[block.type];
-    if (expected && block.name && !block.name.startsWith(expected) && !block.name.startsWith("UDT_")) {
-      diags.push({
-        line: block.line,
-        col: 0,
-        message: `Block '${block.name}' does not follow naming convention '${expected}...'`,
-        severity: vscode.DiagnosticSeverity.Hint,
-        code: "SCL201",
-      });
+  const checkType = (type: TypeRef) => {
+    switch (type.kind) {
+      case "NamedType":
+        if (type.quoted && !index.findBlock(type.name, ["TYPE", "FUNCTION_BLOCK"])) {
+          report("type", type.name, type.range);
+        }
+        break;
+      case "ArrayType":
+        checkType(type.elementType);
+        break;
+      case "StructType":
+        type.members.forEach(m => checkType(m.type));
+        break;
+      case "RefType":
+        checkType(type.target);
+        break;
     }
+  };
+
+  for (const block of result.ast.blocks) {
+    if (block.returnType) checkType(block.returnType);
+    if (block.instanceOf) checkType(block.instanceOf);
+    if (block.structType) checkType(block.structType);
+    for (const section of block.sections) {
+      section.declarations.forEach(d => checkType(d.type));
+    }
+
+    // "FC_Scale"(...) and "DB_Instance"(...) calls
+    walkStatements(block.body || [], stmt => {
+      for (const expr of statementExpressions(stmt)) {
+        walkExpression(expr, e => {
+          if (e.kind === "Call" && e.callee.kind === "GlobalRef" &&
+              !index.findBlock(e.callee.name, ["FUNCTION", "FUNCTION_BLOCK", "DATA_BLOCK"])) {
+            report("block", e.callee.name, e.callee.range);
+          }
+        });
+      }
+    });
   }
 
   return diags;
 }
+
+// ─── SCL112: Multiple writers ───────────────────────────────────────────────
+
+// Writes to addresses and global tags per parsed file (reused until the file is reparsed)
+const globalWritesCache = new WeakMap<ParseResult, CrossReference[]>();
+
+function globalWrites(index: SymbolIndex, uri: string, result: ParseResult): CrossReference[] {
+  let writes = globalWritesCache.get(result);
+  if (!writes) {
+    // Array elements are skipped: different indices are different tags
+    writes = fileCrossReferences(index, uri, result).filter(r =>
+      r.access === "write" && r.kind !== "local" && !r.symbol.includes("[]")
+    );
+    globalWritesCache.set(result, writes);
+  }
+  return writes;
+}
+
+/** Groups writes to the same memory: addresses in their canonical spelling, PLC tags by their address */
+function writeKey(index: SymbolIndex, write: CrossReference): string {
+  if (write.kind === "address") return normalizeAddress(write.symbol);
+  const name = /^"([^"]+)"$/.exec(write.symbol);
+  const tag = name && index.findTag(name[1]);
+  return tag ? normalizeAddress(tag.address) : write.symbol.toLowerCase();
+}
+
+function ruleMultipleWriters(result: ParseResult, index: SymbolIndex): LintDiagnostic[] {
+  const uri = index.uris().find(u => index.getFile(u) === result);
+  if (!uri) return [];
+  const own = globalWrites(index, uri, result);
+  if (own.length === 0) return [];
+
+  const bySymbol = new Map<string, CrossReference[]>();
+  for (const u of index.uris()) {
+    const file = index.getFile(u);
+    if (!file) continue;
+    for (const write of globalWrites(index, u, file)) {
+      const key = writeKey(index, write);
+      const list = bySymbol.get(key);
+      if (list) list.push(write); else bySymbol.set(key, [write]);
+    }
+  }
+
+  const diags: LintDiagnostic[] = [];
+  for (const write of own) {
+    const sameBlock = (w: CrossReference) => w.uri === write.uri && w.block === write.block;
+    const others = bySymbol.get(writeKey(index, write))!.filter(w => w !== write);
+    const elsewhere = others.filter(w => !sameBlock(w));
+    const repeated = write.conditional ? [] : others.filter(w => sameBlock(w) && !w.conditional);
+    if (elsewhere.length === 0 && repeated.length === 0) continue;
+
+    const blocks = [...new Set(elsewhere.map(w => `"${w.block}"`))];
+    diags.push({
+      line: write.line,
+      col: write.col,
+      endCol: write.endCol,
+      message: blocks.length > 0
+        ? `${write.symbol} is also written in ${blocks.join(", ")}`
+        : `${write.symbol} is written more than once unconditionally in "${write.block}"`,
+      severity: "warning",
+      code: "SCL112",
+      related: [...repeated, ...elsewhere].map(w => ({
+        uri: w.uri,
+        line: w.line,
+        col: w.col,
+        endCol: w.endCol,
+        message: `Also written in "${w.block}"`,
+      })),
+    });
+  }
+  return diags;
+}
+
+// ─── SCL113: PLC tag tables ─────────────────────────────────────────────────
+
+function rulePlcTags(result: ParseResult, index: SymbolIndex): LintDiagnostic[] {
+  // Without imported tag tables every address would be unknown
+  if (index.getTags().length === 0) return [];
+  const diags: LintDiagnostic[] = [];
+
+  const report = (message: string, range: SourceRange) => {
+    diags.push({
+      line: range.start.line,
+      col: range.start.col,
+      endCol: range.end.line === range.start.line ? range.end.col : undefined,
+      message,
+      severity: "warning",
+      code: "SCL113",
+    });
+  };
+
+  const checkAddress = (address: string, range: SourceRange) => {
+    const location = parseAddress(address);
+    if (!location || index.findTagsAt(address).length > 0) return;
+    const [tag, ...more] = index.findOverlappingTags(address);
+    if (!tag) {
+      report(`${address} is not in the PLC tag table`, range);
+      return;
+    }
+    const others = more.length > 0 ? ` (and ${more.length} more tag${more.length === 1 ? "" : "s"})` : "";
+    report(`${address} is accessed as ${ACCESS_WIDTHS[location.bits]}, but the PLC tag table declares ` +
+      `"${tag.name}" at ${tag.address} as ${tag.dataType || "another width"}${others}`, range);
+  };
+
+  for (const block of result.ast.blocks) {
+    walkStatements(block.body || [], stmt => {
+      for (const expr of statementExpressions(stmt)) {
+        // Callees are blocks (SCL106) and "DB".member refers to a DB; "Tag".%X3 is a tag
+        const notTags = new Set<Expression>();
+        walkExpression(expr, e => {
+          if (e.kind === "Call") {
+            notTags.add(e.callee);
+          } else if (e.kind === "MemberAccess" && !e.member.startsWith("%")) {
+            notTags.add(e.object);
+          } else if (e.kind === "AddressRef") {
+            checkAddress(e.address, e.range);
+          } else if (e.kind === "GlobalRef" && !notTags.has(e) &&
+                     !index.findBlock(e.name) && !index.findTag(e.name)) {
+            report(`Unknown PLC tag "${e.name}" (not in the PLC tag table and not a block)`, e.range);
+          }
+        });
+      }
+    });
+  }
+  return diags;
+}
+
+const ACCESS_WIDTHS: Record<number, string> = { 1: "Bool", 8: "Byte", 16: "Word", 32: "DWord", 64: "LWord" };
+
+// ─── SCL107-SCL111: Data flow ───────────────────────────────────────────────
+
+const DATA_FLOW_CODES: Record<DataFlowRule, string> = {
+  tempReadBeforeWrite: "SCL107",
+  outputNeverWritten: "SCL108",
+  returnNotAssigned: "SCL109",
+  inputWritten: "SCL110",
+  writtenNeverRead: "SCL111",
+};
+
+function ruleDataFlow(result: ParseResult): LintDiagnostic[] {
+  return checkDataFlow(result).map(issue => ({
+    line: issue.range.start.line,
+    col: issue.range.start.col,
+    endCol: issue.range.end.line === issue.range.start.line ? issue.range.end.col : undefined,
+    message: issue.message,
+    severity: "warning",
+    code: DATA_FLOW_CODES[issue.rule],
+  }));
+}
+
+// ─── SCL201: Naming convention ──────────────────────────────────────────────
+
+function ruleNamingConvention(result: ParseResult, naming: NamingConfig, index?: SymbolIndex): LintDiagnostic[] {
+  return checkNaming(result, naming, index).map(v => {
+    const what = v.kind.startsWith("VAR") ? "Variable" : "Block";
+    const hint = v.suggestion ? ` (e.g. '${v.suggestion}')` : "";
+    return {
+      line: v.range.start.line,
+      col: v.range.start.col,
+      endCol: v.range.start.line === v.range.end.line ? v.range.end.col : undefined,
+      message: `${what} '${v.name}' does not match the ${v.kind} naming convention /${v.pattern}/${hint}`,
+      severity: "hint",
+      code: "SCL201",
+      suggestion: v.suggestion,
+    };
+  });
+}
@@ -0,0 +1,585 @@
+/**
+ * SCL Runtime Values - Data types and values of the offline interpreter.
+ *
+ * Maps declared types to runtime types and creates, converts, parses and
+ * formats the values stored in them:
+ *   Bool                     → boolean
+ *   Integers, bit strings    → number (wrapped to the width of the type)
+ *   Real / LReal             → number (Real rounded to single precision)
+ *   Time, LTime, S5Time      → number of milliseconds
+ *   Date                     → days since 1990-01-01
+ *   Time_Of_Day              → milliseconds since midnight
+ *   DT, LDT, DTL             → milliseconds since 1970-01-01 (UTC)
+ *   Char, String             → string
+ *   ARRAY                    → ArrayValue, STRUCT / UDT / FB instance → StructValue
+ *
+ * 64-bit integers are kept in a number and are exact up to 2^53.
+ */
+
+import { Block, Expression, Literal, SectionType, SourceRange, TypeRef, VarDeclaration } from "./ast";
+import { parseExpression } from "./parser";
+import { SYSTEM_FB_MEMBERS } from "./sclData";
+import { SymbolIndex } from "./symbolIndex";
+
+// ─── Types ──────────────────────────────────────────────────────────────────
+
+export type Category =
+  | "bool" | "bits" | "int" | "real"
+  | "time" | "date" | "tod" | "dt"
+  | "char" | "string";
+
+export interface ElementaryType {
+  kind: "elementary";
+  name: string;
+  category: Category;
+  bits: number;
+  signed: boolean;
+  literal?: boolean;              // Untyped literal (5, 1.5) that adapts to the other operand
+}
+
+export type RuntimeType =
+  | ElementaryType
+  | { kind: "string"; name: string; wide: boolean; length: number }
+  | { kind: "array"; name: string; dimensions: [number, number][]; element: RuntimeType }
+  | { kind: "struct"; name: string; members: RuntimeMember[] }
+  | { kind: "instance"; name: string; block: Block; uri: string; members: RuntimeMember[] }
+  | { kind: "system"; name: string; members: RuntimeMember[] }
+  | { kind: "unknown"; name: string };
+
+export interface RuntimeMember {
+  name: string;
+  type: RuntimeType;
+  section?: SectionType;          // Sections of FB instances
+  initial?: Expression;           // Initial value of the declaration
+}
+
+export type Value = boolean | number | string | ArrayValue | StructValue;
+
+export interface ArrayValue {
+  kind: "array";
+  elements: Value[];              // Row-major
+}
+
+export interface StructValue {
+  kind: "struct";
+  fields: Map<string, Value>;     // Lowercase member name → value
+  state: Record<string, number | boolean>;   // Internal state of system FBs (start time, edge memory)
+}
+
+/** Error in the code being run (reported with the statement or expression that caused it) */
+export class SimulationError extends Error {
+  constructor(message: string, readonly uri?: string, readonly range?: SourceRange) {
+    super(message);
+  }
+}
+
+const ELEMENTARY: Record<string, [string, Category, number, boolean]> = {
+  BOOL: ["Bool", "bool", 1, false],
+  BYTE: ["Byte", "bits", 8, false],
+  WORD: ["Word", "bits", 16, false],
+  DWORD: ["DWord", "bits", 32, false],
+  LWORD: ["LWord", "bits", 64, false],
+  SINT: ["SInt", "int", 8, true],
+  USINT: ["USInt", "int", 8, false],
+  INT: ["Int", "int", 16, true],
+  UINT: ["UInt", "int", 16, false],
+  DINT: ["DInt", "int", 32, true],
+  UDINT: ["UDInt", "int", 32, false],
+  LINT: ["LInt", "int", 64, true],
+  ULINT: ["ULInt", "int", 64, false],
+  REAL: ["Real", "real", 32, true],
+  LREAL: ["LReal", "real", 64, true],
+  TIME: ["Time", "time", 32, true],
+  LTIME: ["LTime", "time", 64, true],
+  S5TIME: ["S5Time", "time", 16, false],
+  DATE: ["Date", "date", 16, false],
+  TIME_OF_DAY: ["Time_Of_Day", "tod", 32, false],
+  TOD: ["Time_Of_Day", "tod", 32, false],
+  LTIME_OF_DAY: ["LTime_Of_Day", "tod", 64, false],
+  LTOD: ["LTime_Of_Day", "tod", 64, false],
+  DATE_AND_TIME: ["Date_And_Time", "dt", 64, false],
+  DT: ["Date_And_Time", "dt", 64, false],
+  LDT: ["LDT", "dt", 64, false],
+  DTL: ["DTL", "dt", 96, false],
+  CHAR: ["Char", "char", 8, false],
+  WCHAR: ["WChar", "char", 16, false],
+};
+
+/** Instances of these system FB types are run by the interpreter */
+const SYSTEM_FB_ALIASES: Record<string, string> = {
+  TON_TIME: "TON", TOF_TIME: "TOF", TP_TIME: "TP", TONR_TIME: "TONR",
+  CTU_INT: "CTU", CTD_INT: "CTD", CTUD_INT: "CTUD",
+};
+
+const TYPED_PREFIXES: Record<string, string> = {
+  T: "TIME", LT: "LTIME", S5T: "S5TIME", D: "DATE", LD: "DATE",
+  TOD: "TIME_OF_DAY", LTOD: "LTIME_OF_DAY", DT: "DATE_AND_TIME",
+};
+
+const MS_PER_DAY = 86_400_000;
+const DATE_EPOCH = Date.UTC(1990, 0, 1);
+const DEFAULT_STRING_LENGTH = 254;
+
+export function elementaryType(name: string, literal = false): ElementaryType | undefined {
+  const entry = ELEMENTARY[name.toUpperCase()];
+  if (!entry) return undefined;
+  const [display, category, bits, signed] = entry;
+  return literal
+    ? { kind: "elementary", name: display, category, bits, signed, literal }
+    : { kind: "elementary", name: display, category, bits, signed };
+}
+
+export const BOOL = elementaryType("Bool")!;
+export const DINT = elementaryType("DInt")!;
+export const LREAL = elementaryType("LReal")!;
+export const TIME = elementaryType("Time")!;
+export const STRING: RuntimeType = { kind: "string", name: "String", wide: false, length: DEFAULT_STRING_LENGTH };
+
+/** Builds runtime types from declared types, resolving UDTs and FBs through the index. */
+export class TypeResolver {
+  private cache = new Map<TypeRef, RuntimeType>();
+  private blocks = new Map<string, RuntimeType>();
+  private visiting = new Set<string>();
+
+  constructor(private index: SymbolIndex) {}
+
+  resolve(type: TypeRef): RuntimeType {
+    let resolved = this.cache.get(type);
+    if (!resolved) {
+      resolved = this.build(type);
+      this.cache.set(type, resolved);
+    }
+    return resolved;
+  }
+
+  /** Type of an instance of a user FB or of a UDT, by name. */
+  named(name: string): RuntimeType | undefined {
+    const key = name.toLowerCase();
+    const cached = this.blocks.get(key);
+    if (cached) return cached;
+    const target = this.index.findBlock(name, ["FUNCTION_BLOCK", "TYPE"]);
+    if (!target || this.visiting.has(key)) return undefined;
+    this.visiting.add(key);
+    try {
+      const type: RuntimeType = target.type === "TYPE"
+        ? { kind: "struct", name: `"${target.name}"`, members: this.members(target.block.structType?.members ?? []) }
+        : {
+          kind: "instance",
+          name: `"${target.name}"`,
+          block: target.block,
+          uri: target.uri,
+          members: this.sections(target.block, ["VAR_INPUT", "VAR_OUTPUT", "VAR_IN_OUT", "VAR"]),
+        };
+      this.blocks.set(key, type);
+      return type;
+    } finally {
+      this.visiting.delete(key);
+    }
+  }
+
+  /** Members of the given VAR sections of a block, in declaration order. */
+  sections(block: Block, sectionTypes: SectionType[]): RuntimeMember[] {
+    const members: RuntimeMember[] = [];
+    for (const section of block.sections) {
+      if (!sectionTypes.includes(section.sectionType)) continue;
+      for (const decl of section.declarations) {
+        members.push({ ...this.member(decl), section: section.sectionType });
+      }
+    }
+    return members;
+  }
+
+  private members(decls: VarDeclaration[]): RuntimeMember[] {
+    return decls.map(decl => this.member(decl));
+  }
+
+  private member(decl: VarDeclaration): RuntimeMember {
+    return { name: decl.name, type: this.resolve(decl.type), initial: decl.initializer };
+  }
+
+  private build(type: TypeRef): RuntimeType {
+    switch (type.kind) {
+      case "StructType":
+        return { kind: "struct", name: "Struct", members: this.members(type.members) };
+      case "ArrayType": {
+        const element = this.resolve(type.elementType);
+        const dimensions: [number, number][] = [];
+        for (const dimension of type.dimensions) {
+          const low = this.bound(dimension.low);
+          const high = this.bound(dimension.high);
+          if (low === undefined || high === undefined || high < low) return { kind: "unknown", name: "Array" };
+          dimensions.push([low, high]);
+        }
+        if (dimensions.length === 0) return { kind: "unknown", name: "Array[*]" };
+        return { kind: "array", name: `Array[${dimensions.map(d => d.join("..")).join(", ")}] of ${element.name}`, dimensions, element };
+      }
+      case "RefType":
+        return { kind: "unknown", name: "REF_TO" };
+      case "NamedType": {
+        const upper = type.name.toUpperCase();
+        if (!type.quoted) {
+          if (upper === "STRING" || upper === "WSTRING") {
+            const length = type.length ? this.bound(type.length) ?? DEFAULT_STRING_LENGTH : DEFAULT_STRING_LENGTH;
+            return { kind: "string", name: type.length ? `${type.name}[${length}]` : type.name, wide: upper === "WSTRING", length };
+          }
+          const elementary = elementaryType(upper);
+          if (elementary) return elementary;
+          const system = SYSTEM_FB_ALIASES[upper] ?? upper;
+          if (SYSTEM_FB_MEMBERS[system]) {
+            return {
+              kind: "system",
+              name: system,
+              members: SYSTEM_FB_MEMBERS[system].map(m => ({ name: m.label, type: elementaryType(m.detail) ?? DINT })),
+            };
+          }
+        }
+        return this.named(type.name) ?? { kind: "unknown", name: type.quoted ? `"${type.name}"` : type.name };
+      }
+    }
+  }
+
+  /** Array bound or string length: an integer literal or a constant of the block */
+  private bound(expr: Expression): number | undefined {
+    const value = constantValue(expr, DINT);
+    return typeof value === "number" ? value : undefined;
+  }
+}
+
+// ─── Values ─────────────────────────────────────────────────────────────────
+
+/** Initial value of a type; members with an initializer start with it. */
+export function defaultValue(type: RuntimeType): Value {
+  switch (type.kind) {
+    case "elementary":
+      return type.category === "bool" ? false : type.category === "char" ? "\0" : 0;
+    case "string":
+      return "";
+    case "array": {
+      const count = type.dimensions.reduce((n, [low, high]) => n * (high - low + 1), 1);
+      const elements: Value[] = [];
+      for (let i = 0; i < count; i++) elements.push(defaultValue(type.element));
+      return { kind: "array", elements };
+    }
+    case "struct":
+    case "instance":
+    case "system": {
+      const fields = new Map<string, Value>();
+      for (const member of type.members) {
+        const initial = member.initial && constantValue(member.initial, member.type);
+        fields.set(member.name.toLowerCase(), initial !== undefined ? initial : defaultValue(member.type));
+      }
+      return { kind: "struct", fields, state: {} };
+    }
+    case "unknown":
+      return 0;
+  }
+}
+
+/** Deep copy; assignments of STRUCTs and arrays copy the value. */
+export function copyValue(value: Value): Value {
+  if (typeof value !== "object") return value;
+  if (value.kind === "array") return { kind: "array", elements: value.elements.map(copyValue) };
+  const fields = new Map<string, Value>();
+  for (const [name, field] of value.fields) fields.set(name, copyValue(field));
+  return { kind: "struct", fields, state: { ...value.state } };
+}
+
+/** Converts a value to a type the way an assignment does (wraps integers, rounds Reals, cuts strings). */
+export function convertValue(value: Value, type: RuntimeType): Value {
+  switch (type.kind) {
+    case "elementary":
+      return convertElementary(value, type);
+    case "string": {
+      const text = typeof value === "string" ? value : typeof value === "object" ? "" : String(value);
+      return text.length > type.length ? text.substring(0, type.length) : text;
+    }
+    default:
+      return typeof value === "object" ? copyValue(value) : value;
+  }
+}
+
+function convertElementary(value: Value, type: Extract<RuntimeType, { kind: "elementary" }>): Value {
+  if (typeof value === "object") return defaultValue(type);
+  switch (type.category) {
+    case "bool":
+      return typeof value === "boolean" ? value : typeof value === "number" ? value !== 0 : value !== "";
+    case "char":
+      return typeof value === "string" ? value.charAt(0) || "\0" : String.fromCharCode(Number(value) & (type.bits === 8 ? 0xFF : 0xFFFF));
+    case "real": {
+      const number = typeof value === "number" ? value : typeof value === "boolean" ? Number(value) : Number(value.replace(/_/g, ""));
+      return type.bits === 32 ? Math.fround(number) : number;
+    }
+    default: {
+      const number = typeof value === "number" ? value
+        : typeof value === "boolean" ? Number(value)
+        : value.length === 1 ? value.charCodeAt(0) : Number(value);
+      return wrapInteger(Number.isFinite(number) ? Math.trunc(number) : 0, type.bits, type.signed);
+    }
+  }
+}
+
+/** Wraps an integer into the range of a width (two's complement for signed types). */
+export function wrapInteger(value: number, bits: number, signed: boolean): number {
+  if (bits > 32) {
+    if (!Number.isSafeInteger(value)) return value;
+    const wrapped = signed ? BigInt.asIntN(bits, BigInt(value)) : BigInt.asUintN(bits, BigInt(value));
+    return Number(wrapped);
+  }
+  const range = 2 ** bits;
+  let result = ((value % range) + range) % range;
+  if (signed && result >= range / 2) result -= range;
+  return result;
+}
+
+// ─── Literals ───────────────────────────────────────────────────────────────
+
+/** Type of a literal: integers are DInt and Reals LReal until they meet a typed operand. */
+export function literalType(literal: Literal): RuntimeType {
+  switch (literal.literalType) {
+    case "boolean":
+      return BOOL;
+    case "integer":
+      return literal.text.includes("#") ? elementaryType("DWord", true)! : elementaryType("DInt", true)!;
+    case "real":
+      return elementaryType("LReal", true)!;
+    case "string":
+      return STRING;
+    case "null":
+      return { kind: "unknown", name: "NULL" };
+    default: {
+      const prefix = literal.typePrefix ?? "";
+      if (prefix === "STRING" || prefix === "WSTRING") return { kind: "string", name: prefix === "WSTRING" ? "WString" : "String", wide: prefix === "WSTRING", length: DEFAULT_STRING_LENGTH };
+      return elementaryType(TYPED_PREFIXES[prefix] ?? prefix) ?? { kind: "unknown", name: prefix };
+    }
+  }
+}
+
+/** Value of a literal, or undefined if its text is malformed. */
+export function literalValue(literal: Literal): Value | undefined {
+  const text = literal.text;
+  switch (literal.literalType) {
+    case "boolean":
+      return text.toUpperCase() === "TRUE";
+    case "integer":
+      return parseInteger(text);
+    case "real": {
+      const value = Number(text.replace(/_/g, ""));
+      return Number.isNaN(value) ? undefined : value;
+    }
+    case "string":
+      return unescapeString(text);
+    case "null":
+      return 0;
+    default:
+      return typedLiteralValue(literal.typePrefix ?? "", text.substring(text.indexOf("#") + 1));
+  }
+}
+
+/**
+ * Value of a constant expression: a literal, a signed literal or an array
+ * initializer. Used for initial values and bounds; undefined for anything else.
+ */
+export function constantValue(expr: Expression, type: RuntimeType): Value | undefined {
+  switch (expr.kind) {
+    case "Literal": {
+      const value = literalValue(expr);
+      return value === undefined ? undefined : convertValue(value, type);
+    }
+    case "Paren":
+      return constantValue(expr.expression, type);
+    case "Unary": {
+      const value = constantValue(expr.operand, type.kind === "elementary" && !type.signed ? { ...DINT } : type);
+      if (typeof value !== "number") return expr.operator === "NOT" && typeof value === "boolean" ? !value : undefined;
+      return convertValue(expr.operator === "-" ? -value : value, type);
+    }
+    case "ArrayLiteral": {
+      if (type.kind !== "array") return undefined;
+      const array = defaultValue(type) as ArrayValue;
+      let i = 0;
+      for (const element of expr.elements) {
+        const count = element.kind === "Repeated" ? Number(literalOf(element.count)) : 1;
+        const valueExpr = element.kind === "Repeated" ? element.value : element;
+        const value = valueExpr.kind === "Error" ? undefined : constantValue(valueExpr, type.element);
+        for (let n = 0; n < count && i < array.elements.length; n++, i++) {
+          if (value !== undefined) array.elements[i] = copyValue(value);
+        }
+      }
+      return array;
+    }
+    default:
+      return undefined;
+  }
+}
+
+function literalOf(expr: Expression): Value | undefined {
+  return expr.kind === "Literal" ? literalValue(expr) : undefined;
+}
+
+function parseInteger(text: string): number | undefined {
+  const clean = text.replace(/_/g, "");
+  const based = /^(\d+)#([0-9A-Fa-f]+)$/.exec(clean);
+  const value = based ? parseInt(based[2], Number(based[1])) : Number(clean);
+  return Number.isFinite(value) ? value : undefined;
+}
+
+/** 'It$'s' → It's; $L/$N newline, $R, $T, $P, $$ and $hh (hex) */
+function unescapeString(text: string): string {
+  const inner = text.startsWith("'") ? text.slice(1, -1) : text;
+  return inner.replace(/\$([0-9A-Fa-f]{2}|.)/g, (_, code: string) => {
+    if (code.length === 2) return String.fromCharCode(parseInt(code, 16));
+    switch (code.toUpperCase()) {
+      case "L": case "N": return "\n";
+      case "R": return "\r";
+      case "T": return "\t";
+      case "P": return "\f";
+      default: return code;
+    }
+  });
+}
+
+function typedLiteralValue(prefix: string, body: string): Value | undefined {
+  const name = TYPED_PREFIXES[prefix] ?? prefix;
+  switch (name) {
+    case "TIME": case "LTIME": case "S5TIME":
+      return parseDuration(body);
+    case "DATE": {
+      const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(body);
+      return match ? (Date.UTC(+match[1], +match[2] - 1, +match[3]) - DATE_EPOCH) / MS_PER_DAY : undefined;
+    }
+    case "TIME_OF_DAY": case "LTIME_OF_DAY":
+      return parseTimeOfDay(body);
+    case "DATE_AND_TIME": case "LDT": case "DTL": {
+      const match = /^(\d{4})-(\d{1,2})-(\d{1,2})-(.+)$/.exec(body);
+      const tod = match ? parseTimeOfDay(match[4]) : undefined;
+      return match && tod !== undefined ? Date.UTC(+match[1], +match[2] - 1, +match[3]) + tod : undefined;
+    }
+    case "STRING": case "WSTRING": case "CHAR": case "WCHAR":
+      return unescapeString(body);
+    case "BOOL":
+      return /^(TRUE|1)$/i.test(body);
+  }
+  const type = elementaryType(name);
+  if (!type) return undefined;
+  const value = type.category === "real" ? Number(body.replace(/_/g, "")) : parseInteger(body);
+  return value === undefined || Number.isNaN(value) ? undefined : convertValue(value, type);
+}
+
+/** 1d2h3m4s5ms, 1.5s, -5s, 20us → milliseconds */
+function parseDuration(body: string): number | undefined {
+  const negative = body.startsWith("-");
+  const text = (negative ? body.substring(1) : body).replace(/_/g, "").toLowerCase();
+  const units: Record<string, number> = { d: MS_PER_DAY, h: 3_600_000, m: 60_000, s: 1000, ms: 1, us: 0.001, ns: 0.000001 };
+  let total = 0;
+  let rest = text;
+  const part = /^(\d+(?:\.\d+)?)(ms|us|ns|d|h|m|s)/;
+  if (!rest) return undefined;
+  while (rest) {
+    const match = part.exec(rest);
+    if (!match) return /^\d+$/.test(rest) ? (negative ? -1 : 1) * (total + Number(rest)) : undefined;
+    total += Number(match[1]) * units[match[2]];
+    rest = rest.substring(match[0].length);
+  }
+  return negative ? -total : total;
+}
+
+function parseTimeOfDay(body: string): number | undefined {
+  const match = /^(\d{1,2}):(\d{1,2})(?::(\d{1,2})(?:\.(\d+))?)?$/.exec(body);
+  if (!match) return undefined;
+  const fraction = match[4] ? Number(`0.${match[4]}`) * 1000 : 0;
+  return ((+match[1] * 60 + +match[2]) * 60 + +(match[3] ?? 0)) * 1000 + fraction;
+}
+
+/**
+ * Parses a value typed by the user (a literal as written in SCL: TRUE, 12.5,
+ * T#3s, 'text', [1, 2, 3]) and converts it to the type. Plain numbers are
+ * accepted for Time (milliseconds); Bool also accepts 1 and 0.
+ */
+export function parseValue(text: string, type: RuntimeType): Value | undefined {
+  const trimmed = text.trim();
+  if (type.kind === "elementary" && type.category === "bool" && /^[01]$/.test(trimmed)) return trimmed === "1";
+  if (type.kind === "string" && !trimmed.startsWith("'")) return convertValue(trimmed, type);
+  if (type.kind === "elementary" && type.category === "char" && trimmed.length === 1) return trimmed;
+  const expr = parseExpression(trimmed);
+  return expr ? constantValue(expr, type) : undefined;
+}
+
+// ─── Formatting ─────────────────────────────────────────────────────────────
+
+/** Formats a value as an SCL literal of its type (TRUE, 16#00FF, T#1s500ms, 'text'). */
+export function formatValue(value: Value, type: RuntimeType): string {
+  if (typeof value === "object") {
+    if (value.kind === "array") {
+      const shown = value.elements.slice(0, 10).map(e => formatValue(e, type.kind === "array" ? type.element : type));
+      return `[${shown.join(", ")}${value.elements.length > 10 ? ", ..." : ""}]`;
+    }
+    return `(${type.name})`;
+  }
+  if (type.kind === "string") return quote(String(value));
+  if (type.kind !== "elementary") return String(value);
+  switch (type.category) {
+    case "bool":
+      return value ? "TRUE" : "FALSE";
+    case "bits": {
+      const digits = Math.max(2, type.bits / 4);
+      const number = Number(value);
+      return `16#${(number < 0 ? wrapInteger(number, type.bits, false) : number).toString(16).toUpperCase().padStart(digits, "0")}`;
+    }
+    case "real": {
+      const number = Number(value);
+      if (!Number.isFinite(number)) return String(number);
+      const text = type.bits === 32 ? String(Number(number.toPrecision(7))) : String(number);
+      return /[.eE]/.test(text) ? text : `${text}.0`;
+    }
+    case "time":
+      return `${type.bits === 64 ? "LT" : type.name === "S5Time" ? "S5T" : "T"}#${formatDuration(Number(value))}`;
+    case "date":
+      return `D#${isoDate(DATE_EPOCH + Number(value) * MS_PER_DAY)}`;
+    case "tod":
+      return `TOD#${formatTimeOfDay(Number(value))}`;
+    case "dt": {
+      const ms = Number(value);
+      return `${type.name === "Date_And_Time" ? "DT" : type.name.toUpperCase()}#${isoDate(ms)}-${formatTimeOfDay(((ms % MS_PER_DAY) + MS_PER_DAY) % MS_PER_DAY)}`;
+    }
+    case "char":
+      return quote(String(value));
+    default:
+      return String(value);
+  }
+}
+
+function quote(text: string): string {
+  return `'${text.replace(/\$/g, "$$$$").replace(/'/g, "$$'").replace(/\n/g, "$$N").replace(/\r/g, "$$R").replace(/\t/g, "$$T").replace(/\0/g, "$$00")}'`;
+}
+
+/** 5500 → 5s500ms, 0 → 0ms */
+export function formatDuration(ms: number): string {
+  if (ms === 0) return "0ms";
+  const sign = ms < 0 ? "-" : "";
+  let rest = Math.abs(ms);
+  let text = "";
+  for (const [unit, size] of [["d", MS_PER_DAY], ["h", 3_600_000], ["m", 60_000], ["s", 1000]] as [string, number][]) {
+    if (rest >= size) {
+      text += `${Math.floor(rest / size)}${unit}`;
+      rest %= size;
+    }
+  }
+  if (rest > 0) text += Number.isInteger(rest) ? `${rest}ms` : `${Math.round(rest * 1_000_000) / 1000}us`;
+  return sign + text;
+}
+
+function formatTimeOfDay(ms: number): string {
+  const h = Math.floor(ms / 3_600_000);
+  const m = Math.floor(ms / 60_000) % 60;
+  const s = Math.floor(ms / 1000) % 60;
+  const fraction = Math.round(ms % 1000);
+  return `${pad(h)}:${pad(m)}:${pad(s)}${fraction ? `.${String(fraction).padStart(3, "0")}` : ""}`;
+}
+
+function isoDate(ms: number): string {
+  const date = new Date(ms);
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+function pad(n: number): string {
+  return String(n).padStart(2, "0");
+}
@@ -147,6 +147,73 @@ export const DATA_TYPES: SclItem[] = [
   { label: "IEC_COUNTER", detail: "IEC Counter base", documentation: "Base type for IEC counters." },
 ];
 
+// ─── System FB Interfaces ───────────────────────────────────────────────────
+// Members of IEC timer/counter/edge instances (#StartupTimer.Q, #Counter.CV)
+
+export interface SclFbMember extends SclItem {
+  direction: "input" | "output";
+}
+
+const TIMER_MEMBERS: SclFbMember[] = [
+  { label: "IN", detail: "Bool", documentation: "Input: starts the timer", direction: "input" },
+  { label: "PT", detail: "Time", documentation: "Input: preset time", direction: "input" },
+  { label: "Q", detail: "Bool", documentation: "Output: timer status", direction: "output" },
+  { label: "ET", detail: "Time", documentation: "Output: elapsed time", direction: "output" },
+];
+
+export const SYSTEM_FB_MEMBERS: Record<string, SclFbMember[]> = {
+  TON: TIMER_MEMBERS,
+  TOF: TIMER_MEMBERS,
+  TP: TIMER_MEMBERS,
+  IEC_TIMER: TIMER_MEMBERS,
+  TONR: [
+    ...TIMER_MEMBERS,
+    { label: "R", detail: "Bool", documentation: "Input: resets the accumulated time", direction: "input" },
+  ],
+  CTU: [
+    { label: "CU", detail: "Bool", documentation: "Input: count up on rising edge", direction: "input" },
+    { label: "R", detail: "Bool", documentation: "Input: reset counter to 0", direction: "input" },
+    { label: "PV", detail: "Int", documentation: "Input: preset value", direction: "input" },
+    { label: "Q", detail: "Bool", documentation: "Output: TRUE when CV >= PV", direction: "output" },
+    { label: "CV", detail: "Int", documentation: "Output: current count value", direction: "output" },
+  ],
+  CTD: [
+    { label: "CD", detail: "Bool", documentation: "Input: count down on rising edge", direction: "input" },
+    { label: "LD", detail: "Bool", documentation: "Input: load PV into CV", direction: "input" },
+    { label: "PV", detail: "Int", documentation: "Input: preset value", direction: "input" },
+    { label: "Q", detail: "Bool", documentation: "Output: TRUE when CV <= 0", direction: "output" },
+    { label: "CV", detail: "Int", documentation: "Output: current count value", direction: "output" },
+  ],
+  CTUD: [
+    { label: "CU", detail: "Bool", documentation: "Input: count up on rising edge", direction: "input" },
+    { label: "CD", detail: "Bool", documentation: "Input: count down on rising edge", direction: "input" },
+    { label: "R", detail: "Bool", documentation: "Input: reset counter to 0", direction: "input" },
+    { label: "LD", detail: "Bool", documentation: "Input: load PV into CV", direction: "input" },
+    { label: "PV", detail: "Int", documentation: "Input: preset value", direction: "input" },
+    { label: "QU", detail: "Bool", documentation: "Output: TRUE when CV >= PV", direction: "output" },
+    { label: "QD", detail: "Bool", documentation: "Output: TRUE when CV <= 0", direction: "output" },
+    { label: "CV", detail: "Int", documentation: "Output: current count value", direction: "output" },
+  ],
+  IEC_COUNTER: [
+    { label: "CU", detail: "Bool", documentation: "Input: count up", direction: "input" },
+    { label: "CD", detail: "Bool", documentation: "Input: count down", direction: "input" },
+    { label: "R", detail: "Bool", documentation: "Input: reset", direction: "input" },
+    { label: "LD", detail: "Bool", documentation: "Input: load", direction: "input" },
+    { label: "PV", detail: "Int", documentation: "Input: preset value", direction: "input" },
+    { label: "QU", detail: "Bool", documentation: "Output: count up reached", direction: "output" },
+    { label: "QD", detail: "Bool", documentation: "Output: count down reached", direction: "output" },
+    { label: "CV", detail: "Int", documentation: "Output: current count value", direction: "output" },
+  ],
+  R_TRIG: [
+    { label: "CLK", detail: "Bool", documentation: "Input: signal to monitor", direction: "input" },
+    { label: "Q", detail: "Bool", documentation: "Output: TRUE for one cycle on a rising edge", direction: "output" },
+  ],
+  F_TRIG: [
+    { label: "CLK", detail: "Bool", documentation: "Input: signal to monitor", direction: "input" },
+    { label: "Q", detail: "Bool", documentation: "Output: TRUE for one cycle on a falling edge", direction: "output" },
+  ],
+};
+
 // ─── System Functions ───────────────────────────────────────────────────────
 export const SYSTEM_FUNCTIONS: SclFunction[] = [
   // Type conversions
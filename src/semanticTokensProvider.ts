@@ -0,0 +1,270 @@
+/**
+ * SCL Semantic Tokens Provider - Highlighting from the parser and the index.
+ *
+ * The TextMate grammar colors by pattern; these tokens add what only the
+ * declarations know:
+ *   - interface members by VAR section: parameter + input/output/inOut,
+ *     variable + static/temp, variable + readonly for constants
+ *   - FB instances (StartupTimer : TON, "DB_Motor1") with the instance modifier
+ *   - user FBs (class), FCs (function), OBs (event) and UDTs (struct) where
+ *     they are declared, used as types and called; system FBs and functions
+ *     with defaultLibrary
+ *   - #names that are not declared in the block with the unresolved modifier
+ *
+ * The custom modifiers are declared in package.json (semanticTokenModifiers)
+ * with TextMate fallbacks for themes without semantic colors.
+ */
+
+import { SemanticTokens, SemanticTokensBuilder, SemanticTokensLegend } from "vscode-languageserver";
+import { TextDocument } from "vscode-languageserver-textdocument";
+import {
+  Block, BlockType, Expression, SourceFile, SourceRange, TypeRef, VarDeclaration,
+  statementExpressions, walkExpression, walkStatements,
+} from "./ast";
+import { Declaration, Scope, containerOf, resolveArgument, resolveExpression } from "./resolver";
+import { SYSTEM_FB_MEMBERS, SYSTEM_FUNCTIONS, SclFbMember } from "./sclData";
+import { systemBlock } from "./callHierarchy";
+import { SymbolIndex } from "./symbolIndex";
+import { SclWorkspaceIndex } from "./workspaceIndex";
+
+const TOKEN_TYPES = ["class", "function", "event", "struct", "parameter", "variable", "property"] as const;
+const TOKEN_MODIFIERS = [
+  "declaration", "readonly", "static", "defaultLibrary",
+  "input", "output", "inOut", "temp", "instance", "global", "unresolved",
+] as const;
+
+type TokenType = typeof TOKEN_TYPES[number];
+type TokenModifier = typeof TOKEN_MODIFIERS[number];
+
+interface Token {
+  line: number;
+  col: number;
+  length: number;
+  type: TokenType;
+  modifiers: TokenModifier[];
+}
+
+export class SclSemanticTokensProvider {
+  static readonly legend: SemanticTokensLegend = {
+    tokenTypes: [...TOKEN_TYPES],
+    tokenModifiers: [...TOKEN_MODIFIERS],
+  };
+
+  constructor(private index: SclWorkspaceIndex) {}
+
+  provideSemanticTokens(document: TextDocument): SemanticTokens {
+    const result = this.index.parseDocument(document);
+    const tokens = new TokenCollector(this.index.symbols, document.uri).collect(result.ast)
+      .sort((a, b) => a.line - b.line || a.col - b.col);
+
+    const builder = new SemanticTokensBuilder();
+    let end = { line: -1, col: 0 };
+    for (const token of tokens) {
+      // Tokens must not overlap
+      if (token.line === end.line && token.col < end.col) continue;
+      const modifiers = token.modifiers.reduce((bits, m) => bits | (1 << TOKEN_MODIFIERS.indexOf(m)), 0);
+      builder.push(token.line, token.col, token.length, TOKEN_TYPES.indexOf(token.type), modifiers);
+      end = { line: token.line, col: token.col + token.length };
+    }
+    return builder.build();
+  }
+}
+
+// ─── Collection ─────────────────────────────────────────────────────────────
+
+class TokenCollector {
+  private tokens: Token[] = [];
+  private callees = new Set<Expression>();
+
+  constructor(private index: SymbolIndex, private uri: string) {}
+
+  collect(file: SourceFile): Token[] {
+    for (const block of file.blocks) {
+      const scope: Scope = { uri: this.uri, block };
+      if (block.name) this.add(block.nameRange, blockType(block.blockType, this.isInstance(block.instanceOf)), ["declaration"]);
+      if (block.returnType) this.type(block.returnType, scope);
+      if (block.instanceOf) this.type(block.instanceOf, scope);
+      if (block.structType) this.type(block.structType, scope);
+      for (const section of block.sections) {
+        for (const decl of section.declarations) this.declaration(decl, section.sectionType, scope);
+      }
+      walkStatements(block.body ?? [], stmt => {
+        for (const expr of statementExpressions(stmt)) this.expression(expr, scope);
+      });
+    }
+    return this.tokens;
+  }
+
+  private declaration(decl: VarDeclaration, section: string, scope: Scope): void {
+    this.add(decl.nameRange, this.variable(decl, section, scope.block), ["declaration"]);
+    this.type(decl.type, scope);
+    if (decl.initializer) this.expression(decl.initializer, scope);
+  }
+
+  private type(type: TypeRef, scope: Scope): void {
+    switch (type.kind) {
+      case "NamedType": {
+        if (type.length) this.expression(type.length, scope);
+        const range = nameRange(type.range, type.name, type.quoted);
+        const target = type.name ? this.index.findBlock(type.name, ["FUNCTION_BLOCK", "TYPE"]) : undefined;
+        if (target) {
+          this.add(range, target.type === "TYPE" ? ["struct", []] : ["class", []]);
+        } else if (systemBlock(type.name)) {
+          this.add(range, ["class", ["defaultLibrary"]]);
+        }
+        break;
+      }
+      case "ArrayType":
+        type.dimensions.forEach(d => this.expression(d, scope));
+        this.type(type.elementType, scope);
+        break;
+      case "StructType":
+        type.members.forEach(m => this.declaration(m, "STRUCT", scope));
+        break;
+      case "RefType":
+        this.type(type.target, scope);
+        break;
+    }
+  }
+
+  private expression(expr: Expression, scope: Scope): void {
+    walkExpression(expr, e => {
+      switch (e.kind) {
+        case "LocalRef": {
+          const decl = resolveExpression(this.index, scope, e);
+          if (decl) {
+            this.add(e.range, this.declared(decl));
+          } else if (scope.block.blockType === "FUNCTION" && e.name.toLowerCase() === scope.block.name.toLowerCase()) {
+            // #FC_Name := ... assigns the return value
+            this.add(e.range, ["variable", []]);
+          } else {
+            this.add(e.range, ["variable", ["unresolved"]]);
+          }
+          break;
+        }
+        case "Identifier": {
+          const decl = resolveExpression(this.index, scope, e);
+          if (decl) {
+            this.add(e.range, this.declared(decl));
+          } else if (this.callees.has(e) && isSystemFunction(e.name)) {
+            this.add(e.range, ["function", ["defaultLibrary"]]);
+          }
+          break;
+        }
+        case "GlobalRef": {
+          const decl = resolveExpression(this.index, scope, e);
+          if (decl) {
+            this.add(e.range, this.declared(decl));
+          } else if (this.index.findTag(e.name)) {
+            this.add(e.range, ["variable", ["global"]]);
+          }
+          break;
+        }
+        case "MemberAccess": {
+          const decl = resolveExpression(this.index, scope, e);
+          const member = decl ? undefined : this.systemMember(e.object, e.member, scope);
+          if (decl) {
+            this.add(e.memberRange, this.declared(decl));
+          } else if (member) {
+            this.add(e.memberRange, ["parameter", [member.direction, "defaultLibrary"]]);
+          }
+          break;
+        }
+        case "Call":
+          this.callees.add(e.callee);
+          for (const arg of e.args) {
+            if (!arg.name || !arg.nameRange) continue;
+            const decl = resolveArgument(this.index, scope, e, arg);
+            if (decl) {
+              this.add(arg.nameRange, this.declared(decl));
+            } else if (this.isSystemCall(e.callee, scope)) {
+              this.add(arg.nameRange, ["parameter", [arg.direction === "output" ? "output" : "input", "defaultLibrary"]]);
+            }
+          }
+          break;
+      }
+    });
+  }
+
+  // ── Classification ───────────────────────────────────────────
+
+  /** Token of a name that resolved to a declaration */
+  private declared(decl: Declaration): [TokenType, TokenModifier[]] {
+    if (decl.kind === "block") {
+      const block = decl.node as Block;
+      return blockType(block.blockType, this.isInstance(block.instanceOf));
+    }
+    return this.variable(decl.node as VarDeclaration, decl.section ?? "VAR", decl.owner);
+  }
+
+  private variable(decl: VarDeclaration, section: string, owner: Block): [TokenType, TokenModifier[]] {
+    const instance: TokenModifier[] = this.isInstance(decl.type) ? ["instance"] : [];
+    if (owner.blockType === "DATA_BLOCK" || owner.blockType === "TYPE" || section === "STRUCT") {
+      return ["property", instance];
+    }
+    switch (section) {
+      case "VAR_INPUT": return ["parameter", ["input", ...instance]];
+      case "VAR_OUTPUT": return ["parameter", ["output", ...instance]];
+      case "VAR_IN_OUT": return ["parameter", ["inOut", ...instance]];
+      case "VAR_TEMP": return ["variable", ["temp", ...instance]];
+      case "VAR_CONSTANT": return ["variable", ["readonly"]];
+      default: return ["variable", ["static", ...instance]];
+    }
+  }
+
+  /** True for an FB or system FB type, or an array of them */
+  private isInstance(type: TypeRef | undefined): boolean {
+    if (!type) return false;
+    if (type.kind === "ArrayType") return this.isInstance(type.elementType);
+    if (type.kind !== "NamedType") return false;
+    return !!this.index.findBlock(type.name, ["FUNCTION_BLOCK"]) || !!systemBlock(type.name);
+  }
+
+  /** Interface member of a system FB instance (#StartupTimer.Q) */
+  private systemMember(object: Expression, member: string, scope: Scope): SclFbMember | undefined {
+    const container = containerOf(this.index, scope, object);
+    const type = container?.kind === "type" ? container.type : undefined;
+    const system = type?.kind === "NamedType" ? systemBlock(type.name) : undefined;
+    return system ? SYSTEM_FB_MEMBERS[system].find(m => m.label.toLowerCase() === member.toLowerCase()) : undefined;
+  }
+
+  /** True for a call of a system function or a system FB instance */
+  private isSystemCall(callee: Expression, scope: Scope): boolean {
+    if (callee.kind === "Identifier" && !resolveExpression(this.index, scope, callee)) return isSystemFunction(callee.name);
+    const container = containerOf(this.index, scope, callee);
+    return container?.kind === "type" && container.type.kind === "NamedType" && !!systemBlock(container.type.name);
+  }
+
+  private add(range: SourceRange, [type, modifiers]: [TokenType, TokenModifier[]], extra: TokenModifier[] = []): void {
+    // Names never span lines; a broken parse may produce such ranges
+    if (range.start.line !== range.end.line || range.end.col <= range.start.col) return;
+    this.tokens.push({
+      line: range.start.line,
+      col: range.start.col,
+      length: range.end.col - range.start.col,
+      type,
+      modifiers: [...extra, ...modifiers],
+    });
+  }
+}
+
+function blockType(type: BlockType, instance: boolean): [TokenType, TokenModifier[]] {
+  switch (type) {
+    case "FUNCTION_BLOCK": return ["class", []];
+    case "FUNCTION": return ["function", []];
+    case "ORGANIZATION_BLOCK": return ["event", []];
+    case "TYPE": return ["struct", []];
+    default: return ["variable", instance ? ["global", "instance"] : ["global"]];
+  }
+}
+
+function isSystemFunction(name: string): boolean {
+  const upper = name.toUpperCase();
+  return SYSTEM_FUNCTIONS.some(f => f.label.toUpperCase() === upper);
+}
+
+/** Range of a type name with its quotes, without a length like [20] */
+function nameRange(range: SourceRange, name: string, quoted: boolean): SourceRange {
+  const length = name.length + (quoted ? 2 : 0);
+  return { start: range.start, end: { ...range.start, col: range.start.col + length, offset: range.start.offset + length } };
+}
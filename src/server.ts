@@ -0,0 +1,282 @@
+/**
+ * SCL Language Server - All language features over the Language Server Protocol.
+ *
+ * Started by the VS Code extension (extension.ts) and usable from any other
+ * LSP client (Neovim, Eclipse, ...):
+ *
+ *   tia-scl-language-server --stdio
+ *
+ * Each request is answered by the provider of that feature; the workspace
+ * index and the linter are shared by all of them.
+ */
+
+import * as fs from "fs";
+import {
+  CodeActionKind,
+  Connection,
+  DidChangeWatchedFilesNotification,
+  FileEvent,
+  InitializeResult,
+  LSPErrorCodes,
+  ResponseError,
+  TextDocumentSyncKind,
+  TextDocuments,
+  createConnection,
+} from "vscode-languageserver/node";
+import { TextDocument } from "vscode-languageserver-textdocument";
+import { URI } from "vscode-uri";
+import { SclCompletionProvider } from "./completionProvider";
+import { SclHoverProvider } from "./hoverProvider";
+import { SclSignatureHelpProvider } from "./signatureProvider";
+import { SclLinter } from "./linter";
+import { SclDocumentSymbolProvider } from "./symbolProvider";
+import { SclDefinitionProvider } from "./definitionProvider";
+import { SclFormattingProvider } from "./formatter";
+import { SclCodeActionProvider } from "./quickFixes";
+import { SclReferenceProvider } from "./referenceProvider";
+import { SclRenameProvider } from "./renameProvider";
+import { SclInlayHintProvider } from "./inlayHintProvider";
+import { SclCallHierarchyProvider } from "./callHierarchyProvider";
+import { SclSemanticTokensProvider } from "./semanticTokensProvider";
+import { SCL_GLOB, SclWorkspaceIndex } from "./workspaceIndex";
+import { TAG_TABLE_GLOB } from "./tagTable";
+import { CONFIG_FILE } from "./lintConfig";
+import { CROSS_REFERENCE_REQUEST, CrossReference, buildCrossReferences } from "./crossReference";
+import {
+  FROM_SIMATIC_ML_REQUEST, SimaticMlDocument, TO_SIMATIC_ML_REQUEST, sclToSimaticMl, simaticMlToScl,
+} from "./simaticMl";
+import { PROGRAM_STRUCTURE_REQUEST, ProgramStructure, programStructure } from "./callHierarchy";
+import { MEMORY_LAYOUT_REQUEST, MemoryLayoutRow, memoryLayoutRows } from "./memoryLayout";
+import {
+  SIMULATION_RUN_REQUEST, SIMULATION_START_REQUEST, SIMULATION_STOP_REQUEST, SclSimulator, SimulationRunParams,
+  SimulationStartParams, SimulationState, runSimulation, simulationState,
+} from "./interpreter";
+import { RUN_TESTS_REQUEST, RunTestsParams, TestResult, runTests } from "./unitTest";
+
+export function startServer(connection: Connection): void {
+  const documents = new TextDocuments(TextDocument);
+
+  // Parsed .scl files of the whole workspace (shared by all providers)
+  const index = new SclWorkspaceIndex(documents);
+
+  const completion = new SclCompletionProvider(index);
+  const hover = new SclHoverProvider(index);
+  const signatureHelp = new SclSignatureHelpProvider(index);
+  const symbols = new SclDocumentSymbolProvider();
+  const definition = new SclDefinitionProvider(index);
+  const references = new SclReferenceProvider(index);
+  const rename = new SclRenameProvider(index);
+  const formatting = new SclFormattingProvider();
+  const codeActions = new SclCodeActionProvider(index);
+  const inlayHints = new SclInlayHintProvider(index);
+  const callHierarchy = new SclCallHierarchyProvider(index);
+  const semanticTokens = new SclSemanticTokensProvider(index);
+  const linter = new SclLinter(connection, documents, index);
+
+  let folders: string[] = [];
+  let watchFiles = false;
+  let pullConfiguration = false;
+  let refreshInlayHints = false;
+
+  connection.onInitialize((params): InitializeResult => {
+    if (params.workspaceFolders) {
+      folders = params.workspaceFolders.map(f => f.uri);
+    } else if (params.rootUri) {
+      folders = [params.rootUri];
+    }
+    watchFiles = !!params.capabilities.workspace?.didChangeWatchedFiles?.dynamicRegistration;
+    pullConfiguration = !!params.capabilities.workspace?.configuration;
+    refreshInlayHints = !!params.capabilities.workspace?.inlayHint?.refreshSupport;
+
+    return {
+      capabilities: {
+        textDocumentSync: { openClose: true, change: TextDocumentSyncKind.Incremental, save: true },
+        completionProvider: { triggerCharacters: [".", "#", "%", '"'] },
+        hoverProvider: true,
+        signatureHelpProvider: { triggerCharacters: ["(", ","] },
+        documentSymbolProvider: true,
+        definitionProvider: true,
+        referencesProvider: true,
+        renameProvider: { prepareProvider: true },
+        documentFormattingProvider: true,
+        documentRangeFormattingProvider: true,
+        documentOnTypeFormattingProvider: { firstTriggerCharacter: ";", moreTriggerCharacter: ["\n"] },
+        codeActionProvider: { codeActionKinds: SclCodeActionProvider.providedCodeActionKinds },
+        inlayHintProvider: true,
+        callHierarchyProvider: true,
+        semanticTokensProvider: { legend: SclSemanticTokensProvider.legend, full: true },
+      },
+      serverInfo: { name: "tia-scl" },
+    };
+  });
+
+  connection.onInitialized(() => {
+    // Keep the index in sync with files changed outside the editor
+    if (watchFiles) {
+      connection.client.register(DidChangeWatchedFilesNotification.type, {
+        watchers: [{ globPattern: SCL_GLOB }, { globPattern: TAG_TABLE_GLOB }, { globPattern: `**/${CONFIG_FILE}` }],
+      });
+    }
+    if (pullConfiguration) loadSettings();
+    index.scanFolders(folders).catch(e => connection.console.error(`Workspace scan failed: ${errorMessage(e)}`));
+  });
+
+  connection.onDidChangeWatchedFiles(({ changes }) => {
+    const isConfig = (c: FileEvent) => c.uri.endsWith(`/${CONFIG_FILE}`);
+    if (changes.some(isConfig)) linter.configFilesChanged();
+    index.filesChanged(changes.filter(c => !isConfig(c)));
+  });
+
+  // Rule settings (tia-scl.lint.rules, tia-scl.lint.naming), inlay hint settings (tia-scl.inlayHints.*) and
+  // the formatting style (tia-scl.format.*) are pulled when the client supports it, otherwise taken from the
+  // pushed settings
+  type Settings = Record<string, unknown> | undefined;
+  const applySettings = (lint: Settings, hints: Settings, format: Settings) => {
+    linter.setEditorSettings(lint);
+    inlayHints.setSettings(hints);
+    formatting.setSettings(format);
+    if (refreshInlayHints) connection.languages.inlayHint.refresh();
+  };
+  const loadSettings = () => {
+    connection.workspace.getConfiguration([
+      { section: "tia-scl.lint" }, { section: "tia-scl.inlayHints" }, { section: "tia-scl.format" },
+    ]).then(
+      ([lint, hints, format]) => applySettings(lint, hints, format),
+      e => connection.console.error(`Reading the tia-scl settings failed: ${errorMessage(e)}`)
+    );
+  };
+  connection.onDidChangeConfiguration(({ settings }) => {
+    if (pullConfiguration) {
+      loadSettings();
+    } else {
+      const scl = settings?.["tia-scl"];
+      applySettings(scl?.lint, scl?.inlayHints, scl?.format);
+    }
+  });
+
+  // Requests are answered for open documents only
+  const withDocument = <P extends { textDocument: { uri: string } }, R>(
+    handler: (document: TextDocument, params: P) => R
+  ) => (params: P): R | null => {
+    const document = documents.get(params.textDocument.uri);
+    return document ? handler(document, params) : null;
+  };
+
+  connection.onCompletion(withDocument((doc, p) => completion.provideCompletionItems(doc, p.position, p.context)));
+  connection.onHover(withDocument((doc, p) => hover.provideHover(doc, p.position) ?? null));
+  connection.onSignatureHelp(withDocument((doc, p) => signatureHelp.provideSignatureHelp(doc, p.position) ?? null));
+  connection.onDocumentSymbol(withDocument(doc => symbols.provideDocumentSymbols(doc)));
+  connection.onDefinition(withDocument((doc, p) => definition.provideDefinition(doc, p.position) ?? null));
+  connection.onReferences(withDocument((doc, p) => references.provideReferences(doc, p.position, p.context)));
+  connection.onDocumentFormatting(withDocument((doc, p) => formatting.provideDocumentFormattingEdits(doc, p.options)));
+  connection.onDocumentRangeFormatting(withDocument((doc, p) =>
+    formatting.provideDocumentRangeFormattingEdits(doc, p.range, p.options)
+  ));
+  connection.onDocumentOnTypeFormatting(withDocument((doc, p) =>
+    formatting.provideOnTypeFormattingEdits(doc, p.position, p.ch, p.options)
+  ));
+  connection.onCodeAction(withDocument((doc, p) => codeActions.provideCodeActions(doc, p.context)));
+  connection.languages.inlayHint.on(withDocument((doc, p) => inlayHints.provideInlayHints(doc, p.range)));
+  connection.languages.semanticTokens.on(p =>
+    withDocument(doc => semanticTokens.provideSemanticTokens(doc))(p) ?? { data: [] }
+  );
+  connection.languages.callHierarchy.onPrepare(withDocument((doc, p) => callHierarchy.prepareCallHierarchy(doc, p.position)));
+  connection.languages.callHierarchy.onIncomingCalls(p => callHierarchy.provideIncomingCalls(p.item));
+  connection.languages.callHierarchy.onOutgoingCalls(p => callHierarchy.provideOutgoingCalls(p.item));
+
+  // Rename errors are shown to the user
+  connection.onPrepareRename(withDocument((doc, p) =>
+    asResponseError(() => rename.prepareRename(doc, p.position))
+  ));
+  connection.onRenameRequest(withDocument((doc, p) =>
+    asResponseError(() => rename.provideRenameEdits(doc, p.position, p.newName))
+  ));
+
+  // Cross-reference report of the whole workspace (command of the VS Code extension)
+  connection.onRequest(CROSS_REFERENCE_REQUEST, async (): Promise<CrossReference[]> => {
+    await index.ready;
+    index.syncOpenDocuments();
+    return buildCrossReferences(index.symbols, uri => index.relativePath(uri));
+  });
+
+  // Call tree below every OB (command of the VS Code extension)
+  connection.onRequest(PROGRAM_STRUCTURE_REQUEST, async (): Promise<ProgramStructure> => {
+    await index.ready;
+    index.syncOpenDocuments();
+    return programStructure(index.symbols, uri => index.relativePath(uri));
+  });
+
+  // Offsets of all standard-access blocks (command of the VS Code extension)
+  connection.onRequest(MEMORY_LAYOUT_REQUEST, async (): Promise<MemoryLayoutRow[]> => {
+    await index.ready;
+    index.syncOpenDocuments();
+    return memoryLayoutRows(index.symbols, uri => index.relativePath(uri));
+  });
+
+  // SimaticML export of an .scl file and SCL source of a SimaticML file (commands of the VS Code extension)
+  connection.onRequest(TO_SIMATIC_ML_REQUEST, async ({ uri }: { uri: string }) => {
+    await index.ready;
+    index.syncOpenDocuments();
+    return asResponseError((): SimaticMlDocument[] => {
+      const result = index.symbols.isGenerated(uri) ? undefined : index.symbols.getFile(uri);
+      if (!result) throw new Error("Only .scl files of the workspace can be exported");
+      return sclToSimaticMl(result, index.symbols);
+    });
+  });
+  connection.onRequest(FROM_SIMATIC_ML_REQUEST, ({ uri }: { uri: string }) =>
+    asResponseError(() => simaticMlToScl(fs.readFileSync(URI.parse(uri).fsPath, "utf8")).text)
+  );
+
+  // Offline simulation of a block ("Run Block..." of the VS Code extension)
+  const simulations = new Map<number, SclSimulator>();
+  let nextSession = 1;
+  connection.onRequest(SIMULATION_START_REQUEST, async ({ block, cycleTime }: SimulationStartParams) => {
+    await index.ready;
+    index.syncOpenDocuments();
+    return asResponseError((): SimulationState => {
+      const session = nextSession++;
+      const simulator = new SclSimulator(index.symbols, block, { cycleTime });
+      simulations.set(session, simulator);
+      return simulationState(simulator, session);
+    });
+  });
+  connection.onRequest(SIMULATION_RUN_REQUEST, (params: SimulationRunParams) =>
+    asResponseError((): SimulationState => {
+      const simulator = simulations.get(params.session);
+      if (!simulator) throw new Error("The simulation has ended");
+      return runSimulation(simulator, params);
+    })
+  );
+  connection.onRequest(SIMULATION_STOP_REQUEST, ({ session }: { session: number }) => {
+    simulations.delete(session);
+  });
+
+  // Test cases of a .scltest.json file (Testing view of the VS Code extension)
+  connection.onRequest(RUN_TESTS_REQUEST, async ({ text, tests }: RunTestsParams) => {
+    await index.ready;
+    index.syncOpenDocuments();
+    return asResponseError((): TestResult[] => runTests(index.symbols, text, tests));
+  });
+
+  connection.onShutdown(() => index.dispose());
+
+  documents.listen(connection);
+  connection.listen();
+}
+
+function asResponseError<R>(fn: () => R): R | ResponseError<void> {
+  try {
+    return fn();
+  } catch (e) {
+    return new ResponseError(LSPErrorCodes.RequestFailed, errorMessage(e));
+  }
+}
+
+function errorMessage(e: unknown): string {
+  return e instanceof Error ? e.message : String(e);
+}
+
+if (require.main === module) {
+  // Transport (--stdio, --node-ipc, --socket=<port>) is taken from the command line
+  startServer(createConnection());
+}
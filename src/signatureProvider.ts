@@ -1,10 +1,33 @@
-import * as vscode from "vscode";
+import {
+  ParameterInformation,
+  Position,
+  Range,
+  SignatureHelp,
+  SignatureInformation,
+} from "vscode-languageserver";
+import { TextDocument } from "vscode-languageserver-textdocument";
 import { SYSTEM_FUNCTIONS, SclFunction } from "./sclData";
+import { Token, tokenize } from "./lexer";
+import { parseExpression, trailingReferenceText } from "./parser";
+import { rangeContains } from "./ast";
+import { CallSignature, parameterLabel, signatureOf } from "./callSignatures";
+import { SclWorkspaceIndex } from "./workspaceIndex";
+import { markdown } from "./document";
 
-export class SclSignatureHelpProvider implements vscode.SignatureHelpProvider {
+/** How far back (in lines) to look for the opening parenthesis of a call */
+const MAX_CALL_LINES = 50;
+
+interface OpenCall {
+  calleeText: string;             // Source text before the '(' (trimmed)
+  commaCount: number;             // Arguments before the current one
+  usedNames: string[];            // Named arguments already written
+  currentName?: string;           // Parameter name of the argument being typed
+}
+
+export class SclSignatureHelpProvider {
   private fnLookup: Map<string, SclFunction>;
 
-  constructor() {
+  constructor(private index: SclWorkspaceIndex) {
     this.fnLookup = new Map();
     for (const fn of SYSTEM_FUNCTIONS) {
       this.fnLookup.set(fn.label.toUpperCase(), fn);
@@ -12,59 +35,134 @@ export class SclSignatureHelpProvider implements vscode.SignatureHelpProvider {
   }
 
   provideSignatureHelp(
-    document: vscode.TextDocument,
-    position: vscode.Position
-  ): vscode.SignatureHelp | undefined {
-    const line = document.lineAt(position).text;
-    const textBefore = line.substring(0, position.character);
-
-    // Find the function name before the opening parenthesis
-    // Walk backwards to find the matching '('
-    let depth = 0;
-    let parenPos = -1;
-    let commaCount = 0;
-
-    for (let i = textBefore.length - 1; i >= 0; i--) {
-      const ch = textBefore[i];
-      if (ch === ")") depth++;
-      else if (ch === "(") {
-        if (depth === 0) {
-          parenPos = i;
-          break;
-        }
-        depth--;
-      } else if (ch === "," && depth === 0) {
-        commaCount++;
-      }
-    }
+    document: TextDocument,
+    position: Position
+  ): SignatureHelp | undefined {
+    const call = findOpenCall(document, position);
+    if (!call) return undefined;
 
-    if (parenPos < 0) return undefined;
+    // Named parameters of FCs, FB instances and IEC timers/counters
+    const calleeText = trailingReferenceText(call.calleeText);
+    const callee = calleeText ? parseExpression(calleeText) : undefined;
+    if (callee) {
+      const result = this.index.parseDocument(document);
+      const block = result.ast.blocks.find(b => rangeContains(b.range, position.line, position.character));
+      const signature = block &&
+        signatureOf(this.index.symbols, { uri: document.uri, block }, callee, calleeText);
+      if (signature) return this.userSignatureHelp(signature, call);
+    }
 
-    // Extract function name before the '('
-    const beforeParen = textBefore.substring(0, parenPos).trimEnd();
-    const fnMatch = beforeParen.match(/([A-Za-z_][A-Za-z0-9_]*)$/);
+    // Built-in system functions (positional)
+    const fnMatch = call.calleeText.match(/([A-Za-z_][A-Za-z0-9_]*)$/);
     if (!fnMatch) return undefined;
 
     const fnName = fnMatch[1].toUpperCase();
     const fn = this.fnLookup.get(fnName);
     if (!fn || fn.parameters.length === 0) return undefined;
 
-    const sig = new vscode.SignatureInformation(
-      `${fn.label}(${fn.parameters.map((p) => p.label).join(", ")}) : ${fn.returnType}`,
-      new vscode.MarkdownString(fn.documentation)
+    const sig = SignatureInformation.create(
+      `${fn.label}(${fn.parameters.map((p) => p.label).join(", ")}) : ${fn.returnType}`
     );
+    sig.documentation = markdown(fn.documentation);
+    sig.parameters = fn.parameters.map(param => ParameterInformation.create(param.label, param.documentation));
+
+    return {
+      signatures: [sig],
+      activeSignature: 0,
+      activeParameter: Math.min(call.commaCount, fn.parameters.length - 1),
+    };
+  }
+
+  private userSignatureHelp(signature: CallSignature, call: OpenCall): SignatureHelp {
+    // Parameter labels are given as offsets, since names may repeat inside types
+    let label = `${signature.callee}(`;
+    const parameters: ParameterInformation[] = [];
+    signature.parameters.forEach((p, i) => {
+      if (i > 0) label += ", ";
+      const text = parameterLabel(p);
+      const doc = `*${directionText(p.direction)}*${p.documentation ? ` - ${p.documentation}` : ""}`;
+      parameters.push({ label: [label.length, label.length + text.length], documentation: markdown(doc) });
+      label += text;
+    });
+    label += ")";
+    if (signature.returnType) label += ` : ${signature.returnType}`;
+
+    const sig = SignatureInformation.create(label);
+    sig.documentation = markdown(`\`${signature.kind}\``);
+    sig.parameters = parameters;
+
+    return {
+      signatures: [sig],
+      activeSignature: 0,
+      activeParameter: activeParameter(signature, call),
+    };
+  }
+}
+
+/**
+ * Finds the innermost unclosed '(' before the cursor and describes the
+ * arguments written so far. Tokenizing (instead of counting characters)
+ * keeps commas and parentheses in strings and comments out of the count.
+ */
+function findOpenCall(document: TextDocument, position: Position): OpenCall | undefined {
+  const firstLine = Math.max(0, position.line - MAX_CALL_LINES);
+  const text = document.getText(Range.create(firstLine, 0, position.line, position.character));
+  const tokens = tokenize(text).filter(t => t.kind !== "comment" && t.kind !== "eof");
 
-    for (const param of fn.parameters) {
-      sig.parameters.push(
-        new vscode.ParameterInformation(param.label, new vscode.MarkdownString(param.documentation))
-      );
+  const opens: number[] = [];
+  tokens.forEach((t, i) => {
+    if (t.kind !== "operator") return;
+    if (t.value === "(") opens.push(i);
+    else if (t.value === ")") opens.pop();
+    else if (t.value === ";") opens.length = 0;   // Calls never span statements
+  });
+  if (opens.length === 0) return undefined;
+  const open = opens[opens.length - 1];
+
+  // Split the arguments at top-level commas
+  const args: Token[][] = [[]];
+  let depth = 0;
+  for (const t of tokens.slice(open + 1)) {
+    if (t.kind === "operator" && (t.value === "(" || t.value === "[")) depth++;
+    if (t.kind === "operator" && (t.value === ")" || t.value === "]")) depth--;
+    if (depth === 0 && t.kind === "operator" && t.value === ",") {
+      args.push([]);
+    } else {
+      args[args.length - 1].push(t);
     }
+  }
 
-    const help = new vscode.SignatureHelp();
-    help.signatures = [sig];
-    help.activeSignature = 0;
-    help.activeParameter = Math.min(commaCount, fn.parameters.length - 1);
+  const argName = (arg: Token[]): string | undefined =>
+    arg.length > 0 && (arg[0].kind === "identifier" || arg[0].kind === "quotedName") ? arg[0].value : undefined;
+  const isNamed = (arg: Token[]) =>
+    arg.length > 1 && arg[1].kind === "operator" && (arg[1].value === ":=" || arg[1].value === "=>");
+
+  const current = args[args.length - 1];
+  return {
+    calleeText: text.substring(0, tokens[open].offset).trimEnd(),
+    commaCount: args.length - 1,
+    usedNames: args.slice(0, -1).filter(isNamed).map(a => argName(a)!),
+    currentName: current.length <= 1 || isNamed(current) ? argName(current) : undefined,
+  };
+}
+
+/** The parameter being typed, or the first one not yet passed. */
+function activeParameter(signature: CallSignature, call: OpenCall): number {
+  const params = signature.parameters.map(p => p.name.toLowerCase());
+  if (call.currentName) {
+    const name = call.currentName.toLowerCase();
+    const exact = params.indexOf(name);
+    return exact >= 0 ? exact : params.findIndex(p => p.startsWith(name));
+  }
+  const used = new Set(call.usedNames.map(n => n.toLowerCase()));
+  const next = params.findIndex(p => !used.has(p));
+  return next >= 0 ? next : Math.min(call.commaCount, params.length - 1);
+}
 
-    return help;
+function directionText(direction: string): string {
+  switch (direction) {
+    case "output": return "Output";
+    case "inout": return "In/Out";
+    default: return "Input";
   }
 }
@@ -0,0 +1,1083 @@
+/**
+ * SCL SimaticML - Converts between TIA Portal Openness block exports and SCL source.
+ *
+ * Openness exports blocks and PLC data types as SimaticML (.xml): the interface
+ * as <Section>/<Member> elements with start values and comments, and the SCL
+ * code of each network as a <StructuredText> element tree. Reading gives the
+ * same text as a TIA Portal "Generate source" export, so it can be parsed and
+ * indexed like any .scl file; writing produces one SimaticML document per block
+ * for re-import.
+ *
+ * Supported: FB, FC, OB, global and instance DBs, PLC data types (UDTs).
+ * LAD/FBD networks, ArrayDBs and multilingual texts other than the first
+ * non-empty one are not converted.
+ */
+
+import { Block, BlockType, SectionType, TypeRef, VarDeclaration } from "./ast";
+import { Token } from "./lexer";
+import { isStandardAccess } from "./memoryLayout";
+import { ParseResult } from "./parser";
+import { SYSTEM_FB_MEMBERS, SYSTEM_FUNCTIONS } from "./sclData";
+import { SymbolIndex } from "./symbolIndex";
+import { XmlElement, childElement, childElements, descendants, escapeXml, parseXml, textContent } from "./xml";
+
+/** SCL text generated from a SimaticML document */
+export interface SclSource {
+  text: string;
+  sourceLines: number[];          // 0-based XML line of every generated SCL line
+}
+
+/** SimaticML document generated for one block */
+export interface SimaticMlDocument {
+  name: string;                   // Block name
+  fileName: string;               // <name>.xml, characters not allowed in file names replaced
+  xml: string;
+}
+
+/** Server requests of the VS Code commands (params { uri }) */
+export const TO_SIMATIC_ML_REQUEST = "tia-scl/toSimaticMl";
+export const FROM_SIMATIC_ML_REQUEST = "tia-scl/fromSimaticMl";
+
+const BLOCK_ELEMENTS: Record<string, BlockType> = {
+  "SW.Blocks.FB": "FUNCTION_BLOCK",
+  "SW.Blocks.FC": "FUNCTION",
+  "SW.Blocks.OB": "ORGANIZATION_BLOCK",
+  "SW.Blocks.GlobalDB": "DATA_BLOCK",
+  "SW.Blocks.InstanceDB": "DATA_BLOCK",
+  "SW.Types.PlcStruct": "TYPE",
+};
+
+/** Interface sections of every block element, in export order */
+const BLOCK_SECTIONS: Record<string, string[]> = {
+  "SW.Blocks.FB": ["Input", "Output", "InOut", "Static", "Temp", "Constant"],
+  "SW.Blocks.FC": ["Input", "Output", "InOut", "Temp", "Constant", "Return"],
+  "SW.Blocks.OB": ["Input", "Temp", "Constant"],
+  "SW.Blocks.GlobalDB": ["Static"],
+  "SW.Blocks.InstanceDB": ["Input", "Output", "InOut", "Static"],
+  "SW.Types.PlcStruct": ["None"],
+};
+
+const SECTION_KEYWORDS: Record<string, string> = {
+  Input: "VAR_INPUT",
+  Output: "VAR_OUTPUT",
+  InOut: "VAR_IN_OUT",
+  Static: "VAR",
+  Temp: "VAR_TEMP",
+  Constant: "VAR CONSTANT",
+};
+
+const SECTION_NAMES: Record<SectionType, string> = {
+  VAR_INPUT: "Input",
+  VAR_OUTPUT: "Output",
+  VAR_IN_OUT: "InOut",
+  VAR: "Static",
+  VAR_GLOBAL: "Static",
+  VAR_TEMP: "Temp",
+  VAR_CONSTANT: "Constant",
+};
+
+const ADDRESS_AREAS: Record<string, string> = {
+  Input: "I", Output: "Q", Memory: "M", PeripheryInput: "I", PeripheryOutput: "Q", DB: "DB",
+};
+
+const ADDRESS_TYPES: Record<string, string> = { Bool: "X", Byte: "B", Word: "W", DWord: "D", LWord: "L" };
+
+const INTERFACE_NAMESPACE = "http://www.siemens.com/automation/Openness/SW/Interface/v5";
+const STRUCTURED_TEXT_NAMESPACE = "http://www.siemens.com/automation/Openness/SW/NetworkSource/StructuredText/v3";
+const CULTURE = "en-US";
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/** True if an .xml file is a SimaticML block or PLC data type export. */
+export function isSimaticMl(text: string): boolean {
+  return /<SW\.(Blocks\.(FB|FC|OB|GlobalDB|InstanceDB)|Types\.PlcStruct)[\s>]/.test(text);
+}
+
+// ─── SimaticML → SCL ────────────────────────────────────────────────────────
+
+/** Converts a SimaticML document to SCL source. Throws an Error if it contains no supported block. */
+export function simaticMlToScl(xml: string): SclSource {
+  const root = parseXml(xml);
+  const blocks = [root, ...childElements(root)].filter(e => BLOCK_ELEMENTS[e.name]);
+  if (blocks.length === 0) throw new Error("The document contains no SimaticML block or PLC data type");
+
+  const out = new SourceWriter();
+  blocks.forEach((block, i) => {
+    if (i > 0) out.newLine(block.line);
+    readBlock(block, out);
+  });
+  return out.result();
+}
+
+function readBlock(element: XmlElement, out: SourceWriter): void {
+  const blockType = BLOCK_ELEMENTS[element.name];
+  const attributes = childElement(element, "AttributeList");
+  const attribute = (name: string) => {
+    const value = attributes && childElement(attributes, name);
+    return value ? textContent(value).trim() : "";
+  };
+  const sections = new Map<string, XmlElement>();
+  const interfaceSections = attributes && childElement(attributes, "Interface");
+  for (const section of interfaceSections ? descendants(interfaceSections, "Section") : []) {
+    sections.set(section.attributes.Name, section);
+  }
+  const line = element.line;
+
+  // Header
+  let header = `${blockType} "${attribute("Name")}"`;
+  if (blockType === "FUNCTION") {
+    const returnValue = sections.get("Return") && childElements(sections.get("Return")!, "Member")[0];
+    header += ` : ${returnValue?.attributes.Datatype || "Void"}`;
+  }
+  out.line(header, line);
+  const title = multilingualText(element, "Title");
+  if (title) out.line(`TITLE = ${title.replace(/\s*\n\s*/g, " ")}`, line);
+  const layout = attribute("MemoryLayout");
+  if (layout && blockType !== "TYPE") out.line(`{ S7_Optimized_Access := '${layout === "Standard" ? "FALSE" : "TRUE"}' }`, line);
+  for (const property of ["Author", "Family", "Name"]) {
+    const value = attribute(`Header${property}`);
+    if (value) out.line(`${property.toUpperCase()} : ${value}`, line);
+  }
+  out.line(`VERSION : ${attribute("HeaderVersion") || "0.1"}`, line);
+  const instanceOf = element.name === "SW.Blocks.InstanceDB" ? attribute("InstanceOfName") : "";
+  if (instanceOf) out.line(`"${instanceOf}"`, line);
+  const comment = multilingualText(element, "Comment");
+  if (comment) comment.split(/\r?\n/).forEach(text => out.line(`//${text}`, line));
+
+  if (blockType === "TYPE") {
+    out.line("   STRUCT", line);
+    readMembers(sections.get("None"), "      ", out);
+    out.line("   END_STRUCT;", line);
+    out.newLine(line);
+    out.line("END_TYPE", line);
+    return;
+  }
+
+  // An instance DB has the interface of its FB; its start values are assignments after BEGIN
+  if (instanceOf) {
+    out.newLine(line);
+  } else {
+    for (const name of BLOCK_SECTIONS[element.name]) {
+      const section = sections.get(name);
+      const keyword = SECTION_KEYWORDS[name];
+      if (!section || !keyword) continue;
+      const members = childElements(section, "Member");
+      const retain = members.filter(m => m.attributes.Remanence === "Retain");
+      const other = members.filter(m => m.attributes.Remanence !== "Retain");
+      if (other.length > 0) readSection(keyword, other, section.line, out);
+      if (retain.length > 0) readSection(`${keyword} RETAIN`, retain, section.line, out);
+    }
+  }
+
+  out.line("BEGIN", line);
+  if (instanceOf) {
+    for (const section of sections.values()) {
+      for (const [path, value, valueLine] of startValues(childElements(section, "Member"), "")) {
+        out.line(`   ${path} := ${value};`, valueLine);
+      }
+    }
+  }
+  for (const unit of descendants(element, "SW.Blocks.CompileUnit")) {
+    const source = descendants(unit, "StructuredText")[0];
+    if (!source) continue;
+    readSource(source, out);
+    out.newLine(unit.line);
+  }
+  out.line(`END_${blockType}`, line);
+}
+
+function readSection(keyword: string, members: XmlElement[], line: number, out: SourceWriter): void {
+  out.line(`   ${keyword} `, line);
+  readMembers({ name: "Section", attributes: {}, children: members, line }, "      ", out);
+  out.line("   END_VAR", line);
+  out.newLine(line);
+}
+
+function readMembers(section: XmlElement | undefined, indent: string, out: SourceWriter): void {
+  for (const member of section ? childElements(section, "Member") : []) {
+    const name = IDENTIFIER.test(member.attributes.Name) ? member.attributes.Name : `"${member.attributes.Name}"`;
+    const dataType = member.attributes.Datatype || "";
+    const comment = memberComment(member);
+    const trailing = comment ? `   // ${comment}` : "";
+    if (/\bStruct$/i.test(dataType)) {
+      out.line(`${indent}${name} : ${dataType}${trailing}`, member.line);
+      readMembers(member, `${indent}   `, out);
+      out.line(`${indent}END_STRUCT;`, member.line);
+      continue;
+    }
+    const startValue = memberStartValue(member, dataType);
+    out.line(`${indent}${name} : ${dataType}${startValue ? ` := ${startValue}` : ""};${trailing}`, member.line);
+  }
+}
+
+/** <StartValue>, or an array literal from the <Subelement> start values of a one-dimensional array */
+function memberStartValue(member: XmlElement, dataType: string): string | undefined {
+  const value = childElement(member, "StartValue");
+  if (value) return textContent(value).trim();
+
+  const bounds = /^Array\s*\[\s*(-?\d+)\s*\.\.\s*-?\d+\s*\]/i.exec(dataType);
+  const subelements = childElements(member, "Subelement");
+  if (!bounds || subelements.length === 0) return undefined;
+  const values: string[] = [];
+  for (const subelement of subelements) {
+    const start = childElement(subelement, "StartValue");
+    const index = Number(subelement.attributes.Path) - Number(bounds[1]);
+    if (!start || !Number.isInteger(index) || index < 0) return undefined;
+    values[index] = textContent(start).trim();
+  }
+  // Elements without start value keep their default; a literal cannot skip them
+  if (values.some(v => v === undefined) || values.length !== subelements.length) return undefined;
+  return `[${values.join(", ")}]`;
+}
+
+/** Start values of an instance DB as [path, value, xmlLine] */
+function startValues(members: XmlElement[], parent: string): [string, string, number][] {
+  const values: [string, string, number][] = [];
+  for (const member of members) {
+    const name = IDENTIFIER.test(member.attributes.Name) ? member.attributes.Name : `"${member.attributes.Name}"`;
+    const path = parent ? `${parent}.${name}` : name;
+    const value = childElement(member, "StartValue");
+    if (value) values.push([path, textContent(value).trim(), value.line]);
+    for (const subelement of childElements(member, "Subelement")) {
+      const start = childElement(subelement, "StartValue");
+      if (start) values.push([`${path}[${subelement.attributes.Path}]`, textContent(start).trim(), start.line]);
+    }
+    values.push(...startValues(childElements(member, "Member"), path));
+  }
+  return values;
+}
+
+function memberComment(member: XmlElement): string | undefined {
+  const comment = childElement(member, "Comment");
+  const text = comment && childElements(comment, "MultiLanguageText").map(textContent).find(t => t.trim());
+  return text ? text.trim().replace(/\s*\r?\n\s*/g, " ") : undefined;
+}
+
+/** First non-empty text of a block's MultilingualText with the given composition name */
+function multilingualText(element: XmlElement, compositionName: string): string | undefined {
+  const objects = childElement(element, "ObjectList");
+  const text = objects && childElements(objects, "MultilingualText").find(t => t.attributes.CompositionName === compositionName);
+  for (const item of text ? descendants(text, "MultilingualTextItem") : []) {
+    const attributes = childElement(item, "AttributeList");
+    const value = attributes && childElement(attributes, "Text");
+    if (value && textContent(value).trim()) return textContent(value).trim();
+  }
+  return undefined;
+}
+
+// ── StructuredText ─────────────────────────────────────────────
+
+function readSource(element: XmlElement, out: SourceWriter): void {
+  for (const child of childElements(element)) readPart(child, out);
+}
+
+function readPart(element: XmlElement, out: SourceWriter): void {
+  const line = element.line;
+  switch (element.name) {
+    case "Token":
+      out.write(element.attributes.Text ?? "", line);
+      break;
+    case "Blank":
+      out.write(" ".repeat(count(element)), line);
+      break;
+    case "NewLine":
+      for (let i = 0; i < count(element); i++) out.newLine(line);
+      break;
+    case "Text":
+      out.write(textContent(element), line);
+      break;
+    case "LineComment":
+      out.write("//", line);
+      readSource(element, out);
+      break;
+    case "Comment":
+      out.write("(*", line);
+      readSource(element, out);
+      out.write("*)", line);
+      break;
+    case "Access":
+      readAccess(element, out);
+      break;
+    case "Parameter":
+      if (element.attributes.Informal !== "true") out.write(element.attributes.Name ?? "", line);
+      readSource(element, out);
+      break;
+    default:
+      readSource(element, out);
+  }
+}
+
+function readAccess(access: XmlElement, out: SourceWriter): void {
+  const line = access.line;
+  const symbol = childElement(access, "Symbol");
+  const constant = childElement(access, "Constant");
+  switch (access.attributes.Scope) {
+    case "LocalVariable":
+    case "GlobalVariable":
+      if (symbol) readSymbol(symbol, access.attributes.Scope === "LocalVariable", out);
+      break;
+    case "LocalConstant":
+      if (constant?.attributes.Name) out.write(`#${quoteIfNeeded(constant.attributes.Name)}`, line);
+      else if (symbol) readSymbol(symbol, true, out);
+      break;
+    case "GlobalConstant":
+      if (constant?.attributes.Name) out.write(`"${constant.attributes.Name}"`, line);
+      else if (symbol) readSymbol(symbol, false, out);
+      break;
+    case "LiteralConstant":
+    case "TypedConstant": {
+      const value = constant && childElement(constant, "ConstantValue");
+      out.write(value ? textContent(value) : "", line);
+      break;
+    }
+    case "Address": {
+      const address = childElement(access, "Address");
+      if (address) out.write(formatXmlAddress(address), line);
+      break;
+    }
+    case "Call":
+      readCall(access, out);
+      break;
+    default:
+      readSource(access, out);
+  }
+}
+
+/** #a.b[#i], "DB".member; a Symbol holds Components separated by "." tokens */
+function readSymbol(symbol: XmlElement, local: boolean, out: SourceWriter): void {
+  let first = true;
+  let previousComponent = false;
+  for (const child of childElements(symbol)) {
+    if (child.name !== "Component") {
+      readPart(child, out);
+      previousComponent = false;
+      continue;
+    }
+    if (previousComponent) out.write(".", child.line);     // Older exports have no "." tokens
+    const name = child.attributes.Name ?? "";
+    if (first && local) {
+      out.write(`#${quoteIfNeeded(name)}`, child.line);
+    } else if (first || child.attributes.HasQuotes === "true") {
+      out.write(`"${name}"`, child.line);
+    } else {
+      out.write(quoteIfNeeded(name), child.line);
+    }
+    readComponentIndex(child, out);
+    if (child.attributes.SliceAccessModifier) out.write(`.%${child.attributes.SliceAccessModifier.toUpperCase()}`, child.line);
+    first = false;
+    previousComponent = true;
+  }
+}
+
+/** Index of an array component: as tokens, or only the index accesses in older exports */
+function readComponentIndex(component: XmlElement, out: SourceWriter): void {
+  const children = childElements(component);
+  if (children.length === 0) return;
+  if (children.some(c => c.name === "Token")) {
+    readSource(component, out);
+    return;
+  }
+  out.write("[", component.line);
+  children.filter(c => c.name === "Access").forEach((index, i) => {
+    if (i > 0) out.write(", ", index.line);
+    readAccess(index, out);
+  });
+  out.write("]", component.line);
+}
+
+function readCall(access: XmlElement, out: SourceWriter): void {
+  const info = childElement(access, "CallInfo") ?? childElement(access, "Instruction");
+  if (!info) return;
+  const instance = childElement(info, "Instance");
+  if (instance) {
+    readSymbol(instance, instance.attributes.Scope === "LocalVariable", out);
+  } else if (info.name === "CallInfo") {
+    out.write(`"${info.attributes.Name ?? ""}"`, info.line);
+  } else {
+    out.write(info.attributes.Name ?? "", info.line);
+  }
+  for (const child of childElements(info)) {
+    if (child.name !== "Instance" && child.name !== "TemplateValue") readPart(child, out);
+  }
+}
+
+function formatXmlAddress(address: XmlElement): string {
+  const area = ADDRESS_AREAS[address.attributes.Area] ?? address.attributes.Area;
+  const size = ADDRESS_TYPES[address.attributes.Type] ?? "B";
+  const offset = Number(address.attributes.BitOffset) || 0;
+  const byte = Math.floor(offset / 8);
+  const bit = size === "X" ? `.${offset % 8}` : "";
+  if (area === "DB") return `%DB${address.attributes.BlockNumber}.DB${size}${byte}${bit}`;
+  const periphery = address.attributes.Area.startsWith("Periphery") ? ":P" : "";
+  return `%${area}${size === "X" ? "" : size}${byte}${bit}${periphery}`;
+}
+
+function count(element: XmlElement): number {
+  const num = Number(element.attributes.Num);
+  return Number.isInteger(num) && num > 0 ? num : 1;
+}
+
+function quoteIfNeeded(name: string): string {
+  return IDENTIFIER.test(name) ? name : `"${name}"`;
+}
+
+/** Collects generated lines and the XML line each one came from */
+class SourceWriter {
+  private lines: string[] = [""];
+  private sourceLines: number[] = [0];
+
+  write(text: string, xmlLine: number): void {
+    text.split(/\r?\n/).forEach((part, i) => {
+      if (i > 0) this.newLine(xmlLine);
+      // A line comes from the element of its first non-blank text
+      const last = this.lines.length - 1;
+      if (!this.lines[last].trim() && (part.trim() || !this.lines[last])) this.sourceLines[last] = xmlLine;
+      this.lines[last] += part;
+    });
+  }
+
+  line(text: string, xmlLine: number): void {
+    this.write(text, xmlLine);
+    this.newLine(xmlLine);
+  }
+
+  newLine(xmlLine: number): void {
+    this.lines.push("");
+    this.sourceLines.push(xmlLine);
+  }
+
+  result(): SclSource {
+    return { text: this.lines.join("\n"), sourceLines: this.sourceLines };
+  }
+}
+
+// ─── SCL → SimaticML ────────────────────────────────────────────────────────
+
+/**
+ * Converts every block of a parsed .scl file to a SimaticML document. The
+ * index (optional) supplies the interface of the FB behind an instance DB and
+ * the kind of called blocks.
+ */
+export function sclToSimaticMl(result: ParseResult, index?: SymbolIndex): SimaticMlDocument[] {
+  return result.ast.blocks
+    .filter(block => block.name)
+    .map(block => ({
+      name: block.name,
+      fileName: `${block.name.replace(/[\\/:*?"<>|]/g, "_")}.xml`,
+      xml: new DocumentWriter(result, block, index).write(),
+    }));
+}
+
+interface ExportMember {
+  decl: VarDeclaration;
+  retain: boolean;
+}
+
+class DocumentWriter {
+  private xml = new XmlBuilder();
+  private id = 0;
+  private element: string;
+  private startValues = new Map<string, string>();     // Lowercase path → value assigned after BEGIN (DBs)
+
+  constructor(private result: ParseResult, private block: Block, private index?: SymbolIndex) {
+    this.element = blockElement(block, index);
+  }
+
+  write(): string {
+    const block = this.block;
+    const property = (name: string) => block.properties.find(p => p.name === name)?.value.trim();
+    if (block.blockType === "DATA_BLOCK") this.collectStartValues();
+
+    this.xml.open("Document");
+    this.xml.leaf("Engineering", { version: "V17" });
+    this.xml.open(this.element, { ID: this.nextId() });
+    this.xml.open("AttributeList");
+    if (block.blockType !== "TYPE") {
+      this.xml.leaf("HeaderAuthor", {}, property("AUTHOR") ?? "");
+      this.xml.leaf("HeaderFamily", {}, property("FAMILY") ?? "");
+      this.xml.leaf("HeaderName", {}, property("NAME") ?? "");
+      this.xml.leaf("HeaderVersion", {}, property("VERSION") ?? "0.1");
+    }
+    if (this.element === "SW.Blocks.InstanceDB" && block.instanceOf?.kind === "NamedType") {
+      this.xml.leaf("InstanceOfName", {}, block.instanceOf.name);
+      this.xml.leaf("InstanceOfType", {}, "FB");
+    }
+    this.writeInterface();
+    if (block.blockType !== "TYPE") this.xml.leaf("MemoryLayout", {}, isStandardAccess(block) ? "Standard" : "Optimized");
+    this.xml.leaf("Name", {}, block.name);
+    if (this.element === "SW.Blocks.FB" || this.element === "SW.Blocks.FC" || this.element === "SW.Blocks.OB") {
+      this.xml.leaf("ProgrammingLanguage", {}, "SCL");
+    }
+    if (this.element === "SW.Blocks.OB") this.xml.leaf("SecondaryType", {}, "ProgramCycle");
+    this.xml.close("AttributeList");
+
+    this.xml.open("ObjectList");
+    this.writeText("Comment", this.blockComment());
+    if (block.beginRange && block.endRange && !block.blockType.startsWith("DATA")) this.writeCompileUnit();
+    this.writeText("Title", property("TITLE") ?? "");
+    this.xml.close("ObjectList");
+    this.xml.close(this.element);
+    this.xml.close("Document");
+    return this.xml.toString();
+  }
+
+  // ── Interface ─────────────────────────────────────────────────
+
+  private writeInterface(): void {
+    const sections = this.interfaceSections();
+    this.xml.open("Interface");
+    this.xml.open("Sections", { xmlns: INTERFACE_NAMESPACE });
+    for (const name of BLOCK_SECTIONS[this.element]) {
+      const members = sections.get(name) ?? [];
+      if (name === "Return") {
+        const returnType = this.block.returnType ? typeText(this.block.returnType, "") : "Void";
+        this.xml.open("Section", { Name: name });
+        this.xml.leaf("Member", { Name: "Ret_Val", Datatype: returnType });
+        this.xml.close("Section");
+      } else if (members.length === 0) {
+        this.xml.leaf("Section", { Name: name });
+      } else {
+        this.xml.open("Section", { Name: name });
+        for (const member of members) this.writeMember(member.decl, member.retain, member.decl.name);
+        this.xml.close("Section");
+      }
+    }
+    this.xml.close("Sections");
+    this.xml.close("Interface");
+  }
+
+  private interfaceSections(): Map<string, ExportMember[]> {
+    const sections = new Map<string, ExportMember[]>();
+    let owner = this.block;
+    if (this.element === "SW.Blocks.InstanceDB") {
+      const fb = this.block.instanceOf?.kind === "NamedType"
+        ? this.index?.findBlock(this.block.instanceOf.name, ["FUNCTION_BLOCK"])
+        : undefined;
+      if (!fb) return sections;
+      owner = fb.block;
+    }
+    if (owner.structType) {
+      sections.set("None", owner.structType.members.map(decl => ({ decl, retain: false })));
+    }
+    for (const section of owner.sections) {
+      const name = SECTION_NAMES[section.sectionType];
+      if (!sections.has(name)) sections.set(name, []);
+      const retain = section.modifiers.includes("RETAIN");
+      sections.get(name)!.push(...section.declarations.map(decl => ({ decl, retain })));
+    }
+    return sections;
+  }
+
+  private writeMember(decl: VarDeclaration, retain: boolean, path: string): void {
+    const struct = decl.type.kind === "StructType" ? decl.type
+      : decl.type.kind === "ArrayType" && decl.type.elementType.kind === "StructType" ? decl.type.elementType
+      : undefined;
+    const attributes = {
+      Name: decl.name,
+      Datatype: typeText(decl.type, decl.typeText),
+      Remanence: retain ? "Retain" : undefined,
+    };
+    const startValue = this.startValues.get(path.toLowerCase()) ?? decl.initializerText;
+    const elements = decl.type.kind === "ArrayType" ? this.elementStartValues(decl.type, path, startValue) : undefined;
+    if (!decl.comment && !struct && startValue === undefined && !elements) {
+      this.xml.leaf("Member", attributes);
+      return;
+    }
+
+    this.xml.open("Member", attributes);
+    if (decl.comment) {
+      this.xml.open("Comment");
+      this.xml.leaf("MultiLanguageText", { Lang: CULTURE }, decl.comment);
+      this.xml.close("Comment");
+    }
+    if (struct) {
+      for (const member of struct.members) this.writeMember(member, retain, `${path}.${member.name}`);
+    } else if (elements) {
+      for (const [subPath, value] of elements) {
+        this.xml.open("Subelement", { Path: subPath });
+        this.xml.leaf("StartValue", {}, value);
+        this.xml.close("Subelement");
+      }
+    } else if (startValue !== undefined) {
+      this.xml.leaf("StartValue", {}, startValue);
+    }
+    this.xml.close("Member");
+  }
+
+  /** Start values of array elements: from an array literal [1, 2, 3(0)] or DB assignments arr[1] := 5 */
+  private elementStartValues(type: TypeRef, path: string, literal: string | undefined): [string, string][] | undefined {
+    const values = new Map<string, string>();
+    const lower = type.kind === "ArrayType" && type.dimensions.length === 1 ? Number(lowerBound(type)) : NaN;
+    if (literal && /^\[.*\]$/s.test(literal.trim()) && Number.isInteger(lower)) {
+      let i = lower;
+      for (const element of splitList(literal.trim().slice(1, -1))) {
+        const repeated = /^(\d+)\s*\((.*)\)$/s.exec(element);
+        const times = repeated ? Number(repeated[1]) : 1;
+        for (let n = 0; n < times; n++) values.set(String(i++), repeated ? repeated[2].trim() : element);
+      }
+    }
+    const prefix = `${path.toLowerCase()}[`;
+    for (const [key, value] of this.startValues) {
+      if (key.startsWith(prefix) && key.endsWith("]")) values.set(key.slice(prefix.length, -1).replace(/\s+/g, ""), value);
+    }
+    return values.size > 0 ? [...values] : undefined;
+  }
+
+  /** name := value; assignments after BEGIN of a DB */
+  private collectStartValues(): void {
+    for (const statement of this.block.body ?? []) {
+      if (statement.kind !== "Assignment" || statement.operator !== ":=") continue;
+      const path = this.tokensText(statement.target.range.start.offset, statement.target.range.end.offset);
+      const value = this.tokensText(statement.value.range.start.offset, statement.value.range.end.offset);
+      this.startValues.set(path.replace(/"/g, "").toLowerCase(), value);
+    }
+  }
+
+  private tokensText(start: number, end: number): string {
+    return this.result.tokens
+      .filter(t => t.kind !== "comment" && t.offset >= start && t.endOffset <= end)
+      .map(t => t.text)
+      .join("")
+      .replace(/,/g, ", ");
+  }
+
+  // ── Objects ───────────────────────────────────────────────────
+
+  private writeCompileUnit(): void {
+    this.xml.open("SW.Blocks.CompileUnit", { ID: this.nextId(), CompositionName: "CompileUnits" });
+    this.xml.open("AttributeList");
+    this.xml.open("NetworkSource");
+    this.xml.open("StructuredText", { xmlns: STRUCTURED_TEXT_NAMESPACE });
+    new StructuredTextWriter(this.xml, this.result, this.block, this.index).write();
+    this.xml.close("StructuredText");
+    this.xml.close("NetworkSource");
+    this.xml.leaf("ProgrammingLanguage", {}, "SCL");
+    this.xml.close("AttributeList");
+    this.xml.open("ObjectList");
+    this.writeText("Comment", "");
+    this.writeText("Title", "");
+    this.xml.close("ObjectList");
+    this.xml.close("SW.Blocks.CompileUnit");
+  }
+
+  private writeText(compositionName: string, text: string): void {
+    this.xml.open("MultilingualText", { ID: this.nextId(), CompositionName: compositionName });
+    this.xml.open("ObjectList");
+    this.xml.open("MultilingualTextItem", { ID: this.nextId(), CompositionName: "Items" });
+    this.xml.open("AttributeList");
+    this.xml.leaf("Culture", {}, CULTURE);
+    this.xml.leaf("Text", {}, text);
+    this.xml.close("AttributeList");
+    this.xml.close("MultilingualTextItem");
+    this.xml.close("ObjectList");
+    this.xml.close("MultilingualText");
+  }
+
+  /** Line comments between the block header and the first section (as in a TIA source export) */
+  private blockComment(): string {
+    const block = this.block;
+    const headerEnd = Math.max(
+      block.nameRange.end.offset,
+      block.returnType?.range.end.offset ?? 0,
+      block.instanceOf?.range.end.offset ?? 0,
+      ...block.pragmas.map(p => p.range.end.offset),
+      ...block.properties.map(p => p.range.end.offset),
+    );
+    const bodyStart = Math.min(
+      block.sections[0]?.keywordRange.start.offset ?? Infinity,
+      block.structType?.range.start.offset ?? Infinity,
+      block.beginRange?.start.offset ?? Infinity,
+      block.endRange?.start.offset ?? block.range.end.offset,
+    );
+    return this.result.tokens
+      .filter(t => t.kind === "comment" && t.text.startsWith("//") && t.offset > headerEnd && t.endOffset <= bodyStart)
+      .map(t => t.text.substring(2))
+      .join("\n");
+  }
+
+  private nextId(): string {
+    return (this.id++).toString(16).toUpperCase();
+  }
+}
+
+/** Element name of a block; a DB of a UDT is a global DB */
+function blockElement(block: Block, index?: SymbolIndex): string {
+  switch (block.blockType) {
+    case "FUNCTION_BLOCK": return "SW.Blocks.FB";
+    case "FUNCTION": return "SW.Blocks.FC";
+    case "ORGANIZATION_BLOCK": return "SW.Blocks.OB";
+    case "TYPE": return "SW.Types.PlcStruct";
+    case "DATA_BLOCK":
+      if (block.instanceOf?.kind === "NamedType" && !index?.findBlock(block.instanceOf.name, ["TYPE"])) return "SW.Blocks.InstanceDB";
+      return "SW.Blocks.GlobalDB";
+  }
+}
+
+/** Datatype attribute: the type as written, with "Struct" for the members of inline structs */
+function typeText(type: TypeRef, written: string): string {
+  if (type.kind === "StructType") return "Struct";
+  if (type.kind === "ArrayType" && type.elementType.kind === "StructType") {
+    const match = /^(.*?\bof\s+)struct\b/is.exec(written);
+    if (match) return `${match[1]}Struct`.replace(/\s+/g, " ");
+  }
+  if (!written && type.kind === "NamedType") return type.quoted ? `"${type.name}"` : type.name;
+  return written.replace(/\s+/g, " ").trim();
+}
+
+function lowerBound(type: TypeRef): string | undefined {
+  if (type.kind !== "ArrayType" || type.dimensions.length !== 1) return undefined;
+  const low = type.dimensions[0].low;
+  if (low.kind === "Literal") return low.text;
+  return low.kind === "Unary" && low.operand.kind === "Literal" ? `${low.operator}${low.operand.text}` : undefined;
+}
+
+/** Splits a list at top-level commas (not inside brackets, parentheses or strings) */
+function splitList(text: string): string[] {
+  const parts: string[] = [];
+  let depth = 0;
+  let quoted = false;
+  let current = "";
+  for (const ch of text) {
+    if (ch === "'") quoted = !quoted;
+    if (!quoted && (ch === "(" || ch === "[")) depth++;
+    if (!quoted && (ch === ")" || ch === "]")) depth--;
+    if (!quoted && depth === 0 && ch === ",") {
+      parts.push(current.trim());
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+// ── StructuredText ─────────────────────────────────────────────
+
+/**
+ * Writes the code between BEGIN and END_xxx as StructuredText: whitespace as
+ * Blank/NewLine, variables and calls as Access elements, everything else as
+ * Token elements. Every element gets a unique UId.
+ */
+class StructuredTextWriter {
+  private tokens: Token[];
+  private pos = 0;
+  private uid = 21;
+  private line: number;
+  private col = 0;
+  private locals = new Map<string, string>();          // Lowercase name → type of the block's declarations
+
+  constructor(private xml: XmlBuilder, result: ParseResult, block: Block, private index?: SymbolIndex) {
+    const start = block.beginRange!.end.offset;
+    const end = block.endRange!.start.offset;
+    this.tokens = result.tokens.filter(t => t.kind !== "eof" && t.offset >= start && t.endOffset <= end);
+    this.line = block.beginRange!.end.line + 1;
+    for (const section of block.sections) {
+      for (const decl of section.declarations) this.locals.set(decl.name.toLowerCase(), decl.typeText);
+    }
+  }
+
+  write(): void {
+    while (this.pos < this.tokens.length) this.element();
+  }
+
+  /** Elements up to (not including) one of the stop operators at this nesting level */
+  private sequence(stops: string[]): void {
+    while (this.pos < this.tokens.length && !stops.some(s => this.isOp(this.pos, s))) this.element();
+  }
+
+  private element(): void {
+    const token = this.tokens[this.pos];
+    const call = this.isOp(this.pos + 1, "(");
+    switch (token.kind) {
+      case "comment":
+        this.comment(token);
+        break;
+      case "localRef":
+        if (call) this.call(token); else this.access("LocalVariable");
+        break;
+      case "quotedName":
+        if (call) this.call(token); else this.access("GlobalVariable");
+        break;
+      case "identifier":
+        if (call) this.call(token); else this.token();
+        break;
+      case "number":
+      case "string":
+        this.literal("LiteralConstant");
+        break;
+      case "typedLiteral":
+        this.literal("TypedConstant");
+        break;
+      case "keyword":
+        if (token.value === "TRUE" || token.value === "FALSE") this.literal("LiteralConstant"); else this.token();
+        break;
+      case "address":
+        this.address(token);
+        break;
+      case "regionName":
+        this.gap(token);
+        this.xml.leaf("Text", { UId: this.nextUid() }, token.text);
+        this.pos++;
+        break;
+      case "operator":
+        if (token.value === "(" || token.value === "[") {
+          const close = token.value === "(" ? ")" : "]";
+          this.token();
+          this.sequence([close]);
+          if (this.isOp(this.pos, close)) this.token();
+        } else {
+          this.token();
+        }
+        break;
+      default:
+        this.token();
+    }
+  }
+
+  private token(): void {
+    const token = this.tokens[this.pos++];
+    this.gap(token);
+    this.xml.leaf("Token", { Text: token.text, UId: this.nextUid() });
+  }
+
+  private comment(token: Token): void {
+    this.gap(token);
+    this.pos++;
+    const lineComment = token.text.startsWith("//");
+    const element = lineComment ? "LineComment" : "Comment";
+    const text = lineComment ? token.text.substring(2) : token.text.slice(2, -2);
+    this.xml.open(element, { UId: this.nextUid() });
+    text.split(/\r?\n/).forEach((part, i) => {
+      if (i > 0) this.xml.leaf("NewLine", { UId: this.nextUid() });
+      if (part) this.xml.leaf("Text", { UId: this.nextUid() }, part);
+    });
+    this.xml.close(element);
+  }
+
+  private literal(scope: string): void {
+    const token = this.tokens[this.pos++];
+    this.gap(token);
+    this.xml.open("Access", { Scope: scope, UId: this.nextUid() });
+    this.xml.open("Constant", { UId: this.nextUid() });
+    this.xml.leaf("ConstantValue", { UId: this.nextUid() }, token.text);
+    this.xml.close("Constant");
+    this.xml.close("Access");
+  }
+
+  private address(token: Token): void {
+    const match = /^%(?:([IQM])([XBWDL]?)(\d+)(?:\.([0-7]))?(:P)?|DB(\d+)\.DB([XBWDL])(\d+)(?:\.([0-7]))?)$/i.exec(token.text);
+    if (!match) {
+      this.token();
+      return;
+    }
+    this.pos++;
+    this.gap(token);
+    const size = (match[2] ?? match[7] ?? "").toUpperCase() || "X";
+    const byte = Number(match[3] ?? match[8]);
+    const bit = Number(match[4] ?? match[9] ?? 0);
+    const area = match[6] ? "DB"
+      : ({ I: "Input", Q: "Output", M: "Memory" } as Record<string, string>)[match[1].toUpperCase()];
+    this.xml.open("Access", { Scope: "Address", UId: this.nextUid() });
+    this.xml.leaf("Address", {
+      Area: match[5] ? `Periphery${area}` : area,
+      Type: Object.keys(ADDRESS_TYPES).find(k => ADDRESS_TYPES[k] === size),
+      BlockNumber: match[6],
+      BitOffset: String(byte * 8 + bit),
+      UId: this.nextUid(),
+    });
+    this.xml.close("Access");
+  }
+
+  /** #a.b[#i].%X3, "DB".member */
+  private access(scope: string): void {
+    this.gap(this.tokens[this.pos]);
+    this.xml.open("Access", { Scope: scope, UId: this.nextUid() });
+    this.xml.open("Symbol", { UId: this.nextUid() });
+    this.component(true);
+    while (this.isOp(this.pos, ".") && ["identifier", "quotedName", "keyword"].includes(this.tokens[this.pos + 1]?.kind)) {
+      this.token();
+      this.component(false);
+    }
+    this.xml.close("Symbol");
+    this.xml.close("Access");
+  }
+
+  private component(first: boolean): void {
+    const token = this.tokens[this.pos++];
+    this.gap(token);
+    const indexed = this.isOp(this.pos, "[");
+    const sliceAt = indexed ? this.closingBracket(this.pos) + 1 : this.pos;
+    const slice = this.isOp(sliceAt, ".") && /^%[XBWD]\d+$/i.test(this.tokens[sliceAt + 1]?.kind === "address" ? this.tokens[sliceAt + 1].text : "");
+    const attributes = {
+      Name: token.value,
+      AccessModifier: indexed ? "Array" : undefined,
+      HasQuotes: !first && token.kind === "quotedName" ? "true" : undefined,
+      SliceAccessModifier: slice ? this.tokens[sliceAt + 1].text.substring(1).toLowerCase() : undefined,
+      UId: this.nextUid(),
+    };
+    if (!indexed) {
+      this.xml.leaf("Component", attributes);
+    } else {
+      this.xml.open("Component", attributes);
+      this.token();
+      this.sequence(["]"]);
+      if (this.isOp(this.pos, "]")) this.token();
+      this.xml.close("Component");
+    }
+    if (slice) {
+      this.pos += 2;
+      const address = this.tokens[this.pos - 1];
+      this.line = address.endLine;
+      this.col = address.endCol;
+    }
+  }
+
+  /** #instance(...), "FC"(...), "IDB"(...), LIMIT(...) */
+  private call(callee: Token): void {
+    this.gap(callee);
+    this.pos++;
+    const info = this.callInfo(callee);
+    this.xml.open("Access", { Scope: "Call", UId: this.nextUid() });
+    this.xml.open(info.element, { Name: info.name, BlockType: info.blockType, UId: this.nextUid() });
+    if (info.instance) {
+      this.xml.open("Instance", { Scope: info.instance, UId: this.nextUid() });
+      this.xml.leaf("Component", { Name: callee.value, UId: this.nextUid() });
+      this.xml.close("Instance");
+    }
+
+    this.token();                                                   // (
+    let position = 0;
+    while (this.pos < this.tokens.length && !this.isOp(this.pos, ")")) {
+      const token = this.tokens[this.pos];
+      if (token.kind === "comment") {
+        this.comment(token);
+        continue;
+      }
+      const named = (token.kind === "identifier" || token.kind === "keyword") &&
+        (this.isOp(this.pos + 1, ":=") || this.isOp(this.pos + 1, "=>"));
+      if (named) {
+        this.gap(token);
+        this.pos++;
+        this.xml.open("Parameter", { Name: token.text, Section: info.sections.get(token.value.toLowerCase()), UId: this.nextUid() });
+      } else {
+        this.xml.open("Parameter", { Name: info.informalName(position), Informal: "true", UId: this.nextUid() });
+      }
+      this.sequence([",", ")"]);
+      this.xml.close("Parameter");
+      position++;
+      if (this.isOp(this.pos, ",")) this.token();
+    }
+    if (this.isOp(this.pos, ")")) this.token();
+    this.xml.close(info.element);
+    this.xml.close("Access");
+  }
+
+  private callInfo(callee: Token): {
+    element: string; name: string; blockType?: string; instance?: string;
+    sections: Map<string, string>; informalName: (position: number) => string;
+  } {
+    const sections = new Map<string, string>();
+    const informal = (names: string[]) => (position: number) => names[position] ?? (position === 0 ? "IN" : `IN${position + 1}`);
+
+    if (callee.kind === "identifier") {
+      const fn = SYSTEM_FUNCTIONS.find(f => f.label.toUpperCase() === callee.value.toUpperCase());
+      const names = fn ? fn.parameters.map(p => p.label.split(":")[0].trim()) : [];
+      return { element: "Instruction", name: callee.text, sections, informalName: informal(names) };
+    }
+
+    let name = callee.value;
+    let blockType = "FC";
+    let instance: string | undefined;
+    if (callee.kind === "localRef") {
+      name = (this.locals.get(callee.value.toLowerCase()) ?? callee.value).replace(/"/g, "").trim();
+      instance = "LocalVariable";
+      blockType = "FB";
+      // IEC timers are declared as TON_TIME, TOF_LTIME ...; the instruction is TON, TOF
+      const instruction = [name.toUpperCase(), name.toUpperCase().replace(/_L?TIME$/, "")].find(n => SYSTEM_FB_MEMBERS[n]);
+      if (instruction) {
+        return { element: "Instruction", name: instruction, instance, sections, informalName: informal([]) };
+      }
+    } else {
+      const target = this.index?.findBlock(callee.value, ["FUNCTION", "DATA_BLOCK"]);
+      if (target?.type === "DATA_BLOCK" && target.block.instanceOf?.kind === "NamedType") {
+        name = target.block.instanceOf.name;
+        instance = "GlobalVariable";
+        blockType = "FB";
+      }
+    }
+    for (const member of this.index?.getInterface(name) ?? []) {
+      sections.set(member.name.toLowerCase(), SECTION_NAMES[member.section as SectionType]);
+    }
+    const inputs = [...sections].filter(([, section]) => section === "Input").map(([input]) => input);
+    return { element: "CallInfo", name, blockType, instance, sections, informalName: informal(inputs) };
+  }
+
+  /** Whitespace between the previous token and this one */
+  private gap(token: Token): void {
+    if (token.line > this.line) {
+      const lines = token.line - this.line;
+      this.xml.leaf("NewLine", { Num: lines > 1 ? String(lines) : undefined, UId: this.nextUid() });
+      this.col = 0;
+    }
+    if (token.col > this.col && token.line >= this.line) {
+      const blanks = token.col - this.col;
+      this.xml.leaf("Blank", { Num: blanks > 1 ? String(blanks) : undefined, UId: this.nextUid() });
+    }
+    this.line = token.endLine;
+    this.col = token.endCol;
+  }
+
+  private closingBracket(open: number): number {
+    let depth = 0;
+    for (let i = open; i < this.tokens.length; i++) {
+      if (this.isOp(i, "[")) depth++;
+      if (this.isOp(i, "]") && --depth === 0) return i;
+    }
+    return this.tokens.length;
+  }
+
+  private isOp(i: number, value: string): boolean {
+    const token = this.tokens[i];
+    return !!token && token.kind === "operator" && token.value === value;
+  }
+
+  private nextUid(): string {
+    return String(this.uid++);
+  }
+}
+
+/** Indented XML text */
+class XmlBuilder {
+  private lines: string[] = ['<?xml version="1.0" encoding="utf-8"?>'];
+  private depth = 0;
+
+  open(name: string, attributes: Record<string, string | undefined> = {}): void {
+    this.lines.push(`${this.indent()}<${name}${formatAttributes(attributes)}>`);
+    this.depth++;
+  }
+
+  close(name: string): void {
+    this.depth--;
+    this.lines.push(`${this.indent()}</${name}>`);
+  }
+
+  leaf(name: string, attributes: Record<string, string | undefined> = {}, text?: string): void {
+    const content = text ? `>${escapeXml(text)}</${name}>` : " />";
+    this.lines.push(`${this.indent()}<${name}${formatAttributes(attributes)}${content}`);
+  }
+
+  toString(): string {
+    return this.lines.join("\n") + "\n";
+  }
+
+  private indent(): string {
+    return "  ".repeat(this.depth);
+  }
+}
+
+function formatAttributes(attributes: Record<string, string | undefined>): string {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => ` ${name}="${escapeXml(value!)}"`)
+    .join("");
+}
@@ -0,0 +1,63 @@
+/**
+ * SCL SimaticML Commands - Exchange blocks with TIA Portal Openness.
+ *
+ * "Export as SimaticML" writes every block of an .scl file as a SimaticML
+ * document into a chosen folder; "Open SimaticML as SCL" shows the SCL source
+ * of a block export in a new editor. The conversion is done by the language
+ * server (TO_SIMATIC_ML_REQUEST, FROM_SIMATIC_ML_REQUEST).
+ */
+
+import * as vscode from "vscode";
+import { LanguageClient } from "vscode-languageclient/node";
+import { FROM_SIMATIC_ML_REQUEST, SimaticMlDocument, TO_SIMATIC_ML_REQUEST } from "./simaticMl";
+
+/** Exports the blocks of an .scl file (explorer selection or active editor). */
+export async function exportSimaticMl(client: LanguageClient, resource?: vscode.Uri): Promise<void> {
+  const editor = vscode.window.activeTextEditor;
+  const uri = resource ?? (editor?.document.languageId === "scl" ? editor.document.uri : undefined);
+  if (!uri) {
+    vscode.window.showErrorMessage("Open or select an .scl file to export.");
+    return;
+  }
+
+  try {
+    const documents = await client.sendRequest<SimaticMlDocument[]>(TO_SIMATIC_ML_REQUEST, { uri: uri.toString() });
+    if (documents.length === 0) {
+      vscode.window.showWarningMessage("The file contains no block to export.");
+      return;
+    }
+    const folders = await vscode.window.showOpenDialog({
+      canSelectFiles: false,
+      canSelectFolders: true,
+      defaultUri: vscode.Uri.joinPath(uri, ".."),
+      openLabel: "Export",
+    });
+    if (!folders) return;
+    for (const document of documents) {
+      await vscode.workspace.fs.writeFile(vscode.Uri.joinPath(folders[0], document.fileName), Buffer.from(document.xml, "utf8"));
+    }
+    const names = documents.map(d => `"${d.name}"`).join(", ");
+    vscode.window.showInformationMessage(`Exported ${names} to ${folders[0].fsPath}`);
+  } catch (e) {
+    vscode.window.showErrorMessage(`SimaticML export failed: ${e instanceof Error ? e.message : String(e)}`);
+  }
+}
+
+/** Opens the SCL source of a SimaticML file (explorer selection, active editor or chosen file). */
+export async function openSimaticMlAsScl(client: LanguageClient, resource?: vscode.Uri): Promise<void> {
+  const editor = vscode.window.activeTextEditor;
+  let uri = resource ?? (editor && /\.xml$/i.test(editor.document.uri.path) ? editor.document.uri : undefined);
+  if (!uri) {
+    const files = await vscode.window.showOpenDialog({ filters: { SimaticML: ["xml"] }, openLabel: "Open as SCL" });
+    if (!files) return;
+    uri = files[0];
+  }
+
+  try {
+    const text = await client.sendRequest<string>(FROM_SIMATIC_ML_REQUEST, { uri: uri.toString() });
+    const document = await vscode.workspace.openTextDocument({ language: "scl", content: text });
+    await vscode.window.showTextDocument(document);
+  } catch (e) {
+    vscode.window.showErrorMessage(`Cannot open ${uri.fsPath} as SCL: ${e instanceof Error ? e.message : String(e)}`);
+  }
+}
@@ -0,0 +1,332 @@
+/**
+ * SCL Simulator View - Runs a block offline and watches its variables.
+ *
+ * "Run Block..." opens a webview for the FB, FC or OB at the cursor. The
+ * simulation itself runs in the language server (SIMULATION_*_REQUEST,
+ * see interpreter.ts); the panel edits inputs and statics, runs single or
+ * multiple cycles, and traces watch expressions cycle by cycle.
+ */
+
+import * as vscode from "vscode";
+import { LanguageClient } from "vscode-languageclient/node";
+import { createWebviewPanel, webviewHtml } from "./webview";
+import {
+  SIMULATION_RUN_REQUEST, SIMULATION_START_REQUEST, SIMULATION_STOP_REQUEST, SimulationRunParams, SimulationState,
+} from "./interpreter";
+
+const RUNNABLE_KINDS = [vscode.SymbolKind.Class, vscode.SymbolKind.Function, vscode.SymbolKind.Event];
+const DEFAULT_WATCH_COUNT = 8;
+
+/** Runs the FB, FC or OB at the cursor, or one picked from the active .scl file. */
+export async function runBlock(client: LanguageClient): Promise<void> {
+  const block = await pickBlock("Block to run");
+  if (block) SimulatorPanel.show(client, block);
+}
+
+/** Name of the FB, FC or OB at the cursor of the active .scl file, or one picked from it. */
+export async function pickBlock(placeHolder: string): Promise<string | undefined> {
+  const editor = vscode.window.activeTextEditor;
+  if (editor?.document.languageId !== "scl") {
+    vscode.window.showErrorMessage("Open the .scl file of the block to run.");
+    return undefined;
+  }
+  const symbols = await vscode.commands.executeCommand<vscode.DocumentSymbol[]>(
+    "vscode.executeDocumentSymbolProvider", editor.document.uri
+  );
+  const blocks = (symbols ?? []).filter(s => RUNNABLE_KINDS.includes(s.kind));
+  if (blocks.length === 0) {
+    vscode.window.showWarningMessage("The file contains no FB, FC or OB.");
+    return undefined;
+  }
+  const block = blocks.find(b => b.range.contains(editor.selection.active));
+  if (block) return block.name;
+  const picked = await vscode.window.showQuickPick(
+    blocks.map(b => ({ label: b.name, description: b.detail })),
+    { placeHolder }
+  );
+  return picked?.label;
+}
+
+export class SimulatorPanel {
+  private static current: SimulatorPanel | undefined;
+  private session: number | undefined;
+  private watch: string[] = [];
+  private cycleTime = 100;
+
+  /** Starts a simulation of the block in the simulator panel. */
+  static show(client: LanguageClient, block: string): void {
+    if (SimulatorPanel.current) {
+      SimulatorPanel.current.panel.reveal();
+      SimulatorPanel.current.start(block, true);
+      return;
+    }
+    const panel = createWebviewPanel("tia-scl.simulator", `Run ${block}`, vscode.ViewColumn.Beside);
+    SimulatorPanel.current = new SimulatorPanel(panel, client, block);
+  }
+
+  private constructor(private panel: vscode.WebviewPanel, private client: LanguageClient, private block: string) {
+    panel.webview.html = simulatorHtml();
+    panel.onDidDispose(() => {
+      SimulatorPanel.current = undefined;
+      this.stop();
+    });
+    panel.webview.onDidReceiveMessage(message => this.onMessage(message));
+  }
+
+  /** (Re)starts the simulation; a new block resets the watch list. */
+  private async start(block: string, newBlock: boolean): Promise<void> {
+    this.stop();
+    this.block = block;
+    this.panel.title = `Run ${block}`;
+    try {
+      const state = await this.client.sendRequest<SimulationState>(SIMULATION_START_REQUEST, { block, cycleTime: this.cycleTime });
+      this.session = state.session;
+      if (newBlock || this.watch.length === 0) {
+        this.watch = state.variables
+          .filter(v => (v.section === "Output" || v.section === "InOut" || v.section === "Static" || v.section === "Return") && !v.children)
+          .slice(0, DEFAULT_WATCH_COUNT)
+          .map(v => v.path);
+      }
+      this.panel.webview.postMessage({ type: "started", state, watch: this.watch, cycleTime: this.cycleTime });
+    } catch (e) {
+      this.panel.webview.postMessage({ type: "failed", message: e instanceof Error ? e.message : String(e) });
+    }
+  }
+
+  private async run(cycles: number, inputs?: Record<string, string>): Promise<void> {
+    if (this.session === undefined) return;
+    try {
+      const params: SimulationRunParams = { session: this.session, cycles, inputs, watch: this.watch };
+      const state = await this.client.sendRequest<SimulationState>(SIMULATION_RUN_REQUEST, params);
+      this.panel.webview.postMessage({ type: "state", state });
+    } catch (e) {
+      this.panel.webview.postMessage({ type: "failed", message: e instanceof Error ? e.message : String(e) });
+    }
+  }
+
+  private stop(): void {
+    if (this.session === undefined) return;
+    this.client.sendRequest(SIMULATION_STOP_REQUEST, { session: this.session }).then(undefined, () => undefined);
+    this.session = undefined;
+  }
+
+  private async onMessage(message: {
+    type: string; cycles?: number; path?: string; value?: string; watch?: string[]; cycleTime?: number; uri?: string; line?: number;
+  }): Promise<void> {
+    switch (message.type) {
+      case "ready":
+        await this.start(this.block, true);
+        break;
+      case "run":
+        await this.run(Math.max(1, message.cycles ?? 1));
+        break;
+      case "set":
+        if (message.path !== undefined && message.value !== undefined) await this.run(0, { [message.path]: message.value });
+        break;
+      case "watch":
+        this.watch = message.watch ?? [];
+        break;
+      case "reset":
+        if (message.cycleTime && message.cycleTime > 0) this.cycleTime = message.cycleTime;
+        await this.start(this.block, false);
+        break;
+      case "open": {
+        if (!message.uri) return;
+        const position = new vscode.Position(message.line ?? 0, 0);
+        await vscode.window.showTextDocument(vscode.Uri.parse(message.uri), {
+          selection: new vscode.Range(position, position),
+          viewColumn: vscode.ViewColumn.One,
+        });
+        break;
+      }
+    }
+  }
+}
+
+// ─── Webview content ────────────────────────────────────────────────────────
+
+function simulatorHtml(): string {
+  return webviewHtml({
+    title: "SCL Simulator",
+    style: `
+  .toolbar { display: flex; gap: 8px; align-items: center; margin-bottom: 8px; flex-wrap: wrap; }
+  input { background: var(--vscode-input-background); color: var(--vscode-input-foreground);
+          border: 1px solid var(--vscode-input-border, transparent); padding: 2px 4px; }
+  input.number { width: 5em; }
+  button.secondary { background: var(--vscode-button-secondaryBackground); color: var(--vscode-button-secondaryForeground); }
+  h3 { margin: 12px 0 4px; font-size: 1em; }
+  table { border-collapse: collapse; }
+  th, td { text-align: left; padding: 1px 8px; white-space: nowrap; }
+  th { border-bottom: 1px solid var(--vscode-panel-border); position: sticky; top: 0; background: var(--vscode-editor-background); }
+  td.value, td.trace { font-family: var(--vscode-editor-font-family); }
+  td.value input { font-family: var(--vscode-editor-font-family); width: 12em; }
+  .toggle { cursor: pointer; user-select: none; display: inline-block; width: 1em; }
+  .section { opacity: 0.7; }
+  .changed { color: var(--vscode-charts-orange); }
+  .remove { cursor: pointer; opacity: 0.6; margin-left: 4px; }
+  #status { opacity: 0.8; }
+  #error { display: none; padding: 4px 8px; margin-bottom: 8px; border: 1px solid var(--vscode-inputValidation-errorBorder);
+           background: var(--vscode-inputValidation-errorBackground); }
+  #error a { color: var(--vscode-textLink-foreground); cursor: pointer; }
+  .columns { display: flex; gap: 24px; align-items: flex-start; flex-wrap: wrap; }
+  .trace-box { max-height: 70vh; overflow: auto; }
+`,
+    body: `
+<div class="toolbar">
+  <button id="step">Step</button>
+  <button id="run">Run</button>
+  <input id="cycles" class="number" type="number" min="1" value="10"> cycles
+  <button id="reset" class="secondary">Reset</button>
+  cycle time <input id="cycleTime" class="number" type="number" min="1" value="100"> ms
+  <span id="status"></span>
+</div>
+<div id="error"></div>
+<div class="columns">
+  <div>
+    <h3>Variables</h3>
+    <table>
+      <thead><tr><th>Name</th><th>Section</th><th>Type</th><th>Value</th><th></th></tr></thead>
+      <tbody id="variables"></tbody>
+    </table>
+  </div>
+  <div>
+    <h3>Trace</h3>
+    <div class="toolbar">
+      <input id="expression" placeholder="Watch, e.g. StartupTimer.ET or Level > 50.0">
+      <button id="add" class="secondary">Watch</button>
+    </div>
+    <div class="trace-box">
+      <table>
+        <thead id="traceHead"></thead>
+        <tbody id="trace"></tbody>
+      </table>
+    </div>
+  </div>
+</div>
+`,
+    script: `
+  const MAX_TRACE_ROWS = 1000;
+  let variables = [];
+  let previous = new Map();
+  let expanded = new Set();
+  let watch = [];
+  let trace = [];
+
+  function renderVariables() {
+    const rows = [];
+    const add = (v, depth) => {
+      const open = expanded.has(v.path);
+      const toggle = v.children ? '<span class="toggle" data-path="' + escape(v.path) + '">' + (open ? "\\u25BE" : "\\u25B8") + '</span>' : '<span class="toggle"></span>';
+      const editable = !v.children && v.section !== "Constant" && v.section !== "Temp";
+      const changed = previous.has(v.path) && previous.get(v.path) !== v.value ? " changed" : "";
+      const value = editable
+        ? '<input data-path="' + escape(v.path) + '" value="' + escape(v.value) + '">'
+        : escape(v.value);
+      const watchLink = v.children ? "" : '<span class="remove" data-watch="' + escape(v.path) + '" title="Watch">+</span>';
+      rows.push('<tr><td data-depth="' + depth + '">' + toggle + escape(v.name) + '</td>' +
+        '<td class="section">' + v.section + '</td><td>' + escape(v.type) + '</td>' +
+        '<td class="value' + changed + '">' + value + '</td><td>' + watchLink + '</td></tr>');
+      if (v.children && open) for (const child of v.children) add(child, depth + 1);
+    };
+    for (const v of variables) add(v, 0);
+    const table = document.getElementById("variables");
+    table.innerHTML = rows.join("");
+    // The CSP blocks style attributes in HTML, but not styles set from the script
+    for (const cell of table.querySelectorAll("td[data-depth]")) cell.style.paddingLeft = (8 + cell.dataset.depth * 14) + "px";
+  }
+
+  function renderTrace() {
+    document.getElementById("traceHead").innerHTML = '<tr><th>Cycle</th><th>Time</th>' +
+      watch.map((w, i) => '<th>' + escape(w) + '<span class="remove" data-index="' + i + '" title="Remove">\\u00D7</span></th>').join("") + '</tr>';
+    document.getElementById("trace").innerHTML = trace.slice().reverse().map(row =>
+      '<tr><td>' + row.cycle + '</td><td class="trace">' + escape(row.time) + '</td>' +
+      row.values.map(v => '<td class="trace">' + escape(v) + '</td>').join("") + '</tr>'
+    ).join("");
+  }
+
+  function flatten(list, map) {
+    for (const v of list) {
+      map.set(v.path, v.value);
+      if (v.children) flatten(v.children, map);
+    }
+    return map;
+  }
+
+  function show(state) {
+    previous = flatten(variables, new Map());
+    variables = state.variables;
+    trace = trace.concat(state.trace).slice(-MAX_TRACE_ROWS);
+    document.getElementById("status").textContent = state.block + " \\u2014 cycle " + state.cycle + ", " + state.time;
+    const error = document.getElementById("error");
+    if (state.error) {
+      error.innerHTML = escape(state.error.message) + (state.error.uri !== undefined && state.error.line !== undefined
+        ? ' (<a id="location">line ' + (state.error.line + 1) + '</a>)' : "");
+      error.style.display = "block";
+      const link = document.getElementById("location");
+      if (link) link.addEventListener("click", () => vscode.postMessage({ type: "open", uri: state.error.uri, line: state.error.line }));
+    } else {
+      error.style.display = "none";
+    }
+    renderVariables();
+    renderTrace();
+  }
+
+  function setWatch(list) {
+    watch = list;
+    trace = [];
+    vscode.postMessage({ type: "watch", watch });
+    renderTrace();
+  }
+
+  document.getElementById("step").addEventListener("click", () => vscode.postMessage({ type: "run", cycles: 1 }));
+  document.getElementById("run").addEventListener("click", () =>
+    vscode.postMessage({ type: "run", cycles: Number(document.getElementById("cycles").value) || 1 }));
+  document.getElementById("reset").addEventListener("click", () =>
+    vscode.postMessage({ type: "reset", cycleTime: Number(document.getElementById("cycleTime").value) }));
+  document.getElementById("add").addEventListener("click", () => {
+    const input = document.getElementById("expression");
+    if (input.value.trim()) setWatch(watch.concat([input.value.trim()]));
+    input.value = "";
+  });
+  document.getElementById("variables").addEventListener("click", e => {
+    const path = e.target.dataset && e.target.dataset.path;
+    if (path !== undefined && e.target.classList.contains("toggle")) {
+      if (expanded.has(path)) expanded.delete(path); else expanded.add(path);
+      renderVariables();
+    }
+    const watched = e.target.dataset && e.target.dataset.watch;
+    if (watched !== undefined && !watch.includes(watched)) setWatch(watch.concat([watched]));
+  });
+  document.getElementById("variables").addEventListener("change", e => {
+    const path = e.target.dataset && e.target.dataset.path;
+    if (path !== undefined) vscode.postMessage({ type: "set", path, value: e.target.value });
+  });
+  document.getElementById("traceHead").addEventListener("click", e => {
+    const index = e.target.dataset && e.target.dataset.index;
+    if (index !== undefined) setWatch(watch.filter((_, i) => i !== Number(index)));
+  });
+
+  window.addEventListener("message", e => {
+    switch (e.data.type) {
+      case "started":
+        variables = [];
+        trace = [];
+        watch = e.data.watch;
+        document.getElementById("cycleTime").value = e.data.cycleTime;
+        show(e.data.state);
+        break;
+      case "state":
+        show(e.data.state);
+        break;
+      case "failed": {
+        const error = document.getElementById("error");
+        error.textContent = e.data.message;
+        error.style.display = "block";
+        break;
+      }
+    }
+  });
+  vscode.postMessage({ type: "ready" });
+`,
+  });
+}
@@ -0,0 +1,237 @@
+/**
+ * SCL Symbol Index - Parsed blocks of many files, looked up by name.
+ *
+ * Holds one ParseResult per file and answers cross-file questions:
+ *   - Which file declares "FB_Motor" / "UDT_MotorData" / "DB_Process"?
+ *   - What is the interface of a block or the member list of a UDT/DB?
+ *   - Which PLC tag is "Start_PB" / %I0.3 (imported tag tables)?
+ *
+ * Files may also hold SCL generated from another format (SimaticML exports);
+ * their line map leads back to the exported file.
+ *
+ * The workspace watcher (workspaceIndex.ts) keeps it up to date.
+ */
+
+import { parse, ParseResult } from "./parser";
+import { Block, BlockType, VarDeclaration } from "./ast";
+import { PlcTag, normalizeAddress, overlaps, parseAddress } from "./tagTable";
+
+// ─── Types ──────────────────────────────────────────────────────────────────
+
+export interface IndexedBlock {
+  name: string;
+  type: BlockType;
+  uri: string;          // File the block is declared in
+  block: Block;         // AST node
+}
+
+export interface InterfaceMember {
+  name: string;
+  type: string;         // Type as written in the source
+  section: string;      // VAR_INPUT, VAR_OUTPUT, VAR_IN_OUT, VAR, VAR_TEMP, VAR_CONSTANT, STRUCT
+  decl: VarDeclaration;
+  owner: IndexedBlock;  // Block that declares the member
+}
+
+// ─── Index ──────────────────────────────────────────────────────────────────
+
+export class SymbolIndex {
+  private files = new Map<string, ParseResult>();
+  private blocksByName = new Map<string, IndexedBlock[]>();
+  private tagFiles = new Map<string, PlcTag[]>();          // Imported tag tables by file
+  private tagsByName = new Map<string, PlcTag>();
+  private tagsByAddress = new Map<string, PlcTag[]>();
+  private sourceLines = new Map<string, number[]>();       // Generated SCL line → line in the exported file
+  private listeners: ((uri: string) => void)[] = [];
+
+  /** Parses and (re)indexes a file. */
+  update(uri: string, text: string): ParseResult {
+    const result = parse(text);
+    this.sourceLines.delete(uri);
+    this.set(uri, result);
+    return result;
+  }
+
+  /** Parses and (re)indexes SCL generated from the file at uri; sourceLines maps its lines back to the file. */
+  updateGenerated(uri: string, text: string, sourceLines: number[]): ParseResult {
+    const result = parse(text);
+    this.sourceLines.set(uri, sourceLines);
+    this.set(uri, result);
+    return result;
+  }
+
+  /** Indexes an already parsed file. */
+  set(uri: string, result: ParseResult): void {
+    this.removeBlocks(uri);
+    this.files.set(uri, result);
+    for (const block of result.ast.blocks) {
+      if (!block.name) continue;
+      const key = block.name.toLowerCase();
+      if (!this.blocksByName.has(key)) this.blocksByName.set(key, []);
+      this.blocksByName.get(key)!.push({ name: block.name, type: block.blockType, uri, block });
+    }
+    this.fire(uri);
+  }
+
+  remove(uri: string): void {
+    if (this.tagFiles.delete(uri)) {
+      this.indexTags();
+      this.fire(uri);
+    }
+    if (!this.files.has(uri)) return;
+    this.removeBlocks(uri);
+    this.files.delete(uri);
+    this.sourceLines.delete(uri);
+    this.fire(uri);
+  }
+
+  /** Sets the tags imported from a tag table file (an empty list removes them). */
+  setTags(uri: string, tags: PlcTag[]): void {
+    if (tags.length === 0 && !this.tagFiles.has(uri)) return;
+    if (tags.length > 0) this.tagFiles.set(uri, tags); else this.tagFiles.delete(uri);
+    this.indexTags();
+    this.fire(uri);
+  }
+
+  getFile(uri: string): ParseResult | undefined {
+    return this.files.get(uri);
+  }
+
+  uris(): string[] {
+    return [...this.files.keys()];
+  }
+
+  /** True if the file's SCL was generated from another format (its positions are not in the file). */
+  isGenerated(uri: string): boolean {
+    return this.sourceLines.has(uri);
+  }
+
+  /** Line in the file of a line of its indexed SCL (the same line unless generated). */
+  sourceLine(uri: string, line: number): number {
+    const lines = this.sourceLines.get(uri);
+    return lines ? lines[line] ?? lines[lines.length - 1] ?? 0 : line;
+  }
+
+  /** Registers a listener called with the URI of every added, changed or removed file. */
+  onDidChange(listener: (uri: string) => void): { dispose(): void } {
+    this.listeners.push(listener);
+    return {
+      dispose: () => {
+        this.listeners = this.listeners.filter(l => l !== listener);
+      },
+    };
+  }
+
+  // ── Lookups ───────────────────────────────────────────────────
+
+  /** Finds a block, UDT or DB by name (case-insensitive, without quotes). */
+  findBlock(name: string, types?: BlockType[]): IndexedBlock | undefined {
+    const candidates = this.blocksByName.get(name.toLowerCase()) || [];
+    return candidates.find(b => !types || types.includes(b.type));
+  }
+
+  getBlocks(types?: BlockType[]): IndexedBlock[] {
+    const all: IndexedBlock[] = [];
+    for (const list of this.blocksByName.values()) {
+      all.push(...list.filter(b => !types || types.includes(b.type)));
+    }
+    return all;
+  }
+
+  /** All declarations of a block (every VAR section, or the STRUCT of a UDT). */
+  getInterface(name: string): InterfaceMember[] {
+    const owner = this.findBlock(name);
+    return owner ? declarationsOf(owner) : [];
+  }
+
+  /**
+   * Members accessible with "Name".member: the fields of a UDT or global DB,
+   * or the interface of the FB behind an instance DB.
+   */
+  getMembers(name: string): InterfaceMember[] {
+    let owner = this.findBlock(name);
+    if (!owner) return [];
+
+    const instanceOf = owner.block.instanceOf;
+    if (owner.type === "DATA_BLOCK" && instanceOf && instanceOf.kind === "NamedType") {
+      owner = this.findBlock(instanceOf.name, ["FUNCTION_BLOCK", "TYPE"]);
+      if (!owner) return [];
+    }
+
+    const members = declarationsOf(owner);
+    if (owner.type === "FUNCTION_BLOCK") {
+      return members.filter(m => m.section !== "VAR_TEMP" && m.section !== "VAR_CONSTANT");
+    }
+    return members;
+  }
+
+  /** All imported PLC tags; empty if no tag table was found. */
+  getTags(): PlcTag[] {
+    return [...this.tagFiles.values()].flat();
+  }
+
+  /** Finds a PLC tag by name (case-insensitive, without quotes). */
+  findTag(name: string): PlcTag | undefined {
+    return this.tagsByName.get(name.toLowerCase());
+  }
+
+  /** Tags declared at exactly this address (%I0.3, %IX0.3 and %E0.3 are the same). */
+  findTagsAt(address: string): PlcTag[] {
+    return this.tagsByAddress.get(normalizeAddress(address)) || [];
+  }
+
+  /** Tags sharing at least one bit with an I/Q/M address. */
+  findOverlappingTags(address: string): PlcTag[] {
+    const location = parseAddress(address);
+    if (!location) return [];
+    return this.getTags().filter(tag => {
+      const other = parseAddress(tag.address);
+      return !!other && overlaps(location, other);
+    });
+  }
+
+  // ── Internals ─────────────────────────────────────────────────
+
+  private indexTags(): void {
+    this.tagsByName.clear();
+    this.tagsByAddress.clear();
+    for (const tag of this.getTags()) {
+      const name = tag.name.toLowerCase();
+      if (!this.tagsByName.has(name)) this.tagsByName.set(name, tag);
+      const list = this.tagsByAddress.get(tag.address);
+      if (list) list.push(tag); else this.tagsByAddress.set(tag.address, [tag]);
+    }
+  }
+
+  private removeBlocks(uri: string): void {
+    for (const [key, list] of this.blocksByName) {
+      const remaining = list.filter(b => b.uri !== uri);
+      if (remaining.length > 0) {
+        this.blocksByName.set(key, remaining);
+      } else {
+        this.blocksByName.delete(key);
+      }
+    }
+  }
+
+  private fire(uri: string): void {
+    for (const listener of this.listeners) listener(uri);
+  }
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function declarationsOf(owner: IndexedBlock): InterfaceMember[] {
+  const members: InterfaceMember[] = [];
+  for (const section of owner.block.sections) {
+    for (const decl of section.declarations) {
+      members.push({ name: decl.name, type: decl.typeText, section: section.sectionType, decl, owner });
+    }
+  }
+  if (owner.block.structType) {
+    for (const decl of owner.block.structType.members) {
+      members.push({ name: decl.name, type: decl.typeText, section: "STRUCT", decl, owner });
+    }
+  }
+  return members;
+}
@@ -2,75 +2,58 @@
  * SCL Document Symbol Provider - Outline view and breadcrumbs.
  *
  * Provides hierarchical document symbols:
- *   Block → VAR section → Variable
+ *   Block → VAR section → Variable → STRUCT members
  */
 
-import * as vscode from "vscode";
-import { parse, BlockDecl, VariableDecl } from "./parser";
+import { DocumentSymbol, SymbolKind } from "vscode-languageserver";
+import { TextDocument } from "vscode-languageserver-textdocument";
+import { parse, structOf } from "./parser";
+import { VarDeclaration } from "./ast";
+import { toRange } from "./document";
 
-export class SclDocumentSymbolProvider implements vscode.DocumentSymbolProvider {
+export class SclDocumentSymbolProvider {
   provideDocumentSymbols(
-    document: vscode.TextDocument
-  ): vscode.DocumentSymbol[] {
+    document: TextDocument
+  ): DocumentSymbol[] {
     const text = document.getText();
-    const result = parse(text);
-    const symbols: vscode.DocumentSymbol[] = [];
+    const { ast } = parse(text);
+    const symbols: DocumentSymbol[] = [];
 
-    for (const block of result.blocks) {
-      const endLine = block.endLine >= 0 ? block.endLine : block.line;
-      const blockRange = new vscode.Range(block.line, 0, endLine, document.lineAt(endLine).text.length);
-      const selRange = new vscode.Range(block.line, 0, block.line, document.lineAt(block.line).text.length);
-
-      const blockSymbol = new vscode.DocumentSymbol(
-        block.name || block.type,
-        block.type.replace(/_/g, " "),
-        blockKind(block.type),
-        blockRange,
-        selRange
+    for (const block of ast.blocks) {
+      const blockSymbol = DocumentSymbol.create(
+        block.name || block.blockType,
+        block.blockType.replace(/_/g, " "),
+        blockKind(block.blockType),
+        toRange(block.range),
+        toRange(block.name ? block.nameRange : block.keywordRange),
+        []
       );
 
-      // Group variables by section
-      const blockVars = result.variables.filter(v => v.block === block.name);
-      const sections = new Map<string, VariableDecl[]>();
-      for (const v of blockVars) {
-        if (!sections.has(v.section)) sections.set(v.section, []);
-        sections.get(v.section)!.push(v);
-      }
-
-      for (const [sectionName, vars] of sections) {
-        const firstVar = vars[0];
-        const lastVar = vars[vars.length - 1];
-        // Section range: from first var line - 1 (section header) to last var line + 1 (END_VAR)
-        const secStart = Math.max(firstVar.line - 1, block.line);
-        const secEnd = Math.min(lastVar.line + 1, endLine);
-        const secRange = new vscode.Range(secStart, 0, secEnd, 0);
-        const secSelRange = new vscode.Range(secStart, 0, secStart, sectionName.length);
-
-        const sectionSymbol = new vscode.DocumentSymbol(
+      for (const section of block.sections) {
+        const sectionName = section.sectionType;
+        const sectionSymbol = DocumentSymbol.create(
           sectionName,
-          `${vars.length} variable(s)`,
-          vscode.SymbolKind.Namespace,
-          secRange,
-          secSelRange
+          `${section.declarations.length} variable(s)`,
+          SymbolKind.Namespace,
+          toRange(section.range),
+          toRange(section.keywordRange),
+          section.declarations.map(d => varSymbol(d, sectionName))
         );
+        blockSymbol.children!.push(sectionSymbol);
+      }
 
-        for (const v of vars) {
-          const varLine = document.lineAt(v.line).text;
-          const varRange = new vscode.Range(v.line, 0, v.line, varLine.length);
-          const varSelRange = new vscode.Range(v.line, v.col, v.line, v.col + v.name.length);
-
-          sectionSymbol.children.push(
-            new vscode.DocumentSymbol(
-              v.name,
-              v.type,
-              varKind(v.section),
-              varRange,
-              varSelRange
-            )
-          );
-        }
-
-        blockSymbol.children.push(sectionSymbol);
+      // TYPE "UDT" STRUCT ... END_STRUCT
+      if (block.structType) {
+        const struct = block.structType;
+        const structSymbol = DocumentSymbol.create(
+          "STRUCT",
+          `${struct.members.length} member(s)`,
+          SymbolKind.Namespace,
+          toRange(struct.range),
+          toRange({ start: struct.range.start, end: struct.range.start }),
+          struct.members.map(d => varSymbol(d, "STRUCT"))
+        );
+        blockSymbol.children!.push(structSymbol);
       }
 
       symbols.push(blockSymbol);
@@ -80,22 +63,36 @@ export class SclDocumentSymbolProvider implements vscode.DocumentSymbolProvider
   }
 }
 
-function blockKind(type: string): vscode.SymbolKind {
+function varSymbol(decl: VarDeclaration, section: string): DocumentSymbol {
+  const struct = structOf(decl.type);
+  return DocumentSymbol.create(
+    decl.name,
+    decl.typeText,
+    varKind(section),
+    toRange(decl.range),
+    toRange(decl.nameRange),
+    struct ? struct.members.map(m => varSymbol(m, "STRUCT")) : undefined
+  );
+}
+
+export function blockKind(type: string): SymbolKind {
   switch (type) {
-    case "FUNCTION_BLOCK": return vscode.SymbolKind.Class;
-    case "FUNCTION": return vscode.SymbolKind.Function;
-    case "ORGANIZATION_BLOCK": return vscode.SymbolKind.Event;
-    case "DATA_BLOCK": return vscode.SymbolKind.Struct;
-    case "TYPE": return vscode.SymbolKind.Struct;
-    default: return vscode.SymbolKind.Module;
+    case "FUNCTION_BLOCK": return SymbolKind.Class;
+    case "FUNCTION": return SymbolKind.Function;
+    case "ORGANIZATION_BLOCK": return SymbolKind.Event;
+    case "DATA_BLOCK": return SymbolKind.Struct;
+    case "TYPE": return SymbolKind.Struct;
+    default: return SymbolKind.Module;
   }
 }
 
-function varKind(section: string): vscode.SymbolKind {
+function varKind(section: string): SymbolKind {
   switch (section) {
-    case "VAR_INPUT": return vscode.SymbolKind.Property;
-    case "VAR_OUTPUT": return vscode.SymbolKind.Property;
-    case "VAR_IN_OUT": return vscode.SymbolKind.Property;
-    default: return vscode.SymbolKind.Variable;
+    case "VAR_INPUT": return SymbolKind.Property;
+    case "VAR_OUTPUT": return SymbolKind.Property;
+    case "VAR_IN_OUT": return SymbolKind.Property;
+    case "VAR_CONSTANT": return SymbolKind.Constant;
+    case "STRUCT": return SymbolKind.Field;
+    default: return SymbolKind.Variable;
   }
 }
@@ -0,0 +1,243 @@
+/**
+ * SCL Tag Tables - PLC tags imported from TIA Portal tag table exports.
+ *
+ * Reads the formats TIA Portal exports PLC tag tables in:
+ *   - Excel (.xlsx) from "Export" in the tag table editor
+ *   - The same sheet saved as CSV (comma, semicolon or tab separated)
+ *   - Openness XML (SW.Tags.PlcTagTable)
+ * English and German column headers are recognized (Name, Data Type /
+ * Datentyp, Logical Address / Logische Adresse, Comment / Kommentar, Path / Pfad).
+ *
+ * Also decodes absolute addresses, so an address in the code can be compared
+ * with the tags it overlaps (%IW0 covers %I0.0 ... %I1.7). German mnemonics
+ * (%E, %A) are read as %I and %Q.
+ */
+
+import * as path from "path";
+import { readWorkbook } from "./xlsx";
+import { XmlElement, childElement, childElements, descendants, parseXml, textContent } from "./xml";
+
+export interface PlcTag {
+  name: string;
+  dataType: string;               // As in the table: Bool, Int, "UDT_Valve"
+  address: string;                // Normalized: %I0.3, %IW64, %MD100
+  comment?: string;
+  table?: string;                 // Tag table the tag belongs to
+  uri: string;                    // File the tag was imported from
+  line: number;                   // 0-based line or row in that file
+}
+
+export type AddressArea = "I" | "Q" | "M";
+
+/** Bits an I/Q/M address covers */
+export interface AddressLocation {
+  area: AddressArea;
+  start: number;                  // First bit (byte * 8 + bit)
+  bits: number;                   // 1, 8, 16, 32 or 64
+}
+
+/** Files that may contain a tag table; the content decides */
+export const TAG_TABLE_GLOB = "**/*.{csv,CSV,xlsx,XLSX,xml,XML}";
+export const TAG_TABLE_FILE = /\.(csv|xlsx|xml)$/i;
+
+const COLUMNS = {
+  name: ["name"],
+  dataType: ["data type", "datatype", "datentyp"],
+  address: ["logical address", "address", "logische adresse", "adresse"],
+  comment: ["comment", "kommentar"],
+  table: ["path", "pfad", "tag table", "variablentabelle"],
+};
+
+type Column = keyof typeof COLUMNS;
+
+/**
+ * Reads the tags of an exported tag table. Returns undefined if the file is
+ * not a tag table (other CSV, XLSX or XML files in the workspace).
+ */
+export function readTagTable(fileName: string, data: Buffer, uri: string): PlcTag[] | undefined {
+  try {
+    switch (path.extname(fileName).toLowerCase()) {
+      case ".csv": return tagsFromRows(parseCsv(data.toString("utf8")), uri, path.basename(fileName, path.extname(fileName)));
+      case ".xlsx": return tagsFromWorkbook(data, uri);
+      case ".xml": return tagsFromXml(data.toString("utf8"), uri);
+      default: return undefined;
+    }
+  } catch {
+    return undefined;               // Unreadable or not an export
+  }
+}
+
+// ─── Addresses ──────────────────────────────────────────────────────────────
+
+const ADDRESS_BITS: Record<string, number> = { "": 1, X: 1, B: 8, W: 16, D: 32, L: 64 };
+
+/** Decodes %I0.3, %QW64, %MD100, %IW64:P, %PIW64, %E0.0. Undefined for DB, slice and other addresses. */
+export function parseAddress(address: string): AddressLocation | undefined {
+  const match = /^%?P?([IQMEA])([XBWDL]?)(\d+)(?:\.([0-7]))?(?::P)?$/i.exec(address.trim());
+  if (!match) return undefined;
+  const size = match[2].toUpperCase();
+  const isBit = ADDRESS_BITS[size] === 1;
+  if (isBit !== (match[4] !== undefined)) return undefined;   // %I0 or %IW0.1
+
+  const area = ({ E: "I", A: "Q" } as Record<string, AddressArea>)[match[1].toUpperCase()] ?? match[1].toUpperCase() as AddressArea;
+  return { area, start: Number(match[3]) * 8 + (isBit ? Number(match[4]) : 0), bits: ADDRESS_BITS[size] };
+}
+
+/** The canonical spelling of an address (%IX0.3 → %I0.3, %e0.3 → %I0.3); other addresses upper-cased. */
+export function normalizeAddress(address: string): string {
+  const location = parseAddress(address);
+  return location ? formatAddress(location) : address.trim().toUpperCase();
+}
+
+export function formatAddress(location: AddressLocation): string {
+  const byte = Math.floor(location.start / 8);
+  if (location.bits === 1) return `%${location.area}${byte}.${location.start % 8}`;
+  const size = Object.keys(ADDRESS_BITS).find(k => k !== "X" && ADDRESS_BITS[k] === location.bits);
+  return `%${location.area}${size}${byte}`;
+}
+
+/** True if two addresses share at least one bit. */
+export function overlaps(a: AddressLocation, b: AddressLocation): boolean {
+  return a.area === b.area && a.start < b.start + b.bits && b.start < a.start + a.bits;
+}
+
+// ─── Spreadsheets ───────────────────────────────────────────────────────────
+
+function tagsFromWorkbook(data: Buffer, uri: string): PlcTag[] | undefined {
+  for (const sheet of readWorkbook(data)) {
+    const tags = tagsFromRows(sheet.rows, uri, undefined);
+    if (tags) return tags;
+  }
+  return undefined;
+}
+
+/** Tags from rows with a header row; undefined if no header names the required columns. */
+function tagsFromRows(rows: string[][], uri: string, defaultTable: string | undefined): PlcTag[] | undefined {
+  const headerRow = rows.findIndex(row => row.some(cell => cell.trim()));
+  if (headerRow < 0) return undefined;
+  const columns = columnIndices(rows[headerRow]);
+  if (columns.name === undefined || columns.dataType === undefined || columns.address === undefined) return undefined;
+
+  const cell = (row: string[], column: Column) => {
+    const index = columns[column];
+    return index === undefined ? "" : (row[index] ?? "").trim();
+  };
+
+  const tags: PlcTag[] = [];
+  rows.forEach((row, line) => {
+    if (line <= headerRow) return;
+    const name = cell(row, "name");
+    const address = cell(row, "address");
+    if (!name || !address) return;           // Constants and empty rows have no address
+    tags.push({
+      name,
+      dataType: cell(row, "dataType"),
+      address: normalizeAddress(address),
+      comment: cell(row, "comment") || undefined,
+      table: cell(row, "table") || defaultTable,
+      uri,
+      line,
+    });
+  });
+  return tags;
+}
+
+function columnIndices(header: string[]): Partial<Record<Column, number>> {
+  const indices: Partial<Record<Column, number>> = {};
+  header.forEach((text, index) => {
+    const label = text.trim().toLowerCase();
+    for (const column of Object.keys(COLUMNS) as Column[]) {
+      if (indices[column] === undefined && COLUMNS[column].includes(label)) indices[column] = index;
+    }
+  });
+  return indices;
+}
+
+/** Rows of a CSV file; the delimiter is the one that splits the first line most. */
+function parseCsv(text: string): string[][] {
+  if (text.charCodeAt(0) === 0xfeff) text = text.substring(1);
+  const firstLine = text.substring(0, text.search(/\r?\n|$/));
+  const delimiter = [",", ";", "\t"]
+    .map(d => ({ d, count: firstLine.split(d).length }))
+    .reduce((a, b) => (b.count > a.count ? b : a)).d;
+
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// ─── Openness XML ───────────────────────────────────────────────────────────
+
+function tagsFromXml(text: string, uri: string): PlcTag[] | undefined {
+  if (!text.includes("SW.Tags.PlcTagTable")) return undefined;
+  const tags: PlcTag[] = [];
+  for (const table of descendants(parseXml(text), "SW.Tags.PlcTagTable")) {
+    const tableName = attribute(table, "Name");
+    for (const tag of descendants(table, "SW.Tags.PlcTag")) {
+      const name = attribute(tag, "Name");
+      const address = attribute(tag, "LogicalAddress");
+      if (!name || !address) continue;
+      tags.push({
+        name,
+        dataType: attribute(tag, "DataTypeName") || "",
+        address: normalizeAddress(address),
+        comment: comment(tag),
+        table: tableName,
+        uri,
+        line: tag.line,
+      });
+    }
+  }
+  return tags;
+}
+
+/** <AttributeList><Name>x</Name></AttributeList> */
+function attribute(element: XmlElement, name: string): string | undefined {
+  const list = childElement(element, "AttributeList");
+  const value = list && childElement(list, name);
+  return value ? textContent(value).trim() : undefined;
+}
+
+/** First non-empty text of the Comment MultilingualText */
+function comment(tag: XmlElement): string | undefined {
+  const objects = childElement(tag, "ObjectList");
+  const text = objects && childElements(objects, "MultilingualText").find(t => t.attributes.CompositionName === "Comment");
+  if (!text) return undefined;
+  for (const item of descendants(text, "MultilingualTextItem")) {
+    const value = attribute(item, "Text");
+    if (value) return value;
+  }
+  return undefined;
+}
@@ -0,0 +1,139 @@
+/**
+ * Data flow (SCL107-SCL111): how temps, outputs, inputs and the return value
+ * are read and written along the paths of the control-flow graph.
+ */
+
+import * as assert from "assert";
+import { test } from "node:test";
+import { parse } from "../parser";
+import { runRules } from "../rules";
+
+/** Codes, lines and messages of the data flow diagnostics */
+function dataFlow(source: string[]): string[] {
+  return runRules(parse(source.join("\n")))
+    .filter(d => /^SCL1(0[789]|1[01])$/.test(d.code))
+    .map(d => `${d.code} ${d.line} ${d.message}`);
+}
+
+test("SCL107 reports temps read before they are assigned on some path", () => {
+  assert.deepStrictEqual(dataFlow([
+    `FUNCTION "FC_Temps" : Void`,
+    `VAR_INPUT`,
+    `  In : Bool;`,
+    `END_VAR`,
+    `VAR_TEMP`,
+    `  a : Int;`,
+    `  b : Int;`,
+    `  c : Int;`,
+    `END_VAR`,
+    `BEGIN`,
+    `  IF #In THEN`,
+    `    #a := 1;`,
+    `  END_IF;`,
+    `  #b := 2;`,
+    `  FOR #c := 0 TO 3 DO`,
+    `    #b := #b + #c;`,
+    `  END_FOR;`,
+    `  #b := #a + #b;`,
+    `END_FUNCTION`,
+  ]), [
+    "SCL107 17 Temporary variable 'a' may be read before it is assigned (VAR_TEMP is not initialized)",
+  ]);
+});
+
+test("SCL108 reports outputs that are never assigned", () => {
+  assert.deepStrictEqual(dataFlow([
+    `FUNCTION_BLOCK "FB_Outputs"`,
+    `VAR_OUTPUT`,
+    `  Done : Bool;`,
+    `  Busy : Bool;`,
+    `  Error : Bool;`,
+    `END_VAR`,
+    `VAR`,
+    `  Timer : TON;`,
+    `END_VAR`,
+    `BEGIN`,
+    `  #Done := TRUE;`,
+    `  #Timer(IN := TRUE, PT := T#1s, Q => #Busy);`,
+    `END_FUNCTION_BLOCK`,
+  ]), [
+    "SCL108 4 Output 'Error' is never assigned in 'FB_Outputs'",
+  ]);
+});
+
+test("SCL109 reports a return value that is not assigned on all paths", () => {
+  assert.deepStrictEqual(dataFlow([
+    `FUNCTION "FC_Return" : Int`,
+    `VAR_INPUT`,
+    `  In : Bool;`,
+    `END_VAR`,
+    `BEGIN`,
+    `  IF #In THEN`,
+    `    #FC_Return := 1;`,
+    `    RETURN;`,
+    `  END_IF;`,
+    `END_FUNCTION`,
+  ]), [
+    "SCL109 9 Return value of 'FC_Return' is not assigned on all paths",
+  ]);
+});
+
+test("SCL109 knows that WHILE TRUE runs its body", () => {
+  assert.deepStrictEqual(dataFlow([
+    `FUNCTION "FC" : Int`,
+    `BEGIN`,
+    `  WHILE TRUE DO`,
+    `    #FC := 1;`,
+    `    EXIT;`,
+    `  END_WHILE;`,
+    `END_FUNCTION`,
+  ]), []);
+  assert.deepStrictEqual(dataFlow([
+    `FUNCTION "FC" : Int`,
+    `VAR_INPUT`,
+    `  In : Bool;`,
+    `END_VAR`,
+    `BEGIN`,
+    `  WHILE #In DO`,
+    `    #FC := 1;`,
+    `    EXIT;`,
+    `  END_WHILE;`,
+    `END_FUNCTION`,
+  ]), [
+    "SCL109 9 Return value of 'FC' is not assigned on all paths",
+  ]);
+});
+
+test("SCL110 reports inputs assigned inside the block", () => {
+  assert.deepStrictEqual(dataFlow([
+    `FUNCTION_BLOCK "FB_Inputs"`,
+    `VAR_INPUT`,
+    `  Setpoint : Int;`,
+    `END_VAR`,
+    `BEGIN`,
+    `  #Setpoint := #Setpoint + 1;`,
+    `END_FUNCTION_BLOCK`,
+  ]), [
+    "SCL110 5 Input 'Setpoint' is assigned inside the block; use a VAR_TEMP or VAR_IN_OUT instead",
+  ]);
+});
+
+test("SCL111 reports temps that are assigned but never read", () => {
+  assert.deepStrictEqual(dataFlow([
+    `FUNCTION "FC_Unread" : Void`,
+    `VAR_OUTPUT`,
+    `  Out : Int;`,
+    `END_VAR`,
+    `VAR_TEMP`,
+    `  Used : Int;`,
+    `  Unread : Int;`,
+    `END_VAR`,
+    `BEGIN`,
+    `  #Used := 1;`,
+    `  #Unread := 2;`,
+    `  #Out := #Used;`,
+    `END_FUNCTION`,
+  ]), [
+    "SCL111 6 Variable 'Unread' is assigned but its value is never read",
+  ]);
+});
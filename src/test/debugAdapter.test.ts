@@ -0,0 +1,82 @@
+/**
+ * Debug adapter breakpoints in SimaticML exports, which are simulated through
+ * the SCL generated from them but shown at the lines of the XML file.
+ */
+
+import * as assert from "assert";
+import * as fs from "fs";
+import { test } from "node:test";
+import { DebugEvent, DebugMessage, DebugResponse, SclDebugSession } from "../debugAdapter";
+import { fixturePath } from "./fixtures";
+
+const EXPORT = fixturePath("simaticml", "FB_TankFill.xml");
+
+class Session {
+  readonly messages: DebugMessage[] = [];
+  private session = new SclDebugSession(message => this.messages.push(message));
+  private seq = 1;
+
+  request(command: string, args?: unknown): DebugResponse {
+    const seq = this.seq++;
+    this.session.handle({ seq, type: "request", command, arguments: args });
+    const response = this.messages.find((m): m is DebugResponse => m.type === "response" && m.request_seq === seq);
+    assert.ok(response?.success, response?.message ?? `No response to ${command}`);
+    return response;
+  }
+
+  async event(name: string): Promise<DebugEvent> {
+    for (let i = 0; i < 1000; i++) {
+      const event = this.messages.find((m): m is DebugEvent => m.type === "event" && m.event === name);
+      if (event) return event;
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    throw new Error(`No ${name} event`);
+  }
+
+  dispose(): void {
+    this.session.dispose();
+  }
+}
+
+/** 1-based line of the first line of the export containing the text */
+function exportLine(text: string): number {
+  return fs.readFileSync(EXPORT, "utf8").split(/\r?\n/).findIndex(l => l.includes(text)) + 1;
+}
+
+test("breakpoints in a SimaticML export stop at the exported statement", async () => {
+  const session = new Session();
+  try {
+    session.request("initialize", { linesStartAt1: true });
+    session.request("launch", { block: "FB_TankFill", sources: [EXPORT], cycles: 1 });
+
+    const ifLine = exportLine(`<Token Text="IF"`);
+    const set = session.request("setBreakpoints", { source: { path: EXPORT }, breakpoints: [{ line: ifLine }] });
+    const [breakpoint] = (set.body as { breakpoints: { verified: boolean; line: number }[] }).breakpoints;
+    assert.strictEqual(breakpoint.verified, true);
+    assert.ok(breakpoint.line >= ifLine && breakpoint.line < exportLine(`<Token Text="ELSE"`), `line ${breakpoint.line}`);
+
+    session.request("configurationDone");
+    const stopped = await session.event("stopped");
+    assert.strictEqual((stopped.body as { reason: string }).reason, "breakpoint");
+    const trace = session.request("stackTrace").body as { stackFrames: { line: number; source: { path: string } }[] };
+    assert.strictEqual(trace.stackFrames[0].source.path, EXPORT);
+    assert.strictEqual(trace.stackFrames[0].line, breakpoint.line);
+  } finally {
+    session.dispose();
+  }
+});
+
+test("breakpoints after the last statement of a SimaticML export are rejected", () => {
+  const session = new Session();
+  try {
+    session.request("initialize", { linesStartAt1: true });
+    session.request("launch", { block: "FB_TankFill", sources: [EXPORT] });
+    const line = exportLine("</SW.Blocks.FB>");
+    const set = session.request("setBreakpoints", { source: { path: EXPORT }, breakpoints: [{ line }] });
+    const [breakpoint] = (set.body as { breakpoints: { verified: boolean; message?: string }[] }).breakpoints;
+    assert.strictEqual(breakpoint.verified, false);
+    assert.ok(breakpoint.message);
+  } finally {
+    session.dispose();
+  }
+});
@@ -0,0 +1,19 @@
+/**
+ * Test fixtures - Paths and contents of the files under src/test/fixtures.
+ *
+ * The tests are bundled to out/test, so the fixtures are found from there.
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+
+export const FIXTURES = path.join(__dirname, "..", "..", "src", "test", "fixtures");
+export const EXAMPLES = path.join(__dirname, "..", "..", "examples");
+
+export function fixturePath(...parts: string[]): string {
+  return path.join(FIXTURES, ...parts);
+}
+
+export function readFixture(...parts: string[]): string {
+  return fs.readFileSync(fixturePath(...parts), "utf8");
+}
@@ -0,0 +1,48 @@
+/**
+ * Formatter golden files: fixtures/format/<name>.input.scl must format to
+ * <name>.expected.scl (with the settings in <name>.options.json, if any),
+ * format to the same text again, and lex to the same tokens as the input.
+ */
+
+import * as assert from "assert";
+import * as fs from "fs";
+import { describe, test } from "node:test";
+import { DEFAULT_FORMAT_SETTINGS, FormatOptions, formatScl } from "../formatter";
+import { Token, tokenize } from "../lexer";
+import { fixturePath, readFixture } from "./fixtures";
+
+const INPUT = /\.input\.scl$/;
+
+/** Kind and text of every token; keywords and names are case-insensitive */
+function tokenSequence(text: string): string[] {
+  return tokenize(text)
+    .filter(t => t.kind !== "eof")
+    .map((t: Token) => `${t.kind} ${t.kind === "keyword" || t.kind === "identifier" ? t.text.toUpperCase() : t.text}`);
+}
+
+function optionsFor(name: string): FormatOptions {
+  const file = fixturePath("format", `${name}.options.json`);
+  const overrides = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+  return { ...DEFAULT_FORMAT_SETTINGS, indentSize: 4, ...overrides };
+}
+
+describe("formatter golden files", () => {
+  for (const file of fs.readdirSync(fixturePath("format")).filter(f => INPUT.test(f)).sort()) {
+    const name = file.replace(INPUT, "");
+    const input = readFixture("format", file);
+    const opts = optionsFor(name);
+    const once = formatScl(input, opts);
+
+    test(`${name}: produces the expected output`, () => {
+      assert.strictEqual(once, readFixture("format", `${name}.expected.scl`));
+    });
+
+    test(`${name}: is idempotent`, () => {
+      assert.strictEqual(formatScl(once, opts), once);
+    });
+
+    test(`${name}: keeps the token sequence`, () => {
+      assert.deepStrictEqual(tokenSequence(once), tokenSequence(input));
+    });
+  }
+});
@@ -0,0 +1,81 @@
+/**
+ * Simulation of calls, and of IEC timers against the simulated clock, cycle
+ * by cycle.
+ */
+
+import * as assert from "assert";
+import { test } from "node:test";
+import { SclSimulator } from "../interpreter";
+import { SymbolIndex } from "../symbolIndex";
+
+const TIMERS = `FUNCTION_BLOCK "FB_Timers"
+VERSION : 0.1
+   VAR_INPUT
+      Trigger : Bool;
+   END_VAR
+   VAR
+      OnDelay : TON;
+      OffDelay : TOF;
+      Pulse : TP;
+   END_VAR
+BEGIN
+   #OnDelay(IN := #Trigger, PT := T#30ms);
+   #OffDelay(IN := #Trigger, PT := T#30ms);
+   #Pulse(IN := #Trigger, PT := T#30ms);
+END_FUNCTION_BLOCK
+`;
+
+test("TON, TOF and TP switch after their preset time has passed on the simulated clock", () => {
+  const index = new SymbolIndex();
+  index.update("timers.scl", TIMERS);
+  const simulator = new SclSimulator(index, "FB_Timers", { cycleTime: 10 });
+
+  // One cycle every 10 ms: IN of all three timers, and Q of TON, TOF and TP (ET of TON) after the cycle
+  const cycles: [boolean, string][] = [
+    [false, "0 0 0 (0)"],
+    [true, "0 1 1 (0)"],          // Rising edge at 10 ms
+    [true, "0 1 1 (10)"],
+    [true, "0 1 1 (20)"],
+    [true, "1 1 0 (30)"],         // 30 ms later: TON on, pulse over
+    [false, "0 1 0 (0)"],         // Falling edge at 50 ms
+    [false, "0 1 0 (0)"],
+    [false, "0 1 0 (0)"],
+    [false, "0 0 0 (0)"],         // 30 ms later: TOF off
+    [true, "0 1 1 (0)"],          // Rising edge at 90 ms
+    [false, "0 1 1 (0)"],         // The pulse goes on without IN
+    [true, "0 1 1 (0)"],          // A rising edge during the pulse does not restart it
+    [true, "0 1 0 (10)"],
+    [true, "0 1 0 (20)"],
+  ];
+  const trace = cycles.map(([trigger]) => {
+    simulator.set("Trigger", trigger);
+    simulator.runCycle();
+    const q = (timer: string) => (simulator.get(`${timer}.Q`) ? "1" : "0");
+    return `${q("OnDelay")} ${q("OffDelay")} ${q("Pulse")} (${simulator.get("OnDelay.ET")})`;
+  });
+  assert.deepStrictEqual(trace, cycles.map(([, expected]) => expected));
+  assert.strictEqual(simulator.time, 140);
+});
+
+test("system functions are called even when a variable has the same name", () => {
+  const index = new SymbolIndex();
+  index.update("names.scl", `FUNCTION_BLOCK "FB_Names"
+VERSION : 0.1
+   VAR_INPUT
+      s : String;
+   END_VAR
+   VAR_OUTPUT
+      Len : Int;
+      Max : Int;
+   END_VAR
+BEGIN
+   #Len := LEN(#s);
+   #Max := MAX(IN1 := 1, IN2 := 2);
+END_FUNCTION_BLOCK
+`);
+  const simulator = new SclSimulator(index, "FB_Names");
+  simulator.set("s", "'Tank'");
+  simulator.runCycle();
+  assert.strictEqual(simulator.get("Len"), 4);
+  assert.strictEqual(simulator.get("Max"), 2);
+});
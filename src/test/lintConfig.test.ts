@@ -0,0 +1,52 @@
+/**
+ * Inline suppression comments (scl-disable, scl-enable, scl-disable-next-line).
+ */
+
+import * as assert from "assert";
+import { test } from "node:test";
+import { tokenize } from "../lexer";
+import { applySuppressions } from "../lintConfig";
+import { LintDiagnostic } from "../rules";
+
+/** SCL101 and SCL103 on every line that is not a comment */
+function reported(source: string[]): string[] {
+  const diagnostics: LintDiagnostic[] = [];
+  source.forEach((text, line) => {
+    if (text.startsWith("(*") || text.startsWith("//")) return;
+    for (const code of ["SCL101", "SCL103"]) diagnostics.push({ line, col: 0, message: "", severity: "warning", code });
+  });
+  return applySuppressions(diagnostics, tokenize(source.join("\n"))).map(d => `${d.line} ${d.code}`);
+}
+
+test("scl-enable of one rule inside a plain scl-disable reports that rule again", () => {
+  assert.deepStrictEqual(reported([
+    "(* scl-disable *)",
+    "#a := 1;",
+    "(* scl-enable SCL103 *)",
+    "#b := 2;",
+    "(* scl-disable SCL103 *)",
+    "#c := 3;",
+    "(* scl-enable *)",
+    "#d := 4;",
+  ]), ["3 SCL103", "7 SCL101", "7 SCL103"]);
+});
+
+test("scl-enable of one rule keeps the other named rules disabled", () => {
+  assert.deepStrictEqual(reported([
+    "(* scl-disable SCL101, SCL103 *)",
+    "#a := 1;",
+    "(* scl-enable SCL103 *)",
+    "#b := 2;",
+    "(* scl-enable SCL101 *)",
+    "#c := 3;",
+  ]), ["3 SCL103", "5 SCL101", "5 SCL103"]);
+});
+
+test("scl-disable-next-line and scl-disable-line cover one line", () => {
+  assert.deepStrictEqual(reported([
+    "// scl-disable-next-line SCL101",
+    "#a := 1;",
+    "#b := 2; // scl-disable-line",
+    "#c := 3;",
+  ]), ["1 SCL103", "3 SCL101", "3 SCL103"]);
+});
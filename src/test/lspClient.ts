@@ -0,0 +1,104 @@
+/**
+ * LSP test client - Starts out/server.js over stdio and talks JSON-RPC to it.
+ *
+ * Requests from the server (workspace/configuration, client/registerCapability)
+ * are answered with defaults; notifications are kept so tests can wait for
+ * them (textDocument/publishDiagnostics).
+ */
+
+import { ChildProcess, spawn } from "child_process";
+import * as path from "path";
+
+export const SERVER = path.join(__dirname, "..", "server.js");
+
+interface Message {
+  id?: number;
+  method?: string;
+  params?: any;
+  result?: any;
+  error?: { code: number; message: string };
+}
+
+interface Waiter {
+  method: string;
+  matches: (params: any) => boolean;
+  resolve: (params: any) => void;
+}
+
+export class LspClient {
+  private process: ChildProcess;
+  private buffer = Buffer.alloc(0);
+  private nextId = 1;
+  private pending = new Map<number, { resolve: (result: any) => void; reject: (error: Error) => void }>();
+  private notifications: Message[] = [];
+  private waiters: Waiter[] = [];
+
+  constructor(serverPath = SERVER) {
+    this.process = spawn(process.execPath, [serverPath, "--stdio"], { stdio: ["pipe", "pipe", "inherit"] });
+    this.process.stdout!.on("data", (chunk: Buffer) => this.receive(chunk));
+  }
+
+  request<R = any>(method: string, params: unknown): Promise<R> {
+    const id = this.nextId++;
+    this.send({ id, method, params });
+    return new Promise((resolve, reject) => this.pending.set(id, { resolve, reject }));
+  }
+
+  notify(method: string, params: unknown): void {
+    this.send({ method, params });
+  }
+
+  /** Resolves with the params of the first notification (received before or after) that matches */
+  waitFor(method: string, matches: (params: any) => boolean = () => true): Promise<any> {
+    const received = this.notifications.find(n => n.method === method && matches(n.params));
+    if (received) return Promise.resolve(received.params);
+    return new Promise(resolve => this.waiters.push({ method, matches, resolve }));
+  }
+
+  /** Shuts the server down and waits for its process to end */
+  async stop(): Promise<void> {
+    const exited = new Promise(resolve => this.process.once("exit", resolve));
+    await this.request("shutdown", null);
+    this.notify("exit", null);
+    await exited;
+  }
+
+  private send(message: Message): void {
+    const body = JSON.stringify({ jsonrpc: "2.0", ...message });
+    this.process.stdin!.write(`Content-Length: ${Buffer.byteLength(body, "utf8")}\r\n\r\n${body}`);
+  }
+
+  private receive(chunk: Buffer): void {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    for (;;) {
+      const headerEnd = this.buffer.indexOf("\r\n\r\n");
+      if (headerEnd < 0) return;
+      const length = Number(/Content-Length: (\d+)/i.exec(this.buffer.subarray(0, headerEnd).toString("ascii"))?.[1]);
+      const start = headerEnd + 4;
+      if (this.buffer.length < start + length) return;
+      const message: Message = JSON.parse(this.buffer.subarray(start, start + length).toString("utf8"));
+      this.buffer = this.buffer.subarray(start + length);
+      this.dispatch(message);
+    }
+  }
+
+  private dispatch(message: Message): void {
+    if (message.id !== undefined && message.method) {
+      // Request from the server: no settings, everything else accepted
+      const result = message.method === "workspace/configuration" ? message.params.items.map(() => null) : null;
+      this.send({ id: message.id, result });
+    } else if (message.id !== undefined) {
+      const pending = this.pending.get(message.id);
+      this.pending.delete(message.id);
+      if (message.error) pending?.reject(new Error(message.error.message));
+      else pending?.resolve(message.result);
+    } else if (message.method) {
+      this.notifications.push(message);
+      const waiter = this.waiters.find(w => w.method === message.method && w.matches(message.params));
+      if (waiter) {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        waiter.resolve(message.params);
+      }
+    }
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * Memory layout of UDTs and standard-access blocks: byte.bit offsets, sizes
+ * and DB addresses.
+ */
+
+import * as assert from "assert";
+import { test } from "node:test";
+import { blockLayout, dbAddress, formatOffset, formatSize } from "../memoryLayout";
+import { SymbolIndex } from "../symbolIndex";
+
+const UDT = `TYPE "UDT_Mixed"
+VERSION : 0.1
+   STRUCT
+      Run : Bool;
+      Fault : Bool;
+      Mode : Byte;
+      Level : Int;
+      Flag : Bool;
+      Speed : Real;
+      Name : String[10];
+      Last : Bool;
+      Bits : Array[0..2] of Bool;
+      Pos : Struct
+         X : Int;
+         On : Bool;
+      END_STRUCT;
+      Count : Int;
+   END_STRUCT;
+END_TYPE
+`;
+
+const DB = `DATA_BLOCK "DB_Plant"
+{ S7_Optimized_Access := 'FALSE' }
+VERSION : 0.1
+NON_RETAIN
+   VAR
+      Ready : Bool;
+      Tank : "UDT_Mixed";
+      Total : DInt;
+   END_VAR
+BEGIN
+END_DATA_BLOCK
+`;
+
+const FB = `FUNCTION_BLOCK "FB_Sections"
+{ S7_Optimized_Access := 'FALSE' }
+VERSION : 0.1
+   VAR
+      Step : Int;
+   END_VAR
+   VAR_OUTPUT
+      Done : Int;
+   END_VAR
+   VAR_IN_OUT
+      Tank : "UDT_Mixed";
+      Setpoint : Int;
+   END_VAR
+   VAR_INPUT
+      Start : Int;
+   END_VAR
+BEGIN
+END_FUNCTION_BLOCK
+`;
+
+/** path type offset size (address) of the members of a block */
+function layout(name: string): { size?: number; members: string[] } {
+  const index = new SymbolIndex();
+  index.update("udt.scl", UDT);
+  index.update("db.scl", DB);
+  index.update("fb.scl", FB);
+  const result = blockLayout(index.findBlock(name)!.block, index)!;
+  return {
+    size: result.size,
+    members: result.members.map(m => {
+      const address = result.block.blockType === "DATA_BLOCK" ? ` ${dbAddress(m)}` : "";
+      return `${m.path} ${m.type} ${formatOffset(m.offset!)} ${formatSize(m.bits!)}${address}`;
+    }),
+  };
+}
+
+test("packs Bools, aligns words, strings, arrays and structs to even bytes", () => {
+  assert.deepStrictEqual(layout("UDT_Mixed"), {
+    size: 32,
+    members: [
+      "Run Bool 0.0 1 bit",
+      "Fault Bool 0.1 1 bit",
+      "Mode Byte 1.0 1 byte",
+      "Level Int 2.0 2 bytes",
+      "Flag Bool 4.0 1 bit",
+      "Speed Real 6.0 4 bytes",
+      "Name String[10] 10.0 12 bytes",
+      "Last Bool 22.0 1 bit",
+      "Bits Array[0..2] of Bool 24.0 2 bytes",
+      "Pos Struct 26.0 4 bytes",
+      "Pos.X Int 26.0 2 bytes",
+      "Pos.On Bool 28.0 1 bit",
+      "Count Int 30.0 2 bytes",
+    ],
+  });
+});
+
+test("lays out a standard-access DB with its UDT members and DB addresses", () => {
+  const { size, members } = layout("DB_Plant");
+  assert.strictEqual(size, 38);
+  assert.deepStrictEqual(members.filter(m => !m.startsWith("Tank.")), [
+    "Ready Bool 0.0 1 bit DBX0.0",
+    `Tank "UDT_Mixed" 2.0 32 bytes DBB2`,
+    "Total DInt 34.0 4 bytes DBD34",
+  ]);
+  assert.ok(members.includes("Tank.Fault Bool 2.1 1 bit DBX2.1"));
+  assert.ok(members.includes("Tank.Level Int 4.0 2 bytes DBW4"));
+});
+
+test("places the sections of an FB as Input, Output, InOut and Static, with structured InOut as pointers", () => {
+  assert.deepStrictEqual(layout("FB_Sections"), {
+    size: 14,
+    members: [
+      "Start Int 0.0 2 bytes",
+      "Done Int 2.0 2 bytes",
+      `Tank "UDT_Mixed" 4.0 6 bytes`,
+      "Setpoint Int 10.0 2 bytes",
+      "Step Int 12.0 2 bytes",
+    ],
+  });
+});
+
+test("has no layout for optimized blocks", () => {
+  const index = new SymbolIndex();
+  index.update("db.scl", DB.replace("'FALSE'", "'TRUE'"));
+  assert.strictEqual(blockLayout(index.findBlock("DB_Plant")!.block, index), undefined);
+});
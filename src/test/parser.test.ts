@@ -0,0 +1,125 @@
+/**
+ * Lexer and parser: tokens, statements that do not follow the line
+ * structure, and the exact positions derived from the AST.
+ */
+
+import * as assert from "assert";
+import { test } from "node:test";
+import { AssignmentStatement, CaseStatement, IfStatement, SourceRange } from "../ast";
+import { tokenize } from "../lexer";
+import { parse } from "../parser";
+
+const SOURCE = [
+  `FUNCTION_BLOCK "FB_Test"`,
+  `{ S7_Optimized_Access := 'TRUE' }`,
+  `VERSION : 0.1`,
+  `   VAR_INPUT`,
+  `      Start : Bool;   // Start`,
+  `   END_VAR`,
+  `   VAR`,
+  `      Mode : Int;`,
+  `      b : Int;`,
+  `      Delay : Time := T#5s;`,
+  `   END_VAR`,
+  `BEGIN`,
+  `   IF #Start THEN #b := 1; END_IF;`,
+  `   #b := #b +`,
+  `         16#FF;`,
+  `   CASE #Mode OF`,
+  `      1:`,
+  `         IF #Start THEN`,
+  `            #b := 2;`,
+  `         ELSE`,
+  `            #b := 3;`,
+  `         END_IF;`,
+  `      ELSE`,
+  `         #b := %IW0; (* raw *)`,
+  `   END_CASE;`,
+  `END_FUNCTION_BLOCK`,
+].join("\n");
+
+/** 0-based line:col-line:col */
+function at(range: SourceRange | undefined): string {
+  return range ? `${range.start.line}:${range.start.col}-${range.end.line}:${range.end.col}` : "none";
+}
+
+test("tokenizes literals, addresses, pragmas and comments", () => {
+  const tokens = tokenize("#t := T#5s + 16#FF; %I0.0 { x := 'y' } (* a\n b *) 'no // comment' // end");
+  assert.deepStrictEqual(tokens.map(t => `${t.kind} ${t.text} ${t.line}:${t.col}`), [
+    "localRef #t 0:0",
+    "operator := 0:3",
+    "typedLiteral T#5s 0:6",
+    "operator + 0:11",
+    "number 16#FF 0:13",
+    "operator ; 0:18",
+    "address %I0.0 0:20",
+    "pragma { x := 'y' } 0:26",
+    "comment (* a\n b *) 0:39",
+    "string 'no // comment' 1:6",
+    "comment // end 1:22",
+    "eof  1:28",
+  ]);
+  assert.strictEqual(tokens[0].value, "t");
+  assert.strictEqual(tokens[8].endLine, 1);
+});
+
+test("parses the file without errors", () => {
+  const result = parse(SOURCE);
+  assert.deepStrictEqual(result.errors, []);
+  assert.deepStrictEqual(result.unmatchedOpens, []);
+  assert.deepStrictEqual(result.unmatchedCloses, []);
+});
+
+test("parses an IF with its statements on one line", () => {
+  const [statement] = parse(SOURCE).ast.blocks[0].body!;
+  const ifStatement = statement as IfStatement;
+  assert.strictEqual(ifStatement.kind, "If");
+  assert.strictEqual(at(ifStatement.range), "12:3-12:34");
+  assert.deepStrictEqual(ifStatement.branches[0].body.map(s => `${s.kind} ${at(s.range)}`), ["Assignment 12:18-12:26"]);
+  assert.strictEqual(at(ifStatement.endRange), "12:27-12:33");
+});
+
+test("parses a statement split across lines", () => {
+  const assignment = parse(SOURCE).ast.blocks[0].body![1] as AssignmentStatement;
+  assert.strictEqual(assignment.kind, "Assignment");
+  assert.strictEqual(at(assignment.range), "13:3-14:15");
+  assert.strictEqual(assignment.value.kind, "Binary");
+  assert.strictEqual(at(assignment.value.range), "13:9-14:14");
+});
+
+test("keeps the ELSE of an IF inside a CASE apart from the ELSE of the CASE", () => {
+  const result = parse(SOURCE);
+  const caseStatement = result.ast.blocks[0].body![2] as CaseStatement;
+  assert.strictEqual(caseStatement.kind, "Case");
+  assert.strictEqual(caseStatement.branches.length, 1);
+
+  const nested = caseStatement.branches[0].body[0] as IfStatement;
+  assert.strictEqual(at(nested.elseRange), "19:9-19:13");
+  assert.strictEqual(nested.elseBody?.length, 1);
+
+  assert.strictEqual(at(caseStatement.elseRange), "22:6-22:10");
+  const [fallback] = caseStatement.elseBody as AssignmentStatement[];
+  assert.deepStrictEqual(fallback.value, { kind: "AddressRef", address: "%IW0", range: fallback.value.range });
+  assert.deepStrictEqual(result.blocks[0].caseStatements, [{ line: 15, col: 3, hasElse: true }]);
+});
+
+test("reports exact lines and columns in the ParseResult", () => {
+  const result = parse(SOURCE);
+  const [block] = result.blocks;
+  assert.deepStrictEqual(
+    [block.line, block.col, block.nameLine, block.nameCol, block.endLine],
+    [0, 0, 0, 15, 25]
+  );
+  assert.deepStrictEqual([block.hasPragma, block.hasVersion, block.hasBegin, block.hasCode], [true, true, true, true]);
+  assert.deepStrictEqual(result.variables.map(v => `${v.section} ${v.name} : ${v.type} ${v.line}:${v.col}`), [
+    "VAR_INPUT Start : Bool 4:6",
+    "VAR Mode : Int 7:6",
+    "VAR b : Int 8:6",
+    "VAR Delay : Time 9:6",
+  ]);
+
+  const ast = result.ast.blocks[0];
+  assert.deepStrictEqual(ast.pragmas[0].entries, [{ name: "S7_Optimized_Access", value: "TRUE" }]);
+  assert.strictEqual(at(ast.pragmas[0].range), "1:0-1:33");
+  assert.deepStrictEqual(ast.properties.map(p => `${p.name} ${p.value} ${at(p.range)}`), ["VERSION 0.1 2:0-2:13"]);
+});
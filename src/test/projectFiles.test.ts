@@ -0,0 +1,26 @@
+/**
+ * Files and folders given to the command line and the debug adapter.
+ */
+
+import * as assert from "assert";
+import { test } from "node:test";
+import { buildIndex, collectFiles } from "../projectFiles";
+import { fixturePath } from "./fixtures";
+
+test("imports spreadsheets given by name as tag tables", () => {
+  const workbook = fixturePath("tags", "PLCTags.xlsx");
+  const { files, exports, tags } = collectFiles([workbook]);
+  assert.deepStrictEqual({ files, exports, tags }, { files: [], exports: [], tags: [workbook] });
+
+  const { index } = buildIndex(files, exports, tags);
+  assert.strictEqual(index.findTag("Valve_Fill")?.address, "%Q0.0");
+});
+
+test("collects the possible tag tables in a folder as exports", () => {
+  const { files, exports, tags } = collectFiles([fixturePath("tags")]);
+  assert.deepStrictEqual({ files, exports, tags }, {
+    files: [],
+    exports: [fixturePath("tags", "PLCTags.xlsx"), fixturePath("tags", "Tank.xml")],
+    tags: [],
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Lint rules that look at more than one statement or declaration.
+ */
+
+import * as assert from "assert";
+import { test } from "node:test";
+import { parse } from "../parser";
+import { runRules } from "../rules";
+import { SymbolIndex } from "../symbolIndex";
+
+/** Lines and messages of the diagnostics of one rule */
+function lint(code: string, source: string[]): string[] {
+  return runRules(parse(source.join("\n")))
+    .filter(d => d.code === code)
+    .map(d => `${d.line} ${d.message}`);
+}
+
+test("SCL101 checks STRUCT variables, not their members", () => {
+  assert.deepStrictEqual(lint("SCL101", [
+    `FUNCTION_BLOCK "FB_Unused"`,
+    `VAR`,
+    `  Used : STRUCT`,
+    `    a : Int;`,
+    `    b : Int;`,
+    `  END_STRUCT;`,
+    `  Unused : STRUCT`,
+    `    c : Int;`,
+    `  END_STRUCT;`,
+    `END_VAR`,
+    `BEGIN`,
+    `  #Used.a := #Used.a + 1;`,
+    `END_FUNCTION_BLOCK`,
+  ]), [
+    "6 Variable 'Unused' is declared but never used",
+  ]);
+});
+
+test("SCL112 finds writers of the same output through different spellings and tag names", () => {
+  const index = new SymbolIndex();
+  index.setTags("tags.csv", [
+    { name: "Valve", dataType: "Bool", address: "%Q0.0", uri: "tags.csv", line: 1 },
+  ]);
+  const files: Record<string, string[]> = {
+    "a.scl": [`FUNCTION "FC_A" : Void`, `BEGIN`, `  %QX0.0 := TRUE;`, `END_FUNCTION`],
+    "b.scl": [`FUNCTION "FC_B" : Void`, `BEGIN`, `  "Valve" := FALSE;`, `END_FUNCTION`],
+    "c.scl": [`FUNCTION "FC_C" : Void`, `BEGIN`, `  %A0.0 := FALSE;`, `END_FUNCTION`],
+  };
+  for (const [uri, source] of Object.entries(files)) index.update(uri, source.join("\n"));
+
+  const messages = runRules(index.getFile("a.scl")!, index)
+    .filter(d => d.code === "SCL112")
+    .map(d => d.message);
+  assert.deepStrictEqual(messages, [`%QX0.0 is also written in "FC_B", "FC_C"`]);
+});
@@ -0,0 +1,65 @@
+/**
+ * Language server over stdio: initialize, diagnostics after didOpen, hover
+ * and formatting against examples/demo.scl.
+ */
+
+import * as assert from "assert";
+import * as fs from "fs";
+import * as path from "path";
+import { test } from "node:test";
+import { pathToFileURL } from "url";
+import { DEFAULT_FORMAT_SETTINGS, formatScl } from "../formatter";
+import { EXAMPLES } from "./fixtures";
+import { LspClient } from "./lspClient";
+
+const DEMO = path.join(EXAMPLES, "demo.scl");
+const DEMO_URI = pathToFileURL(DEMO).toString();
+
+test("language server", async t => {
+  const client = new LspClient();
+  const demo = fs.readFileSync(DEMO, "utf8");
+
+  try {
+    const root = pathToFileURL(EXAMPLES).toString();
+    const init = await client.request("initialize", {
+      processId: process.pid,
+      rootUri: root,
+      workspaceFolders: [{ uri: root, name: "examples" }],
+      capabilities: {},
+    });
+    assert.strictEqual(init.serverInfo.name, "tia-scl");
+    assert.ok(init.capabilities.hoverProvider);
+    client.notify("initialized", {});
+    client.notify("textDocument/didOpen", { textDocument: { uri: DEMO_URI, languageId: "scl", version: 1, text: demo } });
+
+    await t.test("publishes diagnostics for an opened document", async () => {
+      const uri = "untitled:Missing.scl";
+      const text = 'FUNCTION_BLOCK "FB_Missing"\nVAR\n   Count : Int;\nEND_VAR\nBEGIN\n   #Count := #Count + 1;\nEND_FUNCTION_BLOCK\n';
+      client.notify("textDocument/didOpen", { textDocument: { uri, languageId: "scl", version: 1, text } });
+      const { diagnostics } = await client.waitFor("textDocument/publishDiagnostics", p => p.uri === uri);
+      const codes = diagnostics.map((d: { code: string }) => d.code);
+      assert.ok(codes.includes("SCL102"), `SCL102 in ${codes}`);
+      assert.ok(codes.includes("SCL103"), `SCL103 in ${codes}`);
+    });
+
+    await t.test("shows the declaration of a variable on hover", async () => {
+      const lines = demo.split(/\r?\n/);
+      const line = lines.findIndex(l => l.includes("#State := 10;"));
+      const hover = await client.request("textDocument/hover", {
+        textDocument: { uri: DEMO_URI },
+        position: { line, character: lines[line].indexOf("#State") + 2 },
+      });
+      assert.match(JSON.stringify(hover.contents), /State/);
+      assert.match(JSON.stringify(hover.contents), /Int/);
+    });
+
+    await t.test("formats the document like formatScl", async () => {
+      const options = { tabSize: 4, insertSpaces: true };
+      const edits = await client.request("textDocument/formatting", { textDocument: { uri: DEMO_URI }, options });
+      assert.strictEqual(edits.length, 1);
+      assert.strictEqual(edits[0].newText, formatScl(demo, { ...DEFAULT_FORMAT_SETTINGS, indentSize: 4 }));
+    });
+  } finally {
+    await client.stop();
+  }
+});
@@ -0,0 +1,32 @@
+/**
+ * SimaticML block exports: converting an FB to SCL and back.
+ */
+
+import * as assert from "assert";
+import { test } from "node:test";
+import { parse } from "../parser";
+import { isSimaticMl, sclToSimaticMl, simaticMlToScl } from "../simaticMl";
+import { readFixture } from "./fixtures";
+
+const EXPORT = readFixture("simaticml", "FB_TankFill.xml");
+const SOURCE = readFixture("simaticml", "FB_TankFill.scl");
+
+test("converts an exported FB to SCL with a line map back to the export", () => {
+  assert.ok(isSimaticMl(EXPORT));
+  const { text, sourceLines } = simaticMlToScl(EXPORT);
+  assert.strictEqual(text, SOURCE);
+
+  // Every SCL line leads to a line of the export; the first statement to its StructuredText
+  const lines = text.split("\n");
+  assert.strictEqual(sourceLines.length, lines.length);
+  const exportLines = EXPORT.split("\n");
+  const call = lines.findIndex(l => l.includes("#FillTimer("));
+  assert.match(exportLines.slice(sourceLines[call], sourceLines[call] + 5).join("\n"), /Name="FillTimer"/);
+});
+
+test("exports the SCL of the FB to the same SimaticML", () => {
+  const documents = sclToSimaticMl(parse(SOURCE));
+  assert.deepStrictEqual(documents.map(d => `${d.name} ${d.fileName}`), ["FB_TankFill FB_TankFill.xml"]);
+  assert.strictEqual(documents[0].xml, EXPORT);
+  assert.strictEqual(simaticMlToScl(documents[0].xml).text, SOURCE);
+});
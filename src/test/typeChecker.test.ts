@@ -0,0 +1,73 @@
+/**
+ * Type checking (SCL007): assignments, operators, conditions and call
+ * arguments.
+ */
+
+import * as assert from "assert";
+import { test } from "node:test";
+import { parse } from "../parser";
+import { runRules } from "../rules";
+
+/** Lines and messages of the type errors in the code of an FB */
+function typeErrors(declarations: string[], body: string[]): string[] {
+  const source = [
+    `FUNCTION_BLOCK "FB_Types"`,
+    `VAR`,
+    ...declarations,
+    `END_VAR`,
+    `BEGIN`,
+    ...body,
+    `END_FUNCTION_BLOCK`,
+  ];
+  return runRules(parse(source.join("\n")))
+    .filter(d => d.code === "SCL007")
+    .map(d => `${d.line} ${d.message}`);
+}
+
+const DECLARATIONS = [`  i : Int;`, `  r : Real;`, `  b : Bool;`, `  t : Time;`];
+
+test("reports Real assigned to Int without a conversion", () => {
+  assert.deepStrictEqual(typeErrors(DECLARATIONS, [
+    `  #i := #r;`,
+    `  #i := REAL_TO_INT(#r);`,
+    `  #r := #i;`,
+  ]), [
+    "8 Cannot assign Real to Int without conversion (use REAL_TO_INT)",
+  ]);
+});
+
+test("reports Bool in arithmetic and Time compared with Int", () => {
+  assert.deepStrictEqual(typeErrors(DECLARATIONS, [
+    `  #i := #b + 1;`,
+    `  IF #t > #i THEN`,
+    `    #t := #t + T#1s;`,
+    `  END_IF;`,
+  ]), [
+    "8 Operator '+' cannot be applied to Bool",
+    "9 Cannot compare Time with Int",
+  ]);
+});
+
+test("checks the arguments of system functions", () => {
+  assert.deepStrictEqual(typeErrors(DECLARATIONS, [
+    `  #r := SQRT(#b);`,
+    `  #r := SQRT(#r);`,
+  ]), [
+    "8 SQRT expects Real for 'value', found Bool",
+  ]);
+});
+
+test("checks the arguments of IEC timers and counters", () => {
+  assert.deepStrictEqual(typeErrors([...DECLARATIONS, `  tmr : TON;`, `  ctu : CTU;`], [
+    `  #tmr(IN := #i, PT := #i);`,
+    `  #ctu(CU := #i, PV := #b);`,
+    `  #tmr(IN := #b, PT := T#5s, Q => #b, ET => #i);`,
+    `  #ctu(CU := #b, R := FALSE, PV := 10, CV => #i);`,
+  ]), [
+    "10 Cannot assign Int to Bool without conversion (use INT_TO_BOOL) (parameter 'IN')",
+    "10 Cannot assign Int to Time without conversion (use INT_TO_TIME) (parameter 'PT')",
+    "11 Cannot assign Int to Bool without conversion (use INT_TO_BOOL) (parameter 'CU')",
+    "11 Cannot assign Bool to Int without conversion (use BOOL_TO_INT) (parameter 'PV')",
+    "12 Cannot assign Time to Int without conversion (use TIME_TO_INT) (parameter 'ET')",
+  ]);
+});
@@ -0,0 +1,42 @@
+/**
+ * Excel workbooks: a PLC tag table exported from TIA Portal, read as
+ * worksheets and as PLC tags.
+ */
+
+import * as assert from "assert";
+import * as fs from "fs";
+import { test } from "node:test";
+import { readTagTable } from "../tagTable";
+import { readWorkbook } from "../xlsx";
+import { fixturePath } from "./fixtures";
+
+const WORKBOOK = fixturePath("tags", "PLCTags.xlsx");
+
+test("reads every worksheet with its cell texts", () => {
+  const sheets = readWorkbook(fs.readFileSync(WORKBOOK));
+  assert.deepStrictEqual(sheets.map(s => s.name), ["PLC Tags", "User Constants"]);
+
+  const [tags, constants] = sheets;
+  assert.deepStrictEqual(tags.rows[0].slice(0, 5), ["Name", "Path", "Data Type", "Logical Address", "Comment"]);
+  assert.deepStrictEqual(tags.rows[5].slice(0, 5), ["Pump_Speed", "Default tag table", "Real", "%MD100", "Speed setpoint in % & rpm"]);
+  // Empty cells before the last cell of a row are ""
+  assert.deepStrictEqual(tags.rows[1].slice(5), ["True", "True", "True"]);
+  assert.deepStrictEqual(constants.rows[1], ["MAX_FILLS", "Default tag table", "Int", "10", "Fills per shift"]);
+});
+
+test("reads the PLC tags of the workbook", () => {
+  const tags = readTagTable("PLCTags.xlsx", fs.readFileSync(WORKBOOK), "PLCTags.xlsx");
+  assert.deepStrictEqual(tags?.map(t => `${t.line} ${t.name} ${t.dataType} ${t.address} ${t.table}`), [
+    "1 Start_PB Bool %I0.0 Default tag table",
+    "2 Stop_PB Bool %I0.1 Default tag table",
+    "3 Level_AI Int %IW64 Default tag table",
+    "4 Valve_Fill Bool %Q0.0 Default tag table",
+    "5 Pump_Speed Real %MD100 Default tag table",
+  ]);
+  assert.strictEqual(tags?.[1].comment, "Stop push button (NC)");
+});
+
+test("rejects files that are not workbooks", () => {
+  assert.throws(() => readWorkbook(Buffer.from("Name;Data Type\n")));
+  assert.strictEqual(readTagTable("PLCTags.xlsx", Buffer.from("Name;Data Type\n"), "PLCTags.xlsx"), undefined);
+});
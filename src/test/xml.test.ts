@@ -0,0 +1,42 @@
+/**
+ * XML reader: a PLC tag table exported through TIA Portal Openness, read as
+ * elements and as PLC tags.
+ */
+
+import * as assert from "assert";
+import { test } from "node:test";
+import { readTagTable } from "../tagTable";
+import { childElement, childElements, descendants, parseXml, textContent } from "../xml";
+import { fixturePath, readFixture } from "./fixtures";
+
+const EXPORT = readFixture("tags", "Tank.xml");
+
+test("parses elements with their attributes, text and line", () => {
+  const document = parseXml(EXPORT);
+  assert.strictEqual(document.name, "Document");
+  assert.deepStrictEqual(childElements(document).map(e => e.name), ["Engineering", "DocumentInfo", "SW.Tags.PlcTagTable"]);
+  assert.strictEqual(childElement(document, "Engineering")?.attributes.version, "V17");
+
+  const tags = descendants(document, "SW.Tags.PlcTag");
+  assert.deepStrictEqual(tags.map(t => t.attributes.ID), ["1", "5", "9", "D"]);
+  assert.strictEqual(tags[0].line, 18);
+
+  // Entities are decoded, non-ASCII text is kept
+  const texts = descendants(document, "Text").map(textContent).filter(t => t);
+  assert.ok(texts.includes("Tank level < 27648 & scaled in FC_Scale"));
+  assert.ok(texts.includes("Taster Stopp (Öffner)"));
+});
+
+test("reads the PLC tags of the tag table", () => {
+  const tags = readTagTable("Tank.xml", Buffer.from(EXPORT, "utf8"), fixturePath("tags", "Tank.xml"));
+  assert.deepStrictEqual(tags?.map(t => `${t.line} ${t.name} ${t.dataType} ${t.address} ${t.table} ${t.comment}`), [
+    "18 Start_PB Bool %I0.0 Tank Start push button",
+    "46 Stop_PB Bool %I0.1 Tank Taster Stopp (Öffner)",
+    "74 Level_AI Int %IW64 Tank Tank level < 27648 & scaled in FC_Scale",
+    "102 Valve_Fill Bool %Q0.0 Tank Füllventil",
+  ]);
+});
+
+test("ignores XML files that are not tag tables", () => {
+  assert.strictEqual(readTagTable("Tank.xml", Buffer.from("<Document><SW.Blocks.FB /></Document>"), "Tank.xml"), undefined);
+});
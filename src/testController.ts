@@ -0,0 +1,134 @@
+/**
+ * SCL Test Controller - *.scltest.json test cases in the Testing view.
+ *
+ * Test files of the workspace are parsed on the client (parseTestFile) to
+ * list their cases; the cases run in the language server (RUN_TESTS_REQUEST)
+ * against the blocks of the workspace, including unsaved edits. Failed
+ * expectations are reported with expected and actual value, simulation
+ * errors at their statement in the SCL source.
+ */
+
+import * as vscode from "vscode";
+import { LanguageClient } from "vscode-languageclient/node";
+import {
+  RUN_TESTS_REQUEST, RunTestsParams, TEST_FILE, TEST_FILE_GLOB, TestFailure, TestResult, parseTestFile,
+} from "./unitTest";
+
+export class SclTestController implements vscode.Disposable {
+  private controller: vscode.TestController;
+  private disposables: vscode.Disposable[] = [];
+
+  constructor(private client: LanguageClient) {
+    this.controller = vscode.tests.createTestController("tia-scl", "SCL Tests");
+    this.controller.resolveHandler = async item => {
+      if (!item) await this.discover();
+    };
+    this.controller.refreshHandler = () => this.discover();
+    this.controller.createRunProfile("Run", vscode.TestRunProfileKind.Run, (request, token) => this.run(request, token), true);
+
+    const watcher = vscode.workspace.createFileSystemWatcher(TEST_FILE_GLOB);
+    watcher.onDidCreate(uri => this.load(uri));
+    watcher.onDidChange(uri => this.load(uri));
+    watcher.onDidDelete(uri => this.controller.items.delete(uri.toString()));
+    this.disposables.push(
+      watcher,
+      vscode.workspace.onDidChangeTextDocument(e => {
+        if (TEST_FILE.test(e.document.uri.path)) this.load(e.document.uri, e.document.getText());
+      })
+    );
+  }
+
+  dispose(): void {
+    for (const d of this.disposables) d.dispose();
+    this.controller.dispose();
+  }
+
+  private async discover(): Promise<void> {
+    const files = await vscode.workspace.findFiles(TEST_FILE_GLOB, "**/node_modules/**");
+    for (const uri of files) await this.load(uri);
+  }
+
+  /** (Re)creates the item of a test file and its cases; an invalid file shows its error. */
+  private async load(uri: vscode.Uri, text?: string): Promise<vscode.TestItem> {
+    let file = this.controller.items.get(uri.toString());
+    if (!file) {
+      file = this.controller.createTestItem(uri.toString(), vscode.workspace.asRelativePath(uri), uri);
+      this.controller.items.add(file);
+    }
+    try {
+      const content = text ?? await this.read(uri);
+      const { cases } = parseTestFile(content);
+      file.error = undefined;
+      file.children.replace(cases.map(c => {
+        const item = this.controller.createTestItem(`${uri.toString()}#${c.name}`, c.name, uri);
+        item.range = new vscode.Range(c.line, 0, c.line, 0);
+        return item;
+      }));
+    } catch (e) {
+      file.error = e instanceof Error ? e.message : String(e);
+      file.children.replace([]);
+    }
+    return file;
+  }
+
+  private async run(request: vscode.TestRunRequest, token: vscode.CancellationToken): Promise<void> {
+    const run = this.controller.createTestRun(request);
+    // Test cases per file, so every file is parsed and indexed once
+    const byFile = new Map<vscode.TestItem, vscode.TestItem[]>();
+    const add = (item: vscode.TestItem) => {
+      if (request.exclude?.includes(item)) return;
+      const file = item.parent ?? item;
+      const cases = item.parent ? [item] : children(item);
+      byFile.set(file, [...(byFile.get(file) ?? []), ...cases.filter(c => !request.exclude?.includes(c))]);
+    };
+    if (request.include) {
+      request.include.forEach(add);
+    } else {
+      await this.discover();
+      this.controller.items.forEach(add);
+    }
+
+    for (const [file, cases] of byFile) {
+      if (token.isCancellationRequested) break;
+      cases.forEach(c => run.started(c));
+      try {
+        const params: RunTestsParams = { text: await this.read(file.uri!), tests: cases.map(c => c.label) };
+        const results = await this.client.sendRequest<TestResult[]>(RUN_TESTS_REQUEST, params);
+        for (const result of results) {
+          const item = cases.find(c => c.label === result.name);
+          if (!item) continue;
+          if (result.passed) {
+            run.passed(item, result.duration);
+          } else {
+            run.failed(item, result.failures.map(f => failureMessage(f, file.uri!)), result.duration);
+          }
+        }
+      } catch (e) {
+        const message = new vscode.TestMessage(e instanceof Error ? e.message : String(e));
+        cases.forEach(c => run.errored(c, message));
+      }
+    }
+    run.end();
+  }
+
+  /** Text of a test file; open editors win over the file on disk */
+  private async read(uri: vscode.Uri): Promise<string> {
+    const open = vscode.workspace.textDocuments.find(d => d.uri.toString() === uri.toString());
+    return open ? open.getText() : Buffer.from(await vscode.workspace.fs.readFile(uri)).toString("utf8");
+  }
+}
+
+function children(item: vscode.TestItem): vscode.TestItem[] {
+  const list: vscode.TestItem[] = [];
+  item.children.forEach(child => list.push(child));
+  return list;
+}
+
+function failureMessage(failure: TestFailure, testFile: vscode.Uri): vscode.TestMessage {
+  const message = failure.expected !== undefined && failure.actual !== undefined
+    ? vscode.TestMessage.diff(failure.message, failure.expected, failure.actual)
+    : new vscode.TestMessage(failure.message);
+  const uri = failure.uri ? vscode.Uri.parse(failure.uri) : testFile;
+  message.location = new vscode.Location(uri, new vscode.Position(failure.line, 0));
+  return message;
+}
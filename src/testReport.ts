@@ -0,0 +1,123 @@
+/**
+ * SCL Test Reports - Output formats of `tia-scl test`.
+ *
+ *   text   One line per test case (PASS/FAIL), failures indented below
+ *   json   Files with their test results and a summary
+ *   junit  JUnit XML for CI test reports (one test suite per test file)
+ *
+ * Lines are 1-based in every format.
+ */
+
+import { plural, xml } from "./lintReport";
+import { TestResult } from "./unitTest";
+
+export type TestReportFormat = "text" | "json" | "junit";
+
+export const TEST_REPORT_FORMATS: TestReportFormat[] = ["text", "json", "junit"];
+
+export interface TestFileReport {
+  path: string;                   // Relative to the working directory, with '/'
+  results: TestResult[];          // Failure uris are paths like `path`
+  error?: string;                 // The file could not be read or parsed
+}
+
+export interface TestSummary {
+  files: number;
+  tests: number;
+  passed: number;
+  failed: number;                 // Failed test cases plus files that could not be run
+}
+
+export function summarizeTests(reports: TestFileReport[]): TestSummary {
+  const tests = reports.reduce((n, r) => n + r.results.length, 0);
+  const passed = reports.reduce((n, r) => n + r.results.filter(t => t.passed).length, 0);
+  const broken = reports.filter(r => r.error).length;
+  return { files: reports.length, tests, passed, failed: tests - passed + broken };
+}
+
+export function formatTestReport(format: TestReportFormat, reports: TestFileReport[]): string {
+  switch (format) {
+    case "text": return formatText(reports);
+    case "json": return JSON.stringify({ summary: summarizeTests(reports), files: reports.map(toJson) }, null, 2) + "\n";
+    case "junit": return formatJunit(reports);
+  }
+}
+
+// ─── Text ───────────────────────────────────────────────────────────────────
+
+function formatText(reports: TestFileReport[]): string {
+  const lines: string[] = [];
+  for (const report of reports) {
+    if (report.error) {
+      lines.push(`ERROR ${report.path}: ${report.error}`);
+      continue;
+    }
+    for (const result of report.results) {
+      lines.push(`${result.passed ? "PASS" : "FAIL"} ${report.path}:${result.line + 1} ${result.name} (${plural(result.cycles, "cycle")})`);
+      for (const f of result.failures) lines.push(`    ${f.uri ?? report.path}:${f.line + 1}: ${f.message}`);
+    }
+  }
+  const s = summarizeTests(reports);
+  if (lines.length > 0) lines.push("");
+  lines.push(`${plural(s.tests, "test")} in ${plural(s.files, "file")}: ${s.passed} passed, ${s.failed} failed`);
+  return lines.join("\n") + "\n";
+}
+
+// ─── JSON ───────────────────────────────────────────────────────────────────
+
+function toJson(report: TestFileReport) {
+  return {
+    path: report.path,
+    error: report.error,
+    tests: report.results.map(r => ({
+      name: r.name,
+      line: r.line + 1,
+      passed: r.passed,
+      cycles: r.cycles,
+      duration: r.duration,
+      failures: r.failures.map(f => ({
+        message: f.message,
+        path: f.uri ?? report.path,
+        line: f.line + 1,
+        expression: f.expression,
+        expected: f.expected,
+        actual: f.actual,
+      })),
+    })),
+  };
+}
+
+// ─── JUnit ──────────────────────────────────────────────────────────────────
+
+function formatJunit(reports: TestFileReport[]): string {
+  const s = summarizeTests(reports);
+  const lines: string[] = [];
+  lines.push(`<?xml version="1.0" encoding="UTF-8"?>`);
+  lines.push(`<testsuites name="tia-scl test" tests="${s.tests}" failures="${s.failed}">`);
+
+  for (const report of reports) {
+    const failed = report.results.filter(r => !r.passed).length + (report.error ? 1 : 0);
+    const tests = Math.max(report.results.length, report.error ? 1 : 0);
+    lines.push(`  <testsuite name="${xml(report.path)}" tests="${tests}" failures="${failed}">`);
+    if (report.error) {
+      lines.push(`    <testcase name="load" classname="${xml(report.path)}">`);
+      lines.push(`      <failure message="${xml(report.error)}">${xml(report.error)}</failure>`);
+      lines.push(`    </testcase>`);
+    }
+    for (const r of report.results) {
+      const time = (r.duration / 1000).toFixed(3);
+      if (r.passed) {
+        lines.push(`    <testcase name="${xml(r.name)}" classname="${xml(report.path)}" time="${time}"/>`);
+        continue;
+      }
+      lines.push(`    <testcase name="${xml(r.name)}" classname="${xml(report.path)}" time="${time}">`);
+      const details = r.failures.map(f => `${f.uri ?? report.path}:${f.line + 1}: ${f.message}`).join("\n");
+      lines.push(`      <failure message="${xml(r.failures[0]?.message ?? "failed")}">${xml(details)}</failure>`);
+      lines.push(`    </testcase>`);
+    }
+    lines.push(`  </testsuite>`);
+  }
+
+  lines.push(`</testsuites>`);
+  return lines.join("\n") + "\n";
+}
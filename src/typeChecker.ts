@@ -0,0 +1,558 @@
+/**
+ * SCL Type Checker - Infers expression types and reports type errors.
+ *
+ * Types come from declarations (resolved through the workspace index),
+ * literals, absolute addresses and the return types of SYSTEM_FUNCTIONS.
+ * Checks:
+ *   - Assignments and FOR bounds (Real to Int without conversion, ...)
+ *   - Operands of arithmetic, logical and comparison operators
+ *   - IF / ELSIF / WHILE / UNTIL conditions must be Bool
+ *   - Arguments of system functions, FCs, FB instances and IEC timers/counters
+ *
+ * Types that cannot be inferred (PLC tags, Variant, system FBs) are never
+ * reported.
+ */
+
+import {
+  Argument, CallExpression, Expression, SourceRange, Statement, TypeRef, VarDeclaration,
+  statementExpressions, walkStatements,
+} from "./ast";
+import { ParseResult } from "./parser";
+import { Scope, containerOf, instanceType, parametersOf, resolveExpression } from "./resolver";
+import { SYSTEM_FB_MEMBERS, SYSTEM_FUNCTIONS, SclFunction } from "./sclData";
+import { SymbolIndex } from "./symbolIndex";
+
+// ─── Types ──────────────────────────────────────────────────────────────────
+
+export type TypeCategory =
+  | "bool" | "bits" | "int" | "real"
+  | "time" | "date" | "tod" | "dt"
+  | "char" | "string"
+  | "udt" | "struct" | "array" | "other";
+
+export interface SclType {
+  name: string;                   // Display name: Int, Real, "UDT_Motor", Array
+  category: TypeCategory;
+  size: number;                   // Bits (0 if not applicable), used to pick the wider operand
+  literal?: boolean;              // Untyped literal (5, 1.0, 'x') that adapts to its target
+}
+
+export interface TypeError {
+  message: string;
+  range: SourceRange;
+}
+
+const ELEMENTARY: Record<string, [string, TypeCategory, number]> = {
+  BOOL: ["Bool", "bool", 1],
+  BYTE: ["Byte", "bits", 8],
+  WORD: ["Word", "bits", 16],
+  DWORD: ["DWord", "bits", 32],
+  LWORD: ["LWord", "bits", 64],
+  SINT: ["SInt", "int", 8],
+  USINT: ["USInt", "int", 8],
+  INT: ["Int", "int", 16],
+  UINT: ["UInt", "int", 16],
+  DINT: ["DInt", "int", 32],
+  UDINT: ["UDInt", "int", 32],
+  LINT: ["LInt", "int", 64],
+  ULINT: ["ULInt", "int", 64],
+  REAL: ["Real", "real", 32],
+  LREAL: ["LReal", "real", 64],
+  TIME: ["Time", "time", 32],
+  LTIME: ["LTime", "time", 64],
+  S5TIME: ["S5Time", "time", 16],
+  DATE: ["Date", "date", 16],
+  TIME_OF_DAY: ["Time_Of_Day", "tod", 32],
+  TOD: ["Time_Of_Day", "tod", 32],
+  LTIME_OF_DAY: ["LTime_Of_Day", "tod", 64],
+  LTOD: ["LTime_Of_Day", "tod", 64],
+  DATE_AND_TIME: ["Date_And_Time", "dt", 64],
+  DT: ["Date_And_Time", "dt", 64],
+  LDT: ["LDT", "dt", 64],
+  DTL: ["DTL", "dt", 96],
+  CHAR: ["Char", "char", 8],
+  WCHAR: ["WChar", "char", 16],
+  STRING: ["String", "string", 0],
+  WSTRING: ["WString", "string", 0],
+};
+
+const TYPED_LITERAL_PREFIXES: Record<string, string> = {
+  T: "TIME", LT: "LTIME", S5T: "S5TIME", D: "DATE", LD: "DATE",
+};
+
+const ADDRESS_SIZES: Record<string, string> = { "": "BOOL", X: "BOOL", B: "BYTE", W: "WORD", D: "DWORD", L: "LWORD" };
+
+const BOOL = elementary("BOOL")!;
+const NUMERIC = new Set<TypeCategory>(["bits", "int", "real"]);
+const COMPOUND_OPERATORS = ["+=", "-=", "*=", "/="];
+const CONVERSION = /^([A-Z0-9_]+?)_TO_([A-Z0-9_]+)$/;
+
+// ─── Entry points ───────────────────────────────────────────────────────────
+
+/** Type-checks all code blocks of a parsed file. */
+export function checkTypes(result: ParseResult, index: SymbolIndex, uri: string): TypeError[] {
+  const errors: TypeError[] = [];
+  for (const block of result.ast.blocks) {
+    if (!block.body || block.blockType === "DATA_BLOCK") continue;
+    new BlockChecker(index, { uri, block }, errors).checkBody(block.body);
+  }
+  return errors;
+}
+
+/** Infers the type of an expression; undefined when unknown. */
+export function typeOfExpression(index: SymbolIndex, scope: Scope, expr: Expression): SclType | undefined {
+  return new BlockChecker(index, scope, []).typeOf(expr);
+}
+
+/** Converts a declared type to an SclType. */
+export function typeFromRef(index: SymbolIndex, type: TypeRef): SclType | undefined {
+  switch (type.kind) {
+    case "NamedType": {
+      const known = elementary(type.name);
+      if (known) return known;
+      if (!type.name) return undefined;
+      const udt = index.findBlock(type.name, ["TYPE"]);
+      if (udt) return { name: `"${udt.name}"`, category: "udt", size: 0 };
+      return { name: type.quoted ? `"${type.name}"` : type.name, category: "other", size: 0 };
+    }
+    case "ArrayType":
+      return { name: "Array", category: "array", size: 0 };
+    case "StructType":
+      return { name: "Struct", category: "struct", size: 0 };
+    case "RefType":
+      return { name: "Ref", category: "other", size: 0 };
+  }
+}
+
+/** Returns an error message if a value of type source cannot be assigned to target. */
+export function assignmentError(target: SclType, source: SclType): string | undefined {
+  if (isAssignable(target, source)) return undefined;
+  const conversion = conversionName(source, target);
+  return `Cannot assign ${source.name} to ${target.name} without conversion` +
+    (conversion ? ` (use ${conversion})` : "");
+}
+
+// ─── Checker ────────────────────────────────────────────────────────────────
+
+class BlockChecker {
+  constructor(
+    private index: SymbolIndex,
+    private scope: Scope,
+    private errors: TypeError[]
+  ) {}
+
+  checkBody(body: Statement[]): void {
+    walkStatements(body, stmt => this.checkStatement(stmt));
+  }
+
+  private checkStatement(stmt: Statement): void {
+    switch (stmt.kind) {
+      case "Assignment": {
+        const target = this.typeOf(stmt.target);
+        let value = this.typeOf(stmt.value);
+        if (COMPOUND_OPERATORS.includes(stmt.operator) && target && value) {
+          value = this.binaryType(stmt.operator.charAt(0), target, value, stmt.range);
+        }
+        this.checkAssign(target, value, stmt.value.range);
+        break;
+      }
+      case "CallStatement":
+        this.typeOf(stmt.call);
+        break;
+      case "If":
+        stmt.branches.forEach(b => this.checkCondition(b.condition));
+        break;
+      case "While":
+      case "Repeat":
+        this.checkCondition(stmt.condition);
+        break;
+      case "For": {
+        const variable = this.typeOf(stmt.variable);
+        if (variable && variable.category !== "int" && !isOpaque(variable)) {
+          this.report(`FOR loop variable must be an integer, found ${variable.name}`, stmt.variable.range);
+        }
+        for (const bound of [stmt.start, stmt.end, stmt.step]) {
+          if (bound) this.checkAssign(variable, this.typeOf(bound), bound.range);
+        }
+        break;
+      }
+      default:
+        statementExpressions(stmt).forEach(e => this.typeOf(e));
+    }
+  }
+
+  private checkCondition(condition: Expression): void {
+    const type = this.typeOf(condition);
+    if (type && type.category !== "bool" && !isOpaque(type)) {
+      this.report(`Condition must be Bool, found ${type.name}`, condition.range);
+    }
+  }
+
+  private checkAssign(target: SclType | undefined, value: SclType | undefined, range: SourceRange): void {
+    if (!target || !value) return;
+    const error = assignmentError(target, value);
+    if (error) this.report(error, range);
+  }
+
+  // ── Expressions ───────────────────────────────────────────────
+
+  typeOf(expr: Expression): SclType | undefined {
+    switch (expr.kind) {
+      case "Literal":
+        return literalType(expr.literalType, expr.text, expr.typePrefix);
+      case "AddressRef":
+        return addressType(expr.address);
+      case "Paren":
+        return this.typeOf(expr.expression);
+      case "Unary":
+        return this.unaryType(expr.operator, this.typeOf(expr.operand), expr.range);
+      case "Binary": {
+        const left = this.typeOf(expr.left);
+        const right = this.typeOf(expr.right);
+        return left && right ? this.binaryType(expr.operator, left, right, expr.range) : undefined;
+      }
+      case "Call":
+        return this.callType(expr);
+      case "MemberAccess": {
+        // Slice access: #word.%X3
+        if (expr.member.startsWith("%")) {
+          this.typeOf(expr.object);
+          return addressType(expr.member);
+        }
+        return this.referenceType(expr);
+      }
+      case "IndexAccess":
+        expr.indices.forEach(i => this.typeOf(i));
+        return this.referenceType(expr);
+      case "LocalRef":
+      case "Identifier":
+      case "GlobalRef":
+      case "Deref":
+        return this.referenceType(expr);
+      default:
+        return undefined;
+    }
+  }
+
+  private referenceType(expr: Expression): SclType | undefined {
+    const container = containerOf(this.index, this.scope, expr);
+    if (!container) {
+      // PLC tag from an imported tag table: "Start_PB"
+      const tag = expr.kind === "GlobalRef" ? this.index.findTag(expr.name) : undefined;
+      return tag ? elementary(tag.dataType) : undefined;
+    }
+    if (container.kind === "type") return typeFromRef(this.index, container.type);
+
+    // Return value of the enclosing FUNCTION: "FC_Scale" := ...
+    const block = container.block.block;
+    if (block === this.scope.block && block.returnType) return typeFromRef(this.index, block.returnType);
+    return undefined;
+  }
+
+  private unaryType(operator: string, operand: SclType | undefined, range: SourceRange): SclType | undefined {
+    if (!operand) return undefined;
+    if (operator === "NOT") {
+      if (!["bool", "bits", "int"].includes(operand.category)) {
+        this.report(`Operator 'NOT' cannot be applied to ${operand.name}`, range);
+        return undefined;
+      }
+      return operand;
+    }
+    if (!["int", "real", "time"].includes(operand.category)) {
+      this.report(`Operator '${operator}' cannot be applied to ${operand.name}`, range);
+      return undefined;
+    }
+    return operand;
+  }
+
+  private binaryType(operator: string, left: SclType, right: SclType, range: SourceRange): SclType | undefined {
+    switch (operator) {
+      case "=": case "<>": case "<": case ">": case "<=": case ">=":
+        if (!comparable(left, right)) {
+          this.report(`Cannot compare ${left.name} with ${right.name}`, range);
+        }
+        return BOOL;
+      case "AND": case "OR": case "XOR":
+        return this.logicalType(operator, left, right, range);
+      default:
+        return this.arithmeticType(operator, left, right, range);
+    }
+  }
+
+  private logicalType(operator: string, left: SclType, right: SclType, range: SourceRange): SclType | undefined {
+    for (const operand of [left, right]) {
+      if (!["bool", "bits", "int"].includes(operand.category) && !isOpaque(operand)) {
+        this.report(`Operator '${operator}' cannot be applied to ${operand.name}`, range);
+        return undefined;
+      }
+    }
+    if (isOpaque(left) || isOpaque(right)) return undefined;
+    if ((left.category === "bool") !== (right.category === "bool") && !left.literal && !right.literal) {
+      this.report(`Operator '${operator}' cannot combine ${left.name} with ${right.name}`, range);
+      return undefined;
+    }
+    return wider(left, right);
+  }
+
+  private arithmeticType(operator: string, left: SclType, right: SclType, range: SourceRange): SclType | undefined {
+    for (const operand of [left, right]) {
+      if (["bool", "char", "string", "udt", "struct", "array"].includes(operand.category)) {
+        this.report(`Operator '${operator}' cannot be applied to ${operand.name}`, range);
+        return undefined;
+      }
+    }
+    if (isOpaque(left) || isOpaque(right)) return undefined;
+
+    if (NUMERIC.has(left.category) && NUMERIC.has(right.category)) {
+      if (operator === "MOD" && (left.category === "real" || right.category === "real")) {
+        this.report(`Operator 'MOD' requires integer operands, found ${left.category === "real" ? left.name : right.name}`, range);
+        return undefined;
+      }
+      if (operator === "**") return left.category === "real" ? left : right.category === "real" ? right : elementary("REAL");
+      return wider(left, right);
+    }
+
+    // Time arithmetic: Time ± Time, Time * DInt, TOD + Time, Date - Date
+    const time = timeArithmetic(operator, left, right);
+    if (time) return time;
+    this.report(`Operator '${operator}' cannot be applied to ${left.name} and ${right.name}`, range);
+    return undefined;
+  }
+
+  // ── Calls ─────────────────────────────────────────────────────
+
+  private callType(call: CallExpression): SclType | undefined {
+    const callee = call.callee;
+
+    // System functions and conversions: SQRT(x), INT_TO_REAL(x)
+    if (callee.kind === "Identifier" && !resolveExpression(this.index, this.scope, callee)) {
+      return this.systemCallType(callee.name, call);
+    }
+
+    // IEC timers, counters and edge detectors: #StartupTimer(IN := ..., PT := ...)
+    const container = containerOf(this.index, this.scope, callee);
+    const instance = container && instanceType(container);
+    const members = instance && instance.kind === "NamedType" ? SYSTEM_FB_MEMBERS[instance.name.toUpperCase()] : undefined;
+    if (members) {
+      for (const arg of call.args) {
+        const value = this.typeOf(arg.value);
+        const member = arg.name ? members.find(m => m.label.toLowerCase() === arg.name!.toLowerCase()) : undefined;
+        if (member && value) this.checkArgument(arg, member.label, elementary(member.detail), value);
+      }
+      return undefined;
+    }
+
+    // FCs, FB instances and multi-instances with a known interface
+    const params = parametersOf(this.index, this.scope, callee);
+    for (const arg of call.args) {
+      const value = this.typeOf(arg.value);
+      if (!arg.name) continue;
+      const param = params.find(p => p.name.toLowerCase() === arg.name!.toLowerCase());
+      if (!param || param.kind !== "variable" || !value) continue;
+      const paramType = typeFromRef(this.index, (param.node as VarDeclaration).type);
+      this.checkArgument(arg, param.name, paramType, value);
+    }
+
+    if (container && container.kind === "block" && container.block.type === "FUNCTION") {
+      const returnType = container.block.block.returnType;
+      return returnType ? typeFromRef(this.index, returnType) : undefined;
+    }
+    return undefined;
+  }
+
+  /** Outputs (=>) are assigned from the parameter, inputs to it. */
+  private checkArgument(
+    arg: Argument,
+    param: string,
+    paramType: SclType | undefined,
+    value: SclType
+  ): void {
+    if (!paramType) return;
+    const error = arg.direction === "output" ? assignmentError(value, paramType) : assignmentError(paramType, value);
+    if (error) this.report(`${error} (parameter '${param}')`, arg.value.range);
+  }
+
+  private systemCallType(name: string, call: CallExpression): SclType | undefined {
+    const upper = name.toUpperCase();
+    const fn = SYSTEM_FUNCTIONS.find(f => f.label.toUpperCase() === upper);
+    const argTypes = call.args.map(a => this.typeOf(a.value));
+
+    if (!fn) {
+      // Generic conversion: TIME_TO_DINT, INT_TO_LREAL, ...
+      const match = CONVERSION.exec(upper);
+      const from = match && elementary(match[1]);
+      const to = match && elementary(match[2]);
+      if (!from || !to) return undefined;
+      this.checkSystemArgument(name, "IN", from.name, argTypes[0], call, 0);
+      return to;
+    }
+
+    const params = fn.parameters.map(p => parameterSignature(p.label));
+    call.args.forEach((arg, i) => {
+      const param = arg.name
+        ? params.find(p => p.name.toUpperCase() === arg.name!.toUpperCase())
+        : params[i];
+      if (param) this.checkSystemArgument(fn.label, param.name, param.type, argTypes[i], call, i);
+    });
+
+    return systemReturnType(fn, argTypes);
+  }
+
+  private checkSystemArgument(
+    fn: string,
+    param: string,
+    expected: string,
+    actual: SclType | undefined,
+    call: CallExpression,
+    argIndex: number
+  ): void {
+    if (!actual || call.args[argIndex].direction === "output") return;
+    const range = call.args[argIndex].value.range;
+
+    if (expected === "Numeric") {
+      if (!NUMERIC.has(actual.category) && actual.category !== "time" && !isOpaque(actual)) {
+        this.report(`${fn} expects a numeric value for '${param}', found ${actual.name}`, range);
+      }
+      return;
+    }
+
+    const target = elementary(expected);
+    if (!target) return;   // Any, Variant, Array of Byte
+    const error = assignmentError(target, actual);
+    if (error) this.report(`${fn} expects ${target.name} for '${param}', found ${actual.name}`, range);
+  }
+
+  private report(message: string, range: SourceRange): void {
+    this.errors.push({ message, range });
+  }
+}
+
+// ─── Compatibility ──────────────────────────────────────────────────────────
+
+function isAssignable(target: SclType, source: SclType): boolean {
+  if (isOpaque(target) || isOpaque(source)) return true;
+  if (target.category === "udt" || source.category === "udt") {
+    return target.category === source.category && target.name.toLowerCase() === source.name.toLowerCase();
+  }
+  if (["struct", "array"].includes(target.category) || ["struct", "array"].includes(source.category)) {
+    return true;   // Checked element-wise by TIA Portal, not here
+  }
+
+  switch (target.category) {
+    case "bool":
+      return source.category === "bool";
+    case "bits":
+      return ["bool", "bits", "int", "char"].includes(source.category);
+    case "int":
+      return source.category === "int" || source.category === "bits";
+    case "real":
+      return source.category === "real" || source.category === "int";
+    case "time":
+      return source.category === "time" || (source.literal === true && source.category === "int");
+    case "char":
+      return source.category === "char" || (source.literal === true && source.category === "string");
+    case "string":
+      return source.category === "string" || source.category === "char";
+    default:
+      return target.category === source.category;
+  }
+}
+
+function comparable(left: SclType, right: SclType): boolean {
+  if (isOpaque(left) || isOpaque(right)) return true;
+  if (NUMERIC.has(left.category) && NUMERIC.has(right.category)) return true;
+  const text = ["char", "string"];
+  if (text.includes(left.category) && text.includes(right.category)) return true;
+  if (left.category === "time" || right.category === "time") {
+    return isAssignable(left, right) || isAssignable(right, left);
+  }
+  if (left.category === "udt" || right.category === "udt") return false;
+  return left.category === right.category;
+}
+
+function timeArithmetic(operator: string, left: SclType, right: SclType): SclType | undefined {
+  const isInt = (t: SclType) => t.category === "int";
+  const isTime = (t: SclType) => t.category === "time";
+  const isPoint = (t: SclType) => ["date", "tod", "dt"].includes(t.category);
+
+  if (operator === "+" || operator === "-") {
+    if (isTime(left) && (isTime(right) || isInt(right))) return left;
+    if (isInt(left) && isTime(right) && operator === "+") return right;
+    if (isPoint(left) && isTime(right)) return left;
+    if (operator === "-" && isPoint(left) && left.category === right.category) {
+      return elementary(left.category === "date" ? "TIME" : left.size > 32 ? "LTIME" : "TIME");
+    }
+  }
+  if ((operator === "*" || operator === "/") && isTime(left) && isInt(right)) return left;
+  if (operator === "*" && isInt(left) && isTime(right)) return right;
+  return undefined;
+}
+
+/** Types whose values are not checked (system FBs, Variant, PLC tags, ...) */
+function isOpaque(type: SclType): boolean {
+  return type.category === "other";
+}
+
+/** The operand type that an arithmetic or logical result takes. */
+function wider(left: SclType, right: SclType): SclType {
+  if (left.literal && !right.literal) return right.category === "int" && left.category === "real" ? left : right;
+  if (right.literal && !left.literal) return left.category === "int" && right.category === "real" ? right : left;
+  if (left.category === "real" && right.category !== "real") return left;
+  if (right.category === "real" && left.category !== "real") return right;
+  return right.size > left.size ? right : left;
+}
+
+function conversionName(source: SclType, target: SclType): string | undefined {
+  if (source.literal || !ELEMENTARY[source.name.toUpperCase()] || !ELEMENTARY[target.name.toUpperCase()]) {
+    return undefined;
+  }
+  return `${source.name.toUpperCase()}_TO_${target.name.toUpperCase()}`;
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function elementary(name: string): SclType | undefined {
+  const entry = ELEMENTARY[name.toUpperCase()];
+  return entry ? { name: entry[0], category: entry[1], size: entry[2] } : undefined;
+}
+
+function literalType(kind: string, text: string, prefix?: string): SclType | undefined {
+  switch (kind) {
+    case "integer":
+      return { name: "integer literal", category: "int", size: 0, literal: true };
+    case "real":
+      return { name: "real literal", category: "real", size: 0, literal: true };
+    case "boolean":
+      return BOOL;
+    case "string":
+      return { name: text.length === 3 ? "Char" : "String", category: "string", size: 0, literal: true };
+    case "null":
+      return undefined;
+    default: {
+      // T#5s, TOD#12:00, INT#5, REAL#1.5 (16#FF has a numeric prefix)
+      if (!prefix || /^\d+$/.test(prefix)) return { name: "integer literal", category: "int", size: 0, literal: true };
+      return elementary(TYPED_LITERAL_PREFIXES[prefix] || prefix);
+    }
+  }
+}
+
+function addressType(address: string): SclType | undefined {
+  const match = /^%(?:DB\d+\.DB|P?[IQMEA])?([XBWDL]?)\d/.exec(address);
+  return match ? elementary(ADDRESS_SIZES[match[1]]) : undefined;
+}
+
+/** Splits a sclData parameter label ("IN1: Numeric") into name and type. */
+function parameterSignature(label: string): { name: string; type: string } {
+  const colon = label.indexOf(":");
+  if (colon < 0) return { name: label.trim(), type: "Any" };
+  return { name: label.substring(0, colon).trim(), type: label.substring(colon + 1).trim() };
+}
+
+/** Return type of a system function; "Numeric" and "Any" follow the arguments (ABS, MAX, SEL). */
+function systemReturnType(fn: SclFunction, argTypes: (SclType | undefined)[]): SclType | undefined {
+  if (fn.returnType === "Numeric" || fn.returnType === "Any") {
+    const known = argTypes.filter((t): t is SclType => t !== undefined && !t.literal && t.category !== "bool");
+    return known.length > 0 ? known.reduce(wider) : undefined;
+  }
+  return elementary(fn.returnType);
+}
@@ -0,0 +1,224 @@
+/**
+ * SCL Unit Tests - Test cases for FBs and FCs, run on the simulator.
+ *
+ * A test file (*.scltest.json) names the block under test and a list of
+ * test cases. Every case starts with a fresh instance and runs its steps in
+ * order; each step may set variables, run cycles or simulated time, and check
+ * values, in this order:
+ *
+ *   {
+ *     "block": "FB_MotorControl",
+ *     "cycleTime": 100,
+ *     "tests": [{
+ *       "name": "runs after the startup delay",
+ *       "steps": [
+ *         { "set": { "Start": true }, "wait": "T#3s100ms", "expect": { "State": 20 } },
+ *         { "cycles": 1, "expect": { "Running": true, "StartupTimer.ET": "T#0ms" } }
+ *       ]
+ *     }]
+ *   }
+ *
+ * Values are JSON booleans and numbers or SCL literals as strings ("T#3s",
+ * "16#00FF", "'text'"). Expectation keys are variable paths or any
+ * expression ("Speed_PV > 50.0"). Reals are compared with the "tolerance" of
+ * the case or file, everything else by its SCL text.
+ */
+
+import { SclSimulator } from "./interpreter";
+import { SymbolIndex } from "./symbolIndex";
+import { RuntimeType, SimulationError, TIME, Value, convertValue, formatValue, parseValue } from "./runtimeValues";
+
+export const TEST_FILE = /\.scltest\.json$/i;
+export const TEST_FILE_GLOB = "**/*.scltest.json";
+export const RUN_TESTS_REQUEST = "tia-scl/runTests";
+
+export type TestValue = boolean | number | string;
+
+export interface SclTestFile {
+  block?: string;                 // Block under test of all cases
+  cycleTime?: number;             // ms (default 100)
+  tolerance?: number;             // Allowed difference of Real values (default 0)
+  tests: SclTestCase[];
+}
+
+export interface SclTestCase {
+  name: string;
+  block?: string;
+  cycleTime?: number;
+  tolerance?: number;
+  steps: SclTestStep[];
+}
+
+export interface SclTestStep {
+  set?: Record<string, TestValue>;
+  cycles?: number;
+  wait?: TestValue;               // Simulated time: "T#3s" or ms
+  expect?: Record<string, TestValue>;
+}
+
+/** Test case with the 0-based line of its name in the test file */
+export interface TestCaseInfo {
+  name: string;
+  line: number;
+}
+
+export interface TestFailure {
+  message: string;
+  uri?: string;                   // SCL file of a simulation error; otherwise the test file
+  line: number;
+  expression?: string;
+  expected?: string;
+  actual?: string;
+}
+
+export interface TestResult {
+  name: string;
+  line: number;
+  passed: boolean;
+  duration: number;               // Real time in ms
+  cycles: number;                 // Cycles run
+  failures: TestFailure[];
+}
+
+export interface RunTestsParams {
+  text: string;                   // Content of the test file
+  tests?: string[];               // Names of the cases to run (default: all)
+}
+
+const STEP_KEYS = ["set", "cycles", "wait", "expect"];
+
+// ─── Parsing ────────────────────────────────────────────────────────────────
+
+/** Parses and checks a test file; throws an Error describing the first problem. */
+export function parseTestFile(text: string): { file: SclTestFile; cases: TestCaseInfo[] } {
+  let data: unknown;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid JSON: ${e instanceof Error ? e.message : String(e)}`);
+  }
+  if (!isObject(data) || !Array.isArray(data.tests)) throw new Error(`A test file needs a "tests" array`);
+  const file = data as unknown as SclTestFile;
+
+  const names = new Set<string>();
+  const cases: TestCaseInfo[] = [];
+  let offset = 0;
+  for (const [i, test] of file.tests.entries()) {
+    if (!isObject(test) || typeof test.name !== "string" || !test.name) throw new Error(`Test ${i + 1} has no "name"`);
+    if (names.has(test.name)) throw new Error(`There are two tests named "${test.name}"`);
+    names.add(test.name);
+    if (!test.block && !file.block) throw new Error(`Test "${test.name}" names no "block" to test`);
+    if (!Array.isArray(test.steps)) throw new Error(`Test "${test.name}" needs a "steps" array`);
+    for (const [n, step] of test.steps.entries()) {
+      const unknown = isObject(step) ? Object.keys(step).find(k => !STEP_KEYS.includes(k)) : "";
+      if (unknown !== undefined) {
+        throw new Error(`Step ${n + 1} of "${test.name}": ${unknown ? `unknown key "${unknown}"` : "not an object"} (use ${STEP_KEYS.join(", ")})`);
+      }
+    }
+    // Locate "name": "..." in the text for the Testing view and failure locations
+    const found = text.indexOf(JSON.stringify(test.name), offset);
+    if (found >= 0) offset = found + 1;
+    cases.push({ name: test.name, line: lineOf(text, found >= 0 ? found : 0) });
+  }
+  return { file, cases };
+}
+
+// ─── Running ────────────────────────────────────────────────────────────────
+
+/** Runs the cases of a test file (all, or the named ones). */
+export function runTests(index: SymbolIndex, text: string, names?: string[]): TestResult[] {
+  const { file, cases } = parseTestFile(text);
+  const results: TestResult[] = [];
+  for (const [i, test] of file.tests.entries()) {
+    if (names && !names.includes(test.name)) continue;
+    results.push(runTestCase(index, file, test, cases[i].line, text));
+  }
+  return results;
+}
+
+function runTestCase(index: SymbolIndex, file: SclTestFile, test: SclTestCase, line: number, text: string): TestResult {
+  const started = Date.now();
+  const failures: TestFailure[] = [];
+  const tolerance = test.tolerance ?? file.tolerance ?? 0;
+  const locate = (key: string) => {
+    const start = text.indexOf(JSON.stringify(test.name));
+    const found = start >= 0 ? text.indexOf(JSON.stringify(key), start) : -1;
+    return found >= 0 ? lineOf(text, found) : line;
+  };
+  let simulator: SclSimulator | undefined;
+
+  try {
+    simulator = new SclSimulator(index, (test.block ?? file.block)!, { cycleTime: test.cycleTime ?? file.cycleTime });
+    for (const step of test.steps) {
+      for (const [path, value] of Object.entries(step.set ?? {})) simulator.set(path, value);
+      if (step.cycles !== undefined) simulator.run(step.cycles);
+      if (step.wait !== undefined) simulator.runFor(duration(step.wait));
+      for (const [expression, expected] of Object.entries(step.expect ?? {})) {
+        const failure = check(simulator, expression, expected, tolerance);
+        if (failure) failures.push({ ...failure, line: locate(expression) });
+      }
+      // Later steps build on this one
+      if (failures.length > 0) break;
+    }
+  } catch (e) {
+    const message = e instanceof Error ? e.message : String(e);
+    if (e instanceof SimulationError && e.uri && e.range) {
+      failures.push({ message, uri: e.uri, line: e.range.start.line });
+    } else {
+      failures.push({ message, line });
+    }
+  }
+
+  return {
+    name: test.name,
+    line,
+    passed: failures.length === 0,
+    duration: Date.now() - started,
+    cycles: simulator?.cycle ?? 0,
+    failures,
+  };
+}
+
+function check(simulator: SclSimulator, expression: string, expected: TestValue, tolerance: number): Omit<TestFailure, "line"> | undefined {
+  const { type, value } = simulator.evaluate(expression);
+  const actualText = formatValue(value, type);
+  const expectedValue = expectedOf(expected, type);
+  if (expectedValue === undefined) {
+    return { message: `${expression}: '${expected}' is not a valid ${type.name}`, expression };
+  }
+  const expectedText = formatValue(expectedValue, type);
+  const equal = type.kind === "elementary" && type.category === "real"
+    ? Math.abs(Number(value) - Number(expectedValue)) <= tolerance || actualText === expectedText
+    : actualText === expectedText;
+  if (equal) return undefined;
+  return {
+    message: `${expression}: expected ${expectedText}, actual ${actualText}`,
+    expression,
+    expected: expectedText,
+    actual: actualText,
+  };
+}
+
+function expectedOf(expected: TestValue, type: RuntimeType): Value | undefined {
+  if (typeof expected === "string") return parseValue(expected, type);
+  return convertValue(expected, type);
+}
+
+function duration(wait: TestValue): number {
+  if (typeof wait === "number") return wait;
+  const ms = typeof wait === "string" ? parseValue(wait, TIME) : undefined;
+  if (typeof ms !== "number") throw new Error(`"wait" expects a duration like "T#3s" or milliseconds, not ${JSON.stringify(wait)}`);
+  return ms;
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function isObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function lineOf(text: string, offset: number): number {
+  let line = 0;
+  for (let i = 0; i < offset; i++) if (text.charCodeAt(i) === 10) line++;
+  return line;
+}
@@ -0,0 +1,54 @@
+/**
+ * SCL Webviews - Panel and page frame shared by the cross-reference,
+ * simulator and program structure views.
+ *
+ * A page runs only the style and script it is built from: the
+ * Content-Security-Policy allows nothing else, and both carry a fresh nonce.
+ * Before the page script runs, `vscode` holds the webview API and
+ * `escape(s)` quotes text for HTML.
+ */
+
+import * as vscode from "vscode";
+
+/** Parts of a page; each starts and ends with a line break */
+export interface WebviewPage {
+  title: string;
+  style: string;                  // CSS after the shared body and button rules
+  body: string;                   // HTML before the script
+  script: string;
+}
+
+/** Opens a webview panel that runs scripts and keeps its state while hidden. */
+export function createWebviewPanel(viewType: string, title: string, column: vscode.ViewColumn): vscode.WebviewPanel {
+  return vscode.window.createWebviewPanel(viewType, title, column, { enableScripts: true, retainContextWhenHidden: true });
+}
+
+/** The page as HTML, with a new nonce each time */
+export function webviewHtml(page: WebviewPage): string {
+  const nonce = createNonce();
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'nonce-${nonce}'; script-src 'nonce-${nonce}';">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${page.title}</title>
+<style nonce="${nonce}">
+  body { font-family: var(--vscode-font-family); font-size: var(--vscode-font-size); color: var(--vscode-foreground); }
+  button { background: var(--vscode-button-background); color: var(--vscode-button-foreground); border: none; padding: 4px 10px; cursor: pointer; }
+  button:hover { background: var(--vscode-button-hoverBackground); }${page.style}</style>
+</head>
+<body>${page.body}<script nonce="${nonce}">
+  const vscode = acquireVsCodeApi();
+  const escape = s => String(s).replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+${page.script}</script>
+</body>
+</html>`;
+}
+
+function createNonce(): string {
+  const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+  let result = "";
+  for (let i = 0; i < 32; i++) result += chars.charAt(Math.floor(Math.random() * chars.length));
+  return result;
+}
@@ -0,0 +1,219 @@
+/**
+ * SCL Workspace Index - Keeps the SymbolIndex in sync with the workspace.
+ *
+ * - Parses every .scl file of the workspace folders in the background
+ * - Imports the PLC tag tables exported from TIA Portal (.xlsx, .csv, .xml)
+ * - Indexes blocks exported as SimaticML (.xml) through their generated SCL
+ * - Follows created, changed and deleted files (workspace/didChangeWatchedFiles)
+ * - Uses the live text of open documents (debounced) instead of the saved file
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+import { FileChangeType, FileEvent, TextDocuments } from "vscode-languageserver";
+import { TextDocument } from "vscode-languageserver-textdocument";
+import { URI } from "vscode-uri";
+import { SymbolIndex } from "./symbolIndex";
+import { ParseResult } from "./parser";
+import { TAG_TABLE_FILE, readTagTable } from "./tagTable";
+import { isSimaticMl, simaticMlToScl } from "./simaticMl";
+
+export const SCL_GLOB = "**/*.{scl,SCL}";
+const EXCLUDED_DIRS = new Set(["node_modules", ".git"]);
+const MAX_EXPORT_SIZE = 20 * 1024 * 1024;
+
+export class SclWorkspaceIndex {
+  readonly symbols = new SymbolIndex();
+  /** Resolves once the initial workspace scan has finished */
+  readonly ready: Promise<void>;
+
+  private resolveReady!: () => void;
+  private folders: string[] = [];                  // Workspace folder paths
+  private versions = new Map<string, number>();   // Document version of each indexed editor
+  private debounceTimers = new Map<string, ReturnType<typeof setTimeout>>();
+  private readonly debounceMs = 300;
+
+  constructor(private documents: TextDocuments<TextDocument>) {
+    this.ready = new Promise(resolve => (this.resolveReady = resolve));
+
+    documents.onDidOpen(({ document }) => this.parseDocument(document));
+    documents.onDidChangeContent(({ document }) => this.updateDebounced(document));
+    // Unsaved changes are discarded when a document is closed
+    documents.onDidClose(({ document }) => {
+      const uri = URI.parse(document.uri);
+      if (uri.scheme === "file") {
+        if (uri.toString() !== document.uri) this.symbols.remove(document.uri);
+        this.readFile(uri);
+      } else {
+        this.symbols.remove(document.uri);
+      }
+    });
+  }
+
+  /** Indexes all .scl files, tag tables and SimaticML exports below the workspace folders. */
+  async scanFolders(folderUris: string[]): Promise<void> {
+    this.folders = folderUris.map(f => URI.parse(f).fsPath);
+    try {
+      for (const folder of this.folders) {
+        for (const file of await findFiles(folder)) {
+          if (TAG_TABLE_FILE.test(file)) {
+            await this.readExport(URI.file(file));
+          } else {
+            await this.indexFile(URI.file(file));
+          }
+        }
+      }
+    } finally {
+      // Requests waiting for the scan go ahead with what was indexed
+      this.resolveReady();
+    }
+  }
+
+  /** Applies file system changes reported by the client. */
+  filesChanged(changes: FileEvent[]): void {
+    for (const change of changes) {
+      const uri = URI.parse(change.uri);
+      if (TAG_TABLE_FILE.test(uri.path)) {
+        if (change.type === FileChangeType.Deleted) {
+          this.symbols.remove(uri.toString());
+        } else {
+          this.readExport(uri);
+        }
+      } else if (change.type === FileChangeType.Deleted) {
+        this.symbols.remove(uri.toString());
+      } else if (!this.documents.get(change.uri)) {
+        // Open documents are tracked through their editor text
+        this.readFile(uri);
+      }
+    }
+  }
+
+  /**
+   * Returns the parse result of a document, reparsing it if the index is stale.
+   * Providers use this so the current file is always up to date.
+   */
+  parseDocument(document: TextDocument): ParseResult {
+    const key = document.uri;
+    const pending = this.debounceTimers.get(key);
+    if (pending) {
+      clearTimeout(pending);
+      this.debounceTimers.delete(key);
+    }
+    const cached = this.versions.get(key);
+    const existing = this.symbols.getFile(key);
+    if (existing && cached === document.version) return existing;
+    this.versions.set(key, document.version);
+
+    // Clients may spell file URIs differently than the scan (c%3A vs C:)
+    const scanned = URI.parse(key).toString();
+    if (scanned !== key) this.symbols.remove(scanned);
+    return this.symbols.update(key, document.getText());
+  }
+
+  /**
+   * Reparses open documents with pending edits. Cross-file queries call this
+   * first so they never see text that is older than the editor.
+   */
+  syncOpenDocuments(): void {
+    for (const doc of this.documents.all()) this.parseDocument(doc);
+  }
+
+  /** Path of a file relative to its workspace folder, for display. */
+  relativePath(uri: string): string {
+    const file = URI.parse(uri).fsPath;
+    for (const folder of this.folders) {
+      const relative = path.relative(folder, file);
+      if (!relative.startsWith("..") && !path.isAbsolute(relative)) {
+        return relative.split(path.sep).join("/");
+      }
+    }
+    return file;
+  }
+
+  dispose(): void {
+    for (const timer of this.debounceTimers.values()) clearTimeout(timer);
+    this.debounceTimers.clear();
+  }
+
+  // ── Internals ─────────────────────────────────────────────────
+
+  private async indexFile(uri: URI): Promise<void> {
+    const open = this.documents.get(uri.toString());
+    if (open) {
+      this.parseDocument(open);
+    } else {
+      await this.readFile(uri);
+    }
+  }
+
+  private async readFile(uri: URI): Promise<void> {
+    const key = uri.toString();
+    try {
+      const text = await fs.promises.readFile(uri.fsPath, "utf8");
+      this.versions.delete(key);
+      this.symbols.update(key, text);
+    } catch {
+      // File vanished between discovery and read
+      this.symbols.remove(key);
+    }
+  }
+
+  /**
+   * Indexes the blocks of a SimaticML export or imports a tag table; other
+   * .csv/.xlsx/.xml files contribute nothing.
+   */
+  private async readExport(uri: URI): Promise<void> {
+    const key = uri.toString();
+    try {
+      const stat = await fs.promises.stat(uri.fsPath);
+      if (stat.size > MAX_EXPORT_SIZE) return;
+      const data = await fs.promises.readFile(uri.fsPath);
+      const text = /\.xml$/i.test(uri.path) ? data.toString("utf8") : "";
+      if (isSimaticMl(text)) {
+        const source = simaticMlToScl(text);
+        this.symbols.setTags(key, []);
+        this.symbols.updateGenerated(key, source.text, source.sourceLines);
+        return;
+      }
+      if (this.symbols.isGenerated(key)) this.symbols.remove(key);
+      this.symbols.setTags(key, readTagTable(uri.fsPath, data, key) || []);
+    } catch {
+      this.symbols.remove(key);
+    }
+  }
+
+  private updateDebounced(document: TextDocument): void {
+    const key = document.uri;
+    const existing = this.debounceTimers.get(key);
+    if (existing) clearTimeout(existing);
+
+    this.debounceTimers.set(
+      key,
+      setTimeout(() => {
+        this.debounceTimers.delete(key);
+        const current = this.documents.get(key);
+        if (current) this.parseDocument(current);
+      }, this.debounceMs)
+    );
+  }
+}
+
+/** .scl files, possible tag tables and SimaticML exports below a folder */
+async function findFiles(dir: string): Promise<string[]> {
+  let entries: fs.Dirent[];
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const files: string[] = [];
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!EXCLUDED_DIRS.has(entry.name)) files.push(...await findFiles(full));
+    } else if (/\.scl$/i.test(entry.name) || TAG_TABLE_FILE.test(entry.name)) {
+      files.push(full);
+    }
+  }
+  return files;
+}
@@ -0,0 +1,144 @@
+/**
+ * SCL XLSX - Reads the cell values of Excel workbooks (TIA Portal tag table exports).
+ *
+ * An .xlsx file is a ZIP archive of XML parts; only the workbook, the shared
+ * strings and the worksheets are read. Every cell value is returned as text
+ * (numbers as written in the sheet, booleans as "TRUE"/"FALSE"); formulas
+ * give their cached result. ZIP64 and encrypted workbooks are not supported.
+ */
+
+import * as zlib from "zlib";
+import { XmlElement, childElement, childElements, descendants, parseXml, textContent } from "./xml";
+
+export interface Worksheet {
+  name: string;
+  rows: string[][];               // Rows and cells in sheet order; missing cells are ""
+}
+
+/** Reads every worksheet of a workbook. Throws an Error if the file is not a readable .xlsx. */
+export function readWorkbook(data: Buffer): Worksheet[] {
+  const entries = readZip(data);
+  const part = (name: string) => {
+    const entry = entries.get(name);
+    return entry ? parseXml(entry().toString("utf8")) : undefined;
+  };
+
+  const workbook = part("xl/workbook.xml");
+  if (!workbook) throw new Error("Not an Excel workbook (xl/workbook.xml is missing)");
+
+  // Sheet name → part name through the workbook relationships
+  const targets = new Map<string, string>();
+  const relations = part("xl/_rels/workbook.xml.rels");
+  for (const rel of relations ? childElements(relations, "Relationship") : []) {
+    const target = rel.attributes.Target || "";
+    targets.set(rel.attributes.Id, target.startsWith("/") ? target.substring(1) : `xl/${target}`);
+  }
+
+  const sharedStringsPart = part("xl/sharedStrings.xml");
+  const sharedStrings = sharedStringsPart ? childElements(sharedStringsPart, "si").map(stringItem) : [];
+
+  const sheets: Worksheet[] = [];
+  for (const sheet of descendants(workbook, "sheet")) {
+    const target = targets.get(sheet.attributes["r:id"]);
+    const xml = target ? part(target) : undefined;
+    if (xml) sheets.push({ name: sheet.attributes.name || "", rows: sheetRows(xml, sharedStrings) });
+  }
+  return sheets;
+}
+
+function sheetRows(sheet: XmlElement, sharedStrings: string[]): string[][] {
+  const data = childElement(sheet, "sheetData");
+  if (!data) return [];
+  const rows: string[][] = [];
+  for (const row of childElements(data, "row")) {
+    const cells: string[] = [];
+    for (const cell of childElements(row, "c")) {
+      const column = cell.attributes.r ? columnIndex(cell.attributes.r) : cells.length;
+      while (cells.length < column) cells.push("");
+      cells[column] = cellValue(cell, sharedStrings);
+    }
+    // Row numbers skip empty rows
+    const number = Number(row.attributes.r);
+    while (number > 0 && rows.length < number - 1) rows.push([]);
+    rows.push(cells);
+  }
+  return rows;
+}
+
+function cellValue(cell: XmlElement, sharedStrings: string[]): string {
+  const value = childElement(cell, "v");
+  switch (cell.attributes.t) {
+    case "s":
+      return value ? sharedStrings[Number(textContent(value))] ?? "" : "";
+    case "inlineStr": {
+      const inline = childElement(cell, "is");
+      return inline ? stringItem(inline) : "";
+    }
+    case "b":
+      return value && textContent(value) === "1" ? "TRUE" : "FALSE";
+    default:
+      return value ? textContent(value) : "";
+  }
+}
+
+/** Text of a shared or inline string; rich text is made of several runs */
+function stringItem(item: XmlElement): string {
+  return descendants(item, "t").map(textContent).join("");
+}
+
+/** "C12" → 2 */
+function columnIndex(reference: string): number {
+  let index = 0;
+  for (const ch of /^[A-Z]*/i.exec(reference)![0].toUpperCase()) {
+    index = index * 26 + ch.charCodeAt(0) - 64;
+  }
+  return Math.max(index - 1, 0);
+}
+
+// ─── ZIP ────────────────────────────────────────────────────────────────────
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+/** Entries of a ZIP archive by name; each is decompressed when it is read. */
+function readZip(data: Buffer): Map<string, () => Buffer> {
+  // The end record is at most 64 KiB (comment) from the end
+  let end = -1;
+  for (let i = data.length - 22; i >= Math.max(0, data.length - 22 - 0xffff); i--) {
+    if (data.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error("Not a ZIP archive");
+
+  const count = data.readUInt16LE(end + 10);
+  let offset = data.readUInt32LE(end + 16);
+  const entries = new Map<string, () => Buffer>();
+  for (let i = 0; i < count; i++) {
+    if (data.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) throw new Error("Corrupt ZIP central directory");
+    const flags = data.readUInt16LE(offset + 8);
+    const method = data.readUInt16LE(offset + 10);
+    const compressedSize = data.readUInt32LE(offset + 20);
+    const nameLength = data.readUInt16LE(offset + 28);
+    const extraLength = data.readUInt16LE(offset + 30);
+    const commentLength = data.readUInt16LE(offset + 32);
+    const localOffset = data.readUInt32LE(offset + 42);
+    const name = data.toString("utf8", offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    entries.set(name, () => {
+      if (flags & 1) throw new Error(`${name} is encrypted`);
+      if (data.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) throw new Error(`Corrupt ZIP entry ${name}`);
+      const start = localOffset + 30 + data.readUInt16LE(localOffset + 26) + data.readUInt16LE(localOffset + 28);
+      const content = data.subarray(start, start + compressedSize);
+      switch (method) {
+        case 0: return content;
+        case 8: return zlib.inflateRawSync(content);
+        default: throw new Error(`${name} uses an unsupported compression method (${method})`);
+      }
+    });
+  }
+  return entries;
+}
@@ -0,0 +1,208 @@
+/**
+ * SCL XML - Small XML reader for TIA Portal exports.
+ *
+ * Builds an element tree from Openness XML (tag tables, SimaticML) and the
+ * parts of XLSX workbooks. Supports attributes, character and entity
+ * references, CDATA, comments and processing instructions; DTDs and
+ * namespaces are not interpreted (prefixes stay part of the name).
+ */
+
+export interface XmlElement {
+  name: string;
+  attributes: Record<string, string>;
+  children: XmlNode[];
+  line: number;                   // 0-based line of the start tag
+}
+
+export type XmlNode = XmlElement | string;
+
+const ENTITIES: Record<string, string> = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+
+/** Parses a document and returns its root element. Throws an Error on malformed XML. */
+export function parseXml(text: string): XmlElement {
+  return new XmlReader(text).document();
+}
+
+/** Child elements, optionally only those with the given name. */
+export function childElements(element: XmlElement, name?: string): XmlElement[] {
+  return element.children.filter((c): c is XmlElement => typeof c !== "string" && (!name || c.name === name));
+}
+
+/** First child element with the given name. */
+export function childElement(element: XmlElement, name: string): XmlElement | undefined {
+  return element.children.find((c): c is XmlElement => typeof c !== "string" && c.name === name);
+}
+
+/** All descendant elements with the given name, in document order. */
+export function descendants(element: XmlElement, name: string): XmlElement[] {
+  const found: XmlElement[] = [];
+  const visit = (e: XmlElement) => {
+    for (const child of childElements(e)) {
+      if (child.name === name) found.push(child);
+      visit(child);
+    }
+  };
+  visit(element);
+  return found;
+}
+
+/** Concatenated text content of an element and its descendants. */
+export function textContent(element: XmlElement): string {
+  return element.children.map(c => typeof c === "string" ? c : textContent(c)).join("");
+}
+
+/** Escapes text for use in element content or attribute values. */
+export function escapeXml(text: string): string {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// ─── Reader ─────────────────────────────────────────────────────────────────
+
+class XmlReader {
+  private pos = 0;
+  private counted = 0;            // Offset up to which lines have been counted
+  private line = 0;
+
+  constructor(private text: string) {
+    if (text.charCodeAt(0) === 0xfeff) this.pos = 1;
+  }
+
+  document(): XmlElement {
+    this.misc();
+    if (this.text[this.pos] !== "<") this.fail("Expected the root element");
+    const root = this.element();
+    this.misc();
+    if (this.pos < this.text.length) this.fail("Content after the root element");
+    return root;
+  }
+
+  /** Skips whitespace, comments, processing instructions and the DOCTYPE. */
+  private misc(): void {
+    for (;;) {
+      while (/\s/.test(this.text[this.pos] || "")) this.pos++;
+      if (this.text.startsWith("<?", this.pos)) {
+        this.skipPast("?>");
+      } else if (this.text.startsWith("<!--", this.pos)) {
+        this.skipPast("-->");
+      } else if (this.text.startsWith("<!DOCTYPE", this.pos)) {
+        this.skipPast(">");
+      } else {
+        return;
+      }
+    }
+  }
+
+  private element(): XmlElement {
+    const line = this.lineAt(this.pos);
+    this.pos++;                                          // <
+    const name = this.name();
+    const attributes: Record<string, string> = {};
+
+    for (;;) {
+      this.whitespace();
+      const ch = this.text[this.pos];
+      if (ch === "/" && this.text[this.pos + 1] === ">") {
+        this.pos += 2;
+        return { name, attributes, children: [], line };
+      }
+      if (ch === ">") {
+        this.pos++;
+        break;
+      }
+      const attribute = this.name();
+      this.whitespace();
+      if (this.text[this.pos] !== "=") this.fail(`Expected '=' after attribute '${attribute}'`);
+      this.pos++;
+      this.whitespace();
+      const quote = this.text[this.pos];
+      if (quote !== '"' && quote !== "'") this.fail(`Expected a quoted value for attribute '${attribute}'`);
+      const end = this.text.indexOf(quote, this.pos + 1);
+      if (end < 0) this.fail("Unterminated attribute value");
+      attributes[attribute] = this.decode(this.text.substring(this.pos + 1, end));
+      this.pos = end + 1;
+    }
+
+    const children: XmlNode[] = [];
+    let text = "";
+    for (;;) {
+      if (this.pos >= this.text.length) this.fail(`Element '${name}' is not closed`);
+      if (this.text.startsWith("</", this.pos)) {
+        this.pos += 2;
+        const closing = this.name();
+        if (closing !== name) this.fail(`Expected </${name}>, found </${closing}>`);
+        this.whitespace();
+        if (this.text[this.pos] !== ">") this.fail(`Expected '>' after </${name}`);
+        this.pos++;
+        break;
+      }
+      if (this.text.startsWith("<![CDATA[", this.pos)) {
+        const end = this.text.indexOf("]]>", this.pos);
+        if (end < 0) this.fail("Unterminated CDATA section");
+        text += this.text.substring(this.pos + 9, end);
+        this.pos = end + 3;
+      } else if (this.text.startsWith("<!--", this.pos)) {
+        this.skipPast("-->");
+      } else if (this.text.startsWith("<?", this.pos)) {
+        this.skipPast("?>");
+      } else if (this.text[this.pos] === "<") {
+        if (text) children.push(text);
+        text = "";
+        children.push(this.element());
+      } else {
+        const end = this.text.indexOf("<", this.pos);
+        const raw = this.text.substring(this.pos, end < 0 ? this.text.length : end);
+        text += this.decode(raw);
+        this.pos += raw.length;
+      }
+    }
+    if (text) children.push(text);
+    return { name, attributes, children, line };
+  }
+
+  private name(): string {
+    const match = /^[^\s/>=<"']+/.exec(this.text.substring(this.pos, this.pos + 256));
+    if (!match) this.fail("Expected a name");
+    this.pos += match[0].length;
+    return match[0];
+  }
+
+  private whitespace(): void {
+    while (/\s/.test(this.text[this.pos] || "")) this.pos++;
+  }
+
+  private skipPast(terminator: string): void {
+    const end = this.text.indexOf(terminator, this.pos);
+    if (end < 0) this.fail(`Expected '${terminator}'`);
+    this.pos = end + terminator.length;
+  }
+
+  private decode(raw: string): string {
+    return raw.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (entity, ref: string) => {
+      if (ref.startsWith("#x")) return String.fromCodePoint(parseInt(ref.substring(2), 16));
+      if (ref.startsWith("#")) return String.fromCodePoint(parseInt(ref.substring(1), 10));
+      return ENTITIES[ref] ?? entity;
+    });
+  }
+
+  /** Line of an offset; offsets are asked for in increasing order, so counting resumes where it stopped. */
+  private lineAt(offset: number): number {
+    if (offset < this.counted) {
+      this.counted = 0;
+      this.line = 0;
+    }
+    for (let i = this.text.indexOf("\n", this.counted); i >= 0 && i < offset; i = this.text.indexOf("\n", i + 1)) {
+      this.line++;
+      this.counted = i + 1;
+    }
+    return this.line;
+  }
+
+  private fail(message: string): never {
+    throw new Error(`${message} (line ${this.lineAt(this.pos) + 1})`);
+  }
+}